@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+import crypto from 'node:crypto';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import { config as envConfig } from './src/config/env.js';
+import { createControlServer, LOOPBACK_HOSTS } from './src/server/control-server.js';
+import { stopAllJobs } from './src/server/job-runner.js';
+
+/**
+ * [목적] --host / --port 인자 파싱 (기본값: DOKODEMODOOR_SERVER_HOST / _PORT).
+ */
+const parseServerArgs = (args) => {
+  const options = { host: envConfig.dokodemodoor.server.host, port: envConfig.dokodemodoor.server.port };
+  for (let i = 0; i < args.length; i++) {
+    if ((args[i] === '--host' || args[i] === '--port') && i + 1 < args.length) {
+      options[args[i].slice(2)] = args[i] === '--port' ? Number.parseInt(args[i + 1], 10) : args[i + 1];
+      i += 1;
+    } else if (args[i] === '--help' || args[i] === '-h') {
+      options.help = true;
+    }
+  }
+  return options;
+};
+
+const options = parseServerArgs(process.argv.slice(2));
+
+if (options.help) {
+  console.log(chalk.cyan.bold('DokodemoDoor control-plane server'));
+  console.log('  node control-server.mjs [--host 127.0.0.1] [--port 8787]\n');
+  console.log('  Environment: DOKODEMODOOR_SERVER_HOST, DOKODEMODOOR_SERVER_PORT, DOKODEMODOOR_SERVER_TOKEN');
+  process.exit(0);
+}
+
+const configuredToken = envConfig.dokodemodoor.server.token;
+if (!configuredToken && !LOOPBACK_HOSTS.includes(options.host)) {
+  console.log(chalk.red(`❌ Refusing to listen on ${options.host} without DOKODEMODOOR_SERVER_TOKEN`));
+  process.exit(1);
+}
+if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+  console.log(chalk.red(`❌ Invalid port: ${options.port}`));
+  process.exit(1);
+}
+
+// Loopback is still reachable from browser pages, so an unset token gets a one-off random one
+const token = configuredToken || crypto.randomBytes(24).toString('hex');
+const server = createControlServer({ token, host: options.host });
+
+/**
+ * [목적] 종료 시그널 처리: 실행 중 스캔 작업에 SIGTERM을 보내 세션을 interrupted로 정리시키고 종료.
+ */
+const shutdown = async (signal) => {
+  console.log(chalk.yellow(`\n⚠️ Received ${signal}, stopping running jobs...`));
+  server.close();
+  // Children mark their sessions interrupted on SIGTERM; don't wait forever on a stuck one
+  setTimeout(() => process.exit(0), 10000).unref();
+  const stopped = await stopAllJobs();
+  console.log(chalk.gray(`   Stopped ${stopped} job(s)`));
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+server.on('error', (error) => {
+  console.log(chalk.red(`❌ Control server failed: ${error.message}`));
+  process.exit(1);
+});
+
+server.listen(options.port, options.host, () => {
+  const { port } = server.address();
+  const origin = `http://${options.host.includes(':') ? `[${options.host}]` : options.host}:${port}`;
+  console.log(chalk.green(`✅ DokodemoDoor control server listening on ${origin}`));
+  if (configuredToken) {
+    console.log(chalk.gray(`   Dashboard: ${origin}/?access_token=<token>`));
+    console.log(chalk.gray('   Auth: bearer token required (DOKODEMODOOR_SERVER_TOKEN)'));
+  } else {
+    console.log(chalk.gray(`   Dashboard: ${origin}/?access_token=${token}`));
+    console.log(chalk.yellow('   Auth: bearer token generated for this run (set DOKODEMODOOR_SERVER_TOKEN to keep one)'));
+  }
+  console.log(chalk.gray('   API:  GET /api/sessions, POST /api/sessions, GET /api/sessions/:id[/logs|/deliverables]'));
+  console.log(chalk.gray('         POST /api/sessions/:id/rerun|rollback|stop'));
+});
@@ -15,7 +15,10 @@ import {
   AGENTS, PHASES, getPhaseIndexForAgent, getNextAgent,
   calculateVulnerabilityAnalysisSummary, calculateExploitationSummary
 } from './src/session-manager.js';
-import { runPhase } from './src/checkpoint-manager.js';
+import { runPhase, runStreamedPhases } from './src/checkpoint-manager.js';
+import { PIPELINE } from './src/config/pipeline-loader.js';
+import { config as envConfig } from './src/config/env.js';
+import { attachBudget } from './src/utils/budget.js';
 
 // Setup and Deliverables
 import { setupLocalRepo } from './src/setup/environment.js';
@@ -34,6 +37,15 @@ import { handleDeveloperCommand } from './src/cli/command-handler.js';
 import { showHelp, displaySplashScreen } from './src/cli/ui.js';
 import { validateWebUrl, validateRepoPath } from './src/cli/input-validator.js';
 import { parseCliArgs } from './src/cli/args.js';
+import { runPlanCommand } from './src/cli/plan.js';
+import { runBatchCommand } from './src/cli/batch.js';
+import { runDiffCommand } from './src/cli/diff.js';
+import { exportSessionBundle, importSessionBundle } from './src/cli/session-bundle.js';
+import { runStoreMigration } from './src/cli/store-migration.js';
+import { runSarifExport } from './src/cli/sarif.js';
+import { runHtmlReportCommand } from './src/cli/html-report.js';
+import { runDocxReportCommand } from './src/cli/docx-report.js';
+import { GATE_EXIT_CODES, runGateCommand } from './src/cli/ci-gate.js';
 
 // Error Handling
 import { PentestError, logError } from './src/error-handling.js';
@@ -43,6 +55,8 @@ $.timeout = 0;
 
 // Track active session globally for signal handlers
 let activeSessionId = null;
+// Session of this run, kept after completion for the CI gate (--ci)
+let pipelineSessionId = null;
 let consoleLogStream = null;
 let origStdoutWrite = null;
 let origStderrWrite = null;
@@ -160,6 +174,63 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('exit', cleanupResources);
 
 
+// Display parallel phase summary
+/**
+ * [목적] 병렬 단계(vuln/exploit runner) 완료 후 요약 출력.
+ *
+ * [호출자]
+ * - main() 단계 루프
+ *
+ * [입력 파라미터]
+ * - phase (object): 파이프라인 단계 정의
+ * - sessionId (string)
+ */
+async function displayPhaseSummary(phase, sessionId) {
+  if (phase.runner === 'vuln') {
+    // Actual vuln counts are in queue files/deliverables
+    const currentSession = await getSession(sessionId);
+    const vulnSummary = calculateVulnerabilityAnalysisSummary(currentSession);
+    const vulnAgentTotal = PHASES[phase.name].length;
+    console.log(chalk.blue(`\n📊 Vulnerability Analysis Summary: ${vulnSummary.totalAnalyses}/${vulnAgentTotal} agents completed (see deliverables for detailed findings)`));
+  } else if (phase.runner === 'exploit') {
+    const finalSession = await getSession(sessionId);
+    const exploitSummary = calculateExploitationSummary(finalSession);
+    if (exploitSummary.eligibleExploits > 0) {
+      console.log(chalk.blue(`\n🎯 Exploitation Summary: ${exploitSummary.totalAttempts}/${exploitSummary.eligibleExploits} attempted, ${exploitSummary.skippedExploits} skipped (no vulnerabilities)`));
+    } else {
+      console.log(chalk.gray(`\n🎯 Exploitation Summary: No exploitation attempts (no vulnerabilities found)`));
+    }
+  }
+}
+
+// Stop the pipeline when the session budget runs out
+/**
+ * [목적] 세션 예산 소진 시 사용량과 재개 방법 출력 후 파이프라인 중단 처리.
+ *
+ * [호출자]
+ * - main() 단계 루프 (단계 시작 전, 전체 단계 종료 후)
+ *
+ * [입력 파라미터]
+ * - budget (BudgetTracker)
+ * - budgetState (object): budget.check() 결과
+ * - sessionId (string)
+ *
+ * [주의사항]
+ * - 세션은 budget_exhausted로 남고 미실행 에이전트는 pending 유지 (failed/interrupted로 덮어쓰지 않음)
+ */
+async function stopForBudget(budget, budgetState, sessionId) {
+  await budget.flush();
+  const { usage } = budgetState;
+
+  console.log(chalk.yellow.bold(`\n💸 BUDGET EXHAUSTED: ${budgetState.reason}`));
+  console.log(chalk.gray(`   Used: ${usage.totalTokens.toLocaleString()} tokens, $${usage.costUsd.toFixed(4)}, ${formatDuration(usage.elapsedMs)}`));
+  console.log(chalk.gray(`   Session ${sessionId.substring(0, 8)} marked budget_exhausted; remaining agents stay pending.`));
+  console.log(chalk.white('   Raise DOKODEMODOOR_BUDGET_* (or `budget:` in the config) and re-run the same command to resume.'));
+
+  activeSessionId = null; // Keep budget_exhausted instead of interrupted/failed on exit
+  displayTimingSummary();
+}
+
 // Main orchestration function
 /**
  * [목적] CLI 진입점에서 전체 펜테스트 파이프라인 오케스트레이션.
@@ -248,7 +319,9 @@ async function main(webUrl, repoPath, { configPath = null, disableLoader = false
   // Create session for tracking (in normal mode)
   const session = await createSession(webUrl, repoPath, configPath, sourceDir);
   activeSessionId = session.id; // Set active session ID for global handlers
+  pipelineSessionId = session.id;
   console.log(chalk.blue(`📝 Session created: ${session.id.substring(0, 8)}...`));
+  const budget = await attachBudget(session);
 
   // Persist full console output to audit logs for debugging
   try {
@@ -322,93 +395,62 @@ async function main(webUrl, repoPath, { configPath = null, disableLoader = false
   // Determine which phase to start from based on next agent
   const startPhase = getPhaseIndexForAgent(nextAgent.name);
 
-  // PHASE 1: PRE-RECONNAISSANCE
-  if (startPhase <= 1) {
-    console.log(chalk.blue.bold('\n🔍 PHASE 1: PRE-RECONNAISSANCE'));
-    const preReconTimer = new Timer('phase-1-pre-recon');
-    await runPhase('pre-reconnaissance', session, runAgentPromptWithRetry, loadPrompt);
-    const preReconDuration = preReconTimer.stop();
-    timingResults.phases['pre-recon'] = preReconDuration;
-    console.log(chalk.green(`✅ Pre-reconnaissance phase complete in ${formatDuration(preReconDuration)}`));
-  }
-
-  // PHASE 2: RECONNAISSANCE
-  if (startPhase <= 2) {
-    console.log(chalk.magenta.bold('\n🔎 PHASE 2: RECONNAISSANCE'));
-    const reconPhaseTimer = new Timer('phase-2-reconnaissance');
+  // A vuln phase directly followed by an exploit phase runs as one streamed pool
+  const { streamExploitation, skipExploitation } = envConfig.dokodemodoor;
+  const streamedPhases = new Set();
 
-    await runPhase('reconnaissance', session, runAgentPromptWithRetry, loadPrompt);
+  // Run pipeline phases in declared order (configs/pipeline/*.yaml)
+  for (const [phaseIndex, phase] of PIPELINE.phases.entries()) {
+    const phaseNumber = phaseIndex + 1;
+    if (startPhase > phaseNumber) continue;
 
-    const reconPhaseDuration = reconPhaseTimer.stop();
-    timingResults.phases['reconnaissance'] = reconPhaseDuration;
-    console.log(chalk.green(`✅ Reconnaissance phase complete in ${formatDuration(reconPhaseDuration)}`));
-  }
-
-  // PHASE 3: API FUZZING
-  if (startPhase <= 3) {
-    console.log(chalk.cyan.bold('\n🔍 PHASE 3: API FUZZING (SCHEMATHESIS)'));
-    const fuzzPhaseTimer = new Timer('phase-3-api-fuzzing');
-
-    await runPhase('api-fuzzing', session, runAgentPromptWithRetry, loadPrompt);
-
-    const fuzzPhaseDuration = fuzzPhaseTimer.stop();
-    timingResults.phases['api-fuzzing'] = fuzzPhaseDuration;
-    console.log(chalk.green(`✅ API fuzzing phase complete in ${formatDuration(fuzzPhaseDuration)}`));
-  }
-
-  // PHASE 4: VULNERABILITY ANALYSIS
-  if (startPhase <= 4) {
-    const vulnTimer = new Timer('phase-4-vulnerability-analysis');
-    console.log(chalk.red.bold('\n🚨 PHASE 4: VULNERABILITY ANALYSIS'));
-
-    await runPhase('vulnerability-analysis', session, runAgentPromptWithRetry, loadPrompt);
-
-    // Display vulnerability analysis summary (actual vuln counts are in queue files/deliverables)
-    const currentSession = await getSession(session.id);
-    const vulnSummary = calculateVulnerabilityAnalysisSummary(currentSession);
-    const vulnAgentTotal = PHASES['vulnerability-analysis'].length;
-    console.log(chalk.blue(`\n📊 Vulnerability Analysis Summary: ${vulnSummary.totalAnalyses}/${vulnAgentTotal} agents completed (see deliverables for detailed findings)`));
+    if (streamedPhases.has(phase.name)) {
+      console.log(chalk.gray(`\n⏭️  PHASE ${phaseNumber}: ${phase.title} ran alongside the preceding vulnerability phase`));
+      await displayPhaseSummary(phase, session.id);
+      continue;
+    }
 
-    const vulnDuration = vulnTimer.stop();
-    timingResults.phases['vulnerability-analysis'] = vulnDuration;
+    const budgetState = budget.check();
+    if (budgetState.exhausted) {
+      await stopForBudget(budget, budgetState, session.id);
+      return null;
+    }
 
-    console.log(chalk.green(`✅ Vulnerability analysis phase complete in ${formatDuration(vulnDuration)}`));
-  }
+    const nextPhase = PIPELINE.phases[phaseIndex + 1];
+    const streamInto = streamExploitation && !skipExploitation && phase.runner === 'vuln' && nextPhase?.runner === 'exploit'
+      ? nextPhase
+      : null;
 
-  // PHASE 5: EXPLOITATION
-  if (startPhase <= 5) {
-    const exploitTimer = new Timer('phase-5-exploitation');
-    console.log(chalk.red.bold('\n💥 PHASE 5: EXPLOITATION'));
+    const bannerColor = chalk[phase.color] || chalk.cyan;
+    console.log(bannerColor.bold(`\n${phase.icon} PHASE ${phaseNumber}: ${phase.title}`));
+    if (phase.agents.includes('report')) {
+      console.log(bannerColor('Generating executive summary and assembling final report...'));
+    }
+    const phaseTimer = new Timer(`phase-${phaseNumber}-${phase.timingKey}`);
 
     // runPhase internally fetches fresh session state
-    await runPhase('exploitation', session, runAgentPromptWithRetry, loadPrompt);
-
-    // Display exploitation summary
-    const finalSession = await getSession(session.id);
-    const exploitSummary = calculateExploitationSummary(finalSession);
-    if (exploitSummary.eligibleExploits > 0) {
-      console.log(chalk.blue(`\n🎯 Exploitation Summary: ${exploitSummary.totalAttempts}/${exploitSummary.eligibleExploits} attempted, ${exploitSummary.skippedExploits} skipped (no vulnerabilities)`));
+    if (streamInto) {
+      await runStreamedPhases(phase.name, streamInto.name, session, runAgentPromptWithRetry, loadPrompt);
+      streamedPhases.add(streamInto.name);
     } else {
-      console.log(chalk.gray(`\n🎯 Exploitation Summary: No exploitation attempts (no vulnerabilities found)`));
+      await runPhase(phase.name, session, runAgentPromptWithRetry, loadPrompt);
     }
+    await displayPhaseSummary(phase, session.id);
 
-    const exploitDuration = exploitTimer.stop();
-    timingResults.phases['exploitation'] = exploitDuration;
-  }
-
-  // PHASE 6: REPORTING
-  if (startPhase <= 6) {
-    console.log(chalk.greenBright.bold('\n📊 PHASE 6: REPORTING'));
-    console.log(chalk.greenBright('Generating executive summary and assembling final report...'));
-    const reportTimer = new Timer('phase-6-reporting');
-
-    await runPhase('reporting', session, runAgentPromptWithRetry, loadPrompt);
+    const phaseDuration = phaseTimer.stop();
+    timingResults.phases[phase.timingKey] = phaseDuration;
+    console.log(chalk.green(`✅ Phase '${phase.name}' complete in ${formatDuration(phaseDuration)}`));
 
-    const reportDuration = reportTimer.stop();
-    timingResults.phases['reporting'] = reportDuration;
+    if (phase.agents.includes('report')) {
+      console.log(chalk.cyan(`\n💡 To generate Korean translation, run: npm run translate-report`));
+    }
+  }
 
-    console.log(chalk.green(`✅ Final report fully assembled in ${formatDuration(reportDuration)}`));
-    console.log(chalk.cyan(`\n💡 To generate Korean translation, run: npm run translate-report`));
+  // The last phase may itself have been cut short by the budget
+  const finalBudgetState = budget.check();
+  if (finalBudgetState.exhausted && getNextAgent(await getSession(session.id))) {
+    await stopForBudget(budget, finalBudgetState, session.id);
+    return null;
   }
 
   // Calculate final timing and cost data
@@ -463,6 +505,27 @@ const {
   sessionId,
   disableLoader,
   setupOnly,
+  plan,
+  planOutput,
+  batchFile,
+  batchConcurrency,
+  diffRefs,
+  diffOutput,
+  exportSession,
+  exportOutput,
+  importBundle,
+  importTargetRepo,
+  migrateStore,
+  sarifSource,
+  sarifOutput,
+  htmlReportSource,
+  htmlReportOutput,
+  docxReportSource,
+  docxReportOutput,
+  docxTemplate,
+  ciMode,
+  gateSource,
+  gateOutput,
   developerCommand,
   nonFlagArgs,
   showHelp: showHelpFlag,
@@ -493,6 +556,99 @@ if (developerCommand) {
   }
 }
 
+// Batch mode: one child run (own session) per target in the targets file
+if (batchFile) {
+  try {
+    const { summary } = await runBatchCommand(batchFile, { concurrency: batchConcurrency, defaultConfigPath: configPath });
+    const failed = summary.results.filter(result => ['failed', 'invalid', 'interrupted'].includes(result.status));
+    process.exit(failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    await logError(error, 'Batch run failed');
+    process.exit(1);
+  }
+}
+
+// Retest diff: compare the findings of two sessions (no pipeline run)
+if (diffRefs) {
+  try {
+    await runDiffCommand(diffRefs[0], diffRefs[1], { outputPath: diffOutput });
+    process.exit(0);
+  } catch (error) {
+    await logError(error, 'Diff failed');
+    process.exit(1);
+  }
+}
+
+// Session bundles: hand over / archive a session, or restore one on this machine
+if (exportSession || importBundle) {
+  try {
+    if (exportSession) {
+      await exportSessionBundle(exportSession, { outputPath: exportOutput });
+    } else {
+      await importSessionBundle(importBundle, { targetRepo: importTargetRepo });
+    }
+    process.exit(0);
+  } catch (error) {
+    await logError(error, exportSession ? 'Session export failed' : 'Session import failed');
+    process.exit(1);
+  }
+}
+
+// Session store migration: copy every session record from the other backend
+if (migrateStore) {
+  try {
+    await runStoreMigration(migrateStore);
+    process.exit(0);
+  } catch (error) {
+    await logError(error, 'Store migration failed');
+    process.exit(1);
+  }
+}
+
+// SARIF export: queue findings + exploitation evidence for code scanning tools
+if (sarifSource) {
+  try {
+    await runSarifExport(sarifSource, { outputPath: sarifOutput });
+    process.exit(0);
+  } catch (error) {
+    await logError(error, 'SARIF export failed');
+    process.exit(1);
+  }
+}
+
+// HTML report: single offline file (dashboard, findings, evidence, screenshots) for client delivery
+if (htmlReportSource) {
+  try {
+    await runHtmlReportCommand(htmlReportSource, { outputPath: htmlReportOutput });
+    process.exit(0);
+  } catch (error) {
+    await logError(error, 'HTML report failed');
+    process.exit(1);
+  }
+}
+
+// DOCX report: Word document (cover, table of contents, findings tables, screenshots) with template styling
+if (docxReportSource) {
+  try {
+    await runDocxReportCommand(docxReportSource, { outputPath: docxReportOutput, templatePath: docxTemplate });
+    process.exit(0);
+  } catch (error) {
+    await logError(error, 'DOCX report failed');
+    process.exit(1);
+  }
+}
+
+// CI gate on an existing session: exit code from the ci_gate thresholds (0 pass, 2 fail, 3 incomplete)
+if (gateSource) {
+  try {
+    const { exitCode } = await runGateCommand(gateSource, { configPath, outputPath: gateOutput });
+    process.exit(exitCode);
+  } catch (error) {
+    await logError(error, 'CI gate failed');
+    process.exit(GATE_EXIT_CODES.error);
+  }
+}
+
 // Handle no arguments - show help
 if (nonFlagArgs.length === 0) {
   console.log(chalk.red.bold('❌ Error: No arguments provided\n'));
@@ -538,6 +694,17 @@ if (disableLoader) {
 }
 console.log();
 
+// Dry run: build and save the execution plan without running agents
+if (plan) {
+  try {
+    await runPlanCommand(webUrl, repoPathValidation.path, { configPath, outputPath: planOutput, loadPrompt });
+    process.exit(0);
+  } catch (error) {
+    await logError(error, 'Plan generation failed');
+    process.exit(1);
+  }
+}
+
 try {
   const result = await main(webUrl, repoPathValidation.path, { configPath, disableLoader, setupOnly });
 
@@ -551,6 +718,20 @@ try {
     console.log(chalk.cyan(`   ${result.auditLogsPath}`));
   }
 
+  // CI mode: the exit code reflects the findings, not just pipeline completion
+  if (ciMode) {
+    let exitCode = GATE_EXIT_CODES.incomplete;
+    if (pipelineSessionId) {
+      try {
+        ({ exitCode } = await runGateCommand(pipelineSessionId, { configPath, outputPath: gateOutput }));
+      } catch (error) {
+        await logError(error, 'CI gate failed');
+        exitCode = GATE_EXIT_CODES.error;
+      }
+    }
+    process.exit(exitCode);
+  }
+
   process.exit(0);
 
 } catch (error) {
@@ -10,6 +10,12 @@
  * - search_file: Optimized content search (grep/rg)
  * - write_file: Safe file writing
  * - generate_totp: Multi-factor auth generation
+ * - attacker_page: Loopback attacker page for cross-site proofs
+ * - http_burst: Parallel request bursts for race-condition testing
+ * - graphql_introspect: GraphQL schema extraction and operation inventory
+ * - websocket_client: WebSocket frame testing and SSE stream reading
+ * - upload_payload: File-upload test file and polyglot generation
+ * - jwt_toolkit: JWT decoding, forgery, HMAC secret cracking and acceptance testing
  */
 
 import { createSdkMcpServer } from '@anthropic-ai/claude-agent-sdk';
@@ -20,6 +26,12 @@ import { readFileTool } from './tools/read-file.js';
 import { searchFilesTool } from './tools/search-tools.js';
 import { writeFileTool } from './tools/write-file.js';
 import { taskAgentTool } from './tools/task-agent.js';
+import { attackerPageTool } from './tools/attacker-page.js';
+import { httpBurstTool } from './tools/http-burst.js';
+import { graphqlIntrospectTool } from './tools/graphql-introspect.js';
+import { websocketClientTool } from './tools/websocket-client.js';
+import { uploadPayloadTool } from './tools/upload-payload.js';
+import { jwtToolkitTool } from './tools/jwt-toolkit.js';
 
 /**
  * [목적] DokodemoDoor helper MCP 서버 생성 및 타겟 디렉터리 설정.
@@ -50,7 +62,13 @@ export function createDokodemoDoorHelperServer(targetDir) {
       readFileTool,
       searchFilesTool,
       writeFileTool,
-      taskAgentTool
+      taskAgentTool,
+      attackerPageTool,
+      httpBurstTool,
+      graphqlIntrospectTool,
+      websocketClientTool,
+      uploadPayloadTool,
+      jwtToolkitTool
     ],
   });
 }
@@ -63,7 +81,13 @@ export {
   readFileTool,
   searchFilesTool,
   writeFileTool,
-  taskAgentTool
+  taskAgentTool,
+  attackerPageTool,
+  httpBurstTool,
+  graphqlIntrospectTool,
+  websocketClientTool,
+  uploadPayloadTool,
+  jwtToolkitTool
 };
 
 // Export types for external use
@@ -0,0 +1,262 @@
+/**
+ * attacker_page MCP Tool
+ *
+ * Hosts a short-lived attacker page on the loopback interface so that a
+ * Playwright browser can prove cross-site issues (CSRF, CORS, clickjacking)
+ * from a genuinely different site than the target.
+ * Any request to a path other than the page itself is recorded as a callback.
+ */
+
+import { tool } from '@anthropic-ai/claude-agent-sdk';
+import { createServer } from 'http';
+import { randomBytes } from 'crypto';
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { createToolResult } from '../types/tool-responses.js';
+import { createValidationError, createGenericError } from '../utils/error-formatter.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+import { getTargetDir, getWebUrl } from '../../../src/utils/context.js';
+
+const MAX_ACTIVE_PAGES = 5;
+const MAX_LOG_ENTRIES = 200;
+const MAX_CAPTURED_BODY = 64 * 1024;
+const PAGE_DIR = 'deliverables/findings/attacker-pages';
+
+// page_id -> { server, url, html, log, timer, savedPath }
+const activePages = new Map();
+
+/**
+ * Input schema for attacker_page tool
+ */
+export const AttackerPageInputSchema = z.object({
+  action: z
+    .enum(['host', 'log', 'stop'])
+    .default('host')
+    .describe('host: serve a new page, log: read recorded callbacks, stop: shut the page down'),
+  html: z
+    .string()
+    .optional()
+    .describe('Full HTML document of the attacker page (required for host). Send callbacks to the returned collect_url.'),
+  page_id: z
+    .string()
+    .optional()
+    .describe('Page id returned by host (required for log/stop)'),
+  ttl_seconds: z
+    .number()
+    .int()
+    .min(30)
+    .max(1800)
+    .optional()
+    .default(600)
+    .describe('Seconds before the page is shut down automatically (default: 600)'),
+});
+
+/**
+ * [목적] 타겟과 다른 사이트가 되도록 루프백 호스트명 선택.
+ *
+ * [호출자]
+ * - hostAttackerPage()
+ *
+ * [반환값]
+ * - string: '127.0.0.1' 또는 'localhost'
+ *
+ * [주의사항]
+ * - 두 이름 모두 127.0.0.1에 바인딩된 같은 서버를 가리키며, 브라우저 기준 site만 달라짐
+ */
+function pickAttackerHostname() {
+  const webUrl = getWebUrl();
+  if (!webUrl) return '127.0.0.1';
+  try {
+    const { hostname } = new URL(webUrl);
+    return hostname === '127.0.0.1' ? 'localhost' : '127.0.0.1';
+  } catch {
+    return '127.0.0.1';
+  }
+}
+
+/**
+ * [목적] 페이지 요청 로그를 findings 디렉터리에 저장 (증거 첨부용).
+ */
+function persistLog(pageId, page) {
+  try {
+    writeFileSync(
+      page.savedPath.replace(/\.html$/, '.log.json'),
+      JSON.stringify({ page_id: pageId, url: page.url, requests: page.log }, null, 2),
+      'utf8'
+    );
+  } catch {
+    // Best-effort only; the log is still returned to the agent
+  }
+}
+
+/**
+ * [목적] 페이지 서버 종료 및 로그 저장.
+ */
+function closePage(pageId) {
+  const page = activePages.get(pageId);
+  if (!page) return null;
+  clearTimeout(page.timer);
+  page.server.close();
+  activePages.delete(pageId);
+  persistLog(pageId, page);
+  return page;
+}
+
+/**
+ * [목적] 공격자 페이지 서버 기동.
+ *
+ * [호출자]
+ * - attackerPage() (action: host)
+ *
+ * [반환값]
+ * - Promise<object>: { page_id, url, collect_url, expires_in, saved_path }
+ */
+async function hostAttackerPage(html, ttlSeconds) {
+  const pageId = randomBytes(4).toString('hex');
+  const targetDir = getTargetDir();
+  const savedPath = path.join(targetDir, PAGE_DIR, `${pageId}.html`);
+  mkdirSync(path.dirname(savedPath), { recursive: true });
+  writeFileSync(savedPath, html, 'utf8');
+
+  const log = [];
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://attacker.local');
+    if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(html);
+      return;
+    }
+
+    // Everything else is a callback from the page (exfiltrated data, beacons)
+    let body = '';
+    req.on('data', (chunk) => {
+      if (body.length < MAX_CAPTURED_BODY) body += chunk.toString('utf8');
+    });
+    req.on('end', () => {
+      if (log.length < MAX_LOG_ENTRIES) {
+        log.push({
+          timestamp: getLocalISOString(),
+          method: req.method,
+          path: url.pathname,
+          query: Object.fromEntries(url.searchParams),
+          origin: req.headers.origin || null,
+          referer: req.headers.referer || null,
+          content_type: req.headers['content-type'] || null,
+          body: body.slice(0, MAX_CAPTURED_BODY),
+        });
+      }
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      });
+      res.end();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+
+  const origin = `http://${pickAttackerHostname()}:${server.address().port}`;
+  const page = { server, url: `${origin}/`, html, log, savedPath, timer: null };
+  page.timer = setTimeout(() => closePage(pageId), ttlSeconds * 1000);
+  page.timer.unref();
+  activePages.set(pageId, page);
+
+  return {
+    page_id: pageId,
+    url: page.url,
+    collect_url: `${origin}/collect`,
+    expires_in: ttlSeconds,
+    saved_path: path.relative(targetDir, savedPath),
+  };
+}
+
+/**
+ * [목적] attacker_page 도구 본체 실행.
+ *
+ * [호출자]
+ * - MCP tool 호출 (attacker_page)
+ *
+ * [출력 대상]
+ * - ToolResult 반환
+ *
+ * [입력 파라미터]
+ * - args.action ('host'|'log'|'stop')
+ * - args.html (string, host 전용)
+ * - args.page_id (string, log/stop 전용)
+ * - args.ttl_seconds (number)
+ *
+ * [반환값]
+ * - Promise<object>
+ *
+ * [주의사항]
+ * - 서버는 127.0.0.1에만 바인딩되며 TTL 경과 시 자동 종료됨
+ */
+export async function attackerPage(args) {
+  try {
+    const { action = 'host', html, page_id: pageId, ttl_seconds: ttlSeconds = 600 } = args;
+
+    if (action === 'host') {
+      if (!html || !html.trim()) {
+        return createToolResult(createValidationError('html is required for action "host"', true));
+      }
+      if (activePages.size >= MAX_ACTIVE_PAGES) {
+        return createToolResult(createValidationError(
+          `Too many active attacker pages (${MAX_ACTIVE_PAGES}). Stop one first.`,
+          true,
+          { activePages: [...activePages.keys()] }
+        ));
+      }
+      const hosted = await hostAttackerPage(html, ttlSeconds);
+      return createToolResult({
+        status: 'success',
+        message: 'Attacker page hosted. Open url in the browser; requests to collect_url are recorded.',
+        ...hosted,
+      });
+    }
+
+    const page = activePages.get(pageId);
+    if (!page) {
+      return createToolResult(createValidationError(
+        `Unknown or expired attacker page: ${pageId}`,
+        false,
+        { activePages: [...activePages.keys()] }
+      ));
+    }
+
+    if (action === 'stop') {
+      closePage(pageId);
+      return createToolResult({
+        status: 'success',
+        message: 'Attacker page stopped',
+        page_id: pageId,
+        requests: page.log,
+      });
+    }
+
+    persistLog(pageId, page);
+    return createToolResult({
+      status: 'success',
+      message: `${page.log.length} request(s) recorded`,
+      page_id: pageId,
+      url: page.url,
+      requests: page.log,
+    });
+  } catch (error) {
+    return createToolResult(createGenericError(error, false));
+  }
+}
+
+/**
+ * Tool definition for MCP server - created using SDK's tool() function
+ */
+export const attackerPageTool = tool(
+  'attacker_page',
+  'Hosts a temporary cross-site attacker page on loopback for CSRF/CORS/clickjacking proofs and records callbacks.',
+  AttackerPageInputSchema.shape,
+  attackerPage
+);
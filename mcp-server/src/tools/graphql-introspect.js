@@ -0,0 +1,282 @@
+/**
+ * graphql_introspect MCP Tool
+ *
+ * Runs the standard GraphQL introspection query against the target and turns
+ * the schema into an operation/field inventory that recon and the specialist
+ * agents can reason about (Query/Mutation/Subscription names, arguments,
+ * return types, sensitive-looking fields).
+ * When no URL is given, common GraphQL endpoint paths under the target are probed.
+ */
+
+import { tool } from '@anthropic-ai/claude-agent-sdk';
+import { z } from 'zod';
+import http from 'http';
+import https from 'https';
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { createToolResult } from '../types/tool-responses.js';
+import { createValidationError, createGenericError } from '../utils/error-formatter.js';
+import { loadAuthSessionHeaders } from '../utils/auth-session.js';
+import { isInTargetScope, createOutOfScopeError } from '../utils/target-scope.js';
+import { getTargetDir, getWebUrl } from '../../../src/utils/context.js';
+
+const SCHEMA_FILE = 'deliverables/_context/graphql_schema.json';
+const OPERATIONS_FILE = 'deliverables/_context/graphql_operations.json';
+const CANDIDATE_PATHS = ['/graphql', '/api/graphql', '/graphql/v1', '/v1/graphql', '/api/v1/graphql', '/query', '/gql'];
+const MAX_RETURNED_OPERATIONS = 300;
+const MAX_SENSITIVE_FIELDS = 60;
+const SENSITIVE_FIELD_PATTERN = /pass(word)?|secret|token|api_?key|private|ssn|credit|card|cvv|salt|hash|otp|totp|mfa|role|is_?admin|permission|internal|email|phone/i;
+
+const TYPE_REF = 'kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } } }';
+const INTROSPECTION_QUERY = `query IntrospectionQuery {
+  __schema {
+    queryType { name }
+    mutationType { name }
+    subscriptionType { name }
+    types {
+      kind name
+      fields(includeDeprecated: true) {
+        name isDeprecated
+        args { name type { ${TYPE_REF} } }
+        type { ${TYPE_REF} }
+      }
+      inputFields { name type { ${TYPE_REF} } }
+      enumValues(includeDeprecated: true) { name }
+    }
+    directives { name locations }
+  }
+}`;
+
+export const GraphqlIntrospectInputSchema = z.object({
+  url: z.string().url().optional().describe('GraphQL endpoint URL. If omitted, common paths (/graphql, /api/graphql, ...) under the target URL are probed'),
+  headers: z.record(z.string()).optional().describe('Extra request headers (explicit headers win over auth_session.json)'),
+  use_auth_session: z.boolean().default(true).describe('Merge cookies/headers from deliverables/auth_session.json'),
+  timeout_ms: z.number().int().min(1000).max(60000).default(15000).describe('Per-request timeout in milliseconds'),
+});
+
+/**
+ * [목적] GraphQL 엔드포인트에 JSON POST 전송 (자체 서명 인증서 허용).
+ */
+function postGraphql(url, headers, query, timeoutMs) {
+  const body = JSON.stringify({ query, operationName: 'IntrospectionQuery' });
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'User-Agent': 'dokodemodoor-graphql/1.0',
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+      },
+      rejectUnauthorized: false,
+      timeout: timeoutMs,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = JSON.parse(text); } catch { /* non-JSON response */ }
+        resolve({ status: res.statusCode, json, text });
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('request timeout')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * [목적] 중첩 타입 참조(NON_NULL/LIST)를 SDL 표기(예: [User!]!)로 변환.
+ */
+function formatTypeRef(ref) {
+  if (!ref) return 'Unknown';
+  if (ref.kind === 'NON_NULL') return `${formatTypeRef(ref.ofType)}!`;
+  if (ref.kind === 'LIST') return `[${formatTypeRef(ref.ofType)}]`;
+  return ref.name || 'Unknown';
+}
+
+/**
+ * [목적] 스키마를 오퍼레이션/민감 필드 인벤토리로 요약.
+ */
+function buildInventory(schema) {
+  const types = Array.isArray(schema.types) ? schema.types : [];
+  const byName = new Map(types.map(t => [t.name, t]));
+  const roots = [
+    ['query', schema.queryType?.name],
+    ['mutation', schema.mutationType?.name],
+    ['subscription', schema.subscriptionType?.name],
+  ];
+
+  const operations = [];
+  for (const [kind, typeName] of roots) {
+    const rootType = typeName ? byName.get(typeName) : null;
+    for (const field of rootType?.fields || []) {
+      operations.push({
+        kind,
+        name: field.name,
+        args: (field.args || []).map(arg => `${arg.name}: ${formatTypeRef(arg.type)}`),
+        returns: formatTypeRef(field.type),
+        ...(field.isDeprecated ? { deprecated: true } : {}),
+      });
+    }
+  }
+
+  const rootNames = new Set(roots.map(([, name]) => name).filter(Boolean));
+  const userTypes = types.filter(t => t.name && !t.name.startsWith('__') && !rootNames.has(t.name));
+  const sensitiveFields = [];
+  for (const type of userTypes) {
+    for (const field of [...(type.fields || []), ...(type.inputFields || [])]) {
+      if (SENSITIVE_FIELD_PATTERN.test(field.name)) sensitiveFields.push(`${type.name}.${field.name}`);
+    }
+  }
+
+  const countKind = kind => userTypes.filter(t => t.kind === kind).length;
+  return {
+    operations,
+    sensitive_fields: sensitiveFields.slice(0, MAX_SENSITIVE_FIELDS),
+    stats: {
+      queries: operations.filter(o => o.kind === 'query').length,
+      mutations: operations.filter(o => o.kind === 'mutation').length,
+      subscriptions: operations.filter(o => o.kind === 'subscription').length,
+      object_types: countKind('OBJECT'),
+      input_types: countKind('INPUT_OBJECT'),
+      enums: countKind('ENUM'),
+      directives: (schema.directives || []).map(d => d.name),
+    },
+  };
+}
+
+/**
+ * [목적] GraphQL 인트로스펙션 실행 후 오퍼레이션/필드 인벤토리를 생성.
+ *
+ * [호출자]
+ * - MCP tool 호출 (graphql_introspect) — recon, api-fuzzer, authz/injection 에이전트
+ *
+ * [출력 대상]
+ * - ToolResult 반환
+ * - deliverables/_context/graphql_schema.json (원본 __schema)
+ * - deliverables/_context/graphql_operations.json (오퍼레이션 인벤토리)
+ *
+ * [입력 파라미터]
+ * - args.url, args.headers, args.use_auth_session, args.timeout_ms
+ *
+ * [반환값]
+ * - Promise<object>: introspection_enabled, endpoint, stats, operations, sensitive_fields
+ *
+ * [주의사항]
+ * - 타겟 webUrl 범위 밖 호스트는 차단 (SecurityError)
+ * - 인트로스펙션이 비활성화되어도 status: success + introspection_enabled: false 로 응답 (에러 메시지 포함)
+ */
+export async function graphqlIntrospect(args) {
+  try {
+    const {
+      url: rawUrl,
+      headers = {},
+      use_auth_session: useAuthSession = true,
+      timeout_ms: timeoutMs = 15000,
+    } = args;
+
+    const webUrl = getWebUrl();
+    if (!rawUrl && !webUrl) {
+      return createToolResult(createValidationError('url is required when no target URL is configured', false));
+    }
+    const candidates = rawUrl
+      ? [new URL(rawUrl)]
+      : CANDIDATE_PATHS.map(p => new URL(p, webUrl));
+
+    for (const candidate of candidates) {
+      if (!['http:', 'https:'].includes(candidate.protocol)) {
+        return createToolResult(createValidationError(`Unsupported protocol: ${candidate.protocol}`, false));
+      }
+      if (!isInTargetScope(candidate.hostname)) {
+        return createToolResult(createOutOfScopeError(candidate.hostname));
+      }
+    }
+
+    const targetDir = getTargetDir();
+    const probed = [];
+    let hit = null;
+    for (const candidate of candidates) {
+      const sessionHeaders = useAuthSession ? loadAuthSessionHeaders(targetDir, candidate.href) : null;
+      try {
+        const response = await postGraphql(candidate, { ...(sessionHeaders || {}), ...headers }, INTROSPECTION_QUERY, timeoutMs);
+        const isGraphql = Boolean(response.json && (response.json.data !== undefined || Array.isArray(response.json.errors)));
+        probed.push({ url: candidate.href, status: response.status, graphql: isGraphql });
+        if (isGraphql) {
+          hit = { url: candidate, response, authSessionApplied: Boolean(sessionHeaders) };
+          break;
+        }
+      } catch (error) {
+        probed.push({ url: candidate.href, status: null, error: error.message });
+      }
+    }
+
+    if (!hit) {
+      return createToolResult({
+        status: 'success',
+        message: 'No GraphQL endpoint answered the introspection query.',
+        graphql_found: false,
+        probed,
+      });
+    }
+
+    const schema = hit.response.json.data?.__schema;
+    if (!schema) {
+      const errors = (hit.response.json.errors || []).map(e => String(e?.message || e)).slice(0, 5);
+      return createToolResult({
+        status: 'success',
+        message: `GraphQL endpoint found at ${hit.url.href} but introspection is disabled or restricted.`,
+        graphql_found: true,
+        introspection_enabled: false,
+        endpoint: hit.url.href,
+        errors,
+        hint: 'Fall back to static schema files (schema.graphql, *.gql, typeDefs, resolver maps) and field-suggestion errors ("Did you mean ...?") to build the operation inventory.',
+        probed,
+      });
+    }
+
+    const inventory = buildInventory(schema);
+    const generatedAt = new Date().toISOString();
+    const schemaPath = path.join(targetDir, SCHEMA_FILE);
+    const operationsPath = path.join(targetDir, OPERATIONS_FILE);
+    mkdirSync(path.dirname(schemaPath), { recursive: true });
+    writeFileSync(schemaPath, JSON.stringify({ generated_at: generatedAt, endpoint: hit.url.href, __schema: schema }, null, 2), 'utf8');
+    writeFileSync(operationsPath, JSON.stringify({
+      generated_at: generatedAt,
+      source: 'introspection',
+      endpoint: hit.url.href,
+      auth_session_applied: hit.authSessionApplied,
+      ...inventory,
+    }, null, 2), 'utf8');
+
+    return createToolResult({
+      status: 'success',
+      message: `Introspection succeeded at ${hit.url.href}: ${inventory.stats.queries} queries, ${inventory.stats.mutations} mutations, ${inventory.stats.subscriptions} subscriptions`,
+      graphql_found: true,
+      introspection_enabled: true,
+      endpoint: hit.url.href,
+      auth_session_applied: hit.authSessionApplied,
+      stats: inventory.stats,
+      operations: inventory.operations.slice(0, MAX_RETURNED_OPERATIONS),
+      operations_truncated: inventory.operations.length > MAX_RETURNED_OPERATIONS,
+      sensitive_fields: inventory.sensitive_fields,
+      saved_paths: [SCHEMA_FILE, OPERATIONS_FILE],
+      probed,
+    });
+  } catch (error) {
+    return createToolResult(createGenericError(error, false));
+  }
+}
+
+/**
+ * Tool definition for MCP server - created using SDK's tool() function
+ */
+export const graphqlIntrospectTool = tool(
+  'graphql_introspect',
+  'Runs GraphQL introspection against the target (probing common endpoint paths if no URL is given) and returns the Query/Mutation/Subscription inventory with arguments, return types and sensitive-looking fields. Saves deliverables/_context/graphql_operations.json.',
+  GraphqlIntrospectInputSchema.shape,
+  graphqlIntrospect
+);
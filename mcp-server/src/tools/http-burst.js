@@ -0,0 +1,291 @@
+/**
+ * http_burst MCP Tool
+ *
+ * Sends N parallel copies of one HTTP request with timing capture, for
+ * race-condition testing (double-spend, coupon reuse, TOCTOU).
+ * In `last_byte` mode every request is sent except its final byte, then all
+ * final bytes are released together so the server receives the requests
+ * within the narrowest possible window (HTTP/1.1 last-byte synchronization).
+ */
+
+import { tool } from '@anthropic-ai/claude-agent-sdk';
+import { z } from 'zod';
+import net from 'net';
+import tls from 'tls';
+import { createHash } from 'crypto';
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { createToolResult } from '../types/tool-responses.js';
+import { createValidationError, createGenericError } from '../utils/error-formatter.js';
+import { loadAuthSessionHeaders } from '../utils/auth-session.js';
+import { isInTargetScope, createOutOfScopeError } from '../utils/target-scope.js';
+import { getTargetDir } from '../../../src/utils/context.js';
+
+const BURST_DIR = 'deliverables/findings/bursts';
+const SYNC_SETTLE_MS = 150;
+const MAX_BODY_EXCERPT = 300;
+
+export const HttpBurstInputSchema = z.object({
+  url: z.string().url().describe('Absolute target URL (http/https)'),
+  method: z.enum(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']).default('POST').describe('HTTP method'),
+  headers: z.record(z.string()).optional().describe('Request headers (Content-Type, tokens, ...)'),
+  body: z.string().optional().describe('Request body sent identically in every request'),
+  count: z.number().int().min(2).max(50).default(10).describe('Number of parallel requests (2-50)'),
+  sync: z.enum(['last_byte', 'none']).default('last_byte').describe('last_byte: release all final bytes together; none: plain parallel send'),
+  use_auth_session: z.boolean().default(true).describe('Merge cookies/headers from deliverables/auth_session.json (explicit headers win)'),
+  timeout_ms: z.number().int().min(1000).max(60000).default(15000).describe('Per-request timeout in milliseconds'),
+  label: z.string().regex(/^[A-Za-z0-9_.-]+$/).max(60).optional().describe('Name used for the saved result file (e.g. LOGIC-VULN-01-coupon)'),
+});
+
+/**
+ * [목적] Connection: close 기반 raw HTTP/1.1 요청 버퍼 생성.
+ *
+ * [주의사항]
+ * - 헤더 이름은 대소문자 무시로 병합 (뒤에 온 값이 기본값/앞 값을 대체, 같은 헤더가 두 번 실리지 않음)
+ * - 메시지 경계(Connection, Content-Length)는 항상 도구가 정하고, 충돌하는 Transfer-Encoding은 제거
+ */
+function buildRawRequest(url, method, headers, body) {
+  const bodyBuffer = Buffer.from(body || '', 'utf8');
+  const merged = new Map();
+  const setHeader = (name, value) => merged.set(name.toLowerCase(), [name, value]);
+
+  setHeader('Host', url.host);
+  setHeader('User-Agent', 'dokodemodoor-burst/1.0');
+  setHeader('Accept', '*/*');
+  Object.entries(headers || {}).forEach(([name, value]) => setHeader(name, value));
+  merged.delete('transfer-encoding');
+  merged.delete('content-length');
+  setHeader('Connection', 'close');
+  if (bodyBuffer.length > 0 || ['POST', 'PUT', 'PATCH'].includes(method)) {
+    setHeader('Content-Length', String(bodyBuffer.length));
+  }
+  const head = [`${method} ${url.pathname}${url.search} HTTP/1.1`, ...[...merged.values()].map(([k, v]) => `${k}: ${v}`)].join('\r\n');
+  return Buffer.concat([Buffer.from(`${head}\r\n\r\n`, 'utf8'), bodyBuffer]);
+}
+
+/**
+ * [목적] 대상에 TCP/TLS 연결을 열고 연결 완료 시 소켓 반환.
+ */
+function openSocket(url, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const port = Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+    const socket = url.protocol === 'https:'
+      ? tls.connect({ host: url.hostname, port, servername: net.isIP(url.hostname) ? undefined : url.hostname, rejectUnauthorized: false, ALPNProtocols: ['http/1.1'] })
+      : net.connect({ host: url.hostname, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error('connect timeout'));
+    }, timeoutMs);
+    socket.once(url.protocol === 'https:' ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      socket.setNoDelay(true);
+      resolve(socket);
+    });
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * [목적] chunked 전송 인코딩 본문 디코딩 (실패 시 원본 반환).
+ */
+function decodeChunked(buffer) {
+  const parts = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return buffer;
+    const size = parseInt(buffer.slice(offset, lineEnd).toString('ascii').split(';')[0], 16);
+    if (Number.isNaN(size)) return buffer;
+    if (size === 0) break;
+    parts.push(buffer.slice(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * [목적] raw HTTP 응답에서 상태 코드/헤더/본문 추출.
+ */
+function parseResponse(raw) {
+  const headerEnd = raw.indexOf('\r\n\r\n');
+  if (headerEnd === -1) return { status: null, headers: {}, body: raw.toString('utf8') };
+  const [statusLine, ...headerLines] = raw.slice(0, headerEnd).toString('latin1').split('\r\n');
+  const headers = {};
+  for (const line of headerLines) {
+    const idx = line.indexOf(':');
+    if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+  let bodyBuffer = raw.slice(headerEnd + 4);
+  if (/chunked/i.test(headers['transfer-encoding'] || '')) bodyBuffer = decodeChunked(bodyBuffer);
+  return { status: parseInt(statusLine.split(' ')[1], 10) || null, headers, body: bodyBuffer.toString('utf8') };
+}
+
+/**
+ * [목적] 소켓의 응답 수신 완료 대기.
+ */
+function collectResponse(socket, timeoutMs) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    const timer = setTimeout(() => {
+      socket.destroy();
+      resolve({ raw: Buffer.concat(chunks), error: 'response timeout' });
+    }, timeoutMs);
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.once('close', () => {
+      clearTimeout(timer);
+      resolve({ raw: Buffer.concat(chunks), error: null });
+    });
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      resolve({ raw: Buffer.concat(chunks), error: error.message });
+    });
+  });
+}
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * [목적] 동일 요청 N개를 병렬 전송하고 타이밍/응답 분포를 기록.
+ *
+ * [호출자]
+ * - MCP tool 호출 (http_burst) — logic-exploit 등 레이스 컨디션 검증
+ *
+ * [출력 대상]
+ * - ToolResult 반환 + deliverables/findings/bursts/<label>.json 저장
+ *
+ * [입력 파라미터]
+ * - args.url, args.method, args.headers, args.body, args.count, args.sync,
+ *   args.use_auth_session, args.timeout_ms, args.label
+ *
+ * [반환값]
+ * - Promise<object>: summary(상태 코드 분포, 고유 본문 수, 전송 간격) + 요청별 결과
+ *
+ * [주의사항]
+ * - 타겟 webUrl 범위 밖 호스트는 차단 (SecurityError)
+ * - HTTP/1.1 전용 (Connection: close). 응답 본문은 요약/해시만 반환
+ */
+export async function httpBurst(args) {
+  try {
+    const {
+      url: rawUrl,
+      method = 'POST',
+      headers = {},
+      body = '',
+      count = 10,
+      sync = 'last_byte',
+      use_auth_session: useAuthSession = true,
+      timeout_ms: timeoutMs = 15000,
+      label,
+    } = args;
+
+    const url = new URL(rawUrl);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return createToolResult(createValidationError(`Unsupported protocol: ${url.protocol}`, false));
+    }
+    if (!isInTargetScope(url.hostname)) {
+      return createToolResult(createOutOfScopeError(url.hostname));
+    }
+
+    const targetDir = getTargetDir();
+    const sessionHeaders = useAuthSession ? loadAuthSessionHeaders(targetDir, url.href) : null;
+    const raw = buildRawRequest(url, method, { ...(sessionHeaders || {}), ...headers }, body);
+    const holdLastByte = sync === 'last_byte' && raw.length > 1;
+
+    // 1) Open every connection first so connection setup does not skew the race window
+    const connections = await Promise.allSettled(Array.from({ length: count }, () => openSocket(url, timeoutMs)));
+    const sockets = connections.map(result => (result.status === 'fulfilled' ? result.value : null));
+
+    // 2) Pre-send everything except the final byte, then let it reach the server
+    if (holdLastByte) {
+      for (const socket of sockets) socket?.write(raw.subarray(0, raw.length - 1));
+      await new Promise(resolve => setTimeout(resolve, SYNC_SETTLE_MS));
+    }
+
+    // 3) Release
+    const responsePromises = sockets.map(socket => (socket ? collectResponse(socket, timeoutMs) : null));
+    const sentAt = [];
+    const t0 = performance.now();
+    for (const socket of sockets) {
+      sentAt.push(performance.now() - t0);
+      socket?.write(holdLastByte ? raw.subarray(raw.length - 1) : raw);
+    }
+
+    const results = await Promise.all(responsePromises.map(async (promise, index) => {
+      if (!promise) {
+        return { index, status: null, error: connections[index].reason?.message || 'connect failed' };
+      }
+      const { raw: responseRaw, error } = await promise;
+      const finishedAt = performance.now() - t0;
+      const parsed = parseResponse(responseRaw);
+      return {
+        index,
+        status: parsed.status,
+        sent_at_ms: round(sentAt[index]),
+        duration_ms: round(finishedAt - sentAt[index]),
+        body_length: Buffer.byteLength(parsed.body, 'utf8'),
+        body_sha256: createHash('sha256').update(parsed.body).digest('hex').slice(0, 16),
+        body_excerpt: parsed.body.slice(0, MAX_BODY_EXCERPT),
+        ...(error ? { error } : {}),
+      };
+    }));
+
+    const completed = results.filter(r => r.status !== null);
+    const statusCounts = {};
+    for (const r of results) {
+      const key = r.status === null ? 'error' : String(r.status);
+      statusCounts[key] = (statusCounts[key] || 0) + 1;
+    }
+    const durations = completed.map(r => r.duration_ms);
+    const summary = {
+      count,
+      completed: completed.length,
+      errors: results.length - completed.length,
+      status_counts: statusCounts,
+      distinct_bodies: new Set(completed.map(r => r.body_sha256)).size,
+      send_spread_ms: round(sentAt.length > 0 ? Math.max(...sentAt) - Math.min(...sentAt) : null),
+      duration_ms: { min: round(durations.length ? Math.min(...durations) : null), median: round(median(durations)), max: round(durations.length ? Math.max(...durations) : null) },
+      sync,
+      auth_session_applied: Boolean(sessionHeaders),
+    };
+
+    const fileName = `${label || 'burst'}-${Date.now()}.json`;
+    const savedPath = path.join(targetDir, BURST_DIR, fileName);
+    mkdirSync(path.dirname(savedPath), { recursive: true });
+    writeFileSync(savedPath, JSON.stringify({
+      request: { method, url: url.href, headers: Object.keys({ ...(sessionHeaders || {}), ...headers }), body_length: Buffer.byteLength(body, 'utf8') },
+      summary,
+      responses: results,
+    }, null, 2), 'utf8');
+
+    return createToolResult({
+      status: 'success',
+      message: `Burst of ${count} ${method} requests completed (${completed.length} responses)`,
+      summary,
+      responses: results,
+      saved_path: path.relative(targetDir, savedPath),
+    });
+  } catch (error) {
+    return createToolResult(createGenericError(error, false));
+  }
+}
+
+/**
+ * Tool definition for MCP server - created using SDK's tool() function
+ */
+export const httpBurstTool = tool(
+  'http_burst',
+  'Sends N parallel identical HTTP requests (last-byte synchronized) with per-request timing, status and body hash. Use for race conditions (double-spend, coupon reuse, TOCTOU).',
+  HttpBurstInputSchema.shape,
+  httpBurst
+);
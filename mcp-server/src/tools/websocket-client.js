@@ -0,0 +1,689 @@
+/**
+ * websocket_client MCP Tool
+ *
+ * Minimal RFC 6455 WebSocket client (and Server-Sent Events reader) for
+ * testing realtime channels that Playwright and curl cannot drive frame by
+ * frame. Connections reuse deliverables/auth_session.json, stay open across
+ * tool calls (connect → send/receive/replay/fuzz → close) and every frame is
+ * written to a transcript under deliverables/findings/websocket/.
+ */
+
+import { tool } from '@anthropic-ai/claude-agent-sdk';
+import { z } from 'zod';
+import net from 'net';
+import tls from 'tls';
+import http from 'http';
+import https from 'https';
+import { createHash, randomBytes } from 'crypto';
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { createToolResult } from '../types/tool-responses.js';
+import { createValidationError, createGenericError } from '../utils/error-formatter.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+import { loadAuthSessionHeaders } from '../utils/auth-session.js';
+import { isInTargetScope, createOutOfScopeError } from '../utils/target-scope.js';
+import { getTargetDir, getWebUrl } from '../../../src/utils/context.js';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const TRANSCRIPT_DIR = 'deliverables/findings/websocket';
+const MAX_ACTIVE_SESSIONS = 5;
+const MAX_FRAMES = 500;
+const MAX_STORED_PAYLOAD = 64 * 1024;
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+const MAX_RETURNED_EXCERPT = 2000;
+const FUZZ_MARKER = 'FUZZ';
+
+const OPCODES = Object.freeze({ 0x0: 'continuation', 0x1: 'text', 0x2: 'binary', 0x8: 'close', 0x9: 'ping', 0xA: 'pong' });
+
+// session_id -> { id, url, socket, frames, dropped, readCursor, buffer, fragments, closed, closeInfo, timer, savedPath, handshake }
+const activeSessions = new Map();
+
+export const WebsocketClientInputSchema = z.object({
+  action: z
+    .enum(['connect', 'send', 'receive', 'replay', 'fuzz', 'close', 'sse'])
+    .describe('connect: open a WebSocket; send/receive/replay/fuzz: use an open session; close: close it; sse: read a Server-Sent Events stream'),
+  url: z.string().optional().describe('ws:// or wss:// URL (connect) or http(s):// URL (sse)'),
+  session_id: z.string().optional().describe('Session id returned by connect (send/receive/replay/fuzz/close)'),
+  headers: z.record(z.string()).optional().describe('Extra handshake/request headers (explicit headers win over auth_session.json)'),
+  use_auth_session: z.boolean().default(true).describe('Merge cookies/headers from deliverables/auth_session.json'),
+  origin: z.string().optional().describe('Origin header for the handshake (default: target origin). Set a foreign origin to test cross-site WebSocket hijacking'),
+  subprotocols: z.array(z.string()).optional().describe('Sec-WebSocket-Protocol values (e.g. graphql-transport-ws)'),
+  message: z.string().optional().describe('Frame payload (send) or template containing the FUZZ keyword (fuzz)'),
+  encoding: z.enum(['text', 'base64']).default('text').describe('text: send a text frame; base64: decode message and send a binary frame'),
+  frame_index: z.number().int().min(0).optional().describe('Transcript index of the frame to replay'),
+  source_session_id: z.string().optional().describe('Session whose transcript holds frame_index (default: session_id). Replaying another identity\'s frame tests per-message authorization'),
+  replace: z.record(z.string()).optional().describe('Literal substitutions applied to the replayed text frame (e.g. {"\\"userId\\":1": "\\"userId\\":2"})'),
+  payloads: z.array(z.string()).max(50).optional().describe('Fuzz payloads substituted for every FUZZ keyword in message (max 50)'),
+  wait_ms: z.number().int().min(0).max(10000).default(1500).describe('How long to collect incoming frames after sending (fuzz: per payload)'),
+  method: z.enum(['GET', 'POST']).default('GET').describe('HTTP method for sse'),
+  body: z.string().optional().describe('Request body for sse POST'),
+  duration_ms: z.number().int().min(500).max(30000).default(5000).describe('How long to read the SSE stream'),
+  max_events: z.number().int().min(1).max(200).default(50).describe('Stop the SSE read after this many events'),
+  ttl_seconds: z.number().int().min(30).max(1800).default(300).describe('Seconds before an idle session is closed automatically'),
+  timeout_ms: z.number().int().min(1000).max(60000).default(10000).describe('Connect/handshake timeout'),
+});
+
+/**
+ * [목적] 프레임 기록 추가 (text는 문자열, 그 외는 base64로 저장).
+ */
+function recordFrame(session, direction, opcode, payload, extra = {}) {
+  if (session.frames.length >= MAX_FRAMES) {
+    session.dropped += 1;
+    return null;
+  }
+  const type = OPCODES[opcode] || `0x${opcode.toString(16)}`;
+  const stored = payload.subarray(0, MAX_STORED_PAYLOAD);
+  const frame = {
+    index: session.frames.length,
+    direction,
+    type,
+    at: getLocalISOString(),
+    length: payload.length,
+    data: type === 'text' ? stored.toString('utf8') : stored.toString('base64'),
+    ...(payload.length > MAX_STORED_PAYLOAD ? { truncated: true } : {}),
+    ...extra,
+  };
+  session.frames.push(frame);
+  return frame;
+}
+
+/**
+ * [목적] 클라이언트 프레임 인코딩 (FIN=1, 마스킹 필수).
+ */
+function encodeFrame(opcode, payload) {
+  const mask = randomBytes(4);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  const masked = Buffer.alloc(payload.length);
+  for (let i = 0; i < payload.length; i++) masked[i] = payload[i] ^ mask[i % 4];
+  return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * [목적] 프레임 전송 + 기록.
+ */
+function sendFrame(session, opcode, payload) {
+  session.socket.write(encodeFrame(opcode, payload));
+  return recordFrame(session, 'sent', opcode, payload);
+}
+
+/**
+ * [목적] 수신 프레임 처리 (조각 재조립, ping 응답, close 처리).
+ */
+function handleFrame(session, fin, opcode, payload) {
+  if (opcode === 0x9) {
+    recordFrame(session, 'received', opcode, payload);
+    if (!session.closed) session.socket.write(encodeFrame(0xA, payload));
+    return;
+  }
+  if (opcode === 0xA) {
+    recordFrame(session, 'received', opcode, payload);
+    return;
+  }
+  if (opcode === 0x8) {
+    const code = payload.length >= 2 ? payload.readUInt16BE(0) : null;
+    const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+    recordFrame(session, 'received', opcode, payload, { close_code: code, close_reason: reason });
+    session.closeInfo = { by: 'server', code, reason };
+    if (!session.closed) session.socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+    session.closed = true;
+    return;
+  }
+
+  if (opcode === 0x0) {
+    if (!session.fragments) return;
+    session.fragments.parts.push(payload);
+  } else {
+    session.fragments = { opcode, parts: [payload] };
+  }
+  if (fin) {
+    const message = Buffer.concat(session.fragments.parts);
+    recordFrame(session, 'received', session.fragments.opcode, message);
+    session.fragments = null;
+  }
+}
+
+/**
+ * [목적] 수신 버퍼에서 완성된 프레임을 모두 파싱.
+ */
+function parseFrames(session) {
+  for (;;) {
+    const buf = session.buffer;
+    if (buf.length < 2) return;
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buf.length < 4) return;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return;
+      length = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      session.closeInfo = { by: 'client', code: 1009, reason: 'message too big' };
+      session.closed = true;
+      session.socket.destroy();
+      return;
+    }
+    const maskKey = masked ? buf.subarray(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buf.length < offset + length) return;
+
+    let payload = buf.subarray(offset, offset + length);
+    if (maskKey) payload = Buffer.from(payload.map((b, i) => b ^ maskKey[i % 4]));
+    session.buffer = buf.subarray(offset + length);
+    handleFrame(session, fin, opcode, payload);
+  }
+}
+
+/**
+ * [목적] 세션 transcript를 findings 디렉터리에 저장 (증거 첨부용).
+ */
+function persistTranscript(session) {
+  try {
+    writeFileSync(session.savedPath, JSON.stringify({
+      session_id: session.id,
+      url: session.url,
+      handshake: session.handshake,
+      closed: session.closed,
+      close: session.closeInfo,
+      dropped_frames: session.dropped,
+      frames: session.frames,
+    }, null, 2), 'utf8');
+  } catch {
+    // Best-effort only; frames are still returned to the agent
+  }
+}
+
+/**
+ * [목적] 세션 종료 및 transcript 저장.
+ */
+function closeSession(sessionId, code = 1000) {
+  const session = activeSessions.get(sessionId);
+  if (!session) return null;
+  clearTimeout(session.timer);
+  if (!session.closed) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    try { sendFrame(session, 0x8, payload); } catch { /* socket already gone */ }
+    session.closeInfo = session.closeInfo || { by: 'client', code, reason: '' };
+    session.closed = true;
+  }
+  session.socket.end();
+  session.socket.destroy();
+  activeSessions.delete(sessionId);
+  persistTranscript(session);
+  return session;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * [목적] wait_ms 동안(또는 연결 종료까지) 수신 프레임 대기.
+ */
+async function waitForFrames(session, waitMs) {
+  const step = 50;
+  for (let waited = 0; waited < waitMs && !session.closed; waited += step) {
+    await sleep(step);
+  }
+}
+
+/**
+ * [목적] 지정 인덱스 이후의 수신 프레임을 응답용 형태로 반환.
+ */
+function receivedSince(session, fromIndex) {
+  return session.frames
+    .filter(f => f.index >= fromIndex && f.direction === 'received')
+    .map(f => ({ ...f, data: f.data.slice(0, MAX_RETURNED_EXCERPT) }));
+}
+
+function sessionStatus(session) {
+  return {
+    session_id: session.id,
+    open: !session.closed,
+    ...(session.closeInfo ? { close: session.closeInfo } : {}),
+    saved_path: path.relative(getTargetDir(), session.savedPath),
+  };
+}
+
+/**
+ * [목적] WebSocket 핸드셰이크 수행.
+ *
+ * [반환값]
+ * - Promise<object>: { socket, status, headers, leftover } 또는 { status, headers, body } (업그레이드 실패)
+ */
+function openWebSocket(url, headers, subprotocols, timeoutMs) {
+  const secure = url.protocol === 'wss:';
+  const port = Number(url.port) || (secure ? 443 : 80);
+  const key = randomBytes(16).toString('base64');
+  const requestHeaders = {
+    Host: url.host,
+    'User-Agent': 'dokodemodoor-ws/1.0',
+    ...headers,
+    Upgrade: 'websocket',
+    Connection: 'Upgrade',
+    'Sec-WebSocket-Key': key,
+    'Sec-WebSocket-Version': '13',
+    ...(subprotocols?.length ? { 'Sec-WebSocket-Protocol': subprotocols.join(', ') } : {}),
+  };
+  const request = [`GET ${url.pathname}${url.search} HTTP/1.1`, ...Object.entries(requestHeaders).map(([k, v]) => `${k}: ${v}`)].join('\r\n');
+
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host: url.hostname, port, servername: net.isIP(url.hostname) ? undefined : url.hostname, rejectUnauthorized: false, ALPNProtocols: ['http/1.1'] })
+      : net.connect({ host: url.hostname, port });
+    let buffer = Buffer.alloc(0);
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error('handshake timeout'));
+    }, timeoutMs);
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const [statusLine, ...lines] = buffer.subarray(0, headerEnd).toString('latin1').split('\r\n');
+      const responseHeaders = {};
+      for (const line of lines) {
+        const idx = line.indexOf(':');
+        if (idx > 0) responseHeaders[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+      }
+      const status = parseInt(statusLine.split(' ')[1], 10) || null;
+      const leftover = buffer.subarray(headerEnd + 4);
+      socket.off('data', onData);
+
+      if (status !== 101) {
+        // Collect a short body excerpt so the agent can see why the upgrade was refused
+        const bodyChunks = [leftover];
+        socket.on('data', c => bodyChunks.push(c));
+        setTimeout(() => {
+          clearTimeout(timer);
+          socket.destroy();
+          resolve({ status, headers: responseHeaders, body: Buffer.concat(bodyChunks).toString('utf8').slice(0, MAX_RETURNED_EXCERPT) });
+        }, 300);
+        return;
+      }
+
+      clearTimeout(timer);
+      const expected = createHash('sha1').update(key + WS_GUID).digest('base64');
+      if (responseHeaders['sec-websocket-accept'] !== expected) {
+        socket.destroy();
+        reject(new Error('invalid Sec-WebSocket-Accept in handshake response'));
+        return;
+      }
+      resolve({ socket, status, headers: responseHeaders, leftover });
+    };
+
+    socket.on('data', onData);
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.setNoDelay(true);
+      socket.write(`${request}\r\n\r\n`);
+    });
+  });
+}
+
+/**
+ * [목적] 대상 범위 확인 + auth_session 헤더 병합.
+ */
+function prepareRequest(rawUrl, allowedProtocols, headers, useAuthSession) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return { error: createValidationError(`Invalid url: ${rawUrl}`, false) };
+  }
+  if (!allowedProtocols.includes(url.protocol)) {
+    return { error: createValidationError(`Unsupported protocol ${url.protocol} (expected ${allowedProtocols.join(' or ')})`, false) };
+  }
+  if (!isInTargetScope(url.hostname)) return { error: createOutOfScopeError(url.hostname) };
+
+  // Cookie domain matching works on the host, so ws(s) URLs map to http(s) here
+  const httpHref = url.href.replace(/^ws(s?):/, 'http$1:');
+  const sessionHeaders = useAuthSession ? loadAuthSessionHeaders(getTargetDir(), httpHref) : null;
+  return { url, headers: { ...(sessionHeaders || {}), ...headers }, authSessionApplied: Boolean(sessionHeaders) };
+}
+
+/**
+ * [목적] WebSocket 연결 생성 (action: connect).
+ */
+async function connect(args) {
+  if (!args.url) return createValidationError('url is required for action "connect"', true);
+  if (activeSessions.size >= MAX_ACTIVE_SESSIONS) {
+    return createValidationError(`Too many open sessions (${MAX_ACTIVE_SESSIONS}). Close one first.`, true, { activeSessions: [...activeSessions.keys()] });
+  }
+  const prepared = prepareRequest(args.url, ['ws:', 'wss:'], args.headers || {}, args.use_auth_session !== false);
+  if (prepared.error) return prepared.error;
+
+  const webUrl = getWebUrl();
+  const origin = args.origin || (webUrl ? new URL(webUrl).origin : `${prepared.url.protocol === 'wss:' ? 'https' : 'http'}://${prepared.url.host}`);
+  const handshake = await openWebSocket(prepared.url, { Origin: origin, ...prepared.headers }, args.subprotocols, args.timeout_ms || 10000);
+
+  if (!handshake.socket) {
+    return {
+      status: 'error',
+      message: `WebSocket upgrade refused (HTTP ${handshake.status})`,
+      errorType: 'HandshakeError',
+      retryable: false,
+      http_status: handshake.status,
+      response_headers: handshake.headers,
+      body_excerpt: handshake.body,
+      origin,
+      auth_session_applied: prepared.authSessionApplied,
+    };
+  }
+
+  const sessionId = `ws-${randomBytes(4).toString('hex')}`;
+  const savedPath = path.join(getTargetDir(), TRANSCRIPT_DIR, `${sessionId}.json`);
+  mkdirSync(path.dirname(savedPath), { recursive: true });
+  const session = {
+    id: sessionId,
+    url: prepared.url.href,
+    socket: handshake.socket,
+    frames: [],
+    dropped: 0,
+    readCursor: 0,
+    buffer: handshake.leftover,
+    fragments: null,
+    closed: false,
+    closeInfo: null,
+    savedPath,
+    timer: null,
+    handshake: {
+      status: handshake.status,
+      origin,
+      subprotocol: handshake.headers['sec-websocket-protocol'] || null,
+      extensions: handshake.headers['sec-websocket-extensions'] || null,
+      request_headers: Object.keys(prepared.headers),
+    },
+  };
+  session.socket.on('data', (chunk) => {
+    session.buffer = Buffer.concat([session.buffer, chunk]);
+    parseFrames(session);
+  });
+  session.socket.on('close', () => {
+    if (!session.closed) session.closeInfo = session.closeInfo || { by: 'server', code: 1006, reason: 'connection dropped' };
+    session.closed = true;
+  });
+  session.socket.on('error', () => { session.closed = true; });
+  session.timer = setTimeout(() => closeSession(sessionId), (args.ttl_seconds || 300) * 1000);
+  session.timer.unref();
+  activeSessions.set(sessionId, session);
+  parseFrames(session);
+
+  await waitForFrames(session, Math.min(args.wait_ms ?? 1500, 3000));
+  session.readCursor = session.frames.length;
+  persistTranscript(session);
+  return {
+    status: 'success',
+    message: `WebSocket connected (${sessionId})`,
+    ...sessionStatus(session),
+    handshake: session.handshake,
+    auth_session_applied: prepared.authSessionApplied,
+    frames: receivedSince(session, 0),
+  };
+}
+
+/**
+ * [목적] 메시지 1건 전송 후 응답 수집.
+ */
+async function sendAndCollect(session, opcode, payload, waitMs) {
+  const start = session.frames.length;
+  const sent = sendFrame(session, opcode, payload);
+  await waitForFrames(session, waitMs);
+  session.readCursor = session.frames.length;
+  return { sent_index: sent?.index ?? null, frames: receivedSince(session, start) };
+}
+
+/**
+ * [목적] Server-Sent Events 스트림 읽기 (action: sse).
+ */
+async function readSse(args) {
+  if (!args.url) return createValidationError('url is required for action "sse"', true);
+  const prepared = prepareRequest(args.url, ['http:', 'https:'], args.headers || {}, args.use_auth_session !== false);
+  if (prepared.error) return prepared.error;
+
+  const { url } = prepared;
+  const method = args.method || 'GET';
+  const durationMs = args.duration_ms || 5000;
+  const maxEvents = args.max_events || 50;
+  const client = url.protocol === 'https:' ? https : http;
+  const body = method === 'POST' ? (args.body || '') : null;
+
+  const result = await new Promise((resolve, reject) => {
+    const events = [];
+    let pending = { event: 'message', data: [], id: null };
+    let carry = '';
+    let finished = false;
+    let response = null;
+    const finish = (reason) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      req.destroy();
+      resolve({ status: response?.statusCode ?? null, contentType: response?.headers['content-type'] || null, events, reason });
+    };
+    const dispatch = () => {
+      if (pending.data.length > 0) {
+        events.push({ index: events.length, at: getLocalISOString(), event: pending.event, id: pending.id, data: pending.data.join('\n').slice(0, MAX_RETURNED_EXCERPT) });
+      }
+      pending = { event: 'message', data: [], id: null };
+      if (events.length >= maxEvents) finish('max_events');
+    };
+
+    const req = client.request(url, {
+      method,
+      headers: {
+        Accept: 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'User-Agent': 'dokodemodoor-sse/1.0',
+        ...prepared.headers,
+        ...(body !== null ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+      },
+      rejectUnauthorized: false,
+    }, (res) => {
+      response = res;
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        const lines = (carry + chunk).split(/\r?\n/);
+        carry = lines.pop();
+        for (const line of lines) {
+          if (finished) return;
+          if (line === '') dispatch();
+          else if (line.startsWith(':')) continue;
+          else {
+            const idx = line.indexOf(':');
+            const field = idx === -1 ? line : line.slice(0, idx);
+            const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '');
+            if (field === 'data') pending.data.push(value);
+            else if (field === 'event') pending.event = value;
+            else if (field === 'id') pending.id = value;
+          }
+        }
+      });
+      res.on('end', () => finish('stream_ended'));
+    });
+    const timer = setTimeout(() => finish('duration_elapsed'), durationMs);
+    req.on('error', (error) => {
+      if (finished) return;
+      clearTimeout(timer);
+      finished = true;
+      reject(error);
+    });
+    req.end(body ?? undefined);
+  });
+
+  const savedPath = path.join(getTargetDir(), TRANSCRIPT_DIR, `sse-${Date.now()}.json`);
+  mkdirSync(path.dirname(savedPath), { recursive: true });
+  writeFileSync(savedPath, JSON.stringify({ url: url.href, method, request_headers: Object.keys(prepared.headers), ...result }, null, 2), 'utf8');
+
+  const isEventStream = /text\/event-stream/i.test(result.contentType || '');
+  return {
+    status: 'success',
+    message: `SSE read finished (${result.reason}): HTTP ${result.status}, ${result.events.length} event(s)${isEventStream ? '' : ', response is not text/event-stream'}`,
+    http_status: result.status,
+    content_type: result.contentType,
+    events: result.events,
+    auth_session_applied: prepared.authSessionApplied,
+    saved_path: path.relative(getTargetDir(), savedPath),
+  };
+}
+
+/**
+ * [목적] websocket_client 도구 본체 실행.
+ *
+ * [호출자]
+ * - MCP tool 호출 (websocket_client) — recon, injection/authz 에이전트의 실시간 채널 테스트
+ *
+ * [출력 대상]
+ * - ToolResult 반환 + deliverables/findings/websocket/<session_id>.json (transcript)
+ *
+ * [입력 파라미터]
+ * - args.action ('connect'|'send'|'receive'|'replay'|'fuzz'|'close'|'sse') 외 WebsocketClientInputSchema 참조
+ *
+ * [반환값]
+ * - Promise<object>: 세션 상태 + 수신 프레임 (fuzz는 페이로드별 응답, sse는 이벤트 목록)
+ *
+ * [주의사항]
+ * - 타겟 webUrl 범위 밖 호스트는 차단 (SecurityError)
+ * - permessage-deflate 등 확장은 협상하지 않음. 세션은 ttl_seconds 경과 시 자동 종료
+ */
+export async function websocketClient(args) {
+  try {
+    const { action, session_id: sessionId, wait_ms: waitMs = 1500 } = args;
+
+    if (action === 'connect') return createToolResult(await connect(args));
+    if (action === 'sse') return createToolResult(await readSse(args));
+
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+      return createToolResult(createValidationError(
+        `Unknown or expired WebSocket session: ${sessionId}`,
+        false,
+        { activeSessions: [...activeSessions.keys()] }
+      ));
+    }
+
+    if (action === 'close') {
+      closeSession(sessionId);
+      return createToolResult({
+        status: 'success',
+        message: 'WebSocket session closed',
+        ...sessionStatus(session),
+        frames: receivedSince(session, session.readCursor),
+        total_frames: session.frames.length,
+      });
+    }
+
+    if (action === 'receive') {
+      await waitForFrames(session, waitMs);
+      const frames = receivedSince(session, session.readCursor);
+      session.readCursor = session.frames.length;
+      persistTranscript(session);
+      return createToolResult({ status: 'success', message: `${frames.length} new frame(s)`, ...sessionStatus(session), frames });
+    }
+
+    if (session.closed) {
+      return createToolResult(createValidationError('WebSocket session is closed', false, sessionStatus(session)));
+    }
+
+    if (action === 'send') {
+      if (args.message === undefined) return createToolResult(createValidationError('message is required for action "send"', true));
+      const binary = args.encoding === 'base64';
+      const payload = binary ? Buffer.from(args.message, 'base64') : Buffer.from(args.message, 'utf8');
+      const result = await sendAndCollect(session, binary ? 0x2 : 0x1, payload, waitMs);
+      persistTranscript(session);
+      return createToolResult({ status: 'success', message: `Frame sent, ${result.frames.length} frame(s) received`, ...sessionStatus(session), ...result });
+    }
+
+    if (action === 'replay') {
+      const source = activeSessions.get(args.source_session_id || sessionId);
+      const frame = source?.frames[args.frame_index ?? -1];
+      if (!frame || !['text', 'binary'].includes(frame.type)) {
+        return createToolResult(createValidationError('frame_index must point to a text/binary frame in the source session transcript', true));
+      }
+      if (frame.truncated) {
+        return createToolResult(createValidationError('Frame payload was truncated in the transcript and cannot be replayed exactly', false));
+      }
+      let text = frame.type === 'text' ? frame.data : null;
+      for (const [from, to] of Object.entries(args.replace || {})) {
+        if (text !== null) text = text.split(from).join(to);
+      }
+      const payload = text !== null ? Buffer.from(text, 'utf8') : Buffer.from(frame.data, 'base64');
+      const result = await sendAndCollect(session, frame.type === 'text' ? 0x1 : 0x2, payload, waitMs);
+      persistTranscript(session);
+      return createToolResult({
+        status: 'success',
+        message: `Replayed frame ${frame.index} from ${source.id}, ${result.frames.length} frame(s) received`,
+        ...sessionStatus(session),
+        replayed: { source_session_id: source.id, frame_index: frame.index, modified: text !== null && text !== frame.data },
+        ...result,
+      });
+    }
+
+    if (action === 'fuzz') {
+      const template = args.message || '';
+      const payloads = args.payloads || [];
+      if (!template.includes(FUZZ_MARKER) || payloads.length === 0) {
+        return createToolResult(createValidationError(`fuzz requires message containing ${FUZZ_MARKER} and a non-empty payloads array`, true));
+      }
+      const results = [];
+      for (const fuzzPayload of payloads) {
+        if (session.closed) {
+          results.push({ payload: fuzzPayload, skipped: true, reason: 'connection closed' });
+          continue;
+        }
+        const text = template.split(FUZZ_MARKER).join(fuzzPayload);
+        const { sent_index: sentIndex, frames } = await sendAndCollect(session, 0x1, Buffer.from(text, 'utf8'), waitMs);
+        results.push({
+          payload: fuzzPayload,
+          sent_index: sentIndex,
+          response_count: frames.length,
+          responses: frames.map(f => f.data.slice(0, 500)),
+          ...(session.closed ? { closed_connection: session.closeInfo } : {}),
+        });
+      }
+      persistTranscript(session);
+      return createToolResult({
+        status: 'success',
+        message: `Fuzzed ${results.filter(r => !r.skipped).length}/${payloads.length} payload(s)`,
+        ...sessionStatus(session),
+        results,
+      });
+    }
+
+    return createToolResult(createValidationError(`Unsupported action: ${action}`, false));
+  } catch (error) {
+    return createToolResult(createGenericError(error, false));
+  }
+}
+
+/**
+ * Tool definition for MCP server - created using SDK's tool() function
+ */
+export const websocketClientTool = tool(
+  'websocket_client',
+  'WebSocket client for realtime endpoints: connect (with auth_session.json cookies/headers and chosen Origin), send, receive, replay (optionally across sessions/identities), fuzz frames (FUZZ keyword in the template), close; plus sse to read Server-Sent Events streams. Transcripts are saved under deliverables/findings/websocket/.',
+  WebsocketClientInputSchema.shape,
+  websocketClient
+);
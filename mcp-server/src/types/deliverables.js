@@ -183,6 +183,48 @@ export const EVIDENCE_TYPES = [
   DeliverableType.SSRF_EVIDENCE,
 ];
 
+/**
+ * [목적] 카테고리 플러그인의 분석/큐/증거 deliverable 타입을 런타임에 등록.
+ *
+ * [호출자]
+ * - src/config/category-registry.js (시작 시 플러그인 등록)
+ *
+ * [입력 파라미터]
+ * - category (string): 카테고리 id (예: 'xxe', 'csrf-cors' → CSRF_CORS_*)
+ *
+ * [반환값]
+ * - object: { analysis, queue, evidence } 등록된 타입 이름
+ *
+ * [주의사항]
+ * - save_deliverable 도구 스키마(enum)는 도구 등록 시점에 고정되므로 registerMCPTools() 이전에 호출해야 함
+ */
+export function registerCategoryDeliverables(category) {
+  const prefix = category.toUpperCase().replace(/-/g, '_');
+  const types = {
+    analysis: `${prefix}_ANALYSIS`,
+    queue: `${prefix}_QUEUE`,
+    evidence: `${prefix}_EVIDENCE`
+  };
+
+  const existing = Object.values(types).find(type => DeliverableType[type]);
+  if (existing) {
+    throw new Error(`Deliverable type already registered: ${existing}`);
+  }
+
+  DeliverableType[types.analysis] = types.analysis;
+  DeliverableType[types.queue] = types.queue;
+  DeliverableType[types.evidence] = types.evidence;
+
+  DELIVERABLE_FILENAMES[types.analysis] = `${category}_analysis_deliverable.md`;
+  DELIVERABLE_FILENAMES[types.queue] = `${category}_exploitation_queue.json`;
+  DELIVERABLE_FILENAMES[types.evidence] = `${category}_exploitation_evidence.json`;
+
+  QUEUE_TYPES.push(types.queue);
+  EVIDENCE_TYPES.push(types.evidence);
+
+  return types;
+}
+
 /**
  * [목적] 타입이 Queue인지 판별.
  */
@@ -0,0 +1,79 @@
+/**
+ * Auth Session Utilities
+ *
+ * Converts deliverables/auth_session.json (saved by the login-check agent)
+ * into request headers for helper tools that talk to the target directly.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+
+/**
+ * [목적] 쿠키 도메인이 요청 호스트에 적용되는지 판정.
+ */
+function cookieMatchesHost(domain, hostname) {
+  if (!domain || !hostname) return true;
+  const normalized = String(domain).replace(/^\./, '').toLowerCase();
+  const host = hostname.toLowerCase();
+  return host === normalized || host.endsWith(`.${normalized}`);
+}
+
+/**
+ * [목적] auth_session.json을 읽어 요청 헤더(Cookie, Authorization 등)로 변환.
+ *
+ * [호출자]
+ * - http_burst, websocket_client 등 타겟에 직접 요청하는 MCP 도구
+ *
+ * [입력 파라미터]
+ * - targetDir (string): 리포지토리 루트
+ * - targetUrl (string): 요청 URL (쿠키 도메인 필터링용)
+ *
+ * [반환값]
+ * - object|null: 헤더 맵. 파일이 없거나 파싱 실패 시 null
+ *
+ * [주의사항]
+ * - login-check 형식({ cookies: [...], headers: {...} })과 단순 형식({ cookie, authorization }) 모두 지원
+ */
+export function loadAuthSessionHeaders(targetDir, targetUrl) {
+  const sessionPath = path.join(targetDir, 'deliverables', 'auth_session.json');
+  if (!existsSync(sessionPath)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(sessionPath, 'utf8'));
+  } catch {
+    return null;
+  }
+  if (!data || typeof data !== 'object') return null;
+
+  const hostname = (() => { try { return new URL(targetUrl).hostname; } catch { return null; } })();
+  const headers = {};
+
+  if (data.headers && typeof data.headers === 'object') {
+    for (const [name, value] of Object.entries(data.headers)) {
+      if (typeof value === 'string' && value) headers[name] = value;
+    }
+  }
+  if (typeof data.authorization === 'string' && data.authorization && !headers.Authorization) {
+    headers.Authorization = data.authorization;
+  }
+
+  const cookiePairs = [];
+  if (Array.isArray(data.cookies)) {
+    for (const cookie of data.cookies) {
+      if (cookie?.name && cookieMatchesHost(cookie.domain, hostname)) {
+        cookiePairs.push(`${cookie.name}=${cookie.value ?? ''}`);
+      }
+    }
+  } else if (data.cookies && typeof data.cookies === 'object') {
+    for (const [name, value] of Object.entries(data.cookies)) {
+      cookiePairs.push(`${name}=${value}`);
+    }
+  }
+  if (typeof data.cookie === 'string' && data.cookie) cookiePairs.push(data.cookie);
+  if (cookiePairs.length > 0 && !headers.Cookie && !headers.cookie) {
+    headers.Cookie = cookiePairs.join('; ');
+  }
+
+  return headers;
+}
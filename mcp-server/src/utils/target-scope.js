@@ -0,0 +1,50 @@
+/**
+ * Target Scope Utilities
+ *
+ * Shared scope guard for helper tools that send requests to the target
+ * directly (http_burst, graphql_introspect, ...).
+ */
+
+import { getWebUrl } from '../../../src/utils/context.js';
+
+/**
+ * [목적] 요청 호스트가 타겟 범위(동일 호스트 또는 그 서브도메인)인지 확인.
+ *
+ * [호출자]
+ * - 타겟에 직접 요청하는 MCP 도구
+ *
+ * [입력 파라미터]
+ * - hostname (string): 요청 URL의 호스트명
+ *
+ * [반환값]
+ * - boolean: webUrl 컨텍스트가 없거나 파싱 불가하면 true
+ *
+ * [주의사항]
+ * - 상위 도메인은 범위 밖 (app.example.github.io 대상이면 github.io / example.github.io는 차단)
+ */
+export function isInTargetScope(hostname) {
+  const webUrl = getWebUrl();
+  if (!webUrl) return true;
+  try {
+    const target = new URL(webUrl).hostname.toLowerCase();
+    const host = hostname.toLowerCase();
+    return host === target || host.endsWith(`.${target}`);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * [목적] 범위 밖 요청 차단용 표준 에러 결과 생성.
+ *
+ * [반환값]
+ * - object: createToolResult()에 전달할 에러 응답 (errorType: SecurityError)
+ */
+export function createOutOfScopeError(hostname) {
+  return {
+    status: 'error',
+    message: `Blocked: ${hostname} is outside the target scope (${getWebUrl()}).`,
+    errorType: 'SecurityError',
+    retryable: false,
+  };
+}
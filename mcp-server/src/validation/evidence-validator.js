@@ -3,8 +3,11 @@
  *
  * Validates JSON structure for exploitation evidence files.
  * Ensures standardized documentation of requests, responses, sessions, and screenshots.
+ * Optional CVSS vectors (re-scored after exploitation) are validated with the same calculator as queue items.
  */
 
+import { checkCvssFields } from '../../../src/utils/cvss.js';
+
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} valid
@@ -195,6 +198,14 @@ export function validateEvidenceJson(content) {
       };
     }
 
+    const cvss = checkCvssFields(vuln);
+    if (cvss.error) {
+      return {
+        valid: false,
+        message: `Invalid CVSS at vulnerabilities[${j}] (${vuln.vulnerability_id}): ${cvss.error}.`,
+      };
+    }
+
     // Validate evidence items
     for (let i = 0; i < vuln.evidence.length; i++) {
       const item = vuln.evidence[i];
@@ -205,7 +216,7 @@ export function validateEvidenceJson(content) {
         };
       }
 
-      const validTypes = ['http_request_response', 'screenshot', 'session_state', 'bash_output', 'code_snippet', 'other'];
+      const validTypes = ['http_request_response', 'screenshot', 'session_state', 'bash_output', 'code_snippet', 'jwt_forgery', 'other'];
       if (!validTypes.includes(item.type)) {
         return {
           valid: false,
@@ -5,11 +5,14 @@
  * Ported from tools/save_deliverable.js (lines 56-75).
  */
 
+import { checkCvssFields, normalizeCvssFields } from '../../../src/utils/cvss.js';
+
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} valid
  * @property {string} [message]
  * @property {Object} [data]
+ * @property {string[]} [normalized]
  */
 
 /**
@@ -17,6 +20,8 @@
  * Queue files must have a 'vulnerabilities' array
  *
  * @param {string} content - JSON string to validate
+ * @param {Object} [options]
+ * @param {boolean} [options.normalizeCvss=false] - Normalise CVSS fields instead of rejecting them (existing queues)
  * @returns {ValidationResult} ValidationResult with valid flag, optional error message, and parsed data
  */
 /**
@@ -31,9 +36,10 @@
 *
 * [입력 매개변수]
 * - content (문자열): 유효성을 검사할 원시 JSON 텍스트
+* - options.normalizeCvss (불리언): true면 CVSS 불일치를 거부하지 않고 계산 결과로 정규화 (병합할 기존 큐용)
 *
 * [반환 값]
-* - ValidationResult: { valid: boolean, message?: string, data?: object }
+* - ValidationResult: { valid: boolean, message?: string, data?: object, normalized?: string[] }
 *
 * [부작용]
 * - 없음 (순수 유효성 검사)
@@ -46,14 +52,17 @@
 * - JSON을 파싱합니다.
 * - 취약점 배열의 존재 여부와 유형을 검증합니다.
 * - 항목별 심각도 값을 검증합니다.
+* - CVSS 벡터(cvss_vector, cvss_v4_vector)가 있으면 구문/점수/심각도 일치를 검증하고 계산 점수를 기록합니다.
 *
 * [오류 처리]
 * - 파싱/구조/필드 오류 발생 시 메시지와 함께 valid:false를 반환합니다.
 *
 * [참고]
 * - 각 취약점 항목에 대해 심각도(Critical | High | Medium | Low)를 적용합니다.
+* - 벡터는 선택 항목이지만, 있으면 severity가 계산된 등급과 달라도 거부합니다 (src/utils/cvss.js::checkCvssFields).
+* - normalizeCvss 모드는 이미 저장된 발견 항목을 보존하기 위한 것으로, 신규 입력에는 쓰지 않습니다.
 */
-export function validateQueueJson(content) {
+export function validateQueueJson(content, { normalizeCvss = false } = {}) {
   // [ROBUST JSON DEFENSE HELPERS]
   const preProcessJSON = (raw) => {
     let cleaned = raw.trim();
@@ -199,6 +208,7 @@ export function validateQueueJson(content) {
   }
 
   const allowedSeverities = new Set(['Critical', 'High', 'Medium', 'Low']);
+  const normalized = [];
   for (let i = 0; i < parsed.vulnerabilities.length; i++) {
     const entry = parsed.vulnerabilities[i];
     if (!entry || typeof entry !== 'object') {
@@ -208,6 +218,10 @@ export function validateQueueJson(content) {
       };
     }
 
+    if (normalizeCvss) {
+      normalizeCvssFields(entry).forEach(change => normalized.push(`vulnerabilities[${i}] (${entry.ID || 'no-ID'}): ${change}`));
+    }
+
     if (entry.severity && typeof entry.severity === 'string') {
       const normalized = entry.severity.charAt(0).toUpperCase() + entry.severity.slice(1).toLowerCase();
       if (allowedSeverities.has(normalized)) {
@@ -221,11 +235,20 @@ export function validateQueueJson(content) {
         message: `Invalid queue structure: vulnerabilities[${i}].severity must be one of Critical, High, Medium, Low (received: ${entry.severity}).`,
       };
     }
+
+    const cvss = checkCvssFields(entry);
+    if (cvss.error) {
+      return {
+        valid: false,
+        message: `Invalid CVSS at vulnerabilities[${i}] (${entry.ID || 'no-ID'}): ${cvss.error}.`,
+      };
+    }
   }
 
   return {
     valid: true,
     data: parsed,
+    normalized,
   };
 }
 
@@ -246,6 +269,19 @@ const CATEGORY_REQUIRED_FIELDS = {
   OSV_QUEUE:    ['vulnerability_type'],
 };
 
+/**
+ * [목적] 카테고리 플러그인의 큐 필수 필드 등록.
+ *
+ * [호출자]
+ * - src/config/category-registry.js
+ *
+ * @param {string} queueType - DeliverableType (e.g. 'XXE_QUEUE')
+ * @param {string[]} fields - exploit 단계에 필요한 필드 목록
+ */
+export function registerCategoryRequiredFields(queueType, fields) {
+  CATEGORY_REQUIRED_FIELDS[queueType] = [...fields];
+}
+
 /**
  * [목적] 카테고리별 필수 필드 검증 (warning 레벨).
  * 필수 필드 누락 시 valid는 유지하되 warnings를 반환하여
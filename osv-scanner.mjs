@@ -10,10 +10,9 @@ import { loadConfig } from './src/config/config-loader.js';
 import { checkToolAvailability } from './src/tool-checker.js';
 
 // Session and Checkpoints
-import { createSession, deleteSession, updateSession, markAgentRunning, markAgentCompleted, markAgentFailed } from './src/session-manager.js';
+import { createSession, deleteSession, listSessions, updateSession, markAgentRunning, markAgentCompleted, markAgentFailed } from './src/session-manager.js';
 import { getLocalISOString } from './src/utils/time-utils.js';
 import { getGitCommitHash } from './src/checkpoint-manager.js';
-import { DOKODEMODOOR_ROOT } from './src/audit/utils.js';
 import { promptConfirmation } from './src/cli/prompts.js';
 
 // Setup and Deliverables
@@ -72,8 +71,6 @@ const cleanupAndExit = async (signal) => {
 process.on('SIGINT', () => cleanupAndExit('SIGINT'));
 process.on('SIGTERM', () => cleanupAndExit('SIGTERM'));
 
-const STORE_FILE = path.join(DOKODEMODOOR_ROOT, '.dokodemodoor-store.json');
-
 /** OSV 세션 여부: completed/failed/skipped/running 에 osv-analysis 만 있는 세션 */
 function isOSVSession(session) {
   const agents = new Set([
@@ -87,12 +84,7 @@ function isOSVSession(session) {
 
 /** OSV 세션 목록 로드 */
 async function loadOSVSessions() {
-  if (!await fs.pathExists(STORE_FILE)) {
-    return [];
-  }
-  const content = await fs.readFile(STORE_FILE, 'utf8');
-  const store = JSON.parse(content || '{}');
-  const sessions = Object.values(store.sessions || {});
+  const sessions = await listSessions();
   return sessions.filter(isOSVSession);
 }
 
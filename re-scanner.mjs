@@ -9,10 +9,9 @@ dotenv.config();
 import { loadConfig } from './src/config/config-loader.js';
 
 // Session and Checkpoints
-import { createSession, getSession, updateSession, deleteSession, AGENTS, RE_PHASES, RE_PHASE_ORDER } from './src/session-manager.js';
+import { createSession, getSession, updateSession, deleteSession, listSessions, AGENTS, RE_PHASES, RE_PHASE_ORDER } from './src/session-manager.js';
 import { promptConfirmation } from './src/cli/prompts.js';
 import { getGitCommitHash } from './src/checkpoint-manager.js';
-import { DOKODEMODOOR_ROOT } from './src/audit/utils.js';
 
 // AI and Prompts
 import { runAgentPromptWithRetry } from './src/ai/agent-executor.js';
@@ -211,16 +210,9 @@ Examples:
   return parsed;
 }
 
-const STORE_FILE = path.join(DOKODEMODOOR_ROOT, '.dokodemodoor-store.json');
-
 /** RE 세션 목록 로드 (스토어에서 RE만 필터) */
 async function loadRESessions() {
-  if (!await fs.pathExists(STORE_FILE)) {
-    return [];
-  }
-  const content = await fs.readFile(STORE_FILE, 'utf8');
-  const store = JSON.parse(content || '{}');
-  const sessions = Object.values(store.sessions || {});
+  const sessions = await listSessions();
   return sessions.filter(isRESession);
 }
 
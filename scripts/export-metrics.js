@@ -26,8 +26,9 @@
 *
 * # 파일로 내보내기
 * ./scripts/export-metrics.js --session-id abc123 --output metrics.csv
-* # DokodemoDoor 스토어에서 세션 ID 찾기
+* # DokodemoDoor 스토어에서 세션 ID 찾기 (JSON 백엔드 / SQLite 백엔드)
 * cat .dokodemodoor-store.json | jq '.sessions | keys'
+* sqlite3 .dokodemodoor-store.sqlite 'SELECT id FROM sessions'
 * ```
 *
 * 참고: 원시 메트릭을 보려면 audit-logs/.../session.json 파일을 직접 읽으세요.
@@ -38,6 +39,7 @@ import chalk from 'chalk';
 import { fs, path } from 'zx';
 import { getSession } from '../src/session-manager.js';
 import { AuditSession } from '../src/audit/index.js';
+import { getMetricsPhaseKey } from '../src/audit/metrics-tracker.js';
 
 // Parse command-line arguments
 /**
@@ -127,32 +129,9 @@ function exportAsCSV(session, metrics) {
   // Header
   lines.push('agent,phase,status,attempts,duration_ms,cost_usd');
 
-  // Phase mapping
-  const phaseMap = {
-    'pre-recon': 'pre-recon',
-    'recon': 'recon',
-    'sqli-vuln': 'vulnerability-analysis',
-    'codei-vuln': 'vulnerability-analysis',
-    'ssti-vuln': 'vulnerability-analysis',
-    'pathi-vuln': 'vulnerability-analysis',
-    'xss-vuln': 'vulnerability-analysis',
-    'auth-vuln': 'vulnerability-analysis',
-    'authz-vuln': 'vulnerability-analysis',
-    'ssrf-vuln': 'vulnerability-analysis',
-    'sqli-exploit': 'exploitation',
-    'codei-exploit': 'exploitation',
-    'ssti-exploit': 'exploitation',
-    'pathi-exploit': 'exploitation',
-    'xss-exploit': 'exploitation',
-    'auth-exploit': 'exploitation',
-    'authz-exploit': 'exploitation',
-    'ssrf-exploit': 'exploitation',
-    'report': 'reporting'
-  };
-
   // Agent rows
   for (const [agentName, agentData] of Object.entries(metrics.metrics.agents)) {
-    const phase = phaseMap[agentName] || 'unknown';
+    const phase = getMetricsPhaseKey(agentName) || 'unknown';
 
     lines.push([
       agentName,
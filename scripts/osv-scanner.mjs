@@ -21,6 +21,8 @@ if (!repoPathArg) {
 const repoPath = path.resolve(repoPathArg);
 const deliverableDir = path.join(repoPath, 'deliverables');
 const outputPath = path.join(deliverableDir, 'osv_analysis_deliverable.md');
+// Full dependency inventory (context pack) — consumed by category plugins via dependency_signals
+const inventoryPath = path.join(deliverableDir, '_context', 'dependencies.json');
 
 const MAX_ROWS = (() => {
   const raw = process.env.DOKODEMODOOR_OSV_REPORT_MAX_ROWS;
@@ -33,6 +35,7 @@ async function main() {
   await fs.mkdir(deliverableDir, { recursive: true });
 
   const ecosystems = await detectEcosystems(repoPath);
+  const inventory = [];
   let report = '# Open Source Vulnerability Scan (OSV.dev)\n\n';
   report += `Scan Date: ${new Date().toISOString()}\n`;
   report += `Mode: scan-only (no AI analysis)\n\n`;
@@ -76,6 +79,17 @@ async function main() {
       const vulns = await queryOsvBatch(deps, eco.type, repoPath);
       allFindings.push(...vulns);
 
+      const osvIdsByDep = new Map(vulns.map(v => [`${v.package}@${v.version}`, v.vulnerabilities.map(x => x.id)]));
+      for (const dep of deps) {
+        inventory.push({
+          ecosystem: eco.type,
+          manifest: path.relative(repoPath, eco.path),
+          name: dep.name,
+          version: dep.version || '',
+          osv_ids: osvIdsByDep.get(`${dep.name}@${dep.version}`) || []
+        });
+      }
+
       const vulnCount = vulns.reduce((acc, curr) => acc + (curr.vulnerabilities?.length || 0), 0);
       extractionStats.push({
         type: eco.type,
@@ -131,6 +145,14 @@ async function main() {
 
   await fs.writeFile(outputPath, report, 'utf8');
   console.log(chalk.green(`✅ OSV deliverable saved: ${outputPath}`));
+
+  await fs.mkdir(path.dirname(inventoryPath), { recursive: true });
+  await fs.writeFile(inventoryPath, JSON.stringify({
+    generated_at: new Date().toISOString(),
+    source: 'osv-scanner',
+    dependencies: inventory
+  }, null, 2), 'utf8');
+  console.log(chalk.green(`✅ Dependency inventory saved: ${inventoryPath} (${inventory.length} entries)`));
 }
 
 main().catch(err => {
@@ -374,7 +374,8 @@ async function main() {
   await fs.writeFile(outputPath, finalTranslation);
 
   console.log(chalk.green.bold(`\n✅ Translation complete!`));
-  console.log(chalk.cyan(`📄 Korean report: ${outputPath}\n`));
+  console.log(chalk.cyan(`📄 Korean report: ${outputPath}`));
+  console.log(chalk.cyan(`💡 To render the HTML / Word versions, run: ./dokodemodoor.mjs --html-report ${parsedPath.dir} (or --docx-report)\n`));
 }
 
 main().catch(error => {
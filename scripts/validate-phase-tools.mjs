@@ -9,53 +9,28 @@
 
 import { PHASE_TOOL_REQUIREMENTS, AGENT_TOOL_OVERRIDES, MCP_AGENT_MAPPING } from '../src/constants.js';
 import { AGENTS } from '../src/session-manager.js';
+import { PIPELINE, getAgentPromptName } from '../src/config/pipeline-loader.js';
 import chalk from 'chalk';
 
 console.log(chalk.blue('\n🔍 Phase-Based Tool Optimization Validator\n'));
 console.log(chalk.gray('='.repeat(60)));
 
-// Helper function to get agent phase
-function getAgentPhase(agentName) {
-  if (agentName === 'pre-recon') return 'pre-reconnaissance';
-  if (agentName === 'recon' || agentName === 'recon-verify' || agentName === 'login-check') return 'reconnaissance';
-  if (agentName.endsWith('-vuln')) return 'vulnerability-analysis';
-  if (agentName.endsWith('-exploit')) return 'exploitation';
-  if (agentName === 'report') return 'reporting';
-  return null;
-}
-
-// Helper function to convert agent name to prompt name
-function agentNameToPromptName(agentName) {
-  if (agentName === 'pre-recon') return 'pre-recon-code';
-  if (agentName === 'report') return 'report-executive';
-  if (agentName === 'recon') return 'recon';
-
-  const vulnMatch = agentName.match(/^(.+)-vuln$/);
-  if (vulnMatch) return `vuln-${vulnMatch[1]}`;
-
-  const exploitMatch = agentName.match(/^(.+)-exploit$/);
-  if (exploitMatch) return `exploit-${exploitMatch[1]}`;
-
-  return agentName;
-}
+// Agent phase / prompt name come from the pipeline definition
+const getAgentPhase = (agentName) => AGENTS[agentName]?.phase || null;
 
 // Validate all agents
 console.log(chalk.cyan('\n📋 Agent Tool Requirements:\n'));
 
-const phaseSummary = {
-  'pre-reconnaissance': { agents: [], playwright: 0 },
-  'reconnaissance': { agents: [], playwright: 0 },
-  'vulnerability-analysis': { agents: [], playwright: 0 },
-  'exploitation': { agents: [], playwright: 0 },
-  'reporting': { agents: [], playwright: 0 }
-};
+const phaseSummary = Object.fromEntries(
+  PIPELINE.phases.map(phase => [phase.name, { agents: [], playwright: 0 }])
+);
 
 let totalAgents = 0;
 let totalPlaywright = 0;
 
 for (const [agentKey, agentConfig] of Object.entries(AGENTS)) {
   const agentName = agentConfig.name;
-  const promptName = agentNameToPromptName(agentName);
+  const promptName = getAgentPromptName(agentName);
   const phase = getAgentPhase(agentName);
 
   totalAgents++;
@@ -117,7 +92,7 @@ let mappingErrors = 0;
 
 for (const [agentKey, agentConfig] of Object.entries(AGENTS)) {
   const agentName = agentConfig.name;
-  const promptName = agentNameToPromptName(agentName);
+  const promptName = getAgentPromptName(agentName);
   const phase = getAgentPhase(agentName);
 
   // Determine if agent needs Playwright
@@ -9,11 +9,13 @@ import { toolRegistry, registerMCPTools } from './tools/tool-registry.js';
 import { config as envConfig, isVLLMProvider } from '../config/env.js';
 import { runWithContext } from '../utils/context.js';
 import { isRetryableError, getRetryDelay, PentestError } from '../error-handling.js';
+import { getBudgetTracker } from '../utils/budget.js';
 import { ProgressIndicator } from '../progress-indicator.js';
 import { timingResults, costResults, usageResults, Timer } from '../utils/metrics.js';
 import { formatDuration } from '../audit/utils.js';
 import { createGitCheckpoint, commitGitSuccess, rollbackGitWorkspace, getGitHeadHash } from '../utils/git-manager.js';
 import { AGENT_VALIDATORS, MCP_AGENT_MAPPING, PHASE_TOOL_REQUIREMENTS, AGENT_TOOL_OVERRIDES } from '../constants.js';
+import { PIPELINE, getAgentPromptName } from '../config/pipeline-loader.js';
 import { filterJsonToolCalls, getAgentPrefix } from '../utils/output-formatter.js';
 import { generateSessionLogPath, updateSession } from '../session-manager.js';
 import { AuditSession } from '../audit/index.js';
@@ -92,109 +94,13 @@ const resolvePlaywrightMcpCommand = () => {
 };
 
 /**
- * Convert agent name to prompt name for MCP_AGENT_MAPPING lookup
- *
- * @param {string} agentName - Agent name (e.g., 'xss-vuln', 'injection-exploit')
- * @returns {string} Prompt name (e.g., 'vuln-xss', 'exploit-injection')
- */
-/**
- * [목적] 에이전트 이름을 프롬프트 이름으로 정규화.
- *
- * [호출자]
- * - runAgentPrompt()의 MCP_AGENT_MAPPING 조회
- *
- * [출력 대상]
- * - 프롬프트 파일명/키 문자열
- *
- * [입력 파라미터]
- * - agentName (string)
- *
- * [반환값]
- * - string: 프롬프트 키
- */
-function agentNameToPromptName(agentName) {
-  // Special cases
-  if (agentName === 'pre-recon') return 'pre-recon-code';
-  if (agentName === 'report') return 'report-executive';
-  if (agentName === 'recon') return 'recon';
-
-  // Pattern: {type}-vuln → vuln-{type}
-  const vulnMatch = agentName.match(/^(.+)-vuln$/);
-  if (vulnMatch) {
-    return `vuln-${vulnMatch[1]}`;
-  }
-
-  // Pattern: {type}-exploit → exploit-{type}
-  if (agentName.endsWith('-exploit')) {
-    const exploitMatch = agentName.match(/^(.+)-exploit$/);
-    if (exploitMatch) {
-      return `exploit-${exploitMatch[1]}`;
-    }
-  }
-
-  if (agentName === 'osv-analysis') return 'osv-analysis';
-
-  // Default: return as-is
-  return agentName;
-}
-
-/**
- * Get the phase for a given agent name
+ * Get the phase for a given agent name (from the pipeline definition)
  *
  * @param {string} agentName - Agent name (e.g., 'sqli-vuln', 'recon', 'report')
  * @returns {string|null} - Phase name or null if unknown
  */
 function getAgentPhase(agentName) {
-  // Phase 1: Pre-reconnaissance
-  if (agentName === 'pre-recon') {
-    return 'pre-reconnaissance';
-  }
-
-  // Phase 2: Reconnaissance
-  if (agentName === 'recon' || agentName === 'recon-verify' || agentName === 'login-check') {
-    return 'reconnaissance';
-  }
-
-  // Phase 2.5: API Fuzzing
-  if (agentName === 'api-fuzzer') {
-    return 'api-fuzzing';
-  }
-
-  // Phase 3: Vulnerability Analysis
-  if (agentName.endsWith('-vuln')) {
-    return 'vulnerability-analysis';
-  }
-
-  // Phase 4: Exploitation
-  if (agentName.endsWith('-exploit')) {
-    return 'exploitation';
-  }
-
-  // Phase 5: Reporting
-  if (agentName === 'report') {
-    return 'reporting';
-  }
-
-  // SCA: OSV Analysis
-  if (agentName === 'osv-analysis') {
-    return 'osv-analysis';
-  }
-
-  // Reverse Engineering agents (standalone pipeline)
-  const rePhaseMap = {
-    're-inventory': 're-inventory',
-    're-static': 're-static-analysis',
-    're-dynamic': 're-dynamic-observation',
-    're-instrument': 're-dynamic-observation',
-    're-network': 're-network-analysis',
-    're-report': 're-reporting'
-  };
-  if (rePhaseMap[agentName]) {
-    return rePhaseMap[agentName];
-  }
-
-  // Unknown agent
-  return null;
+  return PIPELINE.agents[agentName]?.phase || null;
 }
 
 // Simplified validation using direct agent name mapping
@@ -381,7 +287,8 @@ async function runAgentPrompt(prompt, sourceDir, allowedTools = 'Read', context
                   || config.llm?.vllm?.maxTurns
                   || 100,
       agentName: agentName,
-      parentTurnCount: null  // Will be set by TaskAgent when calling sub-agents
+      parentTurnCount: null,  // Will be set by TaskAgent when calling sub-agents
+      agentStartedAt: options?.agentStartedAt || null  // Per-agent duration budget spans retries
     };
     if (options?.caps) {
       queryOptions.fileOpenCap = options.caps.fileOpenCap;
@@ -417,7 +324,7 @@ async function runAgentPrompt(prompt, sourceDir, allowedTools = 'Read', context
     let needsPlaywright = false;
 
     if (agentName) {
-      const promptName = agentNameToPromptName(agentName);
+      const promptName = getAgentPromptName(agentName);
 
       // Check for agent-specific override first
       if (AGENT_TOOL_OVERRIDES[promptName]) {
@@ -440,7 +347,7 @@ async function runAgentPrompt(prompt, sourceDir, allowedTools = 'Read', context
     // Determine agent's assigned Playwright MCP server (only if needed)
     let playwrightMcpName = null;
     if (agentName && needsPlaywright) {
-      const promptName = agentNameToPromptName(agentName);
+      const promptName = getAgentPromptName(agentName);
       playwrightMcpName = MCP_AGENT_MAPPING[promptName];
 
       if (playwrightMcpName) {
@@ -542,7 +449,8 @@ async function runAgentPrompt(prompt, sourceDir, allowedTools = 'Read', context
         agentName: agentName || description,
         targetDir: sourceDir,
         auditSession,
-        webUrl: sessionMetadata?.webUrl || null
+        webUrl: sessionMetadata?.webUrl || null,
+        sessionId: sessionMetadata?.id || null
       }, async () => {
         for await (const message of provider.query(fullPrompt, queryOptions)) {
           messageCount++;
@@ -638,6 +546,8 @@ async function runAgentPrompt(prompt, sourceDir, allowedTools = 'Read', context
               await auditSession.logEvent('llm_response', {
                 turn: turnCount,
                 content,
+                // Cumulative usage for this attempt (live token spend for the dashboard)
+                ...(message.usage && { usage: message.usage }),
                 timestamp: getLocalISOString()
               });
             }
@@ -719,6 +629,8 @@ async function runAgentPrompt(prompt, sourceDir, allowedTools = 'Read', context
                 } else if (message.subtype === "error_during_execution") {
                   console.log(chalk.red(`    ❌ Stopped: Execution error`));
                   apiErrorDetected = true;
+                } else if (message.subtype === "error_budget") {
+                  console.log(chalk.yellow(`    💸 Stopped: Budget reached (deliverables finalized)`));
                 }
 
                 if (message.permission_denials && message.permission_denials.length > 0) {
@@ -736,6 +648,8 @@ async function runAgentPrompt(prompt, sourceDir, allowedTools = 'Read', context
                 } else if (message.subtype === "error_during_execution") {
                   console.log(chalk.red(`    ❌ Stopped: Execution error`));
                   apiErrorDetected = true;
+                } else if (message.subtype === "error_budget") {
+                  console.log(chalk.yellow(`    💸 Stopped: Budget reached (deliverables finalized)`));
                 }
 
                 if (message.permission_denials && message.permission_denials.length > 0) {
@@ -971,6 +885,10 @@ async function runAgentPrompt(prompt, sourceDir, allowedTools = 'Read', context
  * [부작용]
  * - Git 체크포인트/롤백 (skipGit=false인 경우), audit log 기록, deliverables 생성
  *
+ * [에러 처리]
+ * - 세션 예산 소진 시(또는 재시도 시점에 에이전트 시간 한도 초과 시) 새 시도를 시작하지 않고
+ *   PentestError('budget', context.scope: 'session' | 'agent') 발생
+ *
  * @param {Object} [options] - 추가 옵션
  * @param {boolean} [options.skipGit=false] - true이면 Git 체크포인트/커밋/롤백을 생략 (병렬 phase용)
  */
@@ -989,7 +907,27 @@ export async function runAgentPromptWithRetry(prompt, sourceDir, allowedTools =
     await auditSession.initialize();
   }
 
+  const agentStartedAt = Date.now();
+  const budget = getBudgetTracker(sessionMetadata?.id);
+
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    // Do not start a new attempt once the session (or, on retry, this agent) is out of budget
+    if (budget) {
+      const sessionBudget = budget.check();
+      const agentBudget = attempt > 1 ? budget.checkAgent(agentStartedAt) : { exhausted: false };
+      if (sessionBudget.exhausted || agentBudget.exhausted) {
+        const scope = sessionBudget.exhausted ? 'session' : 'agent';
+        const reason = sessionBudget.exhausted ? sessionBudget.reason : agentBudget.reason;
+        console.log(chalk.yellow(`💸 ${description}: not starting attempt ${attempt}/${maxRetries} (${reason} exhausted)`));
+        throw new PentestError(
+          `${description} stopped: ${reason} exhausted`,
+          'budget',
+          false,
+          { agentName, scope, reason, attempt, lastError: lastError?.message || null }
+        );
+      }
+    }
+
     // Create checkpoint before each attempt (skip in parallel/no-git mode)
     if (!skipGit) {
       await createGitCheckpoint(sourceDir, description, attempt);
@@ -1010,7 +948,7 @@ export async function runAgentPromptWithRetry(prompt, sourceDir, allowedTools =
     }
 
     try {
-      const runOptions = { skipGit, caps: options.caps };
+      const runOptions = { skipGit, caps: options.caps, agentStartedAt };
       const result = await runAgentPrompt(prompt, sourceDir, allowedTools, retryContext, description, agentName, colorFn, sessionMetadata, auditSession, attempt, runOptions);
 
       // Validate output after successful run
@@ -1047,7 +985,7 @@ export async function runAgentPromptWithRetry(prompt, sourceDir, allowedTools =
           // [SCREENSHOT ENHANCEMENT] Capture screenshot on exploit success
           if (agentName && agentName.includes('exploit')) {
             try {
-              const promptName = agentNameToPromptName(agentName);
+              const promptName = getAgentPromptName(agentName);
               const playwrightMcpName = MCP_AGENT_MAPPING[promptName];
 
               if (playwrightMcpName) {
@@ -9,11 +9,16 @@ import { LLMProvider } from '../llm-provider.js';
 import { toolRegistry } from '../tools/tool-registry.js';
 import { executeToolCalls } from '../tools/tool-executor.js';
 import { config as dokodemodoorConfig } from '../../config/env.js';
-import { runWithContext, getAuditSession } from '../../utils/context.js';
+import { runWithContext, getAuditSession, getSessionId } from '../../utils/context.js';
+import { getBudgetTracker } from '../../utils/budget.js';
+import { getCategoryPluginForAgent } from '../../config/category-registry.js';
 import chalk from 'chalk';
 import fs from 'node:fs';
 import path from 'node:path';
 
+// Turns an agent gets to save deliverables after its budget runs out
+const BUDGET_FINALIZATION_TURNS = 3;
+
 /**
 * [목적] vLLM 기반의 OpenAI 호환 프로바이더로, 툴콜 강화 기능을 제공합니다.
 *
@@ -138,6 +143,14 @@ export class VLLMProvider extends LLMProvider {
     const name = (agentName || '').toLowerCase();
     const isQueue = requestedType && requestedType.includes('QUEUE');
 
+    // Category plugins: exact <id>-vuln / <id>-exploit match before fuzzy matching (e.g. 'oauth' vs 'auth')
+    const plugin = getCategoryPluginForAgent(name);
+    if (plugin) {
+      const types = plugin.deliverableTypes;
+      if (name.endsWith('-exploit')) return types.evidence;
+      return isQueue ? types.queue : types.analysis;
+    }
+
     // Fuzzy matching for various agent name formats
     let forced = requestedType || (name.includes('recon') ? 'RECON' : 'CODE_ANALYSIS');
     if (name.includes('recon-verify')) forced = 'RECON_VERIFY';
@@ -233,6 +246,12 @@ export class VLLMProvider extends LLMProvider {
     const isExploit = (agentName || '').toLowerCase().includes('exploit');
     const name = missionName.toLowerCase();
 
+    const plugin = getCategoryPluginForAgent(agentName);
+    if (plugin) {
+      const todo = isExploit ? plugin.exploit.todo : plugin.vuln.todo;
+      return todo.map(item => `[ ] ${item}`).join('\n');
+    }
+
     if (name.includes('ssti')) {
       return isExploit
         ? "[ ] Read ssti_exploitation_queue.json\n[ ] Perform Confirmation & Probing\n[ ] Perform Engine Fingerprinting\n[ ] Perform Impact & Sandbox Escape\n[ ] Save SSTI_EVIDENCE"
@@ -270,11 +289,11 @@ export class VLLMProvider extends LLMProvider {
     }
     if (name.includes('auth-') || name === 'auth') {
       return isExploit
-        ? "[ ] Read auth_exploitation_queue.json\n[ ] Perform Confirmation & Probing\n[ ] Perform Credential Brute-force/Bypass\n[ ] Save AUTH_EVIDENCE"
+        ? "[ ] Read auth_exploitation_queue.json\n[ ] Perform Confirmation & Probing\n[ ] Perform Credential Brute-force/Bypass\n[ ] Perform JWT Attacks with jwt_toolkit (if tokens are JWTs)\n[ ] Save AUTH_EVIDENCE"
         : "[ ] Map Authentication Mechanisms and Flow\n[ ] Analyze Session Management and persistence\n[ ] Test for Credential Brute-force Protections\n[ ] Check MFA/2FA Implementation Flaws\n[ ] Use Playwright to test for session fixation/brute-force\n[ ] Document Authentication Vulnerabilities (Analysis + Queue)";
     }
     if (name.includes('recon')) {
-      return "[ ] Route & Endpoint Mapper\n[ ] Authentication & Session Flow Tracer\n[ ] Authorization & Ownership Architecture Mapper\n[ ] Input Vector & Validation Analyzer\n[ ] Injection Source Tracer (non-exploit)\n[ ] Workflow & State Machine Analyzer\n[ ] Use Playwright to discover client-side routes and hidden UI\n[ ] Final Synthesis & Report";
+      return "[ ] Route & Endpoint Mapper\n[ ] Authentication & Session Flow Tracer\n[ ] Authorization & Ownership Architecture Mapper\n[ ] Input Vector & Validation Analyzer\n[ ] Injection Source Tracer (non-exploit)\n[ ] Workflow & State Machine Analyzer\n[ ] GraphQL Schema & Operation Mapper (graphql_introspect, if a GraphQL endpoint exists)\n[ ] Realtime Channel Mapper (websocket_client, if WebSocket/SSE channels exist)\n[ ] Use Playwright to discover client-side routes and hidden UI\n[ ] Final Synthesis & Report";
     }
     if (name.includes('pre-recon')) {
       return "[ ] Architecture Scanner (stack, deploy model, services, configs)\n[ ] Entry Point Mapper (routes, controllers, uploads, webhooks)\n[ ] Security Pattern Hunter (auth flows, tokens, RBAC/ABAC)\n[ ] Injection & Sink Hunter (SQL, template, command, path, XSS)\n[ ] SSRF / Outbound Request Tracer\n[ ] Data Security Auditor\n[ ] Synthesis & Report Generation";
@@ -798,6 +817,7 @@ export class VLLMProvider extends LLMProvider {
    * - Initialize message history and inject system constraints.
    * - Loop through turns, detect loops, compress history.
    * - Call vLLM API, parse tool calls, execute tools, append results.
+   * - On session/agent budget exhaustion, allow BUDGET_FINALIZATION_TURNS to save deliverables, then yield an 'error_budget' result.
    *
    * [에러 처리]
    * - Retries tool-call JSON parsing errors by disabling tools for one attempt.
@@ -854,6 +874,13 @@ export class VLLMProvider extends LLMProvider {
     const startTime = Date.now();
     let cumulativeUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
 
+    // [BUDGET] 세션 예산 추적 (세션 밖 실행이면 null → 미적용)
+    const sessionId = options.sessionId || getSessionId();
+    const budget = getBudgetTracker(sessionId);
+    const agentStartedAt = options.agentStartedAt || startTime;
+    let budgetStopTurn = null;
+    let budgetStopReason = null;
+
     // [동적 상한] 파일 오픈/검색 cap 및 이미 읽은 경로·검색 이력
     const fileOpenCap = typeof options.fileOpenCap === 'number' ? options.fileOpenCap : null;
     const searchCap = typeof options.searchCap === 'number' ? options.searchCap : null;
@@ -930,6 +957,24 @@ export class VLLMProvider extends LLMProvider {
         }
       }
 
+      // [BUDGET] Out of session budget (or this agent's time budget): finalize deliverables, then stop
+      if (budget && budgetStopTurn === null) {
+        const sessionBudget = budget.check();
+        const agentBudget = isSubAgent ? { exhausted: false } : budget.checkAgent(agentStartedAt);
+        if (sessionBudget.exhausted || agentBudget.exhausted) {
+          budgetStopReason = sessionBudget.exhausted ? sessionBudget.reason : agentBudget.reason;
+          budgetStopTurn = turnCount + BUDGET_FINALIZATION_TURNS - 1;
+          console.log(chalk.yellow(`    💸 [BUDGET] ${budgetStopReason} exhausted. Finalizing within ${BUDGET_FINALIZATION_TURNS} turns...`));
+          const finalizeHint = isSubAgent
+            ? 'Return your findings so far as your final answer now.'
+            : `Save your deliverables with save_deliverable NOW using the findings you already have (within ${BUDGET_FINALIZATION_TURNS} turns), then finish with ## Summary.`;
+          messages.push({ role: 'system', content: `[BUDGET EXHAUSTED] The ${budgetStopReason} is used up. STOP all discovery and testing. ${finalizeHint}` });
+        }
+      } else if (budgetStopTurn !== null && turnCount > budgetStopTurn) {
+        yield { type: 'result', result: `Stopped: ${budgetStopReason} exhausted`, subtype: 'error_budget', duration_ms: Date.now() - startTime, usage: cumulativeUsage, total_cost_usd: this.calculateCost(cumulativeUsage) };
+        return;
+      }
+
       // [OPERATIONAL GUIDELINE] Inject session-wide constraints
       if (turnCount === 1) {
         messages.push({ role: 'system', content: `[OPERATIONAL GUIDELINE] Never assume a file exists. If a path fails to open, run 'ls' or 'find' to discover the correct path. Do not repeat failed commands.` });
@@ -1166,6 +1211,14 @@ export class VLLMProvider extends LLMProvider {
         cumulativeUsage.prompt_tokens += response.usage.prompt_tokens || 0;
         cumulativeUsage.completion_tokens += response.usage.completion_tokens || 0;
         cumulativeUsage.total_tokens += response.usage.total_tokens || 0;
+        if (budget) {
+          const turnUsage = {
+            prompt_tokens: response.usage.prompt_tokens || 0,
+            completion_tokens: response.usage.completion_tokens || 0,
+            total_tokens: response.usage.total_tokens || 0
+          };
+          budget.recordUsage(turnUsage, this.calculateCost(turnUsage));
+        }
       }
 
       if (!response) {
@@ -1200,7 +1253,9 @@ export class VLLMProvider extends LLMProvider {
                 // ... same logic for deliverable_type ...
                 if (!parsed.deliverable_type && parsed.vulnerabilities && Array.isArray(parsed.vulnerabilities)) {
                    const agentLow = agentName.toLowerCase();
-                   if (agentLow.includes('sqli')) parsed.deliverable_type = 'SQLI_QUEUE';
+                   const plugin = getCategoryPluginForAgent(agentLow);
+                   if (plugin) parsed.deliverable_type = plugin.deliverableTypes.queue;
+                   else if (agentLow.includes('sqli')) parsed.deliverable_type = 'SQLI_QUEUE';
                    else if (agentLow.includes('xss')) parsed.deliverable_type = 'XSS_QUEUE';
                    else if (agentLow.includes('ssti')) parsed.deliverable_type = 'SSTI_QUEUE';
                    else if (agentLow.includes('osv')) parsed.deliverable_type = 'OSV_QUEUE';
@@ -1250,7 +1305,7 @@ export class VLLMProvider extends LLMProvider {
           // We got a concrete action; reset empty-response nudging state.
           nudgeCount = 0;
           messages.push(message);
-          yield { type: 'assistant', message: { role: 'assistant', content: message.content || '' } };
+          yield { type: 'assistant', message: { role: 'assistant', content: message.content || '' }, usage: { ...cumulativeUsage } };
 
           const validToolCalls = [];
           const immediateResults = [];
@@ -1331,7 +1386,7 @@ export class VLLMProvider extends LLMProvider {
           }
 
           for (const tc of validToolCalls) yield { type: 'tool_use', name: tc.name, input: tc.arguments };
-          const actual = await runWithContext({ agentName, targetDir }, () => executeToolCalls(validToolCalls, registry));
+          const actual = await runWithContext({ agentName, targetDir, sessionId }, () => executeToolCalls(validToolCalls, registry));
 
           for (const tc of validToolCalls) {
             if (tc.name === 'open_file') {
@@ -1531,14 +1586,14 @@ export class VLLMProvider extends LLMProvider {
 
                const nudge = { role: 'user', content: nudgeText };
                messages.push(message, nudge);
-               yield { type: 'assistant', message: { role: 'assistant', content: message.content || '' } };
+               yield { type: 'assistant', message: { role: 'assistant', content: message.content || '' }, usage: { ...cumulativeUsage } };
                yield { type: 'assistant', message: { role: 'system', content: nudge.content } };
                continue;
              }
            }
 
            if (content) {
-             yield { type: 'assistant', message: { role: 'assistant', content } };
+             yield { type: 'assistant', message: { role: 'assistant', content }, usage: { ...cumulativeUsage } };
            }
            messages.push(message);
            finished = true;
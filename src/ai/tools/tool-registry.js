@@ -235,6 +235,26 @@ export async function registerMCPTools() {
   toolRegistry.register('calculate_content_length', 'Calculate exact byte length of request body.', httpHelpersModule.CalculateContentLengthInputSchema, httpHelpersModule.calculateContentLength);
   toolRegistry.register('parse_http_request', 'Parse raw HTTP requests.', httpHelpersModule.ParseHttpRequestInputSchema, httpHelpersModule.parseHttpRequest);
 
+  const httpBurstModule = await import('../../../mcp-server/src/tools/http-burst.js');
+  toolRegistry.register('http_burst', httpBurstModule.httpBurstTool.description, httpBurstModule.HttpBurstInputSchema, httpBurstModule.httpBurst);
+
+  const graphqlModule = await import('../../../mcp-server/src/tools/graphql-introspect.js');
+  toolRegistry.register('graphql_introspect', graphqlModule.graphqlIntrospectTool.description, graphqlModule.GraphqlIntrospectInputSchema, graphqlModule.graphqlIntrospect);
+
+  const websocketModule = await import('../../../mcp-server/src/tools/websocket-client.js');
+  toolRegistry.register('websocket_client', websocketModule.websocketClientTool.description, websocketModule.WebsocketClientInputSchema, websocketModule.websocketClient);
+
+  const uploadModule = await import('../../../mcp-server/src/tools/upload-payload.js');
+  toolRegistry.register('upload_payload', uploadModule.uploadPayloadTool.description, uploadModule.UploadPayloadInputSchema, uploadModule.uploadPayload);
+
+  // 5. Cross-Site Proof Helpers
+  const attackerPageModule = await import('../../../mcp-server/src/tools/attacker-page.js');
+  toolRegistry.register('attacker_page', attackerPageModule.attackerPageTool.description, attackerPageModule.AttackerPageInputSchema, attackerPageModule.attackerPage);
+
+  // 6. Token Cryptography Helpers
+  const jwtModule = await import('../../../mcp-server/src/tools/jwt-toolkit.js');
+  toolRegistry.register('jwt_toolkit', jwtModule.jwtToolkitTool.description, jwtModule.JwtToolkitInputSchema, jwtModule.jwtToolkit);
+
   console.log(`✓ Registered ${toolRegistry.tools.size} unified MCP tools`);
 }
 
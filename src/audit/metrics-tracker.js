@@ -13,6 +13,26 @@ import {
   formatTimestamp,
   calculatePercentage
 } from './utils.js';
+import { PIPELINE } from '../config/pipeline-loader.js';
+
+// Legacy phase keys kept stable for existing session.json consumers
+const LEGACY_PHASE_KEYS = Object.freeze({
+  'pre-reconnaissance': 'pre-recon',
+  'reconnaissance': 'recon'
+});
+
+/**
+ * [목적] 에이전트 이름을 메트릭 페이즈 키로 매핑 (파이프라인 정의 기준, 메인 시퀀스만).
+ *
+ * [호출자]
+ * - MetricsTracker.calculatePhaseMetrics()
+ * - scripts/export-metrics.js
+ */
+export const getMetricsPhaseKey = (agentName) => {
+  const phase = PIPELINE.agents[agentName]?.phase;
+  if (!phase || !PIPELINE.phases.some(p => p.name === phase)) return null;
+  return LEGACY_PHASE_KEYS[phase] || phase;
+};
 
 /**
  * MetricsTracker - Manages metrics for a session
@@ -327,44 +347,12 @@ export class MetricsTracker {
    * - recalculateAggregations()
    */
   calculatePhaseMetrics(successfulAgents) {
-    const phases = {
-      'pre-recon': [],
-      'recon': [],
-      'vulnerability-analysis': [],
-      'exploitation': [],
-      'reporting': []
-    };
-
-    // Map agents to phases
-    const agentPhaseMap = {
-      'pre-recon': 'pre-recon',
-      'login-check': 'recon',
-      'recon': 'recon',
-      'recon-verify': 'recon',
-      'sqli-vuln': 'vulnerability-analysis',
-      'codei-vuln': 'vulnerability-analysis',
-      'ssti-vuln': 'vulnerability-analysis',
-      'pathi-vuln': 'vulnerability-analysis',
-      'xss-vuln': 'vulnerability-analysis',
-      'auth-vuln': 'vulnerability-analysis',
-      'authz-vuln': 'vulnerability-analysis',
-      'ssrf-vuln': 'vulnerability-analysis',
-      'sqli-exploit': 'exploitation',
-      'codei-exploit': 'exploitation',
-      'ssti-exploit': 'exploitation',
-      'pathi-exploit': 'exploitation',
-      'xss-exploit': 'exploitation',
-      'auth-exploit': 'exploitation',
-      'authz-exploit': 'exploitation',
-      'ssrf-exploit': 'exploitation',
-      'report': 'reporting'
-    };
-
-    // Group agents by phase
+    // Group agents by pipeline phase (legacy keys kept for pre-recon/recon)
+    const phases = {};
     for (const [agentName, agentData] of successfulAgents) {
-      const phase = agentPhaseMap[agentName];
+      const phase = getMetricsPhaseKey(agentName);
       if (phase) {
-        phases[phase].push(agentData);
+        (phases[phase] ||= []).push(agentData);
       }
     }
 
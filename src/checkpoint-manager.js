@@ -6,9 +6,18 @@ import { executeGitCommandWithRetry, preserveDeliverables } from './utils/git-ma
 import { getLocalISOString } from './utils/time-utils.js';
 import { formatDuration, DOKODEMODOOR_ROOT } from './audit/utils.js';
 import { ensureScopeSizeAndCaps } from './utils/scope-caps.js';
+import { attachBudget, getBudgetTracker } from './utils/budget.js';
+import {
+  splitQueueIntoShards, getShardPaths, stashEvidenceFile, buildShardContext, readEvidenceFile, mergeShardEvidence,
+  getQueueItemId
+} from './utils/exploit-shards.js';
+import { PIPELINE, getPipelinePhase, getAgentPromptName } from './config/pipeline-loader.js';
+import { CATEGORY_PLUGINS } from './config/category-registry.js';
+import { lineMentionsGraphqlOperation } from './utils/context-pack.js';
 import {
   AGENTS,
   PHASES,
+  PARALLEL_PHASES,
   selectSession,
   validateAgent,
   validateAgentRange,
@@ -144,6 +153,8 @@ const lineMatchesAvoidRule = (line, rule) => {
     case 'subdomain':
     case 'domain':
       return lowerLine.includes(lowerValue);
+    case 'graphql_operation':
+      return lineMentionsGraphqlOperation(line, rule);
     default:
       return false;
   }
@@ -322,6 +333,167 @@ const rollbackGitToCommit = async (targetRepo, commitHash) => {
   }
 };
 
+// Run one exploit agent as sequential per-shard runs and merge their evidence
+/**
+ * [목적] 익스플로잇 큐 샤드를 순차 실행하고 샤드 증거를 하나의 evidence 파일로 병합.
+ *
+ * [호출자]
+ * - runSingleAgent() (exploit 에이전트, 큐 항목 수 > DOKODEMODOOR_EXPLOIT_SHARD_SIZE)
+ *
+ * [출력 대상]
+ * - deliverables/_shards/<category>/evidence-shard-<n>.json, 병합된 <category>_exploitation_evidence.json
+ *
+ * [입력 파라미터]
+ * - options (object): runSingleAgent의 실행 컨텍스트 (shards, queueData, variables, promptName 등)
+ *
+ * [반환값]
+ * - Promise<object>: runAgentPromptWithRetry 결과와 같은 형태 (duration/cost는 샤드 합계)
+ *
+ * [주의사항]
+ * - 샤드는 같은 Playwright 인스턴스와 증거 파일명을 쓰므로 병렬 실행하지 않음
+ * - 일부 샤드가 실패해도 나머지를 실행하고 병합한 뒤 실패 결과를 반환 (증거는 보존)
+ * - 세션 예산이 소진되면 남은 샤드를 건너뛰고 병합한 뒤 'budget' 에러를 다시 던짐 (재개 시 전체 재실행)
+ */
+const runExploitShards = async ({
+  agentName, shards, queueData, variables, promptName, distributedConfig, targetedContext,
+  agentColor, session, targetRepo, runAgentPromptWithRetry, loadPrompt, skipGit, caps
+}) => {
+  const { category, displayName } = AGENTS[agentName];
+  const paths = getShardPaths(targetRepo, category);
+  const sessionMetadata = { id: session.id, webUrl: session.webUrl, repoPath: session.repoPath };
+
+  console.log(chalk.blue(`   🧩 Splitting ${queueData.vulnerabilities.length} queue items into ${shards.length} shards`));
+
+  // Earlier evidence (cumulative re-runs) is kept as the first merge source
+  await fs.remove(paths.shardDir);
+  const hasPrevious = await stashEvidenceFile(paths.evidenceFile, paths.previousFile);
+
+  const shardResults = [];
+  let budgetStop = null;
+  for (const [index, shardQueue] of shards.entries()) {
+    const label = `${displayName} [shard ${index + 1}/${shards.length}]`;
+    const shardVariables = {
+      ...variables,
+      vulnerabilities: shardQueue.vulnerabilities,
+      vulnerabilityCount: shardQueue.vulnerabilities.length,
+      queueSummary: JSON.stringify(shardQueue, null, 2)
+    };
+
+    try {
+      // A git rollback may restore the previous shard's evidence; each shard must start empty
+      await fs.remove(paths.evidenceFile);
+      const shardPrompt = await loadPrompt(promptName, shardVariables, distributedConfig);
+      const shardContext = `${targetedContext}${buildShardContext(index, shards.length, shardQueue, category)}`;
+      const result = await runAgentPromptWithRetry(
+        shardPrompt, targetRepo, '*', shardContext, label, agentName, agentColor, sessionMetadata, { skipGit, caps }
+      );
+      await stashEvidenceFile(paths.evidenceFile, paths.shardFile(index));
+      shardResults.push({ index, success: true, result });
+    } catch (error) {
+      await stashEvidenceFile(paths.evidenceFile, paths.shardFile(index));
+      if (error?.type === 'budget' && error.context?.scope === 'session') {
+        // Remaining shards wait for a resume; evidence gathered so far is still merged below
+        budgetStop = error;
+        break;
+      }
+      console.log(chalk.red(`   ✗ ${label} failed: ${error?.message || String(error)}`));
+      shardResults.push({ index, success: false, error });
+    }
+  }
+
+  const sources = [];
+  if (hasPrevious) {
+    sources.push({ label: 'previous', queueIds: queueData.vulnerabilities.map(getQueueItemId), data: await readEvidenceFile(paths.previousFile) });
+  }
+  for (const [index, shardQueue] of shards.entries()) {
+    sources.push({
+      label: `shard-${index + 1}`,
+      queueIds: shardQueue.vulnerabilities.map(getQueueItemId),
+      data: await readEvidenceFile(paths.shardFile(index))
+    });
+  }
+  const merged = mergeShardEvidence(sources, queueData);
+  await fs.writeFile(paths.evidenceFile, JSON.stringify(merged, null, 2));
+
+  const succeeded = shardResults.filter(shard => shard.success);
+  const failedShards = shardResults.filter(shard => !shard.success);
+  console.log(chalk.blue(`   🧩 Merged ${merged.vulnerabilities.length} evidence entries from ${succeeded.length}/${shards.length} shards`));
+
+  if (budgetStop) {
+    throw budgetStop;
+  }
+
+  const duration = succeeded.reduce((sum, shard) => sum + (shard.result.duration || 0), 0);
+  const cost = succeeded.reduce((sum, shard) => sum + (shard.result.cost || 0), 0);
+
+  if (failedShards.length > 0) {
+    return {
+      success: false,
+      error: `${failedShards.length}/${shards.length} shards failed (${failedShards.map(shard => `shard ${shard.index + 1}: ${shard.error?.message || shard.error}`).join('; ')})`,
+      retryable: false,
+      duration,
+      cost
+    };
+  }
+
+  const last = succeeded[succeeded.length - 1].result;
+  return {
+    ...last,
+    success: true,
+    duration,
+    cost,
+    shards: shardResults.map(shard => ({ shard: shard.index + 1, success: shard.success }))
+  };
+};
+
+/**
+ * [목적] 세션 예산 소진으로 중단된 에러인지 판별 (runSingleAgent가 던진 것 포함).
+ */
+const isBudgetDeferral = (error) => error?.type === 'budget' && error.context?.budgetExhausted === true;
+
+/**
+ * [목적] 세션 예산 소진 시 에이전트를 pending으로 되돌리고 세션을 budget_exhausted로 표시.
+ *
+ * [호출자]
+ * - runSingleAgent() (시작 전 확인, 실행 중 예산 소진)
+ *
+ * [반환값]
+ * - Promise<PentestError>: 호출자가 throw할 'budget' 에러 (context.errorResult.deferred = true)
+ *
+ * [주의사항]
+ * - failed로 표시하지 않으므로 더 큰 예산으로 재개하면 이 에이전트부터 다시 실행됨
+ */
+const deferAgentForBudget = async (agentName, session, reason) => {
+  const { markAgentDeferred } = await import('./session-manager.js');
+  await markAgentDeferred(session.id, agentName);
+  await getBudgetTracker(session.id)?.flush();
+  console.log(chalk.yellow(`💸 Agent '${agentName}' deferred: ${reason} exhausted`));
+
+  const errorResult = Object.freeze({
+    success: false,
+    deferred: true,
+    agentName,
+    error: {
+      message: `Budget exhausted: ${reason}`,
+      type: 'budget',
+      retryable: false
+    },
+    failedAt: getLocalISOString(),
+    context: {
+      targetRepo: session.targetRepo,
+      promptName: getAgentPromptName(agentName),
+      sessionId: session.id
+    }
+  });
+
+  return new PentestError(
+    `Agent '${agentName}' deferred: ${reason} exhausted`,
+    'budget',
+    false,
+    { agentName, sessionId: session.id, budgetExhausted: true, reason, errorResult }
+  );
+};
+
 // Run a single agent with retry logic and checkpointing
 /**
  * [목적] 단일 에이전트를 검증/체크포인트/에러처리 포함 실행.
@@ -351,13 +523,14 @@ const rollbackGitToCommit = async (targetRepo, commitHash) => {
  *
  * [에러 처리]
  * - 검증/실행 실패 시 PentestError 발생
+ * - 세션 예산 소진 시 에이전트를 pending으로 남기고 PentestError('budget', context.budgetExhausted) 발생
  */
 const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadPrompt, allowRerun = false, skipWorkspaceClean = false, queueData = null, skipGit = false, caps = null) => {
   // Validate agent first
   const agent = validateAgent(agentName);
 
   // Check if this agent should be skipped based on global config
-  if (agentName.includes('-exploit')) {
+  if (agent.kind === 'exploit') {
     const { config } = await import('./config/env.js');
     if (config.dokodemodoor.skipExploitation) {
       console.log(chalk.yellow(`⏭️  Skipping exploit agent '${agentName}' (DOKODEMODOOR_SKIP_EXPLOITATION=true)`));
@@ -374,6 +547,26 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
     }
   }
 
+  // Session budget: leave the agent pending when exhausted; drop low-priority agents under pressure
+  const budget = await attachBudget(session);
+  const budgetState = budget.check();
+  if (budgetState.exhausted) {
+    throw await deferAgentForBudget(agentName, session, budgetState.reason);
+  }
+  if (agent.priority === 'low' && budgetState.ratio >= budget.limits.lowPriorityRatio) {
+    console.log(chalk.yellow(`⏭️  Skipping low-priority agent '${agentName}' (${Math.round(budgetState.ratio * 100)}% of budget used)`));
+    const { markAgentSkipped } = await import('./session-manager.js');
+    await markAgentSkipped(session.id, agentName);
+    return Object.freeze({
+      success: true,
+      agentName,
+      result: { skipped: true, reason: 'budget' },
+      timing: 0,
+      cost: 0,
+      completedAt: getLocalISOString()
+    });
+  }
+
   console.log(chalk.cyan(`\n🤖 Running agent: ${agent.displayName}`));
 
   // Mark agent as running for status visibility
@@ -442,7 +635,7 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
   };
 
   // Add queue data for exploitation agents
-  if (queueData && agentName.includes('-exploit')) {
+  if (queueData && agent.kind === 'exploit') {
     variables.vulnerabilities = queueData.vulnerabilities || [];
     variables.vulnerabilityCount = (queueData.vulnerabilities || []).length;
     variables.queueSummary = JSON.stringify(queueData, null, 2);
@@ -522,7 +715,7 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
     }
 
     // Load and run the appropriate prompt
-    let promptName = getPromptName(agentName);
+    let promptName = getAgentPromptName(agentName);
     const prompt = await loadPrompt(promptName, variables, distributedConfig);
 
     // Special pre-processing for report agent - assemble and prepare inputs
@@ -543,35 +736,12 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
       await runLoginCheckIfConfigured(session, runAgentPromptWithRetry, loadPrompt);
     }
 
-    // Get color function for this agent
-    const getAgentColor = (agentName) => {
-      const colorMap = {
-        'sqli-vuln': chalk.red,
-        'codei-vuln': chalk.red,
-        'ssti-vuln': chalk.red,
-        'pathi-vuln': chalk.red,
-        'sqli-exploit': chalk.red,
-        'codei-exploit': chalk.red,
-        'ssti-exploit': chalk.red,
-        'pathi-exploit': chalk.red,
-        'xss-vuln': chalk.yellow,
-        'xss-exploit': chalk.yellow,
-        'auth-vuln': chalk.blue,
-        'auth-exploit': chalk.blue,
-        'ssrf-vuln': chalk.magenta,
-        'ssrf-exploit': chalk.magenta,
-        'authz-vuln': chalk.green,
-        'authz-exploit': chalk.green,
-        'recon-verify': chalk.blueBright,
-        'api-fuzzer': chalk.cyanBright
-      };
-
-      return colorMap[agentName] || chalk.cyan;
-    };
+    // Get color function for this agent (pipeline `color`, default cyan)
+    const agentColor = (agent.color && chalk[agent.color]) || chalk.cyan;
 
     // Targeted Context Injection: Prefer compact Context Packs over full deliverables to avoid context explosion.
     let targetedContext = '';
-    if (agentName.includes('-vuln') || agentName.includes('-exploit') || agentName === 'api-fuzzer') {
+    if (agent.kind || agentName === 'api-fuzzer') {
       const deliverablesDir = path.join(targetRepo, 'deliverables');
       const contextDir = path.join(deliverablesDir, '_context');
       try {
@@ -597,8 +767,8 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
       }
 
       // 2) Existing vulnerability queue (cumulative mode) - inject only a bounded preview
-      if (agentName.includes('-vuln')) {
-        const vulnType = agentName.replace('-vuln', '');
+      if (agent.kind === 'vuln') {
+        const vulnType = agent.category;
         const queuePath = path.join(deliverablesDir, `${vulnType}_exploitation_queue.json`);
         if (await fs.pathExists(queuePath)) {
           try {
@@ -629,17 +799,28 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
     }
 
 
-    const result = await runAgentPromptWithRetry(
-      prompt,
-      targetRepo,
-      '*',
-      targetedContext, // Injected targeted findings
-      AGENTS[agentName].displayName,
-      agentName,  // Pass agent name for snapshot creation
-      getAgentColor(agentName),  // Pass color function for this agent
-      { id: session.id, webUrl: session.webUrl, repoPath: session.repoPath },  // Session metadata for audit logging
-      { skipGit, caps }  // 병렬 phase에서는 git 비활성화; caps는 페이즈별 동적 상한
-    );
+    // 큰 큐는 샤드별 별도 실행(각자 turn 예산)으로 나눈 뒤 증거를 병합
+    const { config: envConfig } = await import('./config/env.js');
+    const shards = agent.kind === 'exploit'
+      ? splitQueueIntoShards(queueData, envConfig.dokodemodoor.exploitShardSize)
+      : [];
+
+    const result = shards.length > 0
+      ? await runExploitShards({
+        agentName, shards, queueData, variables, promptName, distributedConfig, targetedContext,
+        agentColor, session, targetRepo, runAgentPromptWithRetry, loadPrompt, skipGit, caps
+      })
+      : await runAgentPromptWithRetry(
+        prompt,
+        targetRepo,
+        '*',
+        targetedContext, // Injected targeted findings
+        AGENTS[agentName].displayName,
+        agentName,  // Pass agent name for snapshot creation
+        agentColor,  // Pass color function for this agent
+        { id: session.id, webUrl: session.webUrl, repoPath: session.repoPath },  // Session metadata for audit logging
+        { skipGit, caps }  // 병렬 phase에서는 git 비활성화; caps는 페이즈별 동적 상한
+      );
 
     if (!result.success) {
       throw new PentestError(
@@ -663,6 +844,40 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
       }
     }
 
+    // Render the client-facing HTML/DOCX reports before completion archives deliverables/
+    if (agentName === 'report') {
+      try {
+        const { writeHtmlReports } = await import('./phases/html-report.js');
+        const outputs = await writeHtmlReports({
+          label: session.id.substring(0, 8),
+          sessionId: session.id,
+          webUrl: session.webUrl,
+          targetRepo,
+          deliverablesDir: path.join(targetRepo, 'deliverables')
+        });
+        for (const output of outputs) {
+          console.log(chalk.green(`   ✅ HTML report saved to ${output.outputPath}`));
+        }
+      } catch (err) {
+        console.log(chalk.yellow(`   ⚠️  Warning: Could not render HTML report: ${err.message}`));
+      }
+      try {
+        const { writeDocxReports } = await import('./phases/docx-report.js');
+        const outputs = await writeDocxReports({
+          label: session.id.substring(0, 8),
+          sessionId: session.id,
+          webUrl: session.webUrl,
+          targetRepo,
+          deliverablesDir: path.join(targetRepo, 'deliverables')
+        });
+        for (const output of outputs) {
+          console.log(chalk.green(`   ✅ DOCX report saved to ${output.outputPath}`));
+        }
+      } catch (err) {
+        console.log(chalk.yellow(`   ⚠️  Warning: Could not render DOCX report: ${err.message}`));
+      }
+    }
+
 
     // Get commit hash for checkpoint (prefer hash returned by agent execution)
     const commitHash = result.checkpoint || await getGitCommitHash(targetRepo);
@@ -671,9 +886,9 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
     timingData = result.duration;
     costData = result.cost || 0;
 
-    if (agentName.includes('-vuln')) {
-      // Extract vulnerability type from agent name (e.g., 'injection-vuln' -> 'injection')
-      const vulnType = agentName.replace('-vuln', '');
+    if (agent.kind === 'vuln') {
+      // Vulnerability type comes from the pipeline category (e.g., 'sqli-vuln' -> 'sqli')
+      const vulnType = agent.category;
       try {
         const { safeValidateQueueAndDeliverable } = await import('./queue-validation.js');
         const validation = await safeValidateQueueAndDeliverable(vulnType, targetRepo);
@@ -735,6 +950,11 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
     });
 
   } catch (error) {
+    // Out of session budget: keep the agent pending so a resume with a larger budget re-runs it
+    if (error?.type === 'budget' && error.context?.scope === 'session') {
+      throw await deferAgentForBudget(agentName, session, error.context.reason);
+    }
+
     // Mark agent as failed
     await markAgentFailed(session.id, agentName);
 
@@ -759,7 +979,7 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
       failedAt: getLocalISOString(),
       context: {
         targetRepo,
-        promptName: getPromptName(agentName),
+        promptName: getAgentPromptName(agentName),
         sessionId: session.id
       }
     });
@@ -778,6 +998,8 @@ const runSingleAgent = async (agentName, session, runAgentPromptWithRetry, loadP
     );
 
     throw enhancedError;
+  } finally {
+    await budget.flush();
   }
 };
 
@@ -829,12 +1051,13 @@ const runAgentRange = async (startAgent, endAgent, session, runAgentPromptWithRe
  * [목적] 취약점 분석 에이전트를 스태거드 병렬 실행.
  *
  * [호출자]
- * - runPhase() when phase is vulnerability-analysis.
+ * - runPhase() for phases with runner 'vuln' (vulnerability-analysis).
  *
  * [출력 대상]
  * - Returns { completed, failed } arrays.
  *
  * [입력 파라미터]
+ * - phaseName (string): runner가 vuln인 단계
  * - session (object)
  * - runAgentPromptWithRetry (function)
  * - loadPrompt (function)
@@ -842,12 +1065,12 @@ const runAgentRange = async (startAgent, endAgent, session, runAgentPromptWithRe
  * [반환값]
  * - Promise<object>
  */
-const runParallelVuln = async (session, runAgentPromptWithRetry, loadPrompt) => {
+const runParallelVuln = async (phaseName, session, runAgentPromptWithRetry, loadPrompt) => {
   const { getSession } = await import('./session-manager.js');
   const freshSession = await getSession(session.id);
   const currentSession = freshSession || session;
 
-  const vulnAgents = PHASES['vulnerability-analysis'];
+  const vulnAgents = PHASES[phaseName];
   const activeAgents = vulnAgents.filter(agent => !currentSession.completedAgents.includes(agent));
 
   if (activeAgents.length === 0) {
@@ -863,7 +1086,7 @@ const runParallelVuln = async (session, runAgentPromptWithRetry, loadPrompt) =>
   const { config } = await import('./config/env.js');
   const parallelLimit = config.dokodemodoor.parallelLimit || 5;
 
-  const phaseCaps = await ensureScopeSizeAndCaps(currentSession, 'vulnerability-analysis');
+  const phaseCaps = await ensureScopeSizeAndCaps(currentSession, phaseName);
   if (phaseCaps) {
     console.log(chalk.gray(`    📐 Scope caps: fileOpen=${phaseCaps.fileOpenCap}, search=${phaseCaps.searchCap}`));
   }
@@ -887,9 +1110,37 @@ const runParallelVuln = async (session, runAgentPromptWithRetry, loadPrompt) =>
   const targetRepo = currentSession.targetRepo;
   if (targetRepo) {
     const { commitPhaseResults } = await import('./utils/git-manager.js');
-    await commitPhaseResults(targetRepo, 'vulnerability-analysis');
+    await commitPhaseResults(targetRepo, phaseName);
   }
 
+  return printVulnResults(results, activeAgents, totalDuration);
+};
+
+/**
+ * [목적] Semaphore.map() 형식 결과에서 예산 소진으로 미뤄진 에이전트의 errorResult 추출.
+ * @returns {object|null}
+ */
+const getDeferredResult = (result) => {
+  if (result.status === 'fulfilled') return null;
+  const data = result.reason?.context?.errorResult || result.reason;
+  return data?.deferred ? data : null;
+};
+
+/**
+ * [목적] 취약점 분석 결과 표 출력 및 completed/failed 분류.
+ *
+ * [호출자]
+ * - runParallelVuln(), runStreamedPhases()
+ *
+ * [입력 파라미터]
+ * - results (Array): Semaphore.map() 형식({ status, value|reason })의 결과
+ * - activeAgents (string[]): 이번 실행에서 시작한 에이전트
+ * - totalDuration (number): ms
+ *
+ * [반환값]
+ * - object: { completed, failed, deferred }
+ */
+const printVulnResults = (results, activeAgents, totalDuration) => {
   // Process and display results in a nice table
   console.log(chalk.cyan('\n📊 Vulnerability Analysis Results'));
   console.log(chalk.gray('─'.repeat(80)));
@@ -900,13 +1151,18 @@ const runParallelVuln = async (session, runAgentPromptWithRetry, loadPrompt) =>
 
   const completed = [];
   const failed = [];
+  const deferred = [];
 
   results.forEach((result) => {
+    const deferredResult = getDeferredResult(result);
     // Use agentName from the result itself — safe regardless of execution order
-    const agentName = result.status === 'fulfilled' ? result.value.agentName : (result.reason?.agentName || 'unknown');
+    const agentName = result.status === 'fulfilled' ? result.value.agentName : (result.reason?.agentName || deferredResult?.agentName || 'unknown');
     const agentDisplay = agentName.padEnd(22);
 
-    if (result.status === 'fulfilled' && result.value.success) {
+    if (deferredResult) {
+      deferred.push(agentName);
+      console.log(`${chalk.yellow(agentDisplay)} ${chalk.yellow('⏸ Budget ')}     -  -        -           -`);
+    } else if (result.status === 'fulfilled' && result.value.success) {
       const data = result.value;
       completed.push(agentName);
 
@@ -942,8 +1198,83 @@ const runParallelVuln = async (session, runAgentPromptWithRetry, loadPrompt) =>
 
   console.log(chalk.gray('─'.repeat(80)));
   console.log(chalk.cyan(`Summary: ${completed.length}/${activeAgents.length} succeeded in ${formatDuration(totalDuration)}`));
+  if (deferred.length > 0) {
+    console.log(chalk.yellow(`💸 ${deferred.length} agents deferred by the session budget (resume with a larger budget)`));
+  }
+
+  return { completed, failed, deferred };
+};
+
+/**
+ * [목적] 익스플로잇 에이전트 실행 자격 판정 (대응 vuln 에이전트 완료 + 큐에 취약점 존재).
+ *
+ * [호출자]
+ * - runParallelExploit(), runStreamedPhases()
+ *
+ * [입력 파라미터]
+ * - agentName (string): *-exploit 에이전트
+ * - session (object): 최신 세션 (completedAgents/failedAgents 참조)
+ *
+ * [반환값]
+ * - Promise<object>: { agentName, eligible, pending? } (pending: vuln 에이전트가 아직 실행되지 않음)
+ */
+const checkExploitEligibility = async (agentName, session) => {
+  const { safeValidateQueueAndDeliverable } = await import('./queue-validation.js');
+  const { category } = AGENTS[agentName];
+  const vulnAgentName = getVulnCounterpart(agentName);
+
+  // Must have completed the vulnerability analysis successfully
+  if (!session.completedAgents.includes(vulnAgentName)) {
+    if (session.failedAgents.includes(vulnAgentName)) {
+      console.log(chalk.red(`✗ ${agentName} ineligible (vulnerability analysis '${vulnAgentName}' failed)`));
+      return { agentName, eligible: false };
+    }
+    console.log(chalk.gray(`Skipping ${agentName} (dependency '${vulnAgentName}' not completed)`));
+    return { agentName, eligible: false, pending: true };
+  }
+
+  // Check if vulnerabilities were found by validating the queue file
+  const validation = await safeValidateQueueAndDeliverable(category, session.targetRepo);
+
+  if (!validation.success) {
+    console.log(chalk.red(`✗ ${agentName} ineligible (failed to validate queue for '${vulnAgentName}': ${validation.error?.message || 'invalid format'})`));
+    return { agentName, eligible: false };
+  }
 
-  return { completed, failed };
+  if (!validation.data.shouldExploit) {
+    console.log(chalk.gray(`Skipping ${agentName} (no vulnerabilities found in ${vulnAgentName})`));
+    return { agentName, eligible: false };
+  }
+
+  console.log(chalk.blue(`✓ ${agentName} eligible (${validation.data.vulnerabilityCount} vulnerabilities from ${vulnAgentName})`));
+  return { agentName, eligible: true };
+};
+
+/**
+ * [목적] 익스플로잇 에이전트와 같은 category의 vuln 에이전트 이름 반환.
+ */
+const getVulnCounterpart = (exploitAgentName) => {
+  const { category } = AGENTS[exploitAgentName];
+  const vulnAgent = Object.values(AGENTS).find(a => a.kind === 'vuln' && a.category === category);
+  return vulnAgent ? vulnAgent.name : `${category}-vuln`;
+};
+
+/**
+ * [목적] 익스플로잇 에이전트에 주입할 큐 JSON 로드 (없거나 손상 시 null).
+ */
+const loadExploitQueue = async (agentName, targetRepo) => {
+  try {
+    const vulnType = AGENTS[agentName].category;
+    const queuePath = path.join(targetRepo, 'deliverables', `${vulnType}_exploitation_queue.json`);
+
+    if (await fs.pathExists(queuePath)) {
+      const queueContent = await fs.readFile(queuePath, 'utf8');
+      return JSON.parse(queueContent);
+    }
+  } catch (error) {
+    console.log(chalk.yellow(`    ⚠️  Failed to load queue for ${agentName}: ${error.message}`));
+  }
+  return null;
 };
 
 // Run exploitation agents in parallel
@@ -951,12 +1282,13 @@ const runParallelVuln = async (session, runAgentPromptWithRetry, loadPrompt) =>
  * [목적] 자격 검증 후 익스플로잇 에이전트를 병렬 실행.
  *
  * [호출자]
- * - runPhase() when phase is exploitation.
+ * - runPhase() for phases with runner 'exploit' (exploitation).
  *
  * [출력 대상]
  * - Returns { completed, failed } arrays.
  *
  * [입력 파라미터]
+ * - phaseName (string): runner가 exploit인 단계
  * - session (object)
  * - runAgentPromptWithRetry (function)
  * - loadPrompt (function)
@@ -967,57 +1299,27 @@ const runParallelVuln = async (session, runAgentPromptWithRetry, loadPrompt) =>
  * [부작용]
  * - Reads queue files to determine eligibility.
  */
-const runParallelExploit = async (session, runAgentPromptWithRetry, loadPrompt) => {
-  const exploitAgents = PHASES['exploitation'];
+const runParallelExploit = async (phaseName, session, runAgentPromptWithRetry, loadPrompt) => {
+  const exploitAgents = PHASES[phaseName];
 
   // Get fresh session data to ensure we have the latest vulnerability analysis results
   // This prevents race conditions where parallel vuln agents haven't updated session state yet
   const { getSession } = await import('./session-manager.js');
   const freshSession = await getSession(session.id);
 
-  // Load validation module
-  const { safeValidateQueueAndDeliverable } = await import('./queue-validation.js');
-
   // Only run exploit agents whose vuln counterparts completed successfully AND found vulnerabilities
   const eligibilityChecks = await Promise.all(
-    exploitAgents.map(async (agentName) => {
-      const vulnAgentName = agentName.replace('-exploit', '-vuln');
-
-      // Must have completed the vulnerability analysis successfully
-      if (!freshSession.completedAgents.includes(vulnAgentName)) {
-        if (freshSession.failedAgents.includes(vulnAgentName)) {
-          console.log(chalk.red(`✗ ${agentName} ineligible (vulnerability analysis '${vulnAgentName}' failed)`));
-        } else {
-          console.log(chalk.gray(`Skipping ${agentName} (dependency '${vulnAgentName}' not completed)`));
-        }
-        return { agentName, eligible: false };
-      }
-
-      // Check if vulnerabilities were found by validating the queue file
-      const vulnType = vulnAgentName.replace('-vuln', '');
-      const validation = await safeValidateQueueAndDeliverable(vulnType, freshSession.targetRepo);
-
-      if (!validation.success) {
-        console.log(chalk.red(`✗ ${agentName} ineligible (failed to validate queue for '${vulnAgentName}': ${validation.error?.message || 'invalid format'})`));
-        return { agentName, eligible: false };
-      }
-
-      if (!validation.data.shouldExploit) {
-        console.log(chalk.gray(`Skipping ${agentName} (no vulnerabilities found in ${vulnAgentName})`));
-        return { agentName, eligible: false };
-      }
-
-      console.log(chalk.blue(`✓ ${agentName} eligible (${validation.data.vulnerabilityCount} vulnerabilities from ${vulnAgentName})`));
-      return { agentName, eligible: true };
-    })
+    exploitAgents.map(agentName => checkExploitEligibility(agentName, freshSession))
   );
 
   const eligibleAgents = eligibilityChecks
     .filter(check => check.eligible)
     .map(check => check.agentName);
 
+  // Agents waiting on a budget-deferred vuln agent stay pending for the resume
+  const budgetExhausted = getBudgetTracker(freshSession.id)?.check().exhausted;
   const ineligibleAgents = eligibilityChecks
-    .filter(check => !check.eligible)
+    .filter(check => !check.eligible && !(check.pending && budgetExhausted))
     .map(check => check.agentName);
 
   // Mark ineligible agents as skipped in the session store to satisfy prerequisites
@@ -1058,18 +1360,7 @@ const runParallelExploit = async (session, runAgentPromptWithRetry, loadPrompt)
 
   const results = await sem.map(activeAgents, async (agentName) => {
     // Load queue data for this exploitation agent
-    let queueData = null;
-    try {
-      const vulnType = agentName.replace('-exploit', '');
-      const queuePath = path.join(freshSession.targetRepo, 'deliverables', `${vulnType}_exploitation_queue.json`);
-
-      if (await fs.pathExists(queuePath)) {
-        const queueContent = await fs.readFile(queuePath, 'utf8');
-        queueData = JSON.parse(queueContent);
-      }
-    } catch (error) {
-      console.log(chalk.yellow(`    ⚠️  Failed to load queue for ${agentName}: ${error.message}`));
-    }
+    const queueData = await loadExploitQueue(agentName, freshSession.targetRepo);
 
     console.log(chalk.gray(`    ▶ Starting: ${agentName}`));
     const result = await runSingleAgent(agentName, freshSession, runAgentPromptWithRetry, loadPrompt, false, true, queueData, true, null);
@@ -1083,133 +1374,157 @@ const runParallelExploit = async (session, runAgentPromptWithRetry, loadPrompt)
   const targetRepo = freshSession.targetRepo;
   if (targetRepo) {
     const { commitPhaseResults } = await import('./utils/git-manager.js');
-    await commitPhaseResults(targetRepo, 'exploitation');
+    await commitPhaseResults(targetRepo, phaseName);
   }
 
-  // Process and display results in a nice table
-  console.log(chalk.cyan('\n🎯 Exploitation Results'));
-  console.log(chalk.gray('─'.repeat(80)));
+  return printExploitResults(results, activeAgents, freshSession.targetRepo, totalDuration);
+};
 
-  // Table header
-  console.log(chalk.bold('Agent                  Status     Result Attempt  Duration    Cost'));
-  console.log(chalk.gray('─'.repeat(80)));
+// Helper function to validate exploitation evidence
+/**
+ * [목적] 익스플로잇 증거 출력 유효성 검증.
+ *
+ * [호출자]
+ * - printExploitResults() when summarizing exploit results.
+ *
+ * [출력 대상]
+ * - Returns validation status/result/reason.
+ *
+ * [입력 파라미터]
+ * - agentName (string)
+ * - sourceDir (string)
+ *
+ * [반환값]
+ * - Promise<object>
+ *
+ * [부작용]
+ * - Reads evidence files from deliverables/.
+ */
+const validateExploitationEvidence = async (agentName, sourceDir) => {
+  // Check if exploitation was skipped globally
+  // When DOKODEMODOOR_SKIP_EXPLOITATION=true, agents are marked as completed
+  // but no actual exploitation is performed, so we return a success status
+  // to allow report generation to proceed
+  const { config } = await import('./config/env.js');
+  if (config.dokodemodoor.skipExploitation) {
+    return {
+      success: true,
+      result: 'Skipped',
+      reason: 'Exploitation phase skipped per configuration'
+    };
+  }
 
-  const completed = [];
-  const failed = [];
+  const vulnType = AGENTS[agentName].category;
+  const jsonEvidenceFile = path.join(sourceDir, 'deliverables', `${vulnType}_exploitation_evidence.json`);
+  const mdEvidenceFile = path.join(sourceDir, 'deliverables', `${vulnType}_exploitation_evidence.md`);
 
-  // Helper function to validate exploitation evidence
-  /**
-   * [목적] 익스플로잇 증거 출력 유효성 검증.
-   *
-   * [호출자]
-   * - runParallelExploit() when summarizing exploit results.
-   *
-   * [출력 대상]
-   * - Returns validation status/result/reason.
-   *
-   * [입력 파라미터]
-   * - agentName (string)
-   * - sourceDir (string)
-   *
-   * [반환값]
-   * - Promise<object>
-   *
-   * [부작용]
-   * - Reads evidence files from deliverables/.
-   */
-  const validateExploitationEvidence = async (agentName, sourceDir) => {
-    // Check if exploitation was skipped globally
-    // When DOKODEMODOOR_SKIP_EXPLOITATION=true, agents are marked as completed
-    // but no actual exploitation is performed, so we return a success status
-    // to allow report generation to proceed
-    const { config } = await import('./config/env.js');
-    if (config.dokodemodoor.skipExploitation) {
-      return {
-        success: true,
-        result: 'Skipped',
-        reason: 'Exploitation phase skipped per configuration'
-      };
+  try {
+    const jsonExists = await fs.pathExists(jsonEvidenceFile);
+    const mdExists = !jsonExists && await fs.pathExists(mdEvidenceFile);
+
+    if (!jsonExists && !mdExists) {
+      return { success: false, result: 'No Evidence', reason: 'Evidence file not created (.json or .md)' };
     }
 
-    const vulnType = agentName.replace('-exploit', '');
-    const jsonEvidenceFile = path.join(sourceDir, 'deliverables', `${vulnType}_exploitation_evidence.json`);
-    const mdEvidenceFile = path.join(sourceDir, 'deliverables', `${vulnType}_exploitation_evidence.md`);
+    const evidenceFile = jsonExists ? jsonEvidenceFile : mdEvidenceFile;
+    const isJson = jsonExists;
+    const evidenceContent = await fs.readFile(evidenceFile, 'utf8');
 
-    try {
-      const jsonExists = await fs.pathExists(jsonEvidenceFile);
-      const mdExists = !jsonExists && await fs.pathExists(mdEvidenceFile);
+    if (isJson) {
+      const { validateEvidenceJson } = await import('../mcp-server/src/validation/evidence-validator.js');
+      const validation = validateEvidenceJson(evidenceContent);
 
-      if (!jsonExists && !mdExists) {
-        return { success: false, result: 'No Evidence', reason: 'Evidence file not created (.json or .md)' };
+      if (!validation.valid) {
+        return { success: false, result: 'Invalid', reason: validation.message || 'Invalid evidence structure' };
       }
 
-      const evidenceFile = jsonExists ? jsonEvidenceFile : mdEvidenceFile;
-      const isJson = jsonExists;
-      const evidenceContent = await fs.readFile(evidenceFile, 'utf8');
+      const evidenceData = validation.data || JSON.parse(evidenceContent);
+      const vulnerabilities = Array.isArray(evidenceData.vulnerabilities)
+        ? evidenceData.vulnerabilities
+        : [];
 
-      if (isJson) {
-        const { validateEvidenceJson } = await import('../mcp-server/src/validation/evidence-validator.js');
-        const validation = validateEvidenceJson(evidenceContent);
+      if (vulnerabilities.length === 0) {
+        return { success: true, result: 'No Vulns', reason: 'No vulnerabilities evidenced' };
+      }
 
-        if (!validation.valid) {
-          return { success: false, result: 'Invalid', reason: validation.message || 'Invalid evidence structure' };
-        }
+      const exploitedCount = vulnerabilities.filter(vuln => vuln.verdict === 'EXPLOITED').length;
+      const blockedCount = vulnerabilities.filter(vuln => vuln.verdict === 'BLOCKED_BY_SECURITY').length;
+      const potentialCount = vulnerabilities.filter(vuln => vuln.verdict === 'POTENTIAL').length;
 
-        const evidenceData = validation.data || JSON.parse(evidenceContent);
-        const vulnerabilities = Array.isArray(evidenceData.vulnerabilities)
-          ? evidenceData.vulnerabilities
-          : [];
+      if (exploitedCount > 0) {
+        return { success: true, result: `${exploitedCount} Exploited`, reason: 'Successfully exploited vulnerabilities' };
+      }
+      if (blockedCount > 0) {
+        return { success: true, result: `${blockedCount} Blocked`, reason: 'Vulnerabilities were attempted but blocked by security controls' };
+      }
+      if (potentialCount > 0) {
+        return { success: true, result: 'Potential', reason: 'Potential vulnerabilities identified' };
+      }
+    } else {
+      // Fallback for Markdown evidence - check for EXPLOITED pattern
+      const exploitedMatch = evidenceContent.match(/verdict["']?\s*:\s*["']?EXPLOITED["']?/i) ||
+                            evidenceContent.match(/\[[✓x]\]\s*EXPLOITED/i) ||
+                            evidenceContent.includes('Verdict: EXPLOITED');
 
-        if (vulnerabilities.length === 0) {
-          return { success: true, result: 'No Vulns', reason: 'No vulnerabilities evidenced' };
-        }
+      if (exploitedMatch) {
+        return { success: true, result: 'Exploited', reason: 'Exploitation confirmed via Markdown pattern match' };
+      }
 
-        const exploitedCount = vulnerabilities.filter(vuln => vuln.verdict === 'EXPLOITED').length;
-        const blockedCount = vulnerabilities.filter(vuln => vuln.verdict === 'BLOCKED_BY_SECURITY').length;
-        const potentialCount = vulnerabilities.filter(vuln => vuln.verdict === 'POTENTIAL').length;
+      if (evidenceContent.includes('POTENTIAL')) {
+        return { success: true, result: 'Potential', reason: 'Potential vulnerability noted in Markdown' };
+      }
+    }
 
-        if (exploitedCount > 0) {
-          return { success: true, result: `${exploitedCount} Exploited`, reason: 'Successfully exploited vulnerabilities' };
-        }
-        if (blockedCount > 0) {
-          return { success: true, result: `${blockedCount} Blocked`, reason: 'Vulnerabilities were attempted but blocked by security controls' };
-        }
-        if (potentialCount > 0) {
-          return { success: true, result: 'Potential', reason: 'Potential vulnerabilities identified' };
-        }
-      } else {
-        // Fallback for Markdown evidence - check for EXPLOITED pattern
-        const exploitedMatch = evidenceContent.match(/verdict["']?\s*:\s*["']?EXPLOITED["']?/i) ||
-                              evidenceContent.match(/\[[✓x]\]\s*EXPLOITED/i) ||
-                              evidenceContent.includes('Verdict: EXPLOITED');
+    return { success: true, result: 'No Vulns', reason: 'No exploitable vulnerabilities found' };
+  } catch (error) {
+    return { success: false, result: 'Error', reason: `Failed to validate evidence: ${error.message}` };
+  }
+};
 
-        if (exploitedMatch) {
-          return { success: true, result: 'Exploited', reason: 'Exploitation confirmed via Markdown pattern match' };
-        }
+/**
+ * [목적] 익스플로잇 결과 표(증거 검증 포함) 출력 및 completed/failed 분류.
+ *
+ * [호출자]
+ * - runParallelExploit(), runStreamedPhases()
+ *
+ * [입력 파라미터]
+ * - results (Array): Semaphore.map() 형식({ status, value|reason })의 결과
+ * - activeAgents (string[]): 이번 실행에서 시작한 에이전트 (results와 같은 순서)
+ * - targetRepo (string)
+ * - totalDuration (number): ms
+ *
+ * [반환값]
+ * - Promise<object>: { completed, failed, deferred }
+ */
+const printExploitResults = async (results, activeAgents, targetRepo, totalDuration) => {
+  // Process and display results in a nice table
+  console.log(chalk.cyan('\n🎯 Exploitation Results'));
+  console.log(chalk.gray('─'.repeat(80)));
 
-        if (evidenceContent.includes('POTENTIAL')) {
-          return { success: true, result: 'Potential', reason: 'Potential vulnerability noted in Markdown' };
-        }
-      }
+  // Table header
+  console.log(chalk.bold('Agent                  Status     Result Attempt  Duration    Cost'));
+  console.log(chalk.gray('─'.repeat(80)));
 
-      return { success: true, result: 'No Vulns', reason: 'No exploitable vulnerabilities found' };
-    } catch (error) {
-      return { success: false, result: 'Error', reason: `Failed to validate evidence: ${error.message}` };
-    }
-  };
+  const completed = [];
+  const failed = [];
+  const deferred = [];
 
   for (let index = 0; index < results.length; index++) {
     const result = results[index];
+    const deferredResult = getDeferredResult(result);
     // Use agentName from the result itself — safe regardless of execution order
-    const agentName = result.status === 'fulfilled' ? result.value.agentName : (result.reason?.agentName || activeAgents[index] || 'unknown');
+    const agentName = result.status === 'fulfilled' ? result.value.agentName : (result.reason?.agentName || deferredResult?.agentName || activeAgents[index] || 'unknown');
     const agentDisplay = agentName.padEnd(22);
 
-    if (result.status === 'fulfilled' && result.value.success) {
+    if (deferredResult) {
+      deferred.push(agentName);
+      console.log(`${chalk.yellow(agentDisplay)} ${chalk.yellow('⏸ Budget ')}  -      -        -           -`);
+    } else if (result.status === 'fulfilled' && result.value.success) {
       const data = result.value;
       completed.push(agentName);
 
       // Validate exploitation evidence
-      const validation = await validateExploitationEvidence(agentName, freshSession.targetRepo);
+      const validation = await validateExploitationEvidence(agentName, targetRepo);
       const exploitResult = validation.result;
       const duration = formatDuration(data.timing || 0);
       const cost = `$${(data.cost || 0).toFixed(4)}`;
@@ -1257,8 +1572,146 @@ const runParallelExploit = async (session, runAgentPromptWithRetry, loadPrompt)
 
   console.log(chalk.gray('─'.repeat(80)));
   console.log(chalk.cyan(`Summary: ${completed.length}/${activeAgents.length} succeeded in ${formatDuration(totalDuration)}`));
+  if (deferred.length > 0) {
+    console.log(chalk.yellow(`💸 ${deferred.length} agents deferred by the session budget (resume with a larger budget)`));
+  }
+
+  return { completed, failed, deferred };
+};
+
+// Run vulnerability analysis and exploitation as one dependency-driven pool
+/**
+ * [목적] vuln → exploit 스트리밍 실행: 각 *-exploit 에이전트를 대응 *-vuln 완료·큐 검증 직후 시작.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs main() (runner: vuln 단계 바로 뒤에 runner: exploit 단계가 있을 때)
+ *
+ * [출력 대상]
+ * - 두 단계의 결과 표 출력, 종료 시 단일 git 커밋
+ *
+ * [입력 파라미터]
+ * - vulnPhaseName (string): runner가 vuln인 단계
+ * - exploitPhaseName (string): runner가 exploit인 단계
+ * - session (object)
+ * - runAgentPromptWithRetry (function)
+ * - loadPrompt (function)
+ *
+ * [반환값]
+ * - Promise<object>: { vuln: { completed, failed }, exploit: { completed, failed } }
+ *
+ * [주의사항]
+ * - vuln/exploit 에이전트가 하나의 Semaphore(parallelLimit)를 공유. 익스플로잇은 우선순위로 대기열 앞에 넣어
+ *   분석 결과가 나온 카테고리가 먼저 끝나도록 함
+ * - 대응 vuln이 이 단계에 없는 익스플로잇은 모든 vuln 종료 후 기존 규칙으로 판정
+ */
+export const runStreamedPhases = async (vulnPhaseName, exploitPhaseName, session, runAgentPromptWithRetry, loadPrompt) => {
+  const { getSession, markAgentSkipped } = await import('./session-manager.js');
+  const currentSession = await getSession(session.id) || session;
+
+  const vulnAgents = PHASES[vulnPhaseName];
+  const exploitAgents = PHASES[exploitPhaseName];
+  const activeVulnAgents = vulnAgents.filter(agent => !currentSession.completedAgents.includes(agent));
+
+  console.log(chalk.cyan(`\n🔀 Streaming ${vulnPhaseName} → ${exploitPhaseName}: each exploit agent starts as soon as its vuln agent's queue validates`));
+  console.log(chalk.gray('    Vuln specialists: ' + (activeVulnAgents.length > 0 ? activeVulnAgents.join(', ') : '(all completed)')));
+  console.log();
+
+  const startTime = Date.now();
+  const { config } = await import('./config/env.js');
+  const parallelLimit = config.dokodemodoor.parallelLimit || 5;
+
+  const phaseCaps = activeVulnAgents.length > 0 ? await ensureScopeSizeAndCaps(currentSession, vulnPhaseName) : null;
+  if (phaseCaps) {
+    console.log(chalk.gray(`    📐 Scope caps: fileOpen=${phaseCaps.fileOpenCap}, search=${phaseCaps.searchCap}`));
+  }
+
+  const { Semaphore } = await import('./utils/concurrency.js');
+  const sem = new Semaphore(parallelLimit);
+  console.log(chalk.gray(`    ⚡ Concurrency: max ${parallelLimit} agents in parallel (shared vuln + exploit pool)`));
+
+  const vulnResults = [];
+  const exploitResults = [];
+  const startedExploits = [];
+  const settledExploits = new Set();
+
+  // Session writes are serialized by session-manager; results are pushed in completion order
+  const runExploitIfEligible = async (exploitAgentName) => {
+    settledExploits.add(exploitAgentName);
+    const freshSession = await getSession(session.id);
+    if (freshSession.completedAgents.includes(exploitAgentName) || freshSession.skippedAgents.includes(exploitAgentName)) {
+      return;
+    }
+
+    const { eligible, pending } = await checkExploitEligibility(exploitAgentName, freshSession);
+    if (!eligible) {
+      // A vuln agent deferred by the session budget leaves its exploit agent pending for the resume
+      if (!(pending && getBudgetTracker(session.id)?.check().exhausted)) {
+        await markAgentSkipped(freshSession.id, exploitAgentName);
+      }
+      return;
+    }
+
+    startedExploits.push(exploitAgentName);
+    await sem.acquire(true);
+    try {
+      const queueData = await loadExploitQueue(exploitAgentName, freshSession.targetRepo);
+      console.log(chalk.gray(`    ▶ Starting: ${exploitAgentName}`));
+      const result = await runSingleAgent(exploitAgentName, freshSession, runAgentPromptWithRetry, loadPrompt, false, true, queueData, true, null);
+      console.log(chalk.gray(`    ◀ Finished: ${exploitAgentName}`));
+      exploitResults.push({ status: 'fulfilled', value: { agentName: exploitAgentName, ...result, attempts: result.attempts || 1 } });
+    } catch (reason) {
+      exploitResults.push({ status: 'rejected', reason: reason?.context?.errorResult || { agentName: exploitAgentName, error: reason } });
+    } finally {
+      sem.release();
+    }
+  };
+
+  const exploitsFor = (vulnAgentName) => exploitAgents.filter(agent => getVulnCounterpart(agent) === vulnAgentName);
+
+  const vulnTasks = vulnAgents.map(async (vulnAgentName) => {
+    if (activeVulnAgents.includes(vulnAgentName)) {
+      await sem.acquire();
+      try {
+        console.log(chalk.gray(`    ▶ Starting: ${vulnAgentName}`));
+        const result = await runSingleAgent(vulnAgentName, currentSession, runAgentPromptWithRetry, loadPrompt, false, true, null, true, phaseCaps);
+        console.log(chalk.gray(`    ◀ Finished: ${vulnAgentName}`));
+        vulnResults.push({ status: 'fulfilled', value: { agentName: vulnAgentName, ...result, attempts: 1 } });
+      } catch (reason) {
+        vulnResults.push({ status: 'rejected', reason: reason?.context?.errorResult || { agentName: vulnAgentName, error: reason } });
+      } finally {
+        sem.release();
+      }
+    }
+    await Promise.all(exploitsFor(vulnAgentName).map(runExploitIfEligible));
+  });
+  await Promise.all(vulnTasks);
+
+  // Exploit agents without a vuln counterpart in this phase (e.g. custom pipelines)
+  await Promise.all(exploitAgents.filter(agent => !settledExploits.has(agent)).map(runExploitIfEligible));
 
-  return { completed, failed };
+  const totalDuration = Date.now() - startTime;
+
+  // 스트리밍 완료 후 두 단계의 산출물을 한 번에 커밋
+  const targetRepo = currentSession.targetRepo;
+  if (targetRepo) {
+    const { commitPhaseResults } = await import('./utils/git-manager.js');
+    await commitPhaseResults(targetRepo, `${vulnPhaseName}+${exploitPhaseName}`);
+  }
+
+  const vuln = activeVulnAgents.length > 0
+    ? printVulnResults(vulnResults, activeVulnAgents, totalDuration)
+    : { completed: vulnAgents, failed: [] };
+
+  let exploit;
+  if (startedExploits.length > 0) {
+    const orderedExploitAgents = exploitResults.map(result => result.value?.agentName || result.reason?.agentName);
+    exploit = await printExploitResults(exploitResults, orderedExploitAgents, targetRepo, totalDuration);
+  } else {
+    console.log(chalk.gray('⏭️  No exploitation agents eligible (no vulnerabilities found)'));
+    exploit = { completed: [], failed: [] };
+  }
+
+  return { vuln, exploit };
 };
 
 // Run all agents in a phase
@@ -1286,12 +1739,15 @@ export const runPhase = async (phaseName, session, runAgentPromptWithRetry, load
   const freshSession = await getFreshSession(session.id);
   const currentSession = freshSession || session;
 
-  console.log(chalk.cyan(`\n📋 Running phase: ${phaseName} (parallel execution)`));
+  // Execution strategy comes from the pipeline definition (execution/runner)
+  validatePhase(phaseName);
+  const phase = getPipelinePhase(phaseName);
+
+  console.log(chalk.cyan(`\n📋 Running phase: ${phaseName} (${phase.execution} execution)`));
 
-  // Use parallel execution for both vulnerability-analysis and exploitation phases
-  if (phaseName === 'vulnerability-analysis') {
+  if (phase.runner === 'vuln') {
     console.log(chalk.cyan('🚀 Using parallel execution for 5x faster vulnerability analysis'));
-    const results = await runParallelVuln(currentSession, runAgentPromptWithRetry, loadPrompt);
+    const results = await runParallelVuln(phaseName, currentSession, runAgentPromptWithRetry, loadPrompt);
 
     if (results.failed.length > 0) {
       console.log(chalk.yellow(`⚠️  ${results.failed.length} agents failed, but phase continues`));
@@ -1304,7 +1760,7 @@ export const runPhase = async (phaseName, session, runAgentPromptWithRetry, load
     return;
   }
 
-  if (phaseName === 'exploitation') {
+  if (phase.runner === 'exploit') {
     // Check if exploitation should be skipped (e.g., for local LLM performance constraints)
     const { config } = await import('./config/env.js');
     if (config.dokodemodoor.skipExploitation) {
@@ -1313,7 +1769,7 @@ export const runPhase = async (phaseName, session, runAgentPromptWithRetry, load
       console.log(chalk.gray('   All exploitation agents will be marked as skipped'));
 
       const { markAgentSkipped } = await import('./session-manager.js');
-      const exploitAgents = PHASES['exploitation'];
+      const exploitAgents = PHASES[phaseName];
       const skipped = [];
 
       // Mark as skipped sequentially to ensure session store stability
@@ -1327,7 +1783,7 @@ export const runPhase = async (phaseName, session, runAgentPromptWithRetry, load
     }
 
     console.log(chalk.cyan('🎯 Using parallel execution for 5x faster exploitation'));
-    const results = await runParallelExploit(currentSession, runAgentPromptWithRetry, loadPrompt);
+    const results = await runParallelExploit(phaseName, currentSession, runAgentPromptWithRetry, loadPrompt);
 
     if (results.failed.length > 0) {
       console.log(chalk.yellow(`⚠️  ${results.failed.length} agents failed, but phase continues`));
@@ -1340,7 +1796,7 @@ export const runPhase = async (phaseName, session, runAgentPromptWithRetry, load
     return;
   }
 
-  if (phaseName === 'reconnaissance') {
+  if (phase.agents.includes('login-check')) {
     await runLoginCheckIfConfigured(currentSession, runAgentPromptWithRetry, loadPrompt);
 
     // Reload session AGAIN after login-check because it modifies session.completedAgents
@@ -1351,10 +1807,10 @@ export const runPhase = async (phaseName, session, runAgentPromptWithRetry, load
     }
   }
 
-  // For other phases (pre-reconnaissance, reconnaissance, reporting), run agents sequentially
+  // For sequential phases (pre-reconnaissance, reconnaissance, reporting, ...), run agents in order
   const agents = validatePhase(phaseName);
   let phaseCaps = null;
-  if (phaseName === 'pre-reconnaissance' || phaseName === 'reconnaissance') {
+  if (phase.scopeCaps) {
     phaseCaps = await ensureScopeSizeAndCaps(currentSession, phaseName);
     if (phaseCaps) {
       console.log(chalk.gray(`📐 Scope caps for ${phaseName}: fileOpen=${phaseCaps.fileOpenCap}, search=${phaseCaps.searchCap}`));
@@ -1366,8 +1822,14 @@ export const runPhase = async (phaseName, session, runAgentPromptWithRetry, load
       console.log(chalk.gray(`⏭️  Agent '${agent.name}' already completed, skipping`));
       continue;
     }
-    const result = await runSingleAgent(agent.name, currentSession, runAgentPromptWithRetry, loadPrompt, false, false, null, false, phaseCaps);
-    results.push(result);
+    try {
+      const result = await runSingleAgent(agent.name, currentSession, runAgentPromptWithRetry, loadPrompt, false, false, null, false, phaseCaps);
+      results.push(result);
+    } catch (error) {
+      if (!isBudgetDeferral(error)) throw error;
+      console.log(chalk.yellow(`💸 Phase '${phaseName}' stopped by the session budget; remaining agents stay pending`));
+      return results;
+    }
   }
   console.log(chalk.green(`✅ Phase '${phaseName}' completed successfully`));
   return results;
@@ -1397,7 +1859,6 @@ export const rollbackTo = async (targetAgent, session) => {
   const agent = validateAgent(targetAgent);
 
   // 병렬 phase 에이전트에 대한 rollback-to는 의미가 모호함 (skipGit 모드에서 개별 커밋 없음)
-  const PARALLEL_PHASES = ['vulnerability-analysis', 'exploitation'];
   if (PARALLEL_PHASES.includes(agent.phase)) {
     console.log(chalk.yellow(`\n    ⚠️  '${targetAgent}'은(는) 병렬 실행 phase(${agent.phase})의 에이전트입니다.`));
     console.log(chalk.yellow(`    병렬 에이전트는 개별 Git 체크포인트가 없어 정확한 rollback이 불가능합니다.`));
@@ -1478,8 +1939,7 @@ export const rerunAgent = async (agentName, session, runAgentPromptWithRetry, lo
 
   const agent = validateAgent(agentName);
 
-  // 병렬 phase(vulnerability-analysis, exploitation) 에이전트 여부 판단
-  const PARALLEL_PHASES = ['vulnerability-analysis', 'exploitation'];
+  // 병렬 phase(PARALLEL_PHASES: vulnerability-analysis, exploitation 등) 에이전트 여부 판단
   const isParallelAgent = PARALLEL_PHASES.includes(agent.phase);
 
   if (cascade) {
@@ -1679,8 +2139,8 @@ export const displayStatus = async (session) => {
   console.log(`${chalk.bold('Session ID:')} ${chalk.gray(session.id)}`);
 
   // Overall status with progress bar
-  const statusIcon = status === 'completed' ? '✅' : status === 'failed' ? '❌' : '🔄';
-  const statusColor = status === 'completed' ? chalk.green : status === 'failed' ? chalk.red : chalk.blue;
+  const statusIcon = status === 'completed' ? '✅' : status === 'failed' ? '❌' : status === 'budget_exhausted' ? '💸' : '🔄';
+  const statusColor = status === 'completed' ? chalk.green : status === 'failed' ? chalk.red : status === 'budget_exhausted' ? chalk.yellow : chalk.blue;
 
   const barWidth = 30;
   const completedWidth = Math.round((completionPercentage / 100) * barWidth);
@@ -1696,6 +2156,12 @@ export const displayStatus = async (session) => {
     console.log(`${chalk.bold('Usage :')} ${chalk.gray(`📅 Last activity ${timeAgo}`)}`);
   }
 
+  if (session.budget?.usage) {
+    const { usage, exhausted } = session.budget;
+    const budgetLine = `${usage.totalTokens.toLocaleString()} tokens | $${usage.costUsd.toFixed(4)} | ${formatDuration(usage.elapsedMs)}`;
+    console.log(`${chalk.bold('Budget:')} ${exhausted ? chalk.yellow(`${budgetLine} (exhausted: ${exhausted.reason})`) : chalk.gray(budgetLine)}`);
+  }
+
   if (session.configFile) {
     console.log(`${chalk.bold('Config:')} ${chalk.gray(session.configFile)}`);
   }
@@ -1826,7 +2292,11 @@ export const displayStatus = async (session) => {
   const nextAgent = getNextAgent(session);
   console.log(chalk.cyan('\n' + '='.repeat(60)));
 
-  if (nextAgent) {
+  if (status === 'budget_exhausted') {
+    console.log(chalk.bold.yellow('💸 BUDGET EXHAUSTED:'));
+    console.log(chalk.white(`   Stopped by the ${session.budget.exhausted.reason}. Raise DOKODEMODOOR_BUDGET_* (or \`budget:\` in the config)`));
+    console.log(chalk.white('   and re-run the same command to resume from ') + chalk.bold.green(nextAgent?.name || 'the next agent'));
+  } else if (nextAgent) {
     console.log(chalk.bold.yellow('👉 NEXT STEP:'));
     console.log(chalk.white(`   Run the next agent: `) + chalk.bold.green(`./dokodemodoor.mjs --run-agent ${nextAgent.name}`));
   } else if (status === 'completed') {
@@ -1843,50 +2313,36 @@ export const displayStatus = async (session) => {
 // List all available agents
 export const listAgents = () => {
   console.log(chalk.cyan('Available Agents:'));
+  console.log(chalk.gray(`Pipeline: ${path.relative(DOKODEMODOOR_ROOT, PIPELINE.file) || PIPELINE.file}`));
 
-  const phaseNames = Object.keys(PHASES);
-
-  phaseNames.forEach((phaseName, phaseIndex) => {
-    const phaseAgents = PHASES[phaseName];
-    const phaseDisplayName = phaseName.split('-').map(word =>
+  PIPELINE.phases.forEach((phase, phaseIndex) => {
+    const phaseDisplayName = phase.name.split('-').map(word =>
       word.charAt(0).toUpperCase() + word.slice(1)
     ).join(' ');
+    const executionLabel = phase.execution === 'parallel' ? chalk.gray(' (parallel)') : '';
 
-    console.log(chalk.yellow(`\nPhase ${phaseIndex + 1} - ${phaseDisplayName}:`));
+    console.log(chalk.yellow(`\nPhase ${phaseIndex + 1} - ${phaseDisplayName}:`) + executionLabel);
 
-    phaseAgents.forEach(agentName => {
+    phase.agents.forEach(agentName => {
       const agent = AGENTS[agentName];
-      console.log(chalk.white(`  ${agent.name.padEnd(18)} ${agent.displayName}`));
+      const prereqs = agent.prerequisites.length > 0 ? chalk.gray(` ← ${agent.prerequisites.join(', ')}`) : '';
+      console.log(chalk.white(`  ${agent.name.padEnd(18)} ${agent.displayName}`) + prereqs);
     });
   });
-};
 
-// Helper function to get prompt name from agent name
-const getPromptName = (agentName) => {
-  const mappings = {
-    'pre-recon': 'pre-recon-code',
-    'recon': 'recon',
-    'recon-verify': 'recon-verify',
-    'sqli-vuln': 'vuln-sqli',
-    'codei-vuln': 'vuln-codei',
-    'ssti-vuln': 'vuln-ssti',
-    'pathi-vuln': 'vuln-pathi',
-    'xss-vuln': 'vuln-xss',
-    'auth-vuln': 'vuln-auth',
-    'ssrf-vuln': 'vuln-ssrf',
-    'authz-vuln': 'vuln-authz',
-    'sqli-exploit': 'exploit-sqli',
-    'codei-exploit': 'exploit-codei',
-    'ssti-exploit': 'exploit-ssti',
-    'pathi-exploit': 'exploit-pathi',
-    'xss-exploit': 'exploit-xss',
-    'auth-exploit': 'exploit-auth',
-    'ssrf-exploit': 'exploit-ssrf',
-    'authz-exploit': 'exploit-authz',
-    'report': 'report-executive'
-  };
+  if (CATEGORY_PLUGINS.length > 0) {
+    console.log(chalk.yellow('\nCategory Plugins:'));
+    CATEGORY_PLUGINS.forEach(plugin => {
+      console.log(chalk.white(`  ${plugin.id.padEnd(18)} ${plugin.displayName}`) + chalk.gray(` (${plugin.dir.startsWith(DOKODEMODOOR_ROOT) ? path.relative(DOKODEMODOOR_ROOT, plugin.dir) : plugin.dir})`));
+    });
+  }
 
-  return mappings[agentName] || agentName;
+  if (PIPELINE.standalone.length > 0) {
+    console.log(chalk.yellow('\nStandalone Tools (External):'));
+    PIPELINE.standalone.flatMap(phase => phase.agents).forEach(agentName => {
+      console.log(chalk.white(`  ${agentName.padEnd(18)} ${AGENTS[agentName].displayName}`));
+    });
+  }
 };
 
 // Helper function to get time ago for specific agent
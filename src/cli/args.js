@@ -11,6 +11,28 @@ const DEVELOPER_COMMANDS = Object.freeze([
 
 const SETUP_ONLY_FLAG = '--setup-only';
 
+const PLAN_FLAG = '--plan';
+
+const BATCH_FLAG = '--batch';
+
+const DIFF_FLAG = '--diff';
+
+const EXPORT_SESSION_FLAG = '--export-session';
+
+const IMPORT_SESSION_FLAG = '--import-session';
+
+const MIGRATE_STORE_FLAG = '--migrate-store';
+
+const SARIF_FLAG = '--sarif';
+
+const HTML_REPORT_FLAG = '--html-report';
+
+const DOCX_REPORT_FLAG = '--docx-report';
+
+const CI_FLAG = '--ci';
+
+const GATE_FLAG = '--gate';
+
 const HELP_FLAGS = new Set(['--help', '-h', 'help']);
 
 /**
@@ -46,6 +68,27 @@ export const parseCliArgs = (args, { defaultDisableLoader } = {}) => {
     sessionId: null,
     disableLoader: Boolean(defaultDisableLoader),
     setupOnly: false,
+    plan: false,
+    planOutput: null,
+    batchFile: null,
+    batchConcurrency: null,
+    diffRefs: null,
+    diffOutput: null,
+    exportSession: null,
+    exportOutput: null,
+    importBundle: null,
+    importTargetRepo: null,
+    migrateStore: null,
+    sarifSource: null,
+    sarifOutput: null,
+    htmlReportSource: null,
+    htmlReportOutput: null,
+    docxReportSource: null,
+    docxReportOutput: null,
+    docxTemplate: null,
+    ciMode: false,
+    gateSource: null,
+    gateOutput: null,
     developerCommand: null,
     nonFlagArgs: [],
     showHelp: args.some(arg => HELP_FLAGS.has(arg)),
@@ -85,6 +128,209 @@ export const parseCliArgs = (args, { defaultDisableLoader } = {}) => {
       continue;
     }
 
+    if (arg === PLAN_FLAG) {
+      parsed.plan = true;
+      continue;
+    }
+
+    if (arg === '--plan-output') {
+      if (i + 1 >= args.length) {
+        parsed.error = '❌ --plan-output flag requires a file path';
+        break;
+      }
+      parsed.plan = true;
+      parsed.planOutput = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === BATCH_FLAG) {
+      if (i + 1 >= args.length) {
+        parsed.error = '❌ --batch flag requires a targets file (YAML or CSV)';
+        break;
+      }
+      parsed.batchFile = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--batch-concurrency') {
+      const value = Number.parseInt(args[i + 1], 10);
+      if (!Number.isInteger(value) || value < 1) {
+        parsed.error = '❌ --batch-concurrency flag requires a positive integer';
+        break;
+      }
+      parsed.batchConcurrency = value;
+      i += 1;
+      continue;
+    }
+
+    if (arg === DIFF_FLAG) {
+      const refs = args.slice(i + 1, i + 3);
+      if (refs.length < 2 || refs.some(isFlag)) {
+        parsed.error = '❌ --diff flag requires two session IDs (or deliverables directories): --diff <sessionA> <sessionB>';
+        break;
+      }
+      parsed.diffRefs = refs;
+      i += 2;
+      continue;
+    }
+
+    if (arg === '--diff-output') {
+      if (i + 1 >= args.length) {
+        parsed.error = '❌ --diff-output flag requires a file path';
+        break;
+      }
+      parsed.diffOutput = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === EXPORT_SESSION_FLAG) {
+      if (i + 1 >= args.length || isFlag(args[i + 1])) {
+        parsed.error = '❌ --export-session flag requires a session ID';
+        break;
+      }
+      parsed.exportSession = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--export-output') {
+      if (i + 1 >= args.length) {
+        parsed.error = '❌ --export-output flag requires a file path';
+        break;
+      }
+      parsed.exportOutput = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === IMPORT_SESSION_FLAG) {
+      if (i + 1 >= args.length || isFlag(args[i + 1])) {
+        parsed.error = '❌ --import-session flag requires a bundle file (.tar.gz)';
+        break;
+      }
+      parsed.importBundle = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--target-repo') {
+      if (i + 1 >= args.length) {
+        parsed.error = '❌ --target-repo flag requires a directory path';
+        break;
+      }
+      parsed.importTargetRepo = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === MIGRATE_STORE_FLAG) {
+      if (i + 1 >= args.length || isFlag(args[i + 1])) {
+        parsed.error = '❌ --migrate-store flag requires a target backend (json or sqlite)';
+        break;
+      }
+      parsed.migrateStore = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === SARIF_FLAG) {
+      if (i + 1 >= args.length || isFlag(args[i + 1])) {
+        parsed.error = '❌ --sarif flag requires a session ID or deliverables directory';
+        break;
+      }
+      parsed.sarifSource = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--sarif-output') {
+      if (i + 1 >= args.length) {
+        parsed.error = '❌ --sarif-output flag requires a file path';
+        break;
+      }
+      parsed.sarifOutput = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === HTML_REPORT_FLAG) {
+      if (i + 1 >= args.length || isFlag(args[i + 1])) {
+        parsed.error = '❌ --html-report flag requires a session ID or deliverables directory';
+        break;
+      }
+      parsed.htmlReportSource = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--html-output') {
+      if (i + 1 >= args.length) {
+        parsed.error = '❌ --html-output flag requires a file path';
+        break;
+      }
+      parsed.htmlReportOutput = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === DOCX_REPORT_FLAG) {
+      if (i + 1 >= args.length || isFlag(args[i + 1])) {
+        parsed.error = '❌ --docx-report flag requires a session ID or deliverables directory';
+        break;
+      }
+      parsed.docxReportSource = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--docx-output') {
+      if (i + 1 >= args.length) {
+        parsed.error = '❌ --docx-output flag requires a file path';
+        break;
+      }
+      parsed.docxReportOutput = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--docx-template') {
+      if (i + 1 >= args.length || isFlag(args[i + 1])) {
+        parsed.error = '❌ --docx-template flag requires a template YAML path';
+        break;
+      }
+      parsed.docxTemplate = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === CI_FLAG) {
+      parsed.ciMode = true;
+      continue;
+    }
+
+    if (arg === GATE_FLAG) {
+      if (i + 1 >= args.length || isFlag(args[i + 1])) {
+        parsed.error = '❌ --gate flag requires a session ID or deliverables directory';
+        break;
+      }
+      parsed.gateSource = args[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--gate-output') {
+      if (i + 1 >= args.length) {
+        parsed.error = '❌ --gate-output flag requires a file path';
+        break;
+      }
+      parsed.gateOutput = args[i + 1];
+      i += 1;
+      continue;
+    }
+
     if (DEVELOPER_COMMANDS.includes(arg)) {
       parsed.developerCommand = arg;
       const remainingArgs = args.slice(i + 1);
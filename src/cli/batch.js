@@ -0,0 +1,445 @@
+/**
+ * [목적] --batch 멀티 타깃 실행: 대상 목록 파일(YAML/CSV)의 각 { webUrl, repoPath, config }를 별도 세션으로 실행하고 타깃별 결과를 요약.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs (--batch <targets-file>)
+ *
+ * [출력]
+ * - batch-runs/<timestamp>/<nn>_<host>.log: 타깃별 콘솔 출력
+ * - batch-runs/<timestamp>/summary.md + summary.json: 타깃별 상태와 익스플로잇 판정 집계
+ *
+ * [주의사항]
+ * - 파이프라인은 전역 상태(콘솔 가로채기, process.exit, 시그널 핸들러)를 쓰므로 타깃마다 dokodemodoor.mjs 자식 프로세스로 실행
+ * - 동시 실행 수는 --batch-concurrency 또는 DOKODEMODOOR_BATCH_CONCURRENCY (각 타깃 안의 병렬 에이전트 수는 DOKODEMODOOR_PARALLEL_LIMIT 그대로)
+ * - 잘못된 항목이나 실패한 타깃은 요약에 기록하고 나머지 타깃은 계속 실행
+ * - 같은 레포 경로를 두 타깃이 공유하면 git 체크포인트가 충돌하므로 뒤 항목은 invalid 처리
+ */
+
+import { spawn } from 'node:child_process';
+import { fs, path } from 'zx';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+import { PentestError } from '../error-handling.js';
+import { loadConfig } from '../config/config-loader.js';
+import { config as envConfig } from '../config/env.js';
+import { getAgentNamesByRunner } from '../config/pipeline-loader.js';
+import { AGENTS, createSession, getSession, getSessionStatus } from '../session-manager.js';
+import { validateWebUrl, validateRepoPath } from './input-validator.js';
+import { Semaphore } from '../utils/concurrency.js';
+import { findSessionDeliverablesDir } from '../utils/findings.js';
+import { DOKODEMODOOR_ROOT, generateSessionIdentifier, formatDuration } from '../audit/utils.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+
+const BATCH_RUNS_DIR = path.join(DOKODEMODOOR_ROOT, 'batch-runs');
+const CLI_ENTRY = path.join(DOKODEMODOOR_ROOT, 'dokodemodoor.mjs');
+const REPORT_FILE = 'comprehensive_security_assessment_report.md';
+
+// Accepted column / key names per field (first match wins)
+const FIELD_ALIASES = Object.freeze({
+  name: ['name'],
+  webUrl: ['webUrl', 'web_url', 'url'],
+  repoPath: ['repoPath', 'repo_path', 'repo'],
+  config: ['config', 'configPath', 'config_path']
+});
+
+const VERDICTS = Object.freeze({
+  EXPLOITED: 'exploited',
+  BLOCKED_BY_SECURITY: 'blocked',
+  POTENTIAL: 'potential'
+});
+
+/**
+ * [목적] CSV 텍스트를 행 배열로 파싱 (따옴표 필드, "" 이스케이프, CRLF 지원).
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+/**
+ * [목적] 키 별칭을 정규 필드명으로 통일 (빈 문자열은 미지정).
+ */
+const normalizeEntry = (raw) => {
+  const entry = {};
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const key = aliases.find(alias => raw[alias] !== undefined && raw[alias] !== null && String(raw[alias]).trim() !== '');
+    entry[field] = key ? String(raw[key]).trim() : null;
+  }
+  return entry;
+};
+
+/**
+ * [목적] 대상 목록 파일 로드.
+ *
+ * [호출자]
+ * - runBatchCommand()
+ *
+ * [입력 파라미터]
+ * - targetsFile (string): .yaml/.yml/.json (배열 또는 { targets: [...] }) 또는 .csv (헤더 행 필수)
+ *
+ * [반환값]
+ * - Promise<Array<{ index, name, webUrl, repoPath, config }>>
+ *
+ * [에러 처리]
+ * - 파일 없음/파싱 실패/빈 목록 시 PentestError('config')
+ */
+export async function loadBatchTargets(targetsFile) {
+  const filePath = path.resolve(targetsFile);
+  if (!await fs.pathExists(filePath)) {
+    throw new PentestError(`Targets file not found: ${targetsFile}`, 'config', false, { targetsFile });
+  }
+
+  const content = await fs.readFile(filePath, 'utf8');
+  let rawEntries;
+  try {
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+      const [header = [], ...rows] = parseCsv(content);
+      const columns = header.map(column => column.trim());
+      rawEntries = rows.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+    } else {
+      const parsed = yaml.load(content);
+      rawEntries = Array.isArray(parsed) ? parsed : parsed?.targets;
+    }
+  } catch (error) {
+    throw new PentestError(`Failed to parse targets file ${targetsFile}: ${error.message}`, 'config', false, { targetsFile });
+  }
+
+  if (!Array.isArray(rawEntries) || rawEntries.length === 0) {
+    throw new PentestError(
+      `Targets file ${targetsFile} has no targets`,
+      'config',
+      false,
+      { targetsFile, reasons: ['YAML: a list or { targets: [...] } of { webUrl, repoPath, config }', 'CSV: a header row with webUrl,repoPath,config'] }
+    );
+  }
+
+  return rawEntries.map((raw, i) => ({
+    index: i + 1,
+    ...normalizeEntry(raw && typeof raw === 'object' ? raw : {})
+  }));
+}
+
+/**
+ * [목적] 타깃 한 개의 입력 검증 (URL, 레포, 설정 파일, 레포 중복).
+ *
+ * [입력 파라미터]
+ * - target (object): loadBatchTargets() 항목
+ * - baseDir (string): 대상 목록 파일 디렉터리 (상대 config 경로 우선 기준)
+ * - defaultConfigPath (string|null): 항목에 config가 없을 때 쓰는 --config 값
+ * - claimedRepos (Map<string, number>): 이미 배정된 레포 경로 → 타깃 번호
+ *
+ * [반환값]
+ * - Promise<{ error: string|null, repoPath?: string, configPath?: string|null }>
+ */
+const validateBatchTarget = async (target, baseDir, defaultConfigPath, claimedRepos) => {
+  if (!target.webUrl || !target.repoPath) {
+    return { error: 'webUrl and repoPath are required' };
+  }
+  const webUrlValidation = validateWebUrl(target.webUrl);
+  if (!webUrlValidation.valid) {
+    return { error: `Invalid web URL: ${webUrlValidation.error}` };
+  }
+  const repoPathValidation = await validateRepoPath(path.resolve(baseDir, target.repoPath));
+  if (!repoPathValidation.valid) {
+    return { error: `Invalid repository path: ${repoPathValidation.error}` };
+  }
+  if (claimedRepos.has(repoPathValidation.path)) {
+    return { error: `Repository already used by target #${claimedRepos.get(repoPathValidation.path)}` };
+  }
+
+  let configPath = null;
+  const requestedConfig = target.config || defaultConfigPath;
+  if (requestedConfig) {
+    // Relative paths resolve beside the targets file first, then the usual --config lookup (configs/)
+    const besideTargets = path.resolve(baseDir, requestedConfig);
+    try {
+      const { resolvedConfigPath } = await loadConfig(await fs.pathExists(besideTargets) ? besideTargets : requestedConfig);
+      configPath = path.resolve(resolvedConfigPath);
+    } catch (error) {
+      return { error: `Invalid config ${requestedConfig}: ${error.message}` };
+    }
+  }
+
+  claimedRepos.set(repoPathValidation.path, target.index);
+  return { error: null, repoPath: repoPathValidation.path, configPath };
+};
+
+/**
+ * [목적] 세션 산출물에서 익스플로잇 판정 집계 (큐 후보 수 + 증거 verdict별 수).
+ *
+ * [입력 파라미터]
+ * - session (object): 실행이 끝난 세션 (targetRepo/repoPath, id)
+ *
+ * [반환값]
+ * - Promise<{ totals: { queued, exploited, blocked, potential }, categories: object, reportPath: string|null }>
+ *
+ * [주의사항]
+ * - 파일이 없거나 손상된 카테고리는 0으로 집계 (요약 생성은 실패하지 않음)
+ * - 완료된 세션은 deliverables/가 deliverables__<ts>_<id8>/로 보관되므로 보관본을 우선 사용 (findSessionDeliverablesDir)
+ */
+export async function summarizeTargetFindings(session) {
+  const totals = { queued: 0, exploited: 0, blocked: 0, potential: 0 };
+  const categories = {};
+  const location = await findSessionDeliverablesDir(session);
+  if (!location) return { totals, categories, reportPath: null };
+  const deliverablesDir = location.dir;
+
+  const readVulnerabilities = async (fileName) => {
+    const data = await fs.readJSON(path.join(deliverablesDir, fileName)).catch(() => null);
+    return Array.isArray(data?.vulnerabilities) ? data.vulnerabilities : [];
+  };
+
+  for (const agentName of getAgentNamesByRunner('exploit')) {
+    const { category } = AGENTS[agentName];
+    const queued = (await readVulnerabilities(`${category}_exploitation_queue.json`)).length;
+    const counts = { queued, exploited: 0, blocked: 0, potential: 0 };
+    for (const vuln of await readVulnerabilities(`${category}_exploitation_evidence.json`)) {
+      const key = VERDICTS[vuln?.verdict];
+      if (key) counts[key] += 1;
+    }
+    if (Object.values(counts).some(Boolean)) {
+      categories[category] = counts;
+      for (const key of Object.keys(totals)) totals[key] += counts[key];
+    }
+  }
+
+  const reportPath = path.join(deliverablesDir, REPORT_FILE);
+  return { totals, categories, reportPath: await fs.pathExists(reportPath) ? reportPath : null };
+}
+
+/**
+ * [목적] 타깃 한 개를 자식 프로세스로 실행하고 결과 기록.
+ *
+ * [주의사항]
+ * - 세션을 미리 생성해(같은 대상의 미완료 세션은 재사용) 자식이 같은 세션을 이어 쓰고, 요약이 세션 ID를 알 수 있게 함
+ * - 자식 출력은 타깃별 로그 파일로만 기록 (병렬 타깃 출력이 콘솔에서 섞이지 않도록)
+ */
+const runBatchTarget = async (target, runDir, total, children) => {
+  const label = `[${target.index}/${total}]`;
+  const session = await createSession(target.webUrl, target.repoPath, target.configPath, target.repoPath);
+  const logPath = path.join(runDir, `${String(target.index).padStart(2, '0')}_${generateSessionIdentifier({ id: session.id.substring(0, 8), webUrl: target.webUrl })}.log`);
+  const args = [CLI_ENTRY, target.webUrl, target.repoPath, ...(target.configPath ? ['--config', target.configPath] : []), '--disable-loader'];
+
+  console.log(chalk.blue(`▶️  ${label} ${target.name || target.webUrl} → session ${session.id.substring(0, 8)}`));
+  console.log(chalk.gray(`   Log: ${logPath}`));
+
+  const startedAt = Date.now();
+  const logFd = await fs.open(logPath, 'a');
+  const { exitCode, signal } = await new Promise((resolve) => {
+    const child = spawn(process.execPath, args, {
+      cwd: DOKODEMODOOR_ROOT,
+      env: { ...process.env, FORCE_COLOR: '0', DOKODEMODOOR_DISABLE_LOADER: 'true' },
+      stdio: ['ignore', logFd, logFd]
+    });
+    children.add(child);
+    child.on('error', (error) => {
+      fs.appendFileSync(logPath, `\n[batch] failed to start: ${error.message}\n`);
+    });
+    child.on('close', (code, closeSignal) => {
+      children.delete(child);
+      resolve({ exitCode: code, signal: closeSignal });
+    });
+  });
+  await fs.close(logFd);
+
+  const finalSession = await getSession(session.id);
+  const sessionStatus = finalSession ? getSessionStatus(finalSession) : null;
+  let status;
+  if (signal || finalSession?.status === 'interrupted') {
+    status = 'interrupted';
+  } else if (exitCode === 0 && sessionStatus?.status === 'budget_exhausted') {
+    status = 'budget_exhausted';
+  } else if (exitCode === 0 && sessionStatus?.isPipelineComplete) {
+    status = 'completed';
+  } else {
+    status = 'failed';
+  }
+
+  const findings = await summarizeTargetFindings(finalSession || session);
+  const result = {
+    ...target,
+    status,
+    sessionId: session.id,
+    exitCode,
+    signal,
+    durationMs: Date.now() - startedAt,
+    completedAgents: sessionStatus ? `${sessionStatus.completedCount}/${sessionStatus.totalAgents}` : null,
+    logPath,
+    ...findings
+  };
+
+  const color = status === 'completed' ? chalk.green : status === 'budget_exhausted' ? chalk.yellow : chalk.red;
+  const icon = status === 'completed' ? '✅' : status === 'budget_exhausted' ? '💸' : '❌';
+  console.log(color(`${icon} ${label} ${target.name || target.webUrl}: ${status} in ${formatDuration(result.durationMs)}`
+    + ` (${findings.totals.exploited} exploited, ${findings.totals.potential} potential)`));
+  return result;
+};
+
+const tableCell = value => String(value).replace(/\|/g, '\\|');
+
+/**
+ * [목적] 배치 요약을 마크다운으로 변환.
+ */
+export function renderBatchSummaryMarkdown(summary) {
+  const lines = [
+    '# DokodemoDoor Batch Summary',
+    '',
+    `- Targets file: \`${summary.targetsFile}\``,
+    `- Started: ${summary.startedAt}`,
+    `- Finished: ${summary.finishedAt}`,
+    `- Concurrency: ${summary.concurrency}`,
+    `- Results: ${Object.entries(summary.counts).map(([status, count]) => `${status} ${count}`).join(', ')}`,
+    '',
+    '| # | Target | Session | Status | Agents | Duration | Exploited | Blocked | Potential | Queued |',
+    '|---|--------|---------|--------|--------|----------|-----------|---------|-----------|--------|'
+  ];
+
+  for (const result of summary.results) {
+    const totals = result.totals || {};
+    lines.push(`| ${result.index} | ${tableCell(result.name || result.webUrl || '-')} | ${result.sessionId ? result.sessionId.substring(0, 8) : '-'} `
+      + `| ${result.status} | ${result.completedAgents || '-'} | ${result.durationMs ? formatDuration(result.durationMs) : '-'} `
+      + `| ${totals.exploited ?? '-'} | ${totals.blocked ?? '-'} | ${totals.potential ?? '-'} | ${totals.queued ?? '-'} |`);
+  }
+
+  for (const result of summary.results) {
+    const categories = Object.entries(result.categories || {});
+    if (result.status === 'invalid' || categories.length > 0 || result.reportPath) {
+      lines.push('', `## ${result.index}. ${result.name || result.webUrl || '(unnamed)'}`, '');
+      if (result.webUrl) lines.push(`- URL: ${result.webUrl}`);
+      if (result.repoPath) lines.push(`- Repository: \`${result.repoPath}\``);
+      if (result.error) lines.push(`- Error: ${result.error}`);
+      if (result.reportPath) lines.push(`- Report: \`${result.reportPath}\``);
+      if (result.logPath) lines.push(`- Log: \`${result.logPath}\``);
+      for (const [category, counts] of categories) {
+        lines.push(`- ${category}: ${counts.exploited} exploited, ${counts.blocked} blocked, ${counts.potential} potential (${counts.queued} queued)`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * [목적] --batch 명령 실행: 대상 검증 → 동시 실행 한도 내에서 타깃별 스캔 → 요약 파일 저장.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs
+ *
+ * [입력 파라미터]
+ * - targetsFile (string)
+ * - options.concurrency (number|null): 미지정 시 DOKODEMODOOR_BATCH_CONCURRENCY
+ * - options.defaultConfigPath (string|null): config가 없는 항목에 적용할 --config
+ *
+ * [반환값]
+ * - Promise<{ summary: object, markdownPath: string, jsonPath: string }>
+ *
+ * [에러 처리]
+ * - 대상 목록 파일 자체가 잘못되면 PentestError('config'), 개별 타깃 실패는 요약에만 기록
+ *
+ * [주의사항]
+ * - SIGINT/SIGTERM 수신 시 실행 중인 자식에 SIGTERM 전달 (자식이 자기 세션을 interrupted로 정리)
+ */
+export async function runBatchCommand(targetsFile, { concurrency = null, defaultConfigPath = null } = {}) {
+  const targets = await loadBatchTargets(targetsFile);
+  const limit = concurrency || envConfig.dokodemodoor.batchConcurrency;
+  const baseDir = path.dirname(path.resolve(targetsFile));
+  const startedAt = getLocalISOString();
+  const runDir = path.join(BATCH_RUNS_DIR, startedAt.slice(0, 19).replace(/[:T]/g, '-'));
+  await fs.ensureDir(runDir);
+
+  console.log(chalk.cyan.bold(`📦 Batch: ${targets.length} target(s) from ${targetsFile}, concurrency ${limit}`));
+  console.log(chalk.gray(`   Output: ${runDir}`));
+
+  const claimedRepos = new Map();
+  const runnable = [];
+  const results = new Map();
+  for (const target of targets) {
+    const { error, repoPath, configPath } = await validateBatchTarget(target, baseDir, defaultConfigPath, claimedRepos);
+    if (error) {
+      console.log(chalk.red(`❌ [${target.index}/${targets.length}] ${target.name || target.webUrl || '(no url)'}: ${error}`));
+      results.set(target.index, { ...target, status: 'invalid', error });
+    } else {
+      runnable.push({ ...target, repoPath, configPath });
+    }
+  }
+
+  const children = new Set();
+  const forwardSignal = () => children.forEach(child => child.kill('SIGTERM'));
+  process.on('SIGINT', forwardSignal);
+  process.on('SIGTERM', forwardSignal);
+
+  try {
+    const settled = await new Semaphore(limit).map(runnable, target => runBatchTarget(target, runDir, targets.length, children));
+    settled.forEach((outcome, i) => {
+      const target = runnable[i];
+      results.set(target.index, outcome.status === 'fulfilled'
+        ? outcome.value
+        : { ...target, status: 'failed', error: outcome.reason?.message || String(outcome.reason) });
+    });
+  } finally {
+    process.off('SIGINT', forwardSignal);
+    process.off('SIGTERM', forwardSignal);
+  }
+
+  const ordered = targets.map(target => results.get(target.index));
+  const summary = {
+    targetsFile: path.resolve(targetsFile),
+    startedAt,
+    finishedAt: getLocalISOString(),
+    concurrency: limit,
+    counts: ordered.reduce((counts, result) => ({ ...counts, [result.status]: (counts[result.status] || 0) + 1 }), {}),
+    results: ordered
+  };
+
+  const markdownPath = path.join(runDir, 'summary.md');
+  const jsonPath = path.join(runDir, 'summary.json');
+  await fs.writeFile(markdownPath, renderBatchSummaryMarkdown(summary), 'utf8');
+  await fs.writeJSON(jsonPath, summary, { spaces: 2 });
+
+  console.log(chalk.cyan.bold('\n📊 BATCH SUMMARY'));
+  console.log(chalk.gray('─'.repeat(60)));
+  for (const result of ordered) {
+    const totals = result.totals;
+    const color = result.status === 'completed' ? chalk.green : result.status === 'budget_exhausted' ? chalk.yellow : chalk.red;
+    console.log(color(`  ${String(result.index).padStart(2)}. ${(result.name || result.webUrl || '-').padEnd(40)} ${result.status.padEnd(16)}`)
+      + chalk.gray(totals ? ` ${totals.exploited} exploited / ${totals.potential} potential / ${totals.queued} queued` : ` ${(result.error || '').split('\n')[0]}`));
+  }
+  console.log(chalk.green(`\n✅ Summary written to ${markdownPath}`));
+  console.log(chalk.gray(`   JSON: ${jsonPath}`));
+
+  return { summary, markdownPath, jsonPath };
+}
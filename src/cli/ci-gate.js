@@ -0,0 +1,207 @@
+/**
+ * [목적] CI 게이트: 익스플로잇 큐/증거를 config의 임계값(ci_gate.rules)으로 평가해 릴리스 차단 여부를 종료 코드로 반환.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs (--ci: 파이프라인 완료 후 자동 평가, --gate <session|dir>: 기존 세션 평가)
+ *
+ * [출력]
+ * - 콘솔 게이트 요약 (규칙별 통과/실패, 실패 규칙의 취약점 일부)
+ * - --gate-output <file> 지정 시 평가 결과 JSON
+ *
+ * [주의사항]
+ * - 종료 코드: 0 통과, 1 실행 오류(기존), 2 임계값 초과, 3 평가 불완전 (파이프라인 미완료/에이전트 실패/큐 없음)
+ * - 규칙은 verdict/severity/category가 모두 맞는 취약점 수가 max를 넘으면 실패. 미지정 조건은 전체 허용
+ * - ci_gate 미설정 시 DEFAULT_GATE_RULES (EXPLOITED critical/high 1건이라도 있으면 실패)
+ * - 증거가 없는 큐 항목은 NOT_VERIFIED, 심각도 없는 항목은 unrated로 평가 (report-model과 동일)
+ */
+
+import { fs, path } from 'zx';
+import chalk from 'chalk';
+import { listSessions, getSessionStatus } from '../session-manager.js';
+import { loadConfig } from '../config/config-loader.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+import { resolveDeliverablesSource } from '../utils/findings.js';
+import { countBy, loadReportFindings } from '../utils/report-model.js';
+
+export const GATE_EXIT_CODES = Object.freeze({
+  passed: 0,
+  error: 1,
+  failed: 2,
+  incomplete: 3
+});
+
+export const DEFAULT_GATE_RULES = Object.freeze([
+  Object.freeze({ name: 'exploited-critical-high', verdict: ['EXPLOITED'], severity: ['critical', 'high'], max: 0 })
+]);
+
+// Matching findings listed under each failed rule in the console summary
+const MAX_LISTED_FINDINGS = 5;
+
+const asList = value => (value === undefined || value === null ? [] : [].concat(value));
+
+/**
+ * [목적] config YAML의 ci_gate 섹션을 평가용 규칙으로 정규화.
+ *
+ * [입력 파라미터]
+ * - gateConfig (object|null): config.ci_gate (스키마 검증 완료, FAILSAFE라 max/fail_on_incomplete도 문자열)
+ *
+ * [반환값]
+ * - { rules: Array<{ name, verdict: string[], severity: string[], category: string[], max }>, failOnIncomplete: boolean, fromConfig: boolean }
+ */
+export function resolveGateRules(gateConfig) {
+  const rules = (gateConfig?.rules?.length ? gateConfig.rules : DEFAULT_GATE_RULES).map((rule) => {
+    const verdict = asList(rule.verdict).map(value => value.toUpperCase());
+    const severity = asList(rule.severity).map(value => value.toLowerCase());
+    const category = asList(rule.category);
+    const criteria = [verdict.join('/'), severity.join('/'), category.join('/')].filter(Boolean).join(' ') || 'any';
+    return { name: rule.name || criteria, verdict, severity, category, max: rule.max ? parseInt(rule.max, 10) : 0 };
+  });
+
+  return {
+    rules,
+    failOnIncomplete: String(gateConfig?.fail_on_incomplete ?? 'true') !== 'false',
+    fromConfig: Boolean(gateConfig?.rules?.length)
+  };
+}
+
+/**
+ * [목적] 취약점 목록을 게이트 규칙으로 평가 (순수 함수).
+ *
+ * [입력 파라미터]
+ * - findings (object[]): loadReportFindings() 결과 ({ id, category, severity, verdict, endpoint })
+ * - gate (object): resolveGateRules() 결과
+ * - incompleteReasons (string[]): 평가 불완전 사유
+ *
+ * [반환값]
+ * - { result: 'passed'|'failed'|'incomplete', exitCode, rules: [{ ...rule, count, passed, findings }] }
+ *   - 임계값 초과가 불완전보다 우선 (이미 확인된 위험은 항상 차단)
+ */
+export function evaluateGate(findings, gate, incompleteReasons = []) {
+  const rules = gate.rules.map((rule) => {
+    const matched = findings.filter(finding => (rule.verdict.length === 0 || rule.verdict.includes(finding.verdict))
+      && (rule.severity.length === 0 || rule.severity.includes(finding.severity))
+      && (rule.category.length === 0 || rule.category.includes(finding.category)));
+    return { ...rule, count: matched.length, passed: matched.length <= rule.max, findings: matched };
+  });
+
+  let result = 'passed';
+  if (rules.some(rule => !rule.passed)) result = 'failed';
+  else if (incompleteReasons.length > 0 && gate.failOnIncomplete) result = 'incomplete';
+
+  return { result, exitCode: GATE_EXIT_CODES[result], rules };
+}
+
+/**
+ * [목적] 세션 상태/산출물로 평가 불완전 사유 수집.
+ */
+const collectIncompleteReasons = (session, categories) => {
+  const reasons = [];
+  if (session) {
+    const { status, completedCount, totalAgents } = getSessionStatus(session);
+    if (status === 'budget_exhausted') reasons.push(`budget exhausted (${session.budget.exhausted.reason})`);
+    else if (status !== 'completed') reasons.push(`pipeline ${status} (${completedCount}/${totalAgents} agents completed)`);
+    const failed = session.failedAgents || [];
+    if (failed.length > 0) reasons.push(`failed agents: ${failed.join(', ')}`);
+  }
+  if (categories.length === 0) reasons.push('no exploitation queues found');
+  return reasons;
+};
+
+/**
+ * [목적] 게이트 결과 콘솔 요약 출력.
+ */
+const printGateSummary = (report) => {
+  const { source, totals, evaluation, incompleteReasons, gate } = report;
+  const color = { passed: chalk.green, failed: chalk.red, incomplete: chalk.yellow }[evaluation.result];
+  const icon = { passed: '✅', failed: '⛔', incomplete: '⚠️ ' }[evaluation.result];
+
+  console.log(color.bold(`\n🚦 CI GATE: ${icon} ${evaluation.result.toUpperCase()} (exit ${evaluation.exitCode})`));
+  console.log(chalk.gray(`   ${source.label}${source.webUrl ? ` (${source.webUrl})` : ''}: ${totals.findings} findings `
+    + `(exploited ${totals.verdicts.EXPLOITED || 0}, potential ${totals.verdicts.POTENTIAL || 0}, `
+    + `blocked ${totals.verdicts.BLOCKED_BY_SECURITY || 0}, not verified ${totals.verdicts.NOT_VERIFIED || 0})`));
+  if (!gate.fromConfig) {
+    console.log(chalk.gray('   Rules: default (no ci_gate.rules in config)'));
+  }
+
+  for (const rule of evaluation.rules) {
+    const line = `${rule.name}: ${rule.count} ${rule.passed ? '≤' : '>'} ${rule.max}`;
+    console.log(rule.passed ? chalk.green(`   ✓ ${line}`) : chalk.red(`   ✗ ${line}`));
+    if (rule.passed) continue;
+    for (const finding of rule.findings.slice(0, MAX_LISTED_FINDINGS)) {
+      console.log(chalk.gray(`       ${finding.id} [${finding.severity}/${finding.verdict}] ${finding.title}${finding.endpoint ? ` — ${finding.endpoint}` : ''}`));
+    }
+    if (rule.findings.length > MAX_LISTED_FINDINGS) {
+      console.log(chalk.gray(`       … ${rule.findings.length - MAX_LISTED_FINDINGS} more`));
+    }
+  }
+
+  for (const reason of incompleteReasons) {
+    console.log(chalk.yellow(`   ! Incomplete: ${reason}${gate.failOnIncomplete ? '' : ' (ignored: fail_on_incomplete is false)'}`));
+  }
+};
+
+/**
+ * [목적] 게이트 평가 실행: 대상 해석, 임계값 로드, 평가, 요약 출력, (선택) JSON 저장.
+ *
+ * [입력 파라미터]
+ * - ref (string): 세션 ID/접두사 또는 deliverables 디렉터리
+ * - options.configPath (string|null): 임계값을 읽을 config YAML (미지정 시 세션의 configFile)
+ * - options.outputPath (string|null): 평가 결과 JSON 경로
+ *
+ * [반환값]
+ * - Promise<{ exitCode: number, report: object }>
+ *
+ * [에러 처리]
+ * - 세션/디렉터리를 찾지 못하면 PentestError('validation') (resolveDeliverablesSource)
+ * - config 검증 실패 시 loadConfig 오류 그대로 전파 (호출부에서 종료 코드 1)
+ */
+export async function runGateCommand(ref, { configPath = null, outputPath = null } = {}) {
+  const sessions = await listSessions();
+  const source = await resolveDeliverablesSource(ref, sessions);
+  const session = source.sessionId ? sessions.find(candidate => candidate.id === source.sessionId) || null : null;
+
+  const gateConfigPath = configPath || session?.configFile || null;
+  const { config } = await loadConfig(gateConfigPath);
+  const gate = resolveGateRules(config?.ci_gate || null);
+
+  const { findings, categories } = await loadReportFindings(source.deliverablesDir);
+  const incompleteReasons = collectIncompleteReasons(session, categories);
+  const evaluation = evaluateGate(findings, gate, incompleteReasons);
+
+  const report = {
+    source,
+    configPath: gateConfigPath,
+    gate,
+    totals: {
+      findings: findings.length,
+      verdicts: countBy(findings, 'verdict'),
+      severities: countBy(findings, 'severity')
+    },
+    incompleteReasons,
+    evaluation
+  };
+  printGateSummary(report);
+
+  if (outputPath) {
+    const resolvedOutput = path.resolve(outputPath);
+    await fs.ensureDir(path.dirname(resolvedOutput));
+    await fs.writeJSON(resolvedOutput, {
+      result: evaluation.result,
+      exitCode: evaluation.exitCode,
+      evaluatedAt: getLocalISOString(),
+      session: source.sessionId,
+      webUrl: source.webUrl,
+      deliverablesDir: source.deliverablesDir,
+      configPath: gateConfigPath,
+      totals: report.totals,
+      incompleteReasons,
+      rules: evaluation.rules.map(rule => ({
+        ...rule,
+        findings: rule.findings.map(({ id, category, severity, verdict, title, endpoint }) => ({ id, category, severity, verdict, title, endpoint }))
+      }))
+    }, { spaces: 2 });
+    console.log(chalk.gray(`   Gate result written to ${resolvedOutput}`));
+  }
+
+  return { exitCode: evaluation.exitCode, report };
+}
@@ -0,0 +1,321 @@
+/**
+ * [목적] --diff 재진단 비교: 두 실행(세션 또는 deliverables 디렉터리)의 익스플로잇 큐 취약점을 매칭해 신규/해결/잔존으로 분류.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs (--diff <sessionA> <sessionB>)
+ *
+ * [출력]
+ * - diffs/<A>_vs_<B>_<timestamp>.md + 같은 이름의 .json (--diff-output <file> 지정 시 해당 경로)
+ *
+ * [주의사항]
+ * - 세션 산출물 위치: 완료 시 보관된 <targetRepo>/deliverables__<timestamp>_<id8>, 없으면 <targetRepo>/deliverables
+ * - 매칭 키는 카테고리 + 엔드포인트 + 파라미터 + 싱크 파일/라인. 코드 수정으로 라인이 밀리는 경우를 위해 단계적으로 느슨한 키로 재시도
+ * - B에 큐 파일이 없는 카테고리(해당 vuln 에이전트 미실행)의 A 취약점은 fixed가 아니라 notRetested로 분류
+ * - 큐/증거 파일은 읽기만 함
+ */
+
+import { fs, path } from 'zx';
+import chalk from 'chalk';
+import { PentestError } from '../error-handling.js';
+import { listSessions } from '../session-manager.js';
+import { DOKODEMODOOR_ROOT } from '../audit/utils.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+import {
+  ENDPOINT_FIELDS,
+  PARAMETER_FIELDS,
+  extractLocation,
+  firstFieldValue,
+  loadExploitationFindings,
+  resolveDeliverablesSource
+} from '../utils/findings.js';
+
+const DIFFS_DIR = path.join(DOKODEMODOOR_ROOT, 'diffs');
+const SEVERITY_ORDER = Object.freeze(['critical', 'high', 'medium', 'low']);
+
+// Queue field names for the sink match component (first non-empty wins)
+const SINK_FIELDS = Object.freeze(['sink_call', 'render_call', 'vulnerable_code_location', 'sink_location', 'sink', 'source']);
+
+/**
+ * 매칭 단계 (엄격 → 느슨). requires의 구성 요소가 비어 있는 취약점은 해당 단계에서 매칭하지 않음.
+ */
+const MATCH_TIERS = Object.freeze([
+  { name: 'exact', parts: ['endpoint', 'parameter', 'file', 'line'], requires: ['file'] },
+  { name: 'line-moved', parts: ['endpoint', 'parameter', 'file'], requires: ['file'] },
+  { name: 'sink', parts: ['file', 'line'], requires: ['file', 'line'] },
+  { name: 'endpoint', parts: ['endpoint', 'parameter'], requires: ['endpoint'] }
+]);
+
+/**
+ * [목적] 엔드포인트를 비교용으로 정규화 ("post https://h/api/users/42?x=1/" → "POST /api/users/{id}").
+ * - 스킴/호스트, 쿼리, 프래그먼트, 끝 슬래시 제거, 숫자/UUID 경로 세그먼트는 {id}로 치환 (재진단 시 샘플 ID가 달라지므로)
+ */
+const normalizeEndpoint = (value) => {
+  if (!value) return '';
+  const match = value.match(/^([A-Za-z]+)\s+(\S+)/);
+  const method = match ? match[1].toUpperCase() : '';
+  const rawPath = (match ? match[2] : value.split(/\s+/)[0])
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '');
+  const normalizedPath = rawPath
+    .split('/')
+    .map(segment => (/^\d+$/.test(segment) || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ? '{id}' : segment))
+    .join('/')
+    .toLowerCase();
+  return [method, normalizedPath || '/'].filter(Boolean).join(' ');
+};
+
+/**
+ * [목적] 파라미터 이름 추출. 전용 필드가 없으면 source("param name & file:line")의 앞부분 사용.
+ */
+const extractParameter = (vuln) => {
+  const explicit = firstFieldValue(vuln, PARAMETER_FIELDS);
+  if (explicit) return explicit.toLowerCase();
+  const source = typeof vuln.source === 'string' ? vuln.source.split('&')[0].trim() : '';
+  return source && !extractLocation(source).file ? source.toLowerCase() : '';
+};
+
+/**
+ * [목적] 큐 항목 하나(+ 증거)를 비교용 취약점 레코드로 변환.
+ */
+const toFinding = ({ category, id, item, evidence }) => {
+  const sinkRaw = firstFieldValue(item, SINK_FIELDS);
+
+  return {
+    category,
+    id,
+    title: item.vulnerability_type || item.title || item.vulnerability_name || evidence?.vulnerability_name || null,
+    severity: item.severity || null,
+    endpointRaw: firstFieldValue(item, ENDPOINT_FIELDS) || null,
+    sinkRaw: sinkRaw || null,
+    match: {
+      endpoint: normalizeEndpoint(firstFieldValue(item, ENDPOINT_FIELDS)),
+      parameter: extractParameter(item),
+      ...extractLocation(sinkRaw)
+    },
+    verdict: evidence?.verdict || null
+  };
+};
+
+/**
+ * [목적] deliverables 디렉터리의 익스플로잇 큐를 비교용 레코드로 로드.
+ *
+ * [반환값]
+ * - Promise<{ findings: object[], categories: string[] }>: categories = 큐 파일이 있는 카테고리 (빈 큐 포함)
+ */
+const loadFindings = async (deliverablesDir) => {
+  const { findings, categories } = await loadExploitationFindings(deliverablesDir);
+  return { findings: findings.map(toFinding), categories };
+};
+
+const tierKey = (finding, tier) => {
+  if (tier.requires.some(part => !finding.match[part])) return null;
+  return [finding.category, ...tier.parts.map(part => finding.match[part])].join('\u0000');
+};
+
+/**
+ * [목적] 두 실행의 취약점 목록을 일대일 매칭해 신규/해결/잔존/미재진단으로 분류.
+ *
+ * [입력 파라미터]
+ * - before ({ findings, categories }): 기준 실행 (A)
+ * - after ({ findings, categories }): 재진단 실행 (B)
+ *
+ * [반환값]
+ * - { new: object[], fixed: object[], persisting: Array<{ before, after, matchedBy, verdictChanged }>, notRetested: object[] }
+ */
+export function diffFindings(before, after) {
+  const unmatchedBefore = new Set(before.findings);
+  const unmatchedAfter = new Set(after.findings);
+  const persisting = [];
+
+  for (const tier of MATCH_TIERS) {
+    const candidates = new Map();
+    for (const finding of unmatchedAfter) {
+      const key = tierKey(finding, tier);
+      if (!key) continue;
+      if (!candidates.has(key)) candidates.set(key, []);
+      candidates.get(key).push(finding);
+    }
+
+    for (const finding of [...unmatchedBefore]) {
+      const key = tierKey(finding, tier);
+      const match = key && candidates.get(key)?.shift();
+      if (!match) continue;
+      unmatchedBefore.delete(finding);
+      unmatchedAfter.delete(match);
+      persisting.push({ before: finding, after: match, matchedBy: tier.name, verdictChanged: finding.verdict !== match.verdict });
+    }
+  }
+
+  const retested = new Set(after.categories);
+  return {
+    new: [...unmatchedAfter],
+    fixed: [...unmatchedBefore].filter(finding => retested.has(finding.category)),
+    persisting,
+    notRetested: [...unmatchedBefore].filter(finding => !retested.has(finding.category))
+  };
+}
+
+const severityRank = (finding) => {
+  const index = SEVERITY_ORDER.indexOf(String(finding.severity || '').toLowerCase());
+  return index === -1 ? SEVERITY_ORDER.length : index;
+};
+
+const bySeverity = (a, b) => severityRank(a) - severityRank(b) || a.category.localeCompare(b.category);
+
+const tableCell = value => (value ? String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ') : '-');
+
+const findingRow = finding => `| ${tableCell(finding.category)} | ${tableCell(finding.id)} | ${tableCell(finding.severity)} `
+  + `| ${tableCell(finding.title)} | ${tableCell(finding.endpointRaw)} | ${tableCell(finding.match.parameter)} `
+  + `| ${tableCell(finding.match.file && `${finding.match.file}:${finding.match.line}`)} | ${tableCell(finding.verdict)} |`;
+
+const FINDING_TABLE_HEADER = Object.freeze([
+  '| Category | ID | Severity | Type | Endpoint | Parameter | Sink | Verdict |',
+  '|----------|----|----------|------|----------|-----------|------|---------|'
+]);
+
+/**
+ * [목적] 비교 결과를 마크다운으로 변환 (개발자 전달용).
+ */
+export function renderDiffMarkdown(report) {
+  const describe = source => `${source.label}${source.webUrl ? ` (${source.webUrl})` : ''} — \`${source.deliverablesDir}\``;
+  const lines = [
+    '# DokodemoDoor Retest Diff',
+    '',
+    `- Before (A): ${describe(report.before)}`,
+    `- After (B): ${describe(report.after)}`,
+    `- Generated: ${report.generatedAt}`,
+    `- Summary: ${report.counts.new} new, ${report.counts.fixed} fixed, ${report.counts.persisting} still present`
+      + (report.counts.notRetested ? `, ${report.counts.notRetested} not retested` : ''),
+    ''
+  ];
+
+  const section = (title, findings, note = null) => {
+    lines.push(`## ${title} (${findings.length})`, '');
+    if (note) lines.push(note, '');
+    if (findings.length === 0) {
+      lines.push('_None_', '');
+      return;
+    }
+    lines.push(...FINDING_TABLE_HEADER, ...findings.map(findingRow), '');
+  };
+
+  section('New', report.new, 'Reported in B but not matched to anything in A.');
+  section('Fixed', report.fixed, 'Reported in A, not found when the same category was re-analysed in B.');
+
+  lines.push(`## Still present (${report.persisting.length})`, '');
+  if (report.persisting.length === 0) {
+    lines.push('_None_', '');
+  } else {
+    lines.push(
+      '| Category | ID (A → B) | Severity | Type | Endpoint | Sink (B) | Verdict (A → B) | Matched by |',
+      '|----------|------------|----------|------|----------|----------|-----------------|------------|'
+    );
+    for (const { before, after, matchedBy, verdictChanged } of report.persisting) {
+      const verdict = verdictChanged ? `${before.verdict || '-'} → ${after.verdict || '-'}` : (after.verdict || '-');
+      lines.push(`| ${tableCell(after.category)} | ${tableCell(`${before.id || '-'} → ${after.id || '-'}`)} | ${tableCell(after.severity)} `
+        + `| ${tableCell(after.title)} | ${tableCell(after.endpointRaw)} | ${tableCell(after.match.file && `${after.match.file}:${after.match.line}`)} `
+        + `| ${tableCell(verdict)} | ${matchedBy} |`);
+    }
+    lines.push('');
+  }
+
+  if (report.notRetested.length > 0) {
+    section('Not retested', report.notRetested, `B has no exploitation queue for: ${report.missingCategories.join(', ')}. These findings are neither fixed nor confirmed.`);
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * [목적] 두 실행 비교 보고서 생성.
+ *
+ * [입력 파라미터]
+ * - refA (string): 기준 세션 ID/접두사 또는 deliverables 디렉터리
+ * - refB (string): 재진단 세션 ID/접두사 또는 deliverables 디렉터리
+ *
+ * [반환값]
+ * - Promise<object>: { before, after, generatedAt, counts, new, fixed, persisting, notRetested, missingCategories }
+ */
+export async function buildDiffReport(refA, refB) {
+  const sessions = await listSessions();
+  const before = await resolveDeliverablesSource(refA, sessions);
+  const after = await resolveDeliverablesSource(refB, sessions);
+  if (before.deliverablesDir === after.deliverablesDir) {
+    throw new PentestError(
+      `Both sides resolve to the same deliverables directory: ${before.deliverablesDir}`,
+      'validation',
+      false,
+      { refA, refB }
+    );
+  }
+
+  const beforeFindings = await loadFindings(before.deliverablesDir);
+  const afterFindings = await loadFindings(after.deliverablesDir);
+  const result = diffFindings(beforeFindings, afterFindings);
+
+  result.new.sort(bySeverity);
+  result.fixed.sort(bySeverity);
+  result.notRetested.sort(bySeverity);
+  result.persisting.sort((a, b) => bySeverity(a.after, b.after));
+
+  return {
+    before: { ...before, categories: beforeFindings.categories, total: beforeFindings.findings.length },
+    after: { ...after, categories: afterFindings.categories, total: afterFindings.findings.length },
+    generatedAt: getLocalISOString(),
+    counts: {
+      new: result.new.length,
+      fixed: result.fixed.length,
+      persisting: result.persisting.length,
+      notRetested: result.notRetested.length
+    },
+    ...result,
+    missingCategories: beforeFindings.categories.filter(category => !afterFindings.categories.includes(category))
+  };
+}
+
+/**
+ * [목적] --diff 명령 실행: 비교 보고서 생성, 콘솔 요약 출력, Markdown/JSON 저장.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs
+ *
+ * [입력 파라미터]
+ * - refA (string)
+ * - refB (string)
+ * - options.outputPath (string|null): 마크다운 경로 (.json은 확장자만 바꿔 함께 저장)
+ *
+ * [반환값]
+ * - Promise<{ report: object, markdownPath: string, jsonPath: string }>
+ */
+export async function runDiffCommand(refA, refB, { outputPath = null } = {}) {
+  const report = await buildDiffReport(refA, refB);
+
+  console.log(chalk.cyan.bold(`🔁 Retest diff: ${report.before.label} → ${report.after.label}`));
+  console.log(chalk.gray(`   A: ${report.before.deliverablesDir} (${report.before.total} findings)`));
+  console.log(chalk.gray(`   B: ${report.after.deliverablesDir} (${report.after.total} findings)`));
+  if (report.before.archived === false || report.after.archived === false) {
+    console.log(chalk.yellow('⚠️  Using the live deliverables/ directory for a session without an archive; results may change while it runs'));
+  }
+  console.log(chalk.red(`   🆕 New:           ${report.counts.new}`));
+  console.log(chalk.green(`   ✅ Fixed:         ${report.counts.fixed}`));
+  console.log(chalk.yellow(`   ♻️  Still present: ${report.counts.persisting}`));
+  if (report.counts.notRetested > 0) {
+    console.log(chalk.gray(`   ⏭️  Not retested:  ${report.counts.notRetested} (B has no queue for ${report.missingCategories.join(', ')})`));
+  }
+
+  const stamp = report.generatedAt.slice(0, 19).replace(/[:T]/g, '-');
+  const markdownPath = outputPath
+    ? path.resolve(outputPath)
+    : path.join(DIFFS_DIR, `${report.before.label}_vs_${report.after.label}_${stamp}.md`);
+  const jsonPath = markdownPath.replace(/\.md$/i, '') + '.json';
+
+  await fs.ensureDir(path.dirname(markdownPath));
+  await fs.writeFile(markdownPath, renderDiffMarkdown(report), 'utf8');
+  await fs.writeJSON(jsonPath, report, { spaces: 2 });
+
+  console.log(chalk.green(`\n✅ Diff written to ${markdownPath}`));
+  console.log(chalk.gray(`   JSON: ${jsonPath}`));
+
+  return { report, markdownPath, jsonPath };
+}
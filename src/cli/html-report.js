@@ -0,0 +1,60 @@
+/**
+ * [목적] --html-report: 세션(또는 deliverables 디렉터리)의 보고서를 외부 리소스 없는 단일 HTML로 렌더링 (고객 전달용).
+ *
+ * [호출자]
+ * - dokodemodoor.mjs (--html-report <session|dir>)
+ *
+ * [출력]
+ * - <deliverablesDir>/comprehensive_security_assessment_report.html (+ 번역본이 있으면 _kr.html)
+ * - --html-output <file> 지정 시 해당 경로 (번역본은 파일명에 _kr 추가)
+ *
+ * [주의사항]
+ * - report 에이전트 완료 시 영문 HTML은 자동 생성됨. 이 명령은 번역(npm run translate-report) 후 재생성이나
+ *   DOKODEMODOOR_REPORT_CODE_URL 변경 후 딥링크 갱신용
+ */
+
+import chalk from 'chalk';
+import { listSessions } from '../session-manager.js';
+import { resolveDeliverablesSource } from '../utils/findings.js';
+import { writeHtmlReports } from '../phases/html-report.js';
+
+/**
+ * [목적] --html-report 명령 실행: 대상 해석, HTML 작성, 콘솔 요약 출력.
+ *
+ * [입력 파라미터]
+ * - ref (string): 세션 ID/접두사 또는 deliverables 디렉터리
+ * - options.outputPath (string|null): 영문 HTML 경로
+ *
+ * [반환값]
+ * - Promise<Array<{ lang, markdownPath, outputPath, summary, warnings }>>
+ *
+ * [에러 처리]
+ * - 세션/디렉터리를 찾지 못하면 PentestError('validation') (resolveDeliverablesSource)
+ */
+export async function runHtmlReportCommand(ref, { outputPath = null } = {}) {
+  const source = await resolveDeliverablesSource(ref, await listSessions());
+  console.log(chalk.cyan.bold(`📊 HTML report: ${source.label}${source.webUrl ? ` (${source.webUrl})` : ''}`));
+  console.log(chalk.gray(`   Source: ${source.deliverablesDir}`));
+
+  const outputs = await writeHtmlReports(source, { outputPath });
+  const [primary] = outputs;
+  const { verdicts, severities } = primary.summary;
+  console.log(chalk.gray(`   ${primary.summary.findings} findings `
+    + `(exploited ${verdicts.EXPLOITED || 0}, potential ${verdicts.POTENTIAL || 0}, blocked ${verdicts.BLOCKED_BY_SECURITY || 0}, not verified ${verdicts.NOT_VERIFIED || 0}; `
+    + `critical ${severities.critical || 0}, high ${severities.high || 0}, medium ${severities.medium || 0}, low ${severities.low || 0})`));
+
+  if (!primary.markdownPath) {
+    console.log(chalk.yellow('⚠️  No comprehensive_security_assessment_report.md yet; HTML contains the findings dashboard only'));
+  }
+  if (!source.targetRepo) {
+    console.log(chalk.yellow('⚠️  Target repo unknown for this directory; code locations are shown without links unless DOKODEMODOOR_REPORT_CODE_URL is set'));
+  }
+  for (const warning of new Set(outputs.flatMap(output => output.warnings))) {
+    console.log(chalk.yellow(`⚠️  ${warning}`));
+  }
+  for (const output of outputs) {
+    console.log(chalk.green(`✅ HTML report (${output.lang}) written to ${output.outputPath}`));
+  }
+
+  return outputs;
+}
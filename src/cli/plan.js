@@ -0,0 +1,504 @@
+/**
+ * [목적] --plan 드라이런: LLM 호출이나 대상 접근 없이 파이프라인 실행 계획을 산출해 계획 파일로 저장.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs (--plan)
+ *
+ * [출력]
+ * - plans/<host>_<timestamp>.md (RoE 승인 첨부용) + 같은 이름의 .json
+ * - --plan-output <file> 지정 시 해당 경로 (.json은 확장자만 바꿔 함께 저장)
+ *
+ * [주의사항]
+ * - 세션 스토어, 대상 레포(git, deliverables, scope_size 캐시)에는 쓰지 않음. 기존 세션/산출물은 읽기만 함
+ * - 실행 시점 분기(익스플로잇 큐 유무, 예산 사용률)는 현재 상태 기준으로 판정하고 conditional로 표시
+ * - 계획 파일에는 인증 비밀번호/TOTP 값을 마스킹한 프롬프트를 저장
+ */
+
+import { fs, path } from 'zx';
+import chalk from 'chalk';
+import { loadConfig } from '../config/config-loader.js';
+import { config as envConfig } from '../config/env.js';
+import { PIPELINE, getAgentPromptName } from '../config/pipeline-loader.js';
+import { AGENTS, findExistingSession, getNextAgent } from '../session-manager.js';
+import { PHASE_TOOL_REQUIREMENTS, AGENT_TOOL_OVERRIDES, MCP_AGENT_MAPPING } from '../constants.js';
+import { ensureScopeSizeAndCaps } from '../utils/scope-caps.js';
+import { BudgetTracker, resolveBudgetLimits } from '../utils/budget.js';
+import { loadPreviousVulnerabilities, identifyUnexploredDirectories } from '../utils/cumulative-analysis.js';
+import { checkToolAvailability } from '../tool-checker.js';
+import { DOKODEMODOOR_ROOT, generateSessionIdentifier, formatDuration } from '../audit/utils.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+
+const PLANS_DIR = path.join(DOKODEMODOOR_ROOT, 'plans');
+const PROMPT_WARN_RATIO = 0.8;
+const REDACTED = '[REDACTED]';
+
+/**
+ * [목적] pre-recon 단계의 외부 도구 실행 계획 (executePreReconPhase와 같은 skip 플래그).
+ * - touchesTarget: 대상 호스트로 트래픽을 보내는 도구
+ */
+const PRE_RECON_SCANS = Object.freeze([
+  { tool: 'nmap', flag: 'skipNmap', env: 'DOKODEMODOOR_SKIP_NMAP', touchesTarget: true },
+  { tool: 'subfinder', flag: 'skipSubfinder', env: 'DOKODEMODOOR_SKIP_SUBFINDER', touchesTarget: true },
+  { tool: 'whatweb', flag: 'skipWhatweb', env: 'DOKODEMODOOR_SKIP_WHATWEB', touchesTarget: true },
+  { tool: 'schemathesis', flag: 'skipSchemathesis', env: 'DOKODEMODOOR_SKIP_SCHEMATHESIS', touchesTarget: true },
+  { tool: 'semgrep', flag: 'skipSemgrep', env: 'DOKODEMODOOR_SKIP_SEMGREP', touchesTarget: false },
+  { tool: 'osv', flag: 'skipOsv', env: 'DOKODEMODOOR_SKIP_OSV', touchesTarget: false }
+]);
+
+/**
+ * [목적] 에이전트의 Playwright 필요 여부와 MCP 서버 구성 산출 (agent-executor와 같은 우선순위: 에이전트 override → 단계 → 전체 허용).
+ */
+const resolveAgentTools = (agent, phase, customServers) => {
+  const promptName = getAgentPromptName(agent.name);
+  let playwright = true;
+  let source = 'fallback';
+  if (AGENT_TOOL_OVERRIDES[promptName]) {
+    playwright = AGENT_TOOL_OVERRIDES[promptName].playwright;
+    source = 'agent';
+  } else if (PHASE_TOOL_REQUIREMENTS[phase.name]) {
+    playwright = PHASE_TOOL_REQUIREMENTS[phase.name].playwright;
+    source = 'phase';
+  }
+
+  const mcpServer = MCP_AGENT_MAPPING[promptName] || 'playwright-agent1';
+  const servers = ['dokodemodoor-helper'];
+  if (playwright && MCP_AGENT_MAPPING[promptName]) servers.push(mcpServer);
+  for (const name of customServers) {
+    if (!servers.includes(name)) servers.push(name);
+  }
+
+  return { playwright, playwrightSource: source, mcpServer, mcpServerFallback: !MCP_AGENT_MAPPING[promptName], servers };
+};
+
+/**
+ * [목적] 기존 익스플로잇 큐 로드 (없거나 손상 시 null).
+ */
+const readExploitQueue = async (targetRepo, category) => {
+  const queuePath = path.join(targetRepo, 'deliverables', `${category}_exploitation_queue.json`);
+  try {
+    if (!await fs.pathExists(queuePath)) return null;
+    const queue = await fs.readJSON(queuePath);
+    return Array.isArray(queue?.vulnerabilities) ? queue : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * [목적] 에이전트 실행/skip 판정 (runSingleAgent, runPhase의 skip 규칙을 현재 상태 기준으로 재현).
+ * @returns {{ status: 'run'|'skip'|'conditional', reason: string }}
+ */
+const resolveAgentStatus = (agent, { session, budget, budgetState, exploitQueue }) => {
+  if (session?.completedAgents?.includes(agent.name)) {
+    return { status: 'skip', reason: `already completed in session ${session.id.substring(0, 8)}` };
+  }
+  if (session?.skippedAgents?.includes(agent.name)) {
+    return { status: 'skip', reason: `already skipped in session ${session.id.substring(0, 8)}` };
+  }
+
+  if (agent.kind === 'exploit') {
+    if (envConfig.dokodemodoor.skipExploitation) {
+      return { status: 'skip', reason: 'DOKODEMODOOR_SKIP_EXPLOITATION=true' };
+    }
+    const vulnAgent = Object.values(AGENTS).find(a => a.kind === 'vuln' && a.category === agent.category);
+    const vulnName = vulnAgent ? vulnAgent.name : `${agent.category}-vuln`;
+    if (session?.completedAgents?.includes(vulnName)) {
+      const count = exploitQueue?.vulnerabilities.length || 0;
+      return count > 0
+        ? { status: 'run', reason: `${count} queued item(s) from ${vulnName}` }
+        : { status: 'skip', reason: `no exploitable items in ${vulnName} queue` };
+    }
+    return { status: 'conditional', reason: `runs only if ${vulnName} queues exploitable findings` };
+  }
+
+  if (agent.priority === 'low' && budget.hasSessionLimits()) {
+    const threshold = Math.round(budget.limits.lowPriorityRatio * 100);
+    if (budgetState.ratio >= budget.limits.lowPriorityRatio) {
+      return { status: 'skip', reason: `low priority; ${Math.round(budgetState.ratio * 100)}% of budget already used (threshold ${threshold}%)` };
+    }
+    return { status: 'conditional', reason: `low priority; skipped once ${threshold}% of the session budget is used` };
+  }
+
+  if (session?.failedAgents?.includes(agent.name)) {
+    return { status: 'run', reason: 'previous attempt failed; will retry' };
+  }
+  return { status: 'run', reason: '' };
+};
+
+/**
+ * [목적] 계획 파일에 남기지 않을 인증 값(비밀번호, TOTP) 마스킹.
+ */
+const redactSecrets = (text, distributedConfig) => {
+  const credentials = distributedConfig?.authentication?.credentials;
+  if (!credentials) return text;
+  return [credentials.password, credentials.totp_secret, credentials.totp_code]
+    .filter(value => typeof value === 'string' && value.length >= 3)
+    .reduce((result, secret) => result.split(secret).join(REDACTED), text);
+};
+
+/**
+ * [목적] pre-recon 코드 분석 프롬프트 변수 (executePreReconPhase와 같은 누적 컨텍스트).
+ */
+const buildPreReconVariables = async (variables, sourceDir) => {
+  const previousContext = await loadPreviousVulnerabilities(sourceDir);
+  const unexploredDirs = await identifyUnexploredDirectories(previousContext.analyzedFiles, sourceDir);
+
+  let focusRecommendation = '';
+  if (unexploredDirs.length > 0) {
+    focusRecommendation = `\n**Recommended Focus Areas** (Unexplored Directories):\n`;
+    unexploredDirs.slice(0, 5).forEach(dir => {
+      focusRecommendation += `- \`${dir}/\` - Not yet analyzed\n`;
+    });
+  }
+
+  return {
+    ...variables,
+    SCHEMATHESIS_BANNER: envConfig.dokodemodoor.skipSchemathesis ? '(DEPRECATED/SKIP)' : '(ENCOURAGED: High priority for API fuzzing)',
+    CUMULATIVE_CONTEXT: previousContext.summary + focusRecommendation
+  };
+};
+
+/**
+ * [목적] 전체 파이프라인 실행 계획 산출.
+ *
+ * [호출자]
+ * - runPlanCommand()
+ *
+ * [입력 파라미터]
+ * - webUrl (string)
+ * - repoPath (string): 검증된 절대 경로
+ * - options.configPath (string|null)
+ * - options.loadPrompt (function): prompt-manager loadPrompt
+ *
+ * [반환값]
+ * - Promise<object>: 계획 객체 (JSON 저장 가능)
+ *
+ * [에러 처리]
+ * - 설정 파일 오류는 PentestError 그대로 전파
+ * - 개별 프롬프트 렌더링 실패는 해당 에이전트의 promptError로 기록하고 계속 진행
+ */
+export async function buildExecutionPlan(webUrl, repoPath, { configPath = null, loadPrompt } = {}) {
+  const targetRepo = path.resolve(repoPath);
+  const { config, distributedConfig, resolvedConfigPath } = await loadConfig(configPath);
+  const session = await findExistingSession(webUrl, targetRepo);
+
+  const budget = new BudgetTracker(session?.id || 'plan', resolveBudgetLimits(config?.budget || null), session?.budget?.usage);
+  const budgetState = budget.check();
+  const { maxPromptChars } = envConfig.llm.vllm;
+  const customServers = Object.keys(config?.mcpServers || {});
+
+  const toolAvailability = await checkToolAvailability();
+  const { toolRegistry, registerMCPTools } = await import('../ai/tools/tool-registry.js');
+  if (toolRegistry.tools.size === 0) {
+    await registerMCPTools();
+  }
+
+  const baseVariables = { webUrl, repoPath, sourceDir: targetRepo };
+  const nextAgent = session ? getNextAgent(session) : null;
+  const phases = [];
+
+  for (const phase of PIPELINE.phases) {
+    const caps = (phase.scopeCaps || phase.runner === 'vuln')
+      ? await ensureScopeSizeAndCaps({ targetRepo }, phase.name, { persist: false })
+      : null;
+    const agents = [];
+
+    for (const agentName of phase.agents) {
+      const agent = AGENTS[agentName];
+      const promptName = getAgentPromptName(agentName);
+      const exploitQueue = agent.kind === 'exploit' ? await readExploitQueue(targetRepo, agent.category) : null;
+      const { status, reason } = resolveAgentStatus(agent, { session, budget, budgetState, exploitQueue });
+
+      const variables = { ...baseVariables };
+      if (exploitQueue) {
+        variables.vulnerabilities = exploitQueue.vulnerabilities;
+        variables.vulnerabilityCount = exploitQueue.vulnerabilities.length;
+        variables.queueSummary = JSON.stringify(exploitQueue, null, 2);
+      }
+      if (caps) {
+        variables.FILE_OPEN_CAP = String(caps.fileOpenCap);
+        variables.SEARCH_CAP = String(caps.searchCap);
+      }
+
+      let prompt = null;
+      let promptError = null;
+      try {
+        prompt = agentName === 'pre-recon'
+          ? await loadPrompt(promptName, await buildPreReconVariables(variables, targetRepo), null)
+          : await loadPrompt(promptName, variables, distributedConfig);
+        prompt = redactSecrets(prompt, distributedConfig);
+      } catch (error) {
+        promptError = error.message;
+      }
+
+      const promptChars = prompt ? prompt.length : 0;
+      const { exploitShardSize } = envConfig.dokodemodoor;
+      const queueSize = exploitQueue?.vulnerabilities.length || 0;
+
+      agents.push({
+        name: agentName,
+        displayName: agent.displayName,
+        kind: agent.kind,
+        category: agent.category,
+        priority: agent.priority,
+        prerequisites: agent.prerequisites,
+        status,
+        reason,
+        promptName,
+        promptChars,
+        promptRatio: maxPromptChars > 0 ? promptChars / maxPromptChars : 0,
+        promptError,
+        shards: exploitShardSize > 0 && queueSize > exploitShardSize ? Math.ceil(queueSize / exploitShardSize) : 0,
+        maxTurns: envConfig.dokodemodoor.agentMaxTurns?.[agentName] || envConfig.llm.vllm.maxTurns,
+        ...resolveAgentTools(agent, phase, customServers),
+        prompt
+      });
+    }
+
+    phases.push({
+      name: phase.name,
+      title: phase.title,
+      execution: phase.execution,
+      runner: phase.runner,
+      caps,
+      agents
+    });
+  }
+
+  // Tools missing from the availability check (osv) are resolved at run time
+  const preReconScans = PRE_RECON_SCANS.map(({ tool, flag, env, touchesTarget }) => {
+    const skipped = envConfig.dokodemodoor[flag];
+    const available = toolAvailability[tool] !== false;
+    return {
+      tool,
+      enabled: !skipped && available,
+      reason: skipped ? `${env}=true` : (available ? '' : 'tool not available'),
+      touchesTarget
+    };
+  });
+
+  return {
+    generatedAt: getLocalISOString(),
+    target: { webUrl, repoPath, targetRepo },
+    config: resolvedConfigPath,
+    session: session
+      ? { id: session.id, status: session.status, resumeFrom: nextAgent?.name || null }
+      : null,
+    llm: {
+      baseURL: envConfig.llm.vllm.baseURL,
+      model: envConfig.llm.vllm.model,
+      maxTurns: envConfig.llm.vllm.maxTurns,
+      maxPromptChars
+    },
+    execution: {
+      parallelLimit: envConfig.dokodemodoor.parallelLimit,
+      streamExploitation: envConfig.dokodemodoor.streamExploitation,
+      skipExploitation: envConfig.dokodemodoor.skipExploitation,
+      exploitShardSize: envConfig.dokodemodoor.exploitShardSize
+    },
+    rules: {
+      avoid: distributedConfig?.avoid || [],
+      focus: distributedConfig?.focus || []
+    },
+    authentication: distributedConfig?.authentication
+      ? {
+        loginType: distributedConfig.authentication.login_type,
+        loginUrl: distributedConfig.authentication.login_url,
+        username: distributedConfig.authentication.credentials.username,
+        loginSteps: distributedConfig.authentication.login_flow.length
+      }
+      : null,
+    budget: {
+      limits: budget.describeLimits() || 'unlimited',
+      lowPriorityRatio: budget.limits.lowPriorityRatio,
+      used: session?.budget?.usage || null,
+      exhausted: budgetState.exhausted ? budgetState.reason : null
+    },
+    preReconScans,
+    helperTools: [...toolRegistry.tools.keys()],
+    customMcpServers: customServers,
+    phases
+  };
+}
+
+const STATUS_LABELS = Object.freeze({ run: 'RUN', skip: 'SKIP', conditional: 'CONDITIONAL' });
+
+/**
+ * [목적] 프롬프트 크기 표시 문자열 ("12,345 chars (39%)" + 한도 경고).
+ */
+const formatPromptSize = (agent, maxPromptChars) => {
+  if (agent.promptError) return `error: ${agent.promptError}`;
+  const percent = Math.round(agent.promptRatio * 100);
+  const warning = agent.promptRatio > 1 ? ' ⚠️ over limit' : (agent.promptRatio > PROMPT_WARN_RATIO ? ' ⚠️ near limit' : '');
+  return `${agent.promptChars.toLocaleString()} / ${maxPromptChars.toLocaleString()} chars (${percent}%)${warning}`;
+};
+
+/**
+ * [목적] 규칙 목록을 마크다운 리스트로 변환.
+ */
+const formatRules = (rules) => rules.length === 0
+  ? '- None'
+  : rules.map(rule => `- ${rule.description} (type: ${rule.type}, ${rule.type === 'graphql_operation' ? 'operation' : 'path'}: \`${rule.url_path}\`)`).join('\n');
+
+/**
+ * [목적] 계획 객체를 RoE 승인용 마크다운으로 렌더링.
+ *
+ * [입력 파라미터]
+ * - plan (object): buildExecutionPlan() 결과
+ *
+ * [반환값]
+ * - string
+ */
+export function renderPlanMarkdown(plan) {
+  const allAgents = plan.phases.flatMap(phase => phase.agents);
+  const count = (status) => allAgents.filter(agent => agent.status === status).length;
+  const lines = [];
+
+  lines.push('# DokodemoDoor Execution Plan', '');
+  lines.push(`- **Generated:** ${plan.generatedAt}`);
+  lines.push(`- **Target URL:** ${plan.target.webUrl}`);
+  lines.push(`- **Source repository:** ${plan.target.targetRepo}`);
+  lines.push(`- **Config:** ${plan.config || 'none'}`);
+  lines.push(`- **Session:** ${plan.session ? `resumes ${plan.session.id} (${plan.session.status})${plan.session.resumeFrom ? ` from ${plan.session.resumeFrom}` : ''}` : 'new session'}`);
+  lines.push(`- **LLM:** ${plan.llm.model} @ ${plan.llm.baseURL} (maxTurns ${plan.llm.maxTurns}, maxPromptChars ${plan.llm.maxPromptChars.toLocaleString()})`);
+  lines.push(`- **Agents:** ${count('run')} run, ${count('conditional')} conditional, ${count('skip')} skipped`);
+  lines.push('');
+  lines.push('> Dry run only: no LLM calls were made and the target was not contacted.');
+  lines.push('');
+
+  lines.push('## Rules of Engagement', '');
+  lines.push('### Avoid', '', formatRules(plan.rules.avoid), '');
+  lines.push('### Focus', '', formatRules(plan.rules.focus), '');
+  if (plan.authentication) {
+    const auth = plan.authentication;
+    lines.push('### Authentication', '');
+    lines.push(`- ${auth.loginType} login at ${auth.loginUrl} as \`${auth.username}\` (${auth.loginSteps} step(s); secrets redacted in this plan)`, '');
+  }
+
+  lines.push('## Execution Settings', '');
+  lines.push(`- Parallel limit: ${plan.execution.parallelLimit}`);
+  lines.push(`- Streamed exploitation: ${plan.execution.streamExploitation ? 'on' : 'off'}`);
+  lines.push(`- Skip exploitation: ${plan.execution.skipExploitation ? 'yes' : 'no'}`);
+  lines.push(`- Exploit shard size: ${plan.execution.exploitShardSize > 0 ? plan.execution.exploitShardSize : 'disabled'}`);
+  lines.push(`- Budget: ${plan.budget.limits} (low-priority agents skipped at ${Math.round(plan.budget.lowPriorityRatio * 100)}%)`);
+  if (plan.budget.used) {
+    const used = plan.budget.used;
+    lines.push(`- Budget used so far: ${(used.totalTokens || 0).toLocaleString()} tokens, $${(used.costUsd || 0).toFixed(4)}, ${formatDuration(used.elapsedMs || 0)}`);
+  }
+  if (plan.budget.exhausted) {
+    lines.push(`- ⚠️ Budget already exhausted (${plan.budget.exhausted}); no agent will start until it is raised`);
+  }
+  lines.push('');
+
+  lines.push('## Pre-Recon Scans', '');
+  lines.push('| Tool | Enabled | Contacts target | Note |', '|---|---|---|---|');
+  for (const scan of plan.preReconScans) {
+    lines.push(`| ${scan.tool} | ${scan.enabled ? 'yes' : 'no'} | ${scan.touchesTarget ? 'yes' : 'no'} | ${scan.reason || ''} |`);
+  }
+  lines.push('');
+
+  lines.push('## Tools', '');
+  lines.push(`- **dokodemodoor-helper (all agents):** ${plan.helperTools.map(name => `\`${name}\``).join(', ')}`);
+  lines.push('- **playwright-agentN:** browser automation tools (`browser_*`), only for agents marked Playwright = yes');
+  if (plan.customMcpServers.length > 0) {
+    lines.push(`- **Custom MCP servers (all agents):** ${plan.customMcpServers.join(', ')}`);
+  }
+  lines.push('');
+
+  lines.push('## Agents', '');
+  for (const phase of plan.phases) {
+    lines.push(`### ${phase.title} (\`${phase.name}\`, ${phase.execution})`, '');
+    if (phase.caps) {
+      lines.push(`Scope caps: fileOpen=${phase.caps.fileOpenCap}, search=${phase.caps.searchCap}`, '');
+    }
+    lines.push('| Agent | Status | Reason | MCP server | Playwright | Prompt size |', '|---|---|---|---|---|---|');
+    for (const agent of phase.agents) {
+      const server = `${agent.mcpServer}${agent.mcpServerFallback ? ' (fallback)' : ''}`;
+      const reason = [agent.reason, agent.shards > 0 ? `${agent.shards} shards` : ''].filter(Boolean).join('; ');
+      lines.push(`| ${agent.name} | ${STATUS_LABELS[agent.status]} | ${reason} | ${server} | ${agent.playwright ? 'yes' : 'no'} (${agent.playwrightSource}) | ${formatPromptSize(agent, plan.llm.maxPromptChars)} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Resolved Prompts', '');
+  for (const agent of allAgents) {
+    if (!agent.prompt) continue;
+    lines.push(`<details>`, `<summary>${agent.name} — ${agent.promptName} (${agent.promptChars.toLocaleString()} chars)</summary>`, '');
+    lines.push('````text', agent.prompt, '````', '', '</details>', '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * [목적] 계획 파일(.md + .json) 저장.
+ *
+ * [입력 파라미터]
+ * - plan (object)
+ * - outputPath (string|null): 마크다운 경로 (기본값: plans/<host>_<timestamp>.md)
+ *
+ * [반환값]
+ * - Promise<{ markdownPath: string, jsonPath: string }>
+ */
+export async function writePlanFiles(plan, outputPath = null) {
+  const stamp = plan.generatedAt.slice(0, 19).replace(/[:T]/g, '-');
+  const markdownPath = outputPath
+    ? path.resolve(outputPath)
+    : path.join(PLANS_DIR, `${generateSessionIdentifier({ id: stamp, webUrl: plan.target.webUrl })}.md`);
+  const jsonPath = markdownPath.replace(/\.md$/i, '') + '.json';
+
+  await fs.ensureDir(path.dirname(markdownPath));
+  await fs.writeFile(markdownPath, renderPlanMarkdown(plan), 'utf8');
+  await fs.writeJSON(jsonPath, plan, { spaces: 2 });
+
+  return { markdownPath, jsonPath };
+}
+
+/**
+ * [목적] --plan 명령 실행: 계획 산출, 콘솔 요약 출력, 계획 파일 저장.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs
+ *
+ * [입력 파라미터]
+ * - webUrl (string)
+ * - repoPath (string)
+ * - options.configPath (string|null)
+ * - options.outputPath (string|null)
+ * - options.loadPrompt (function)
+ *
+ * [반환값]
+ * - Promise<{ plan: object, markdownPath: string, jsonPath: string }>
+ */
+export async function runPlanCommand(webUrl, repoPath, { configPath = null, outputPath = null, loadPrompt } = {}) {
+  console.log(chalk.cyan.bold('🗺️  Building execution plan (dry run: no LLM calls, target not contacted)'));
+  const plan = await buildExecutionPlan(webUrl, repoPath, { configPath, loadPrompt });
+  const { maxPromptChars } = plan.llm;
+
+  console.log(chalk.cyan.bold('\n📋 EXECUTION PLAN'));
+  console.log(chalk.gray('─'.repeat(60)));
+  console.log(chalk.white(`Session: ${plan.session ? `resume ${plan.session.id.substring(0, 8)}${plan.session.resumeFrom ? ` from ${plan.session.resumeFrom}` : ''}` : 'new'}`));
+  console.log(chalk.white(`Rules:   ${plan.rules.avoid.length} avoid, ${plan.rules.focus.length} focus`));
+  console.log(chalk.white(`Budget:  ${plan.budget.limits}`));
+  if (plan.budget.exhausted) {
+    console.log(chalk.yellow(`⚠️  Budget already exhausted (${plan.budget.exhausted})`));
+  }
+
+  const statusColors = { run: chalk.green, skip: chalk.gray, conditional: chalk.yellow };
+  for (const phase of plan.phases) {
+    console.log(chalk.cyan(`\n${phase.title}`));
+    for (const agent of phase.agents) {
+      const color = statusColors[agent.status];
+      const size = agent.promptError
+        ? chalk.red('prompt error')
+        : (agent.promptRatio > PROMPT_WARN_RATIO ? chalk.yellow : chalk.gray)(`${Math.round(agent.promptRatio * 100)}% of ${maxPromptChars}`);
+      console.log(`  ${color(STATUS_LABELS[agent.status].padEnd(11))} ${agent.name.padEnd(18)} ${chalk.gray(agent.mcpServer.padEnd(20))} ${size}${agent.reason ? chalk.gray(`  ${agent.reason}`) : ''}`);
+    }
+  }
+
+  const files = await writePlanFiles(plan, outputPath);
+  console.log(chalk.green(`\n✅ Plan written to ${files.markdownPath}`));
+  console.log(chalk.gray(`   JSON: ${files.jsonPath}`));
+
+  return { plan, ...files };
+}
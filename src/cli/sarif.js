@@ -0,0 +1,276 @@
+/**
+ * [목적] --sarif: 세션(또는 deliverables 디렉터리)의 익스플로잇 큐와 증거를 SARIF 2.1.0 로그로 변환 (코드 스캐닝/리뷰 도구 업로드용).
+ *
+ * [호출자]
+ * - dokodemodoor.mjs (--sarif <session|dir>)
+ *
+ * [출력]
+ * - sarif/<label>_<timestamp>.sarif (--sarif-output <file> 지정 시 해당 경로)
+ *
+ * [매핑]
+ * - 카테고리 → rule (ruleId = 카테고리 id, CWE 태그 external/cwe/cwe-<n>, security-severity = 카테고리 내 최고 CVSS 기본 점수, 벡터 없으면 심각도 구간 대표값)
+ * - 큐 항목 → result. source의 file:line이 locations, 나머지 코드 위치 필드는 relatedLocations
+ * - 익스플로잇 판정 → level (EXPLOITED: error, POTENTIAL: warning, BLOCKED_BY_SECURITY: note, 판정 없음: warning)
+ * - 익스플로잇 증거(요청/응답, 재현 절차, 영향 요약)와 큐 항목 원본은 result.properties
+ *
+ * [주의사항]
+ * - 파일 경로는 targetRepo 기준 상대 경로 + uriBaseId %SRCROOT% (업로드하는 레포 체크아웃 기준과 일치해야 함)
+ * - file:line이 없는 항목(엔드포인트만 있는 인증/인가 등)은 logicalLocations만 가짐 — 일부 도구는 표시하지 않을 수 있음
+ */
+
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { fs, path } from 'zx';
+import chalk from 'chalk';
+import { listSessions } from '../session-manager.js';
+import { DOKODEMODOOR_ROOT } from '../audit/utils.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+import {
+  ENDPOINT_FIELDS,
+  PARAMETER_FIELDS,
+  REASON_FIELDS,
+  collectCodeLocations,
+  firstFieldValue,
+  getCategoryInfo,
+  loadExploitationFindings,
+  normalizeSeverity,
+  resolveDeliverablesSource
+} from '../utils/findings.js';
+import { scoreFindingCvss } from '../utils/cvss.js';
+
+const SARIF_DIR = path.join(DOKODEMODOOR_ROOT, 'sarif');
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SRCROOT = '%SRCROOT%';
+
+const VERDICT_LEVELS = Object.freeze({
+  EXPLOITED: 'error',
+  POTENTIAL: 'warning',
+  BLOCKED_BY_SECURITY: 'note'
+});
+const UNVERIFIED_LEVEL = 'warning';
+
+// GitHub code scanning buckets: >= 9.0 critical, 7.0-8.9 high, 4.0-6.9 medium, < 4.0 low
+const SECURITY_SEVERITY = Object.freeze({ critical: 9.5, high: 8.0, medium: 5.5, low: 3.0 });
+
+/**
+ * [목적] 큐의 파일 경로를 SARIF artifactLocation으로 변환.
+ * - targetRepo 안의 절대 경로와 상대 경로는 %SRCROOT% 기준 상대 URI, 그 밖의 절대 경로는 file:// URI
+ */
+const toArtifactLocation = (file, targetRepo) => {
+  if (path.isAbsolute(file)) {
+    const relative = targetRepo ? path.relative(targetRepo, file) : null;
+    if (relative === null || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return { uri: pathToFileURL(file).href };
+    }
+    return { uri: encodeURI(relative.split(path.sep).join('/')), uriBaseId: SRCROOT };
+  }
+  return { uri: encodeURI(file), uriBaseId: SRCROOT };
+};
+
+/**
+ * [목적] 큐 항목의 코드 위치를 primary / related SARIF 위치로 변환.
+ */
+const collectLocations = (item, targetRepo) => collectCodeLocations(item).map(({ field, file, line }) => ({
+  field,
+  physicalLocation: {
+    artifactLocation: toArtifactLocation(file, targetRepo),
+    region: { startLine: Number(line) }
+  }
+}));
+
+// Computed CVSS base score when the finding has a valid vector, else the severity bucket
+const severityScore = ({ item, evidence }) => scoreFindingCvss(item, evidence).scored?.score
+  ?? SECURITY_SEVERITY[normalizeSeverity(item.severity)] ?? null;
+
+/**
+ * [목적] 매칭 키 기반 지문 (재진단 업로드 간 같은 취약점을 같은 경고로 추적).
+ */
+const fingerprint = (category, endpoint, parameter, location) => crypto
+  .createHash('sha256')
+  .update([category, endpoint.toLowerCase(), parameter.toLowerCase(), location].join('\u0000'))
+  .digest('hex')
+  .slice(0, 32);
+
+/**
+ * [목적] 취약점 하나를 SARIF result로 변환.
+ */
+const toResult = ({ category, id, item, evidence }, ruleIndex, targetRepo) => {
+  const endpoint = firstFieldValue(item, ENDPOINT_FIELDS);
+  const parameter = firstFieldValue(item, PARAMETER_FIELDS);
+  const title = item.vulnerability_type || item.title || evidence?.vulnerability_name || getCategoryInfo(category).title;
+  const reason = firstFieldValue(item, REASON_FIELDS);
+  const verdict = evidence?.verdict || null;
+  const [primary, ...related] = collectLocations(item, targetRepo);
+
+  const message = [
+    `${id ? `[${id}] ` : ''}${title}${endpoint ? ` at ${endpoint}` : ''}${parameter ? ` (parameter: ${parameter})` : ''}`,
+    reason,
+    verdict ? `Exploitation verdict: ${verdict}${evidence.impact_summary ? ` — ${evidence.impact_summary}` : ''}` : 'Not verified by the exploit agent.'
+  ].filter(Boolean).join('\n');
+
+  const result = {
+    ruleId: category,
+    ruleIndex,
+    kind: 'fail',
+    level: VERDICT_LEVELS[verdict] || UNVERIFIED_LEVEL,
+    message: { text: message },
+    locations: primary
+      ? [{ physicalLocation: primary.physicalLocation }]
+      : (endpoint ? [{ logicalLocations: [{ name: endpoint, kind: 'resource' }] }] : []),
+    partialFingerprints: {
+      'dokodemodoorFinding/v1': fingerprint(category, endpoint, parameter, primary ? `${primary.physicalLocation.artifactLocation.uri}` : '')
+    },
+    properties: {
+      queueId: id,
+      severity: item.severity || null,
+      confidence: item.confidence || null,
+      cvssVector: item.cvss_vector || null,
+      cvssV4Vector: item.cvss_v4_vector || null,
+      cvssScore: scoreFindingCvss(item, evidence).scored?.score ?? null,
+      endpoint: endpoint || null,
+      parameter: parameter || null,
+      verdict: verdict || 'NOT_VERIFIED',
+      exploitation: evidence
+        ? {
+          verdict,
+          vulnerabilityName: evidence.vulnerability_name || null,
+          impactSummary: evidence.impact_summary || null,
+          reproductionSteps: evidence.reproduction_steps || [],
+          evidence: evidence.evidence || []
+        }
+        : null,
+      queueItem: item
+    }
+  };
+
+  if (related.length > 0) {
+    result.relatedLocations = related.map((location, index) => ({
+      id: index + 1,
+      physicalLocation: location.physicalLocation,
+      message: { text: location.field }
+    }));
+  }
+  return result;
+};
+
+/**
+ * [목적] 카테고리 하나를 SARIF rule로 변환.
+ */
+const toRule = (category, findings) => {
+  const info = getCategoryInfo(category);
+  const scores = findings.map(severityScore).filter(score => score !== null);
+  const cweNumber = info.cwe[0]?.replace(/^CWE-/, '');
+
+  const rule = {
+    id: category,
+    name: info.title.replace(/[^A-Za-z0-9]+(.)?/g, (_, next) => (next ? next.toUpperCase() : '')),
+    shortDescription: { text: info.title },
+    fullDescription: { text: `${info.title} found by the ${category} analysis agent${info.cwe.length ? ` (${info.cwe.join(', ')})` : ''}.` },
+    defaultConfiguration: { level: UNVERIFIED_LEVEL },
+    properties: {
+      tags: ['security', ...info.cwe.map(cwe => `external/cwe/${cwe.toLowerCase()}`)],
+      cwe: info.cwe
+    }
+  };
+  if (cweNumber) rule.helpUri = `https://cwe.mitre.org/data/definitions/${cweNumber}.html`;
+  if (scores.length > 0) rule.properties['security-severity'] = Math.max(...scores).toFixed(1);
+  return rule;
+};
+
+/**
+ * [목적] 산출물 디렉터리 하나를 SARIF 로그 객체로 변환.
+ *
+ * [입력 파라미터]
+ * - source (object): resolveDeliverablesSource() 결과 ({ label, sessionId, webUrl, targetRepo, deliverablesDir })
+ *
+ * [반환값]
+ * - Promise<object>: SARIF 2.1.0 log (runs 1개)
+ */
+export async function buildSarifLog(source) {
+  const { findings, categories } = await loadExploitationFindings(source.deliverablesDir);
+  const packageJson = await fs.readJSON(path.join(DOKODEMODOOR_ROOT, 'package.json')).catch(() => ({}));
+
+  const ruleCategories = [...new Set(findings.map(finding => finding.category))];
+  const rules = ruleCategories.map(category => toRule(category, findings.filter(finding => finding.category === category)));
+  const results = findings.map(finding => toResult(finding, ruleCategories.indexOf(finding.category), source.targetRepo));
+
+  let automationId = source.label;
+  try {
+    if (source.webUrl) automationId = new URL(source.webUrl).host;
+  } catch {
+    // Keep the label when webUrl is not a URL
+  }
+
+  const run = {
+    tool: {
+      driver: {
+        name: 'DokodemoDoor',
+        semanticVersion: packageJson.version || '1.0.0',
+        rules
+      }
+    },
+    automationDetails: { id: `dokodemodoor/${automationId}/${source.label}` },
+    columnKind: 'utf16CodeUnits',
+    results,
+    properties: {
+      sessionId: source.sessionId,
+      webUrl: source.webUrl,
+      deliverablesDir: source.deliverablesDir,
+      analyzedCategories: categories,
+      generatedAt: getLocalISOString()
+    }
+  };
+  if (source.targetRepo) {
+    run.originalUriBaseIds = { [SRCROOT]: { uri: `${pathToFileURL(source.targetRepo).href.replace(/\/?$/, '/')}` } };
+  }
+
+  return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs: [run] };
+}
+
+/**
+ * [목적] --sarif 명령 실행: 대상 해석, SARIF 생성, 콘솔 요약 출력, 파일 저장.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs
+ *
+ * [입력 파라미터]
+ * - ref (string): 세션 ID/접두사 또는 deliverables 디렉터리
+ * - options.outputPath (string|null): SARIF 파일 경로
+ *
+ * [반환값]
+ * - Promise<{ sarif: object, outputPath: string }>
+ *
+ * [에러 처리]
+ * - 세션/디렉터리를 찾지 못하면 PentestError('validation') (resolveDeliverablesSource)
+ */
+export async function runSarifExport(ref, { outputPath = null } = {}) {
+  const source = await resolveDeliverablesSource(ref, await listSessions());
+  const sarif = await buildSarifLog(source);
+  const [run] = sarif.runs;
+
+  const levels = run.results.reduce((acc, result) => ({ ...acc, [result.level]: (acc[result.level] || 0) + 1 }), {});
+  const unlocated = run.results.filter(result => !result.locations[0]?.physicalLocation).length;
+
+  console.log(chalk.cyan.bold(`🧾 SARIF export: ${source.label}${source.webUrl ? ` (${source.webUrl})` : ''}`));
+  console.log(chalk.gray(`   Source: ${source.deliverablesDir}`));
+  console.log(chalk.gray(`   ${run.results.length} results in ${run.tool.driver.rules.length} rules `
+    + `(error ${levels.error || 0}, warning ${levels.warning || 0}, note ${levels.note || 0})`));
+  if (!source.targetRepo) {
+    console.log(chalk.yellow('⚠️  Target repo unknown for this directory; relative file paths are kept as-is under %SRCROOT%'));
+  }
+  if (unlocated > 0) {
+    console.log(chalk.yellow(`⚠️  ${unlocated} result(s) have no file:line in the queue (endpoint-only logical location)`));
+  }
+
+  const stamp = run.properties.generatedAt.slice(0, 19).replace(/[:T]/g, '-');
+  const resolvedOutput = outputPath
+    ? path.resolve(outputPath)
+    : path.join(SARIF_DIR, `${source.label}_${stamp}.sarif`);
+
+  await fs.ensureDir(path.dirname(resolvedOutput));
+  await fs.writeJSON(resolvedOutput, sarif, { spaces: 2 });
+  console.log(chalk.green(`✅ SARIF written to ${resolvedOutput}`));
+
+  return { sarif, outputPath: resolvedOutput };
+}
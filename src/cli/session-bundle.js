@@ -0,0 +1,508 @@
+/**
+ * [목적] 세션 이관/보관용 번들: --export-session은 세션을 이루는 모든 산출물을 체크섬 매니페스트와 함께 tar.gz 하나로 묶고,
+ *        --import-session은 다른 머신에서 검증 후 복원 (스토어 항목 + targetRepo 경로 재매핑).
+ *
+ * [호출자]
+ * - dokodemodoor.mjs (--export-session <id>, --import-session <bundle>)
+ *
+ * [번들 구성] (<name>/ 아래)
+ * - manifest.json: 형식/버전, 세션 스토어 항목, 원래 경로, git 정보, 파일별 size + sha256
+ * - audit/: audit-logs/<host>_<id>/ (session.json, agents/*.log, console.log, prompts)
+ * - repo/: <targetRepo>의 deliverables/, outputs/, 이 세션의 보관 산출물 deliverables__*_<id8>/
+ * - repo.git.bundle: targetRepo 전체 git 이력 (git bundle --all, 체크포인트 커밋 해시 보존)
+ * - config/<file>: 세션 설정 파일
+ *
+ * [주의사항]
+ * - 실행 중 에이전트가 있는 세션은 내보내지 않음 (산출물이 쓰이는 중이라 일관성 보장 불가)
+ * - 가져오기는 매니페스트에 있고 체크섬이 일치하는 일반 파일만 복원 (심볼릭 링크는 내보낼 때 제외, 가져올 때 있으면 거부)
+ * - 기존 세션/감사 로그/비어 있지 않은 대상 경로는 덮어쓰지 않음. 중간에 실패하면 이번에 만든 경로만 정리
+ */
+
+import crypto from 'node:crypto';
+import os from 'node:os';
+import { pipeline } from 'node:stream/promises';
+import { $, fs, path } from 'zx';
+import chalk from 'chalk';
+import { PentestError } from '../error-handling.js';
+import { findSessionByIdOrSelection, getSession, importSession } from '../session-manager.js';
+import { resolveConfigPath } from '../config/config-loader.js';
+import { DOKODEMODOOR_ROOT, AUDIT_LOGS_DIR, generateAuditPath, generateSessionIdentifier } from '../audit/utils.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+
+const BUNDLE_FORMAT = 'dokodemodoor-session-bundle';
+const BUNDLE_VERSION = 1;
+const EXPORTS_DIR = path.join(DOKODEMODOOR_ROOT, 'session-exports');
+const IMPORTED_REPOS_DIR = path.join(DOKODEMODOOR_ROOT, 'repos');
+const IMPORTED_CONFIGS_DIR = path.join(DOKODEMODOOR_ROOT, 'configs', 'imported');
+const MANIFEST_FILE = 'manifest.json';
+const GIT_BUNDLE_FILE = 'repo.git.bundle';
+const REPO_DIRS = Object.freeze(['deliverables', 'outputs']);
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Full SHA-1 or SHA-256 object name, as written by git rev-parse HEAD
+const GIT_OBJECT_PATTERN = /^(?:[0-9a-f]{40}|[0-9a-f]{64})$/;
+
+/**
+ * [목적] 파일 sha256 계산 (스트리밍, 대용량 로그 대응).
+ */
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * [목적] 디렉터리 아래 일반 파일 목록 (posix 상대 경로). 심볼릭 링크 등은 skipped로 집계.
+ */
+const listFiles = async (rootDir, relativeDir = '', result = { files: [], skipped: [] }) => {
+  for (const entry of await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true })) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      await listFiles(rootDir, relativePath, result);
+    } else if (entry.isFile()) {
+      result.files.push(relativePath);
+    } else {
+      result.skipped.push(relativePath);
+    }
+  }
+  return result;
+};
+
+/**
+ * [목적] 디렉터리를 스테이징 위치로 복사 (심볼릭 링크 제외).
+ * @returns {Promise<string[]>} 제외된 항목 (원본 기준 상대 경로)
+ */
+const copyRegularFiles = async (sourceDir, destDir) => {
+  const { files, skipped } = await listFiles(sourceDir);
+  for (const file of files) {
+    await fs.copy(path.join(sourceDir, file), path.join(destDir, file), { preserveTimestamps: true });
+  }
+  return skipped;
+};
+
+/**
+ * [목적] 매니페스트 경로가 번들 디렉터리 밖을 가리키지 않는지 확인.
+ */
+const isSafeRelativePath = relativePath => typeof relativePath === 'string'
+  && relativePath.length > 0
+  && !path.posix.isAbsolute(relativePath)
+  && !relativePath.includes('\\')
+  && !relativePath.split('/').some(part => part === '..' || part === '.' || part === '');
+
+const isEmptyOrMissingDir = async (dirPath) => {
+  if (!await fs.pathExists(dirPath)) return true;
+  const stat = await fs.stat(dirPath);
+  return stat.isDirectory() && (await fs.readdir(dirPath)).length === 0;
+};
+
+/**
+ * [목적] targetRepo git 이력을 번들 파일로 저장.
+ *
+ * [반환값]
+ * - Promise<object|null>: { bundle, head, branch, uncommittedChanges } (git 레포가 아니거나 커밋이 없으면 null)
+ */
+const exportGitHistory = async (targetRepo, stagingDir) => {
+  if (!await fs.pathExists(path.join(targetRepo, '.git'))) {
+    console.log(chalk.yellow('⚠️  Target repo is not a git repository; exporting without history (rollback/rerun checkpoints unavailable after import)'));
+    return null;
+  }
+
+  try {
+    const head = (await $`cd ${targetRepo} && git rev-parse HEAD`).stdout.trim();
+    const branch = (await $`cd ${targetRepo} && git rev-parse --abbrev-ref HEAD`).stdout.trim();
+    const status = (await $`cd ${targetRepo} && git status --porcelain`).stdout
+      .split('\n')
+      .filter(line => line.trim() && !REPO_DIRS.some(dir => line.slice(3).startsWith(`${dir}/`)) && !line.slice(3).startsWith('deliverables__'));
+    await $`cd ${targetRepo} && git bundle create ${path.join(stagingDir, GIT_BUNDLE_FILE)} --all`.quiet();
+
+    if (status.length > 0) {
+      console.log(chalk.yellow(`⚠️  ${status.length} uncommitted source change(s) in the target repo are not included (only committed history is bundled)`));
+    }
+    return { bundle: GIT_BUNDLE_FILE, head, branch: branch === 'HEAD' ? null : branch, uncommittedChanges: status.length };
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not bundle git history: ${error.stderr?.trim() || error.message}`));
+    return null;
+  }
+};
+
+/**
+ * [목적] --export-session 실행: 세션 산출물 수집 → 매니페스트/체크섬 작성 → tar.gz 생성.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs
+ *
+ * [입력 파라미터]
+ * - sessionRef (string): 세션 ID 또는 접두사
+ * - options.outputPath (string|null): 번들 경로 (기본 session-exports/<host>_<id8>_<timestamp>.tar.gz)
+ *
+ * [반환값]
+ * - Promise<{ bundlePath: string, manifest: object, sha256: string }>
+ *
+ * [에러 처리]
+ * - 실행 중 에이전트가 있으면 PentestError('validation'), tar 실패 시 PentestError('filesystem')
+ */
+export async function exportSessionBundle(sessionRef, { outputPath = null } = {}) {
+  const session = await findSessionByIdOrSelection(sessionRef);
+  const shortId = session.id.substring(0, 8);
+
+  if ((session.runningAgents || []).length > 0) {
+    throw new PentestError(
+      `Session ${shortId} has running agents (${session.runningAgents.join(', ')}). Stop it or run --mark-interrupted ${shortId} before exporting.`,
+      'validation',
+      false,
+      { sessionId: session.id, runningAgents: session.runningAgents }
+    );
+  }
+
+  const exportedAt = getLocalISOString();
+  const stamp = exportedAt.slice(0, 19).replace(/[:T]/g, '-');
+  const bundleName = `${generateSessionIdentifier({ id: shortId, webUrl: session.webUrl })}_${stamp}`;
+  const bundlePath = outputPath ? path.resolve(outputPath) : path.join(EXPORTS_DIR, `${bundleName}.tar.gz`);
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dokodemodoor-export-'));
+  const stagingDir = path.join(tempDir, bundleName);
+  const skipped = [];
+
+  console.log(chalk.cyan.bold(`📦 Exporting session ${shortId} (${session.webUrl})`));
+
+  try {
+    await fs.ensureDir(stagingDir);
+
+    const auditPath = generateAuditPath(session);
+    if (await fs.pathExists(auditPath)) {
+      skipped.push(...(await copyRegularFiles(auditPath, path.join(stagingDir, 'audit'))).map(file => `audit/${file}`));
+    } else {
+      console.log(chalk.yellow(`⚠️  No audit logs found at ${auditPath}`));
+    }
+
+    const targetRepo = session.targetRepo || session.repoPath;
+    let git = null;
+    const repoDirs = [];
+    if (targetRepo && await fs.pathExists(targetRepo)) {
+      const archives = (await fs.readdir(targetRepo)).filter(entry => new RegExp(`^deliverables__.+_${shortId}(?:_\\d+)?$`).test(entry));
+      for (const dir of [...REPO_DIRS, ...archives]) {
+        const sourceDir = path.join(targetRepo, dir);
+        if (!await fs.pathExists(sourceDir)) continue;
+        skipped.push(...(await copyRegularFiles(sourceDir, path.join(stagingDir, 'repo', dir))).map(file => `repo/${dir}/${file}`));
+        repoDirs.push(dir);
+      }
+      git = await exportGitHistory(targetRepo, stagingDir);
+    } else {
+      console.log(chalk.yellow(`⚠️  Target repo not found at ${targetRepo}; exporting audit logs only`));
+    }
+
+    let config = null;
+    const configPath = session.configFile ? await resolveConfigPath(session.configFile, DOKODEMODOOR_ROOT) : null;
+    if (configPath && await fs.pathExists(configPath)) {
+      config = `config/${path.basename(configPath)}`;
+      await fs.copy(configPath, path.join(stagingDir, config));
+    } else if (session.configFile) {
+      console.log(chalk.yellow(`⚠️  Config file not found (${session.configFile}); importing machine must provide it`));
+    }
+
+    if (skipped.length > 0) {
+      console.log(chalk.yellow(`⚠️  Skipped ${skipped.length} non-regular file(s) (symlinks etc.): ${skipped.slice(0, 3).join(', ')}${skipped.length > 3 ? ', ...' : ''}`));
+    }
+
+    const files = [];
+    for (const file of (await listFiles(stagingDir)).files.sort()) {
+      const filePath = path.join(stagingDir, file);
+      files.push({ path: file, size: (await fs.stat(filePath)).size, sha256: await hashFile(filePath) });
+    }
+
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt,
+      exportedFrom: os.hostname(),
+      session,
+      source: {
+        repoPath: session.repoPath || null,
+        targetRepo: targetRepo || null,
+        configFile: session.configFile || null,
+        auditDir: path.basename(auditPath)
+      },
+      repoDirs,
+      config,
+      git,
+      skipped,
+      files
+    };
+    await fs.writeJSON(path.join(stagingDir, MANIFEST_FILE), manifest, { spaces: 2 });
+
+    await fs.ensureDir(path.dirname(bundlePath));
+    try {
+      await $`tar -czf ${bundlePath} -C ${tempDir} ${bundleName}`.quiet();
+    } catch (error) {
+      throw new PentestError(
+        `Failed to write bundle archive: ${error.stderr?.trim() || error.message}`,
+        'filesystem',
+        false,
+        { bundlePath }
+      );
+    }
+
+    const sha256 = await hashFile(bundlePath);
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    console.log(chalk.green(`✅ Session bundle written to ${bundlePath}`));
+    console.log(chalk.gray(`   ${files.length} files, ${(totalBytes / 1024 / 1024).toFixed(1)} MB uncompressed${git ? `, git HEAD ${git.head.substring(0, 10)}` : ', no git history'}`));
+    console.log(chalk.gray(`   sha256: ${sha256}`));
+
+    return { bundlePath, manifest, sha256 };
+  } finally {
+    await fs.remove(tempDir).catch(() => {});
+  }
+}
+
+/**
+ * [목적] 복원 경로/git 명령에 쓰이는 매니페스트 값 검증 (경로 탈출, 옵션 주입 차단).
+ *
+ * [반환값]
+ * - Promise<string[]>: 문제 목록 (비어 있으면 통과)
+ *
+ * [주의사항]
+ * - git 번들/설정 파일은 체크섬 검증 대상(files)에 있는 경로만 허용
+ * - 브랜치는 '-'로 시작하면 git이 옵션으로 읽으므로 check-ref-format 전에 거부
+ */
+const verifyManifestFields = async (manifest, listedPaths) => {
+  const problems = [];
+  if (typeof manifest.session.id !== 'string' || !SESSION_ID_PATTERN.test(manifest.session.id)) {
+    problems.push(`session.id: not a session UUID (${manifest.session.id})`);
+  }
+
+  // The default import location is repos/<basename(source.targetRepo)>
+  const targetRepo = manifest.source?.targetRepo;
+  if (targetRepo != null) {
+    const repoName = typeof targetRepo === 'string' ? path.basename(targetRepo) : '';
+    if (!isSafeRelativePath(repoName) || repoName.includes('/')) {
+      problems.push(`source.targetRepo: unsafe directory name (${targetRepo})`);
+    }
+  }
+
+  const auditDir = manifest.source?.auditDir;
+  if (auditDir != null && (!isSafeRelativePath(auditDir) || auditDir.includes('/'))) {
+    problems.push(`source.auditDir: unsafe directory name (${auditDir})`);
+  }
+  if (manifest.config != null && !(isSafeRelativePath(manifest.config) && listedPaths.has(manifest.config))) {
+    problems.push(`config: unsafe or unlisted path (${manifest.config})`);
+  }
+
+  const { git } = manifest;
+  if (git != null) {
+    if (!isSafeRelativePath(git.bundle) || !listedPaths.has(git.bundle)) {
+      problems.push(`git.bundle: unsafe or unlisted path (${git.bundle})`);
+    }
+    if (typeof git.head !== 'string' || !GIT_OBJECT_PATTERN.test(git.head)) {
+      problems.push(`git.head: not a commit SHA (${git.head})`);
+    }
+    if (git.branch != null) {
+      const validBranch = typeof git.branch === 'string'
+        && !git.branch.startsWith('-')
+        && (await $`git check-ref-format ${`refs/heads/${git.branch}`}`.quiet().nothrow()).exitCode === 0;
+      if (!validBranch) problems.push(`git.branch: invalid branch name (${git.branch})`);
+    }
+  }
+  return problems;
+};
+
+/**
+ * [목적] 압축 해제된 번들 검증 (심볼릭 링크 없음, 형식/버전, 필드/경로 안전성, 파일 존재/크기/sha256).
+ *
+ * [에러 처리]
+ * - 하나라도 어긋나면 PentestError('validation') (아무것도 복원하기 전에 중단)
+ */
+const verifyBundle = async (bundleDir) => {
+  // Symlinks in the extracted tree would be followed by the per-file checks below and by the copy step
+  const bundleStat = await fs.lstat(bundleDir);
+  const { skipped: nonRegular } = bundleStat.isDirectory() ? await listFiles(bundleDir) : { skipped: [path.basename(bundleDir)] };
+  if (nonRegular.length > 0) {
+    throw new PentestError(
+      `Bundle contains symlinks or other non-regular entries: ${nonRegular.slice(0, 5).join(', ')}${nonRegular.length > 5 ? ', ...' : ''}`,
+      'validation',
+      false,
+      { entries: nonRegular }
+    );
+  }
+
+  const manifest = await fs.readJSON(path.join(bundleDir, MANIFEST_FILE)).catch(() => null);
+  if (manifest?.format !== BUNDLE_FORMAT || !manifest.session?.id || !Array.isArray(manifest.files)) {
+    throw new PentestError('Not a DokodemoDoor session bundle (manifest.json missing or invalid)', 'validation', false, { bundleDir });
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new PentestError(
+      `Bundle version ${manifest.version} is newer than supported version ${BUNDLE_VERSION}; update DokodemoDoor first`,
+      'validation',
+      false,
+      { version: manifest.version }
+    );
+  }
+
+  const listedPaths = new Set(manifest.files.map(file => file.path));
+  const problems = await verifyManifestFields(manifest, listedPaths);
+  for (const file of manifest.files) {
+    if (!isSafeRelativePath(file.path)) {
+      problems.push(`${file.path}: unsafe path`);
+      continue;
+    }
+    const filePath = path.join(bundleDir, file.path);
+    const stat = await fs.lstat(filePath).catch(() => null);
+    if (!stat?.isFile()) {
+      problems.push(`${file.path}: missing`);
+    } else if (stat.size !== file.size || await hashFile(filePath) !== file.sha256) {
+      problems.push(`${file.path}: checksum mismatch`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new PentestError(
+      `Bundle integrity check failed (${problems.length} problem(s)): ${problems.slice(0, 5).join('; ')}${problems.length > 5 ? '; ...' : ''}`,
+      'validation',
+      false,
+      { problems }
+    );
+  }
+  return manifest;
+};
+
+/**
+ * [목적] 번들의 git 이력으로 대상 레포 복원 (clone 후 원래 HEAD/브랜치로 맞추고 임시 origin 제거).
+ */
+const restoreGitHistory = async (bundleFile, targetRepo, git) => {
+  await $`git clone --quiet ${bundleFile} ${targetRepo}`.quiet();
+  if (git.branch) {
+    await $`cd ${targetRepo} && git checkout --quiet -B ${git.branch} ${git.head}`.quiet();
+  } else {
+    await $`cd ${targetRepo} && git checkout --quiet --detach ${git.head}`.quiet();
+  }
+  await $`cd ${targetRepo} && git remote remove origin`.quiet().nothrow();
+};
+
+/**
+ * [목적] --import-session 실행: 번들 압축 해제 → 무결성 검증 → git 이력/산출물/감사 로그/설정 복원 → 스토어 항목 추가.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs
+ *
+ * [입력 파라미터]
+ * - bundleFile (string): --export-session이 만든 .tar.gz
+ * - options.targetRepo (string|null): 복원할 대상 레포 경로 (기본 repos/<원래 디렉터리 이름>)
+ *
+ * [반환값]
+ * - Promise<{ session: object, targetRepo: string }>
+ *
+ * [에러 처리]
+ * - 세션 ID/감사 로그 경로가 이미 있거나 대상 경로가 비어 있지 않으면 PentestError('validation')
+ * - 복원 중 실패 시 이번에 만든 경로를 지우고 re-throw
+ */
+export async function importSessionBundle(bundleFile, { targetRepo: targetRepoOption = null } = {}) {
+  const resolvedBundle = path.resolve(bundleFile);
+  if (!await fs.pathExists(resolvedBundle)) {
+    throw new PentestError(`Bundle file not found: ${bundleFile}`, 'validation', false, { bundleFile });
+  }
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dokodemodoor-import-'));
+  const created = [];
+
+  try {
+    try {
+      await $`tar -xzf ${resolvedBundle} -C ${tempDir}`.quiet();
+    } catch (error) {
+      throw new PentestError(`Failed to extract bundle: ${error.stderr?.trim() || error.message}`, 'validation', false, { bundleFile });
+    }
+
+    const entries = await fs.readdir(tempDir);
+    if (entries.length !== 1) {
+      throw new PentestError('Not a DokodemoDoor session bundle (unexpected archive layout)', 'validation', false, { entries });
+    }
+    const bundleDir = path.join(tempDir, entries[0]);
+    const manifest = await verifyBundle(bundleDir);
+    const { session: exported, source } = manifest;
+    const shortId = exported.id.substring(0, 8);
+
+    console.log(chalk.cyan.bold(`📥 Importing session ${shortId} (${exported.webUrl}), exported ${manifest.exportedAt} from ${manifest.exportedFrom}`));
+
+    const targetRepo = path.resolve(targetRepoOption || path.join(IMPORTED_REPOS_DIR, path.basename(source.targetRepo || `session-${shortId}`)));
+    const auditPath = path.join(AUDIT_LOGS_DIR, source.auditDir || generateSessionIdentifier(exported));
+
+    if (await getSession(exported.id)) {
+      throw new PentestError(
+        `Session ${shortId} already exists in the store. Delete it first with --cleanup ${shortId}.`,
+        'validation',
+        false,
+        { sessionId: exported.id }
+      );
+    }
+    if (await fs.pathExists(auditPath)) {
+      throw new PentestError(`Audit log directory already exists: ${auditPath}`, 'validation', false, { auditPath });
+    }
+    if (!await isEmptyOrMissingDir(targetRepo)) {
+      throw new PentestError(
+        `Target repo path is not empty: ${targetRepo}. Choose another location with --target-repo <path>.`,
+        'validation',
+        false,
+        { targetRepo }
+      );
+    }
+
+    created.push(targetRepo, auditPath);
+    if (manifest.git) {
+      await restoreGitHistory(path.join(bundleDir, manifest.git.bundle), targetRepo, manifest.git);
+    } else {
+      await fs.ensureDir(targetRepo);
+    }
+
+    let configFile = exported.configFile || null;
+    for (const file of manifest.files) {
+      const sourcePath = path.join(bundleDir, file.path);
+      if (file.path.startsWith('audit/')) {
+        await fs.copy(sourcePath, path.join(auditPath, file.path.slice('audit/'.length)), { preserveTimestamps: true });
+      } else if (file.path.startsWith('repo/')) {
+        await fs.copy(sourcePath, path.join(targetRepo, file.path.slice('repo/'.length)), { overwrite: true, preserveTimestamps: true });
+      }
+    }
+    if (manifest.config) {
+      configFile = path.join(IMPORTED_CONFIGS_DIR, `${shortId}_${path.basename(manifest.config)}`);
+      await fs.copy(path.join(bundleDir, manifest.config), configFile, { overwrite: true });
+      created.push(configFile);
+    }
+
+    // session.json keeps its own copy of the repo path (metrics-tracker)
+    const sessionJsonPath = path.join(auditPath, 'session.json');
+    if (await fs.pathExists(sessionJsonPath)) {
+      const sessionJson = await fs.readJSON(sessionJsonPath);
+      if (sessionJson.session) sessionJson.session.repoPath = targetRepo;
+      await fs.writeJSON(sessionJsonPath, sessionJson, { spaces: 2 });
+    }
+
+    const session = await importSession({
+      ...exported,
+      repoPath: targetRepo,
+      targetRepo,
+      configFile,
+      runningAgents: [],
+      importedFrom: {
+        bundle: path.basename(resolvedBundle),
+        exportedAt: manifest.exportedAt,
+        exportedFrom: manifest.exportedFrom,
+        targetRepo: source.targetRepo,
+        configFile: source.configFile
+      },
+      lastActivity: getLocalISOString()
+    });
+    created.length = 0;
+
+    console.log(chalk.green(`✅ Session ${shortId} imported (${manifest.files.length} files verified)`));
+    console.log(chalk.gray(`   Target repo: ${source.targetRepo} → ${targetRepo}`));
+    console.log(chalk.gray(`   Audit logs:  ${auditPath}`));
+    if (configFile !== exported.configFile) console.log(chalk.gray(`   Config:      ${configFile}`));
+    if (!manifest.git) console.log(chalk.yellow('⚠️  Bundle has no git history; --rollback-to / checkpoints are unavailable for this session'));
+    console.log(chalk.gray(`   Next: ./dokodemodoor.mjs --status --session ${shortId}`));
+
+    return { session, targetRepo };
+  } catch (error) {
+    for (const createdPath of created) {
+      await fs.remove(createdPath).catch(() => {});
+    }
+    throw error;
+  } finally {
+    await fs.remove(tempDir).catch(() => {});
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * [목적] 세션 스토어 백엔드 간 이관 (--migrate-store <json|sqlite>): 다른 백엔드의 세션 레코드를 대상 백엔드로 복사.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs (--migrate-store)
+ *
+ * [주의사항]
+ * - 원본 스토어는 수정/삭제하지 않음 (확인 후 직접 정리)
+ * - 대상 스토어에 세션이 하나라도 있으면 중단 (병합하지 않음)
+ * - 복사는 대상 스토어의 단일 트랜잭션으로 수행 — 실패 시 대상은 비어 있는 상태로 남음
+ * - sqlite → json 이관 시 session_history 이력은 옮겨지지 않음
+ * - 이관 후 백엔드 전환은 DOKODEMODOOR_SESSION_STORE 설정으로 (자동 전환하지 않음)
+ */
+
+import chalk from 'chalk';
+import { PentestError } from '../error-handling.js';
+import { SESSION_STORE_BACKENDS, createSessionStore } from '../store/session-store.js';
+
+/**
+ * [목적] 다른 백엔드의 모든 세션을 targetBackend 스토어로 복사.
+ *
+ * [입력 파라미터]
+ * - targetBackend (string): json | sqlite
+ *
+ * [반환값]
+ * - Promise<{ source: object, target: object, migrated: number }>: describe() 결과와 복사한 세션 수
+ *
+ * [에러 처리]
+ * - 알 수 없는 백엔드, 비어 있지 않은 대상, 복사 후 건수 불일치 시 PentestError('validation')
+ */
+export async function runStoreMigration(targetBackend) {
+  const targetName = String(targetBackend || '').toLowerCase();
+  if (!SESSION_STORE_BACKENDS.includes(targetName)) {
+    throw new PentestError(
+      `Unknown session store backend: ${targetBackend} (expected ${SESSION_STORE_BACKENDS.join(' or ')})`,
+      'validation',
+      false,
+      { targetBackend }
+    );
+  }
+  const sourceName = SESSION_STORE_BACKENDS.find(name => name !== targetName);
+
+  const source = await createSessionStore(sourceName);
+  let target = null;
+  try {
+    target = await createSessionStore(targetName);
+    const from = source.describe();
+    const to = target.describe();
+    console.log(chalk.cyan.bold(`🗄️  Migrating session store: ${from.backend} (${from.location}) → ${to.backend} (${to.location})`));
+
+    const sessions = await source.list();
+    if (sessions.length === 0) {
+      console.log(chalk.yellow(`⚠️  Source store has no sessions; nothing to migrate`));
+      return { source: from, target: to, migrated: 0 };
+    }
+
+    await target.transaction(async (tx) => {
+      const existing = await tx.list();
+      if (existing.length > 0) {
+        throw new PentestError(
+          `Target ${to.backend} store already contains ${existing.length} session(s); refusing to merge. Move ${to.location} aside first.`,
+          'validation',
+          false,
+          { target: to, existing: existing.length }
+        );
+      }
+      for (const session of sessions) {
+        await tx.put(session);
+      }
+    });
+
+    const migrated = (await target.list()).length;
+    if (migrated !== sessions.length) {
+      throw new PentestError(
+        `Migration incomplete: ${migrated}/${sessions.length} sessions in ${to.location}`,
+        'validation',
+        false,
+        { source: from, target: to, expected: sessions.length, migrated }
+      );
+    }
+
+    console.log(chalk.green(`✅ Migrated ${migrated} session(s) to ${to.location}`));
+    console.log(chalk.gray(`   Source left untouched: ${from.location}`));
+    if (targetName === 'json') {
+      console.log(chalk.gray('   Note: SQLite change history (session_history) is not carried over to JSON'));
+    }
+    console.log(chalk.gray(`   Next: set DOKODEMODOOR_SESSION_STORE=${targetName} in .env, then ./dokodemodoor.mjs --status`));
+    return { source: from, target: to, migrated };
+  } finally {
+    source.close();
+    target?.close();
+  }
+}
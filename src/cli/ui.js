@@ -20,7 +20,18 @@ export function showHelp() {
 
   console.log(chalk.yellow.bold('NORMAL MODE (Creates Sessions):'));
   console.log('  ./dokodemodoor.mjs <WEB_URL> <REPO_PATH> [--config config.yaml]');
-  console.log('  ./dokodemodoor.mjs <WEB_URL> <REPO_PATH> --setup-only                     # Setup local repo and create session only\n');
+  console.log('  ./dokodemodoor.mjs <WEB_URL> <REPO_PATH> --setup-only                     # Setup local repo and create session only');
+  console.log('  ./dokodemodoor.mjs <WEB_URL> <REPO_PATH> [--config config.yaml] --plan    # Dry run: write the execution plan, run nothing');
+  console.log('  ./dokodemodoor.mjs --batch <targets.yaml|targets.csv> [--batch-concurrency N] [--config default.yaml]  # One session per target');
+  console.log('  ./dokodemodoor.mjs --diff <sessionA> <sessionB> [--diff-output diff.md]  # Retest diff: new / fixed / still present');
+  console.log('  ./dokodemodoor.mjs --export-session <id> [--export-output bundle.tar.gz]                      # Bundle a session for handover/archive');
+  console.log('  ./dokodemodoor.mjs --import-session <bundle.tar.gz> [--target-repo /path/to/repo]            # Restore a bundled session');
+  console.log('  ./dokodemodoor.mjs --migrate-store <json|sqlite>                                          # Copy sessions into the other store backend');
+  console.log('  ./dokodemodoor.mjs --sarif <session|deliverables-dir> [--sarif-output results.sarif]         # SARIF 2.1.0 for code scanning upload');
+  console.log('  ./dokodemodoor.mjs --html-report <session|deliverables-dir> [--html-output report.html]      # Self-contained HTML report for clients');
+  console.log('  ./dokodemodoor.mjs --docx-report <session|deliverables-dir> [--docx-template company.yaml]  # Word report with cover page and TOC');
+  console.log('  ./dokodemodoor.mjs <WEB_URL> <REPO_PATH> --config ci.yaml --ci               # CI: exit 2 when ci_gate thresholds are exceeded');
+  console.log('  ./dokodemodoor.mjs --gate <session|deliverables-dir> [--config ci.yaml] [--gate-output gate.json]  # Evaluate the CI gate for a finished session\n');
 
   console.log(chalk.yellow.bold('DEVELOPER MODE (Operates on Existing Sessions):'));
   console.log('  ./dokodemodoor.mjs --run-phase <phase-name> [--session <id>]');
@@ -35,7 +46,28 @@ export function showHelp() {
   console.log(chalk.yellow.bold('OPTIONS:'));
   console.log('  --config <file>      YAML configuration file for authentication and testing parameters');
   console.log('  --session <id>       Target specific session (full UUID or first 8 chars). Skips interactive selection.');
-  console.log('  --disable-loader     Disable the animated progress loader (useful when logs interfere with spinner)\n');
+  console.log('  --disable-loader     Disable the animated progress loader (useful when logs interfere with spinner)');
+  console.log('  --plan               Build the execution plan (agents, resolved prompts, MCP servers, tools, rules) without calling the LLM or touching the target');
+  console.log('  --plan-output <file> Plan file path (default: plans/<host>_<timestamp>.md, JSON written alongside); implies --plan');
+  console.log('  --batch <file>       Scan every { webUrl, repoPath, config } entry of a YAML/CSV targets file, each in its own session; writes batch-runs/<timestamp>/summary.md');
+  console.log('  --batch-concurrency <n>  Targets scanned at once in --batch mode (default: DOKODEMODOOR_BATCH_CONCURRENCY or 2)');
+  console.log('  --diff <a> <b>       Match exploitation-queue findings of two sessions (IDs, prefixes or deliverables dirs) by category, endpoint, parameter and sink file:line');
+  console.log('  --diff-output <file> Diff file path (default: diffs/<a>_vs_<b>_<timestamp>.md, JSON written alongside)');
+  console.log('  --export-session <id>  Write store entry, audit logs, deliverables (incl. archived), outputs, git history and config to one .tar.gz with a sha256 manifest');
+  console.log('  --export-output <file> Bundle path (default: session-exports/<host>_<id8>_<timestamp>.tar.gz)');
+  console.log('  --import-session <file> Verify and restore a session bundle, remapping its targetRepo');
+  console.log('  --target-repo <path>   Where --import-session restores the target repo (default: repos/<original repo dir name>)');
+  console.log('  --migrate-store <backend> Copy all sessions from the other backend into json or sqlite (target must be empty; source is kept). Select with DOKODEMODOOR_SESSION_STORE');
+  console.log('  --sarif <ref>        Export exploitation queues + evidence as SARIF: file:line locations, verdict levels, CWE-tagged rules per category');
+  console.log('  --sarif-output <file> SARIF file path (default: sarif/<id8>_<timestamp>.sarif)');
+  console.log('  --html-report <ref>  Render the report (+ _kr translation) as one offline HTML: severity charts, sortable findings, evidence, screenshots, code links');
+  console.log('  --html-output <file> HTML file path (default: <deliverables>/comprehensive_security_assessment_report.html; _kr added for the translation)');
+  console.log('  --docx-report <ref>  Render the report (+ _kr translation) as .docx: cover page, table of contents, findings tables, embedded screenshots');
+  console.log('  --docx-output <file> DOCX file path (default: <deliverables>/comprehensive_security_assessment_report.docx; _kr added for the translation)');
+  console.log('  --docx-template <f>  Cover/header/footer text and styling YAML (default: DOKODEMODOOR_DOCX_TEMPLATE or configs/report/docx-template.yaml)');
+  console.log('  --ci                 After the pipeline, evaluate the config ci_gate rules and exit 0 (pass), 2 (thresholds exceeded) or 3 (incomplete run)');
+  console.log('  --gate <ref>         Evaluate the CI gate for a session/deliverables dir (thresholds from --config, else the session config; default: any EXPLOITED critical/high)');
+  console.log('  --gate-output <file> Also write the gate result as JSON (rules, counts, matching findings)\n');
 
   console.log(chalk.yellow.bold('DEVELOPER COMMANDS:'));
   console.log('  --run-phase          Run all agents in a phase (parallel execution for 5x speedup)');
@@ -51,7 +83,8 @@ export function showHelp() {
   console.log('  # Normal mode - create new session');
   console.log('  ./dokodemodoor.mjs "https://example.com" "/path/to/local/repo"');
   console.log('  ./dokodemodoor.mjs "https://example.com" "/path/to/local/repo" --config auth.yaml');
-  console.log('  ./dokodemodoor.mjs "https://example.com" "/path/to/local/repo" --setup-only  # Setup only\n');
+  console.log('  ./dokodemodoor.mjs "https://example.com" "/path/to/local/repo" --setup-only  # Setup only');
+  console.log('  ./dokodemodoor.mjs "https://example.com" "/path/to/local/repo" --config auth.yaml --plan  # Plan for RoE approval\n');
 
   console.log('  # Developer mode - operate on existing session');
   console.log('  ./dokodemodoor.mjs --status                           # Show session status (interactive)');
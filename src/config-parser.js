@@ -280,6 +280,13 @@ const validateRuleTypeSpecific = (rule, ruleType, index) => {
         throw new Error(`rules.${ruleType}[${index}].url_path for type 'parameter' must be a valid parameter name (alphanumeric, hyphens, underscores only)`);
       }
       break;
+
+    case 'graphql_operation':
+      // Operation name (glob allowed), optionally prefixed with the root type: Mutation.deleteUser, admin*
+      if (!rule.url_path.match(/^((query|mutation|subscription)\.)?[A-Za-z_*][A-Za-z0-9_*]*$/i)) {
+        throw new Error(`rules.${ruleType}[${index}].url_path for type 'graphql_operation' must be an operation name, optionally prefixed with Query./Mutation./Subscription. (alphanumeric, underscores, '*' only)`);
+      }
+      break;
   }
 };
 
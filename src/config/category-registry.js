@@ -0,0 +1,273 @@
+import { fs, path } from 'zx';
+import yaml from 'js-yaml';
+import Ajv from 'ajv';
+import { fileURLToPath } from 'url';
+import { PentestError } from '../error-handling.js';
+import { config } from './env.js';
+import { registerCategoryDeliverables } from '../../mcp-server/src/types/deliverables.js';
+import { registerCategoryRequiredFields } from '../../mcp-server/src/validation/queue-validator.js';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+export const BUILTIN_CATEGORY_DIR = path.join(PROJECT_ROOT, 'categories');
+export const CATEGORY_MANIFEST_FILE = 'category.yaml';
+
+const DEFAULT_REPORT_MAX_CHARS = 16000;
+
+const ajv = new Ajv({ allErrors: true });
+
+// Load JSON Schema
+let categorySchema;
+try {
+  const schemaPath = new URL('../../configs/category-schema.json', import.meta.url);
+  const schemaContent = await fs.readFile(schemaPath, 'utf8');
+  categorySchema = JSON.parse(schemaContent);
+} catch (error) {
+  throw new PentestError(
+    `Failed to load category plugin schema: ${error.message}`,
+    'config',
+    false,
+    { schemaPath: '../configs/category-schema.json', originalError: error.message }
+  );
+}
+
+const validateSchema = ajv.compile(categorySchema);
+
+/**
+ * [목적] 플러그인 탐색 경로 목록 생성 (내장 categories/ + DOKODEMODOOR_CATEGORY_PATHS).
+ *
+ * [호출자]
+ * - loadCategoryPlugins()
+ *
+ * [반환값]
+ * - string[]: 절대 경로 목록 (중복 제거)
+ */
+export const getCategorySearchPaths = (extraPaths = config.dokodemodoor.categoryPaths) => {
+  const resolved = extraPaths.map((entry) => {
+    if (path.isAbsolute(entry)) return entry;
+    const fromCwd = path.resolve(process.cwd(), entry);
+    return fs.pathExistsSync(fromCwd) ? fromCwd : path.join(PROJECT_ROOT, entry);
+  });
+  return [...new Set([BUILTIN_CATEGORY_DIR, ...resolved])];
+};
+
+/**
+ * [목적] 탐색 경로에서 category.yaml을 가진 플러그인 디렉터리 수집.
+ *
+ * [호출자]
+ * - loadCategoryPlugins()
+ *
+ * [흐름]
+ * - 경로 자체가 플러그인이면 그대로 사용
+ * - 아니면 하위 디렉터리 중 매니페스트가 있는 것만 이름순으로 수집
+ */
+const discoverPluginDirs = async (searchPaths) => {
+  const dirs = [];
+  for (const searchPath of searchPaths) {
+    if (!await fs.pathExists(searchPath)) continue;
+
+    if (await fs.pathExists(path.join(searchPath, CATEGORY_MANIFEST_FILE))) {
+      dirs.push(searchPath);
+      continue;
+    }
+
+    const entries = await fs.readdir(searchPath, { withFileTypes: true });
+    const pluginDirs = entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(searchPath, entry.name))
+      .sort();
+    for (const dir of pluginDirs) {
+      if (await fs.pathExists(path.join(dir, CATEGORY_MANIFEST_FILE))) dirs.push(dir);
+    }
+  }
+  return dirs;
+};
+
+/**
+ * [목적] 매니페스트의 vuln/exploit 항목을 내부 에이전트 표현으로 정규화.
+ */
+const normalizePluginAgent = (rawAgent, id, kind, pluginDir) => {
+  const playwright = typeof rawAgent.playwright === 'boolean' ? rawAgent.playwright : null;
+
+  return Object.freeze({
+    name: `${id}-${kind}`,
+    displayName: rawAgent.display_name || `${id.toUpperCase()} ${kind} agent`,
+    promptName: `${kind}-${id}`,
+    promptPath: path.join(pluginDir, rawAgent.prompt),
+    prerequisites: rawAgent.prerequisites ? Object.freeze([...rawAgent.prerequisites]) : null,
+    mcpServer: rawAgent.mcp_server || (playwright === false ? 'dokodemodoor-helper' : 'playwright-agent1'),
+    playwright,
+    color: rawAgent.color || null,
+    todo: Object.freeze(rawAgent.todo || (kind === 'vuln'
+      ? [`Map ${id.toUpperCase()} sinks and sources`, 'Trace untrusted data to sinks', 'Check sanitization and configuration', `Document ${id.toUpperCase()} findings (Analysis + Queue)`]
+      : [`Read ${id}_exploitation_queue.json`, 'Perform Confirmation & Probing', 'Perform Impact Verification', `Save ${id.toUpperCase()}_EVIDENCE`]))
+  });
+};
+
+/**
+ * [목적] 단일 플러그인 디렉터리의 매니페스트를 읽고 검증.
+ *
+ * [호출자]
+ * - loadCategoryPlugins()
+ *
+ * [입력 파라미터]
+ * - pluginDir (string)
+ *
+ * [반환값]
+ * - Promise<object>: 정규화된 플러그인 정의
+ *
+ * [에러 처리]
+ * - YAML/스키마 오류, 프롬프트 파일 누락 시 PentestError('config')
+ */
+export const loadCategoryPlugin = async (pluginDir) => {
+  const manifestFile = path.join(pluginDir, CATEGORY_MANIFEST_FILE);
+  const fail = (message, context = {}) => {
+    throw new PentestError(`Invalid category plugin (${manifestFile}): ${message}`, 'config', false, { manifestFile, ...context });
+  };
+
+  let raw;
+  try {
+    raw = yaml.load(await fs.readFile(manifestFile, 'utf8'));
+  } catch (error) {
+    fail(`failed to parse manifest: ${error.message}`, { originalError: error.message });
+  }
+
+  if (!validateSchema(raw)) {
+    const details = validateSchema.errors
+      .map(err => `${err.instancePath || '/'} ${err.message}`)
+      .join('; ');
+    fail(details, { validationErrors: validateSchema.errors });
+  }
+
+  const id = raw.id;
+  const vuln = normalizePluginAgent(raw.vuln, id, 'vuln', pluginDir);
+  const exploit = normalizePluginAgent(raw.exploit, id, 'exploit', pluginDir);
+
+  for (const agent of [vuln, exploit]) {
+    if (!await fs.pathExists(agent.promptPath)) {
+      fail(`prompt file not found for ${agent.name}: ${agent.promptPath}`, { agent: agent.name });
+    }
+  }
+
+  return Object.freeze({
+    id,
+    displayName: raw.display_name,
+    cwe: Object.freeze([...(raw.cwe || [])]),
+    dir: pluginDir,
+    manifestFile,
+    vuln,
+    exploit,
+    files: Object.freeze({
+      deliverable: `${id}_analysis_deliverable.md`,
+      queue: `${id}_exploitation_queue.json`,
+      evidence: `${id}_exploitation_evidence.json`
+    }),
+    queue: Object.freeze({
+      requiredFields: Object.freeze([...(raw.queue?.required_fields || ['vulnerability_type'])])
+    }),
+    report: Object.freeze({
+      title: raw.report?.title || raw.display_name,
+      maxChars: raw.report?.max_chars || DEFAULT_REPORT_MAX_CHARS
+    }),
+    dependencySignals: raw.dependency_signals
+      ? Object.freeze({
+        title: raw.dependency_signals.title || `${raw.display_name} libraries`,
+        libraries: Object.freeze(raw.dependency_signals.libraries.map(lib => Object.freeze({
+          name: lib.name,
+          ecosystems: lib.ecosystems ? Object.freeze([...lib.ecosystems]) : null,
+          note: lib.note || ''
+        })))
+      })
+      : null
+  });
+};
+
+/**
+ * [목적] 플러그인의 deliverable 타입과 큐 필수 필드를 MCP 서버에 등록.
+ *
+ * [호출자]
+ * - loadCategoryPlugins()
+ *
+ * [에러 처리]
+ * - 내장/기존 타입과 충돌 시 PentestError('config')
+ */
+const registerCategoryPlugin = (plugin) => {
+  let types;
+  try {
+    types = registerCategoryDeliverables(plugin.id);
+  } catch (error) {
+    throw new PentestError(
+      `Category plugin '${plugin.id}' conflicts with an existing category: ${error.message}`,
+      'config',
+      false,
+      { manifestFile: plugin.manifestFile, originalError: error.message }
+    );
+  }
+  registerCategoryRequiredFields(types.queue, plugin.queue.requiredFields);
+  return types;
+};
+
+/**
+ * [목적] 모든 탐색 경로의 카테고리 플러그인을 로드하고 등록.
+ *
+ * [호출자]
+ * - 모듈 로드 시 (CATEGORY_PLUGINS)
+ *
+ * [반환값]
+ * - Promise<object[]>: 등록된 플러그인 목록 (탐색 순서)
+ *
+ * [에러 처리]
+ * - 중복 id, 매니페스트 오류 시 PentestError('config')
+ */
+export const loadCategoryPlugins = async (searchPaths = getCategorySearchPaths()) => {
+  const plugins = [];
+  const seen = new Map();
+
+  for (const dir of await discoverPluginDirs(searchPaths)) {
+    const plugin = await loadCategoryPlugin(dir);
+    if (seen.has(plugin.id)) {
+      throw new PentestError(
+        `Duplicate category plugin '${plugin.id}' (${seen.get(plugin.id)} and ${plugin.manifestFile})`,
+        'config',
+        false,
+        { category: plugin.id }
+      );
+    }
+    seen.set(plugin.id, plugin.manifestFile);
+    const deliverableTypes = registerCategoryPlugin(plugin);
+    plugins.push(Object.freeze({ ...plugin, deliverableTypes: Object.freeze(deliverableTypes) }));
+  }
+
+  return Object.freeze(plugins);
+};
+
+// Registered category plugins (loaded once at startup)
+export const CATEGORY_PLUGINS = await loadCategoryPlugins();
+
+/**
+ * [목적] 카테고리 id로 플러그인 조회 (내장 카테고리는 null).
+ */
+export const getCategoryPlugin = (category) =>
+  CATEGORY_PLUGINS.find(plugin => plugin.id === category) || null;
+
+/**
+ * [목적] 에이전트 이름(<id>-vuln / <id>-exploit, 서브에이전트 접두사 허용)으로 플러그인 조회.
+ */
+export const getCategoryPluginForAgent = (agentName) => {
+  const name = String(agentName || '').toLowerCase().replace(/^(sub-agent-|taskagent-)/, '');
+  const match = name.match(/^(.+)-(vuln|exploit)$/);
+  return match ? getCategoryPlugin(match[1]) : null;
+};
+
+/**
+ * [목적] 프롬프트 이름이 플러그인 프롬프트면 파일 경로 반환 (아니면 null).
+ *
+ * [호출자]
+ * - prompt-manager.loadPrompt()
+ */
+export const getCategoryPromptPath = (promptName) => {
+  for (const plugin of CATEGORY_PLUGINS) {
+    if (plugin.vuln.promptName === promptName) return plugin.vuln.promptPath;
+    if (plugin.exploit.promptName === promptName) return plugin.exploit.promptPath;
+  }
+  return null;
+};
@@ -0,0 +1,144 @@
+import { fs, path } from 'zx';
+import yaml from 'js-yaml';
+import Ajv from 'ajv';
+import { fileURLToPath } from 'url';
+import { PentestError } from '../error-handling.js';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+export const DEFAULT_DOCX_TEMPLATE = path.join(PROJECT_ROOT, 'configs', 'report', 'docx-template.yaml');
+
+const ajv = new Ajv({ allErrors: true });
+
+// Load JSON Schema
+let templateSchema;
+try {
+  const schemaPath = new URL('../../configs/docx-template-schema.json', import.meta.url);
+  const schemaContent = await fs.readFile(schemaPath, 'utf8');
+  templateSchema = JSON.parse(schemaContent);
+} catch (error) {
+  throw new PentestError(
+    `Failed to load DOCX template schema: ${error.message}`,
+    'config',
+    false,
+    { schemaPath: '../configs/docx-template-schema.json', originalError: error.message }
+  );
+}
+
+const validateSchema = ajv.compile(templateSchema);
+
+/**
+ * [목적] 템플릿 파일 경로 해석 (절대경로 > cwd 기준 > 프로젝트 루트 기준).
+ */
+const resolveTemplatePath = (templatePath) => {
+  if (!templatePath) return DEFAULT_DOCX_TEMPLATE;
+  if (path.isAbsolute(templatePath)) return templatePath;
+
+  const fromCwd = path.resolve(process.cwd(), templatePath);
+  if (fs.pathExistsSync(fromCwd)) return fromCwd;
+  return path.join(PROJECT_ROOT, templatePath);
+};
+
+/**
+ * [목적] YAML 템플릿 파일 하나를 읽고 스키마 검증.
+ *
+ * [에러 처리]
+ * - 파일 없음/YAML 오류/스키마 위반 시 PentestError('config')
+ */
+const readTemplateFile = async (templateFile) => {
+  if (!await fs.pathExists(templateFile)) {
+    throw new PentestError(`DOCX template not found: ${templateFile}`, 'config', false, { templateFile });
+  }
+
+  let raw;
+  try {
+    raw = yaml.load(await fs.readFile(templateFile, 'utf8')) || {};
+  } catch (error) {
+    throw new PentestError(
+      `Invalid DOCX template YAML (${templateFile}): ${error.message}`,
+      'config',
+      false,
+      { templateFile, originalError: error.message }
+    );
+  }
+
+  if (!validateSchema(raw)) {
+    const details = validateSchema.errors
+      .map(err => `${err.instancePath || '/'} ${err.message}`)
+      .join('; ');
+    throw new PentestError(
+      `Invalid DOCX template (${templateFile}): ${details}`,
+      'config',
+      false,
+      { templateFile, validationErrors: validateSchema.errors }
+    );
+  }
+  return raw;
+};
+
+/**
+ * [목적] 템플릿 안의 파일 경로(logo, styles_from)를 템플릿 위치 기준 절대 경로로 해석하고 존재 확인.
+ */
+const resolveAsset = async (value, baseDir, field, templateFile) => {
+  if (!value) return null;
+  const resolved = path.resolve(baseDir, value);
+  if (!await fs.pathExists(resolved)) {
+    throw new PentestError(
+      `DOCX template ${field} not found: ${resolved}`,
+      'config',
+      false,
+      { templateFile, field, path: resolved }
+    );
+  }
+  return resolved;
+};
+
+/**
+ * [목적] DOCX 보고서 템플릿 로드 (사용자 템플릿을 기본 템플릿 위에 섹션 단위로 병합).
+ *
+ * [호출자]
+ * - phases/docx-report.js (writeDocxReports)
+ *
+ * [입력 파라미터]
+ * - templatePath (string|null): 미지정 시 configs/report/docx-template.yaml
+ *
+ * [반환값]
+ * - Promise<object>: { file, company: { name, logo }, client, cover: { title, subtitle, classification },
+ *   header, footer, styles: { font, headingFont, codeFont, fontSize, primaryColor, accentColor }, stylesFrom }
+ *   - 텍스트 값은 문자열 또는 { en, ko } 그대로 (렌더러가 언어별 선택), 색상은 # 없는 대문자 hex
+ *
+ * [에러 처리]
+ * - 템플릿/참조 파일 없음, YAML/스키마 오류 시 PentestError('config')
+ */
+export const loadDocxTemplate = async (templatePath = null) => {
+  const templateFile = resolveTemplatePath(templatePath);
+  const defaults = await readTemplateFile(DEFAULT_DOCX_TEMPLATE);
+  const custom = templateFile === DEFAULT_DOCX_TEMPLATE ? {} : await readTemplateFile(templateFile);
+  const baseDir = path.dirname(templateFile);
+
+  const company = { ...defaults.company, ...custom.company };
+  const styles = { ...defaults.styles, ...custom.styles };
+  const color = value => String(value).replace(/^#/, '').toUpperCase();
+  // The logo path is relative to whichever template set it
+  const logoBaseDir = custom.company?.logo ? baseDir : path.dirname(DEFAULT_DOCX_TEMPLATE);
+
+  return Object.freeze({
+    file: templateFile,
+    company: Object.freeze({
+      name: company.name,
+      logo: await resolveAsset(company.logo, logoBaseDir, 'company.logo', templateFile)
+    }),
+    client: custom.client !== undefined ? custom.client : defaults.client ?? null,
+    cover: Object.freeze({ ...defaults.cover, ...custom.cover }),
+    header: custom.header ?? defaults.header,
+    footer: custom.footer ?? defaults.footer,
+    styles: Object.freeze({
+      font: styles.font,
+      headingFont: styles.heading_font || styles.font,
+      codeFont: styles.code_font,
+      fontSize: Number(styles.font_size),
+      primaryColor: color(styles.primary_color),
+      accentColor: color(styles.accent_color)
+    }),
+    stylesFrom: await resolveAsset(custom.styles_from ?? null, baseDir, 'styles_from', templateFile)
+  });
+};
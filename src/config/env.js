@@ -141,12 +141,61 @@ export const config = {
 
     // Pipeline control
     skipExploitation: parseBoolean(process.env.DOKODEMODOOR_SKIP_EXPLOITATION, false),
+    // Start each exploit agent as soon as its vuln counterpart validates (no phase barrier)
+    streamExploitation: parseBoolean(process.env.DOKODEMODOOR_STREAM_EXPLOITATION, true),
+    // Split exploitation queues larger than this into sequential per-shard runs (0 = disabled)
+    exploitShardSize: parseIntDecimal(process.env.DOKODEMODOOR_EXPLOIT_SHARD_SIZE, 0),
+    // Declarative pipeline definition (default: configs/pipeline/default.yaml)
+    pipelineFile: process.env.DOKODEMODOOR_PIPELINE || null,
+    // Extra category plugin directories (built-in categories/ is always scanned)
+    categoryPaths: parseList(process.env.DOKODEMODOOR_CATEGORY_PATHS),
+
+    // Session budget (0/unset = unlimited; config YAML `budget:` overrides these)
+    // - durations accept plain seconds or a unit suffix: 90m, 4h, 1d
+    // - lowPriorityRatio: once this share of any budget is used, agents with `priority: low` are skipped
+    budget: {
+      maxTotalTokens: parseIntDecimal(process.env.DOKODEMODOOR_BUDGET_MAX_TOKENS, 0),
+      maxCostUsd: parseFloat(process.env.DOKODEMODOOR_BUDGET_MAX_USD, 0),
+      maxSessionDuration: process.env.DOKODEMODOOR_BUDGET_MAX_SESSION_DURATION || null,
+      maxAgentDuration: process.env.DOKODEMODOOR_BUDGET_MAX_AGENT_DURATION || null,
+      lowPriorityRatio: parseFloat(process.env.DOKODEMODOOR_BUDGET_LOW_PRIORITY_RATIO, 0.8)
+    },
+
+    // Session store backend (src/store/session-store.js)
+    // - json: .dokodemodoor-store.json guarded by a lock file; sqlite: transactional store with change history
+    // - lockTimeoutMs: JSON lock wait / SQLite busy timeout
+    sessionStore: {
+      backend: (process.env.DOKODEMODOOR_SESSION_STORE || 'json').toLowerCase(),
+      sqlitePath: process.env.DOKODEMODOOR_SESSION_DB || null,
+      lockTimeoutMs: parseIntDecimal(process.env.DOKODEMODOOR_STORE_LOCK_TIMEOUT_MS, 15000)
+    },
+
+    // Client reports (src/phases/html-report.js, src/phases/docx-report.js)
+    // - codeUrlTemplate: deep link for finding code locations, {path} = repo-relative path, {line} = line number
+    //   (unset: file:// link into the local target repo)
+    // - docxTemplate: DOCX cover/header/footer/styling YAML (unset: configs/report/docx-template.yaml)
+    report: {
+      codeUrlTemplate: process.env.DOKODEMODOOR_REPORT_CODE_URL || null,
+      docxTemplate: process.env.DOKODEMODOOR_DOCX_TEMPLATE || null
+    },
+
+    // HTTP control-plane server (control-server.mjs)
+    // - token: bearer token; generated per run when unset, and mandatory for non-loopback hosts
+    server: {
+      host: process.env.DOKODEMODOOR_SERVER_HOST || '127.0.0.1',
+      port: parseIntDecimal(process.env.DOKODEMODOOR_SERVER_PORT, 8787),
+      token: process.env.DOKODEMODOOR_SERVER_TOKEN || null,
+      maxLogLines: parseIntDecimal(process.env.DOKODEMODOOR_SERVER_MAX_LOG_LINES, 5000)
+    },
 
     // Playwright Configuration
     playwrightHeadless: parseBoolean(process.env.DOKODEMODOOR_PLAYWRIGHT_HEADLESS, true),
 
     // Concurrency control for parallel phases (vuln, exploit)
-    parallelLimit: parseIntDecimal(process.env.DOKODEMODOOR_PARALLEL_LIMIT, 5)
+    parallelLimit: parseIntDecimal(process.env.DOKODEMODOOR_PARALLEL_LIMIT, 5),
+
+    // Targets scanned at once by --batch (each target still runs up to parallelLimit agents)
+    batchConcurrency: parseIntDecimal(process.env.DOKODEMODOOR_BATCH_CONCURRENCY, 2)
   }
 };
 
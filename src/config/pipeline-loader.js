@@ -0,0 +1,338 @@
+import { fs, path } from 'zx';
+import yaml from 'js-yaml';
+import Ajv from 'ajv';
+import { fileURLToPath } from 'url';
+import { PentestError } from '../error-handling.js';
+import { config } from './env.js';
+import { CATEGORY_PLUGINS } from './category-registry.js';
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+export const DEFAULT_PIPELINE_FILE = path.join(PROJECT_ROOT, 'configs', 'pipeline', 'default.yaml');
+
+// RE 파이프라인 에이전트는 메인 시퀀스와 겹치지 않도록 101번부터 순번 부여
+const RE_ORDER_BASE = 100;
+
+const ajv = new Ajv({ allErrors: true });
+
+// Load JSON Schema
+let pipelineSchema;
+try {
+  const schemaPath = new URL('../../configs/pipeline-schema.json', import.meta.url);
+  const schemaContent = await fs.readFile(schemaPath, 'utf8');
+  pipelineSchema = JSON.parse(schemaContent);
+} catch (error) {
+  throw new PentestError(
+    `Failed to load pipeline schema: ${error.message}`,
+    'config',
+    false,
+    { schemaPath: '../configs/pipeline-schema.json', originalError: error.message }
+  );
+}
+
+const validateSchema = ajv.compile(pipelineSchema);
+
+/**
+ * [목적] 파이프라인 파일 경로 해석 (절대경로 > cwd 기준 > 프로젝트 루트 기준).
+ *
+ * [호출자]
+ * - loadPipelineDefinition()
+ *
+ * [입력 파라미터]
+ * - pipelinePath (string|null)
+ *
+ * [반환값]
+ * - string: 파이프라인 파일 경로
+ */
+export const resolvePipelinePath = (pipelinePath) => {
+  if (!pipelinePath) return DEFAULT_PIPELINE_FILE;
+  if (path.isAbsolute(pipelinePath)) return pipelinePath;
+
+  const fromCwd = path.resolve(process.cwd(), pipelinePath);
+  if (fs.pathExistsSync(fromCwd)) return fromCwd;
+
+  const fromRoot = path.join(PROJECT_ROOT, pipelinePath);
+  if (fs.pathExistsSync(fromRoot)) return fromRoot;
+
+  return path.join(PROJECT_ROOT, 'configs', 'pipeline', pipelinePath);
+};
+
+/**
+ * [목적] YAML 단계 정의를 내부 표현(camelCase)으로 정규화.
+ */
+const normalizePhase = (rawPhase, section) => Object.freeze({
+  name: rawPhase.name,
+  section,
+  title: rawPhase.title || rawPhase.name.toUpperCase().replace(/-/g, ' '),
+  icon: rawPhase.icon || '▶️',
+  color: rawPhase.color || 'cyan',
+  timingKey: rawPhase.timing_key || rawPhase.name,
+  execution: rawPhase.execution || 'sequential',
+  runner: rawPhase.runner || null,
+  playwright: rawPhase.playwright === true,
+  scopeCaps: rawPhase.scope_caps === true,
+  agents: Object.freeze(rawPhase.agents.map(agent => agent.name))
+});
+
+/**
+ * [목적] "@vuln" / "@exploit" 선행조건을 해당 runner 단계의 에이전트 이름으로 전개.
+ */
+const expandPrerequisites = (prerequisites, runnerAgents) => [...new Set(
+  prerequisites.flatMap(prereq => (prereq.startsWith('@') ? runnerAgents[prereq.slice(1)] || [] : [prereq]))
+)];
+
+/**
+ * [목적] YAML 에이전트 정의를 AGENTS 항목 형태로 정규화.
+ */
+const normalizeAgent = (rawAgent, phase, order, runnerAgents) => Object.freeze({
+  name: rawAgent.name,
+  displayName: rawAgent.display_name,
+  phase: phase.name,
+  order,
+  prerequisites: Object.freeze(expandPrerequisites(rawAgent.prerequisites || [], runnerAgents)),
+  promptName: rawAgent.prompt || rawAgent.name,
+  validator: rawAgent.validator || null,
+  category: rawAgent.category || null,
+  kind: phase.runner,
+  mcpServer: rawAgent.mcp_server || null,
+  playwright: typeof rawAgent.playwright === 'boolean' ? rawAgent.playwright : null,
+  color: rawAgent.color || null,
+  priority: rawAgent.priority || 'normal'
+});
+
+/**
+ * [목적] 스키마로 표현하기 어려운 의미 규칙 검증.
+ *
+ * [호출자]
+ * - buildPipeline()
+ *
+ * [에러 처리]
+ * - 중복 이름, 미정의/후행 선행조건, runner/category 누락 시 PentestError('config')
+ */
+const validatePipelineSemantics = (phases, agents, pipelineFile) => {
+  const fail = (message, context = {}) => {
+    throw new PentestError(`Invalid pipeline definition (${pipelineFile}): ${message}`, 'config', false, { pipelineFile, ...context });
+  };
+
+  const phaseNames = new Set();
+  for (const phase of phases) {
+    if (phaseNames.has(phase.name)) fail(`duplicate phase '${phase.name}'`, { phase: phase.name });
+    phaseNames.add(phase.name);
+
+    if (phase.execution === 'parallel' && !phase.runner) {
+      fail(`parallel phase '${phase.name}' requires a runner (vuln | exploit)`, { phase: phase.name });
+    }
+    if (phase.runner && phase.execution !== 'parallel') {
+      fail(`runner '${phase.runner}' is only valid for parallel phases ('${phase.name}')`, { phase: phase.name });
+    }
+  }
+
+  for (const agent of Object.values(agents)) {
+    if (agent.kind && !agent.category) {
+      fail(`agent '${agent.name}' in ${agent.kind} phase '${agent.phase}' requires a category`, { agent: agent.name });
+    }
+    for (const prereq of agent.prerequisites) {
+      const prereqAgent = agents[prereq];
+      if (!prereqAgent) {
+        fail(`agent '${agent.name}' requires unknown prerequisite '${prereq}'`, { agent: agent.name, prereq });
+      }
+      // 선행 에이전트는 반드시 먼저 선언되어야 함 (getNextAgent는 order 순으로 탐색)
+      if (prereqAgent.order >= agent.order) {
+        fail(`agent '${agent.name}' requires '${prereq}', which is declared after it`, { agent: agent.name, prereq });
+      }
+    }
+  }
+};
+
+/**
+ * [목적] 카테고리 플러그인의 vuln/exploit 에이전트를 runner 단계에 병합.
+ *
+ * [호출자]
+ * - loadPipelineDefinition()
+ *
+ * [입력 파라미터]
+ * - raw (object): YAML 파싱 결과
+ * - plugins (object[]): category-registry의 플러그인 목록
+ *
+ * [반환값]
+ * - object: 플러그인 에이전트가 추가된 새 raw 객체 (원본 불변)
+ *
+ * [주의사항]
+ * - 각 runner의 첫 번째 단계 끝에 추가 (해당 runner 단계가 없으면 병합하지 않음)
+ * - vuln 선행조건 기본값은 같은 단계 첫 에이전트의 선행조건, exploit 기본값은 <id>-vuln
+ */
+export const applyCategoryPlugins = (raw, plugins = CATEGORY_PLUGINS) => {
+  if (!Array.isArray(raw?.phases) || plugins.length === 0) return raw;
+
+  const phases = raw.phases.map(phase => ({ ...phase, agents: [...(phase.agents || [])] }));
+  const vulnPhase = phases.find(phase => phase.runner === 'vuln');
+  const exploitPhase = phases.find(phase => phase.runner === 'exploit');
+
+  const toRawAgent = (plugin, agent, kind, defaultPrerequisites) => ({
+    name: agent.name,
+    display_name: agent.displayName,
+    category: plugin.id,
+    prompt: agent.promptName,
+    prerequisites: agent.prerequisites || defaultPrerequisites,
+    validator: `${kind}:${plugin.id}`,
+    mcp_server: agent.mcpServer,
+    ...(agent.playwright !== null && { playwright: agent.playwright }),
+    ...(agent.color && { color: agent.color })
+  });
+
+  for (const plugin of plugins) {
+    if (vulnPhase) {
+      const defaultPrerequisites = vulnPhase.agents[0]?.prerequisites || [];
+      vulnPhase.agents.push(toRawAgent(plugin, plugin.vuln, 'vuln', defaultPrerequisites));
+    }
+    if (exploitPhase) {
+      exploitPhase.agents.push(toRawAgent(plugin, plugin.exploit, 'exploit', vulnPhase ? [plugin.vuln.name] : []));
+    }
+  }
+
+  return { ...raw, phases };
+};
+
+/**
+ * [목적] 파싱된 파이프라인 객체를 검증하고 불변 정의로 변환.
+ *
+ * [호출자]
+ * - loadPipelineDefinition()
+ *
+ * [입력 파라미터]
+ * - raw (object): YAML 파싱 결과
+ * - pipelineFile (string): 오류 메시지용 경로
+ *
+ * [반환값]
+ * - object: { file, phases, standalone, rePhases, agents }
+ *
+ * [에러 처리]
+ * - 스키마/의미 검증 실패 시 PentestError('config')
+ */
+export const buildPipeline = (raw, pipelineFile = '<inline>') => {
+  if (!validateSchema(raw)) {
+    const details = validateSchema.errors
+      .map(err => `${err.instancePath || '/'} ${err.message}`)
+      .join('; ');
+    throw new PentestError(
+      `Invalid pipeline definition (${pipelineFile}): ${details}`,
+      'config',
+      false,
+      { pipelineFile, validationErrors: validateSchema.errors }
+    );
+  }
+
+  const sections = [
+    ['main', raw.phases],
+    ['standalone', raw.standalone || []],
+    ['re', raw.re_phases || []]
+  ];
+
+  // "@vuln" / "@exploit" 전개용: runner 단계별 에이전트 이름
+  const runnerAgents = { vuln: [], exploit: [] };
+  for (const rawPhase of raw.phases) {
+    if (rawPhase.runner) runnerAgents[rawPhase.runner].push(...rawPhase.agents.map(agent => agent.name));
+  }
+
+  const agents = {};
+  const allPhases = [];
+  const normalized = { main: [], standalone: [], re: [] };
+  let mainOrder = 0;
+  let reOrder = RE_ORDER_BASE;
+
+  for (const [section, phases] of sections) {
+    for (const rawPhase of phases) {
+      const phase = normalizePhase(rawPhase, section);
+      allPhases.push(phase);
+      normalized[section].push(phase);
+
+      for (const rawAgent of rawPhase.agents) {
+        if (agents[rawAgent.name]) {
+          throw new PentestError(
+            `Invalid pipeline definition (${pipelineFile}): duplicate agent '${rawAgent.name}'`,
+            'config',
+            false,
+            { pipelineFile, agent: rawAgent.name }
+          );
+        }
+        const order = section === 're' ? ++reOrder : ++mainOrder;
+        agents[rawAgent.name] = normalizeAgent(rawAgent, phase, order, runnerAgents);
+      }
+    }
+  }
+
+  validatePipelineSemantics(allPhases, agents, pipelineFile);
+
+  return Object.freeze({
+    file: pipelineFile,
+    phases: Object.freeze(normalized.main),
+    standalone: Object.freeze(normalized.standalone),
+    rePhases: Object.freeze(normalized.re),
+    agents: Object.freeze(agents)
+  });
+};
+
+/**
+ * [목적] 파이프라인 YAML을 읽어 검증된 정의를 반환.
+ *
+ * [호출자]
+ * - 모듈 로드 시 (PIPELINE)
+ *
+ * [입력 파라미터]
+ * - pipelinePath (string|null): 미지정 시 DOKODEMODOOR_PIPELINE 또는 기본 파일
+ *
+ * [반환값]
+ * - Promise<object>
+ *
+ * [에러 처리]
+ * - 파일 없음/YAML 오류/검증 실패 시 PentestError('config')
+ */
+export const loadPipelineDefinition = async (pipelinePath = config.dokodemodoor.pipelineFile) => {
+  const pipelineFile = resolvePipelinePath(pipelinePath);
+
+  if (!await fs.pathExists(pipelineFile)) {
+    throw new PentestError(
+      `Pipeline definition not found: ${pipelineFile}`,
+      'config',
+      false,
+      { pipelineFile }
+    );
+  }
+
+  let raw;
+  try {
+    raw = yaml.load(await fs.readFile(pipelineFile, 'utf8'));
+  } catch (error) {
+    throw new PentestError(
+      `Failed to parse pipeline definition ${pipelineFile}: ${error.message}`,
+      'config',
+      false,
+      { pipelineFile, originalError: error.message }
+    );
+  }
+
+  return buildPipeline(applyCategoryPlugins(raw), pipelineFile);
+};
+
+// Active pipeline (loaded once at startup)
+export const PIPELINE = await loadPipelineDefinition();
+
+/**
+ * [목적] 단계 이름으로 정의 조회 (메인/독립/RE 전체).
+ */
+export const getPipelinePhase = (phaseName) =>
+  [...PIPELINE.phases, ...PIPELINE.standalone, ...PIPELINE.rePhases].find(phase => phase.name === phaseName) || null;
+
+/**
+ * [목적] 특정 runner(vuln|exploit)를 사용하는 메인 단계 목록 반환.
+ */
+export const getPhasesByRunner = (runner) => PIPELINE.phases.filter(phase => phase.runner === runner);
+
+/**
+ * [목적] 특정 runner 단계에 속한 에이전트 이름 목록 반환.
+ */
+export const getAgentNamesByRunner = (runner) => getPhasesByRunner(runner).flatMap(phase => phase.agents);
+
+/**
+ * [목적] 에이전트 이름을 프롬프트 이름으로 매핑 (미정의 에이전트는 그대로 반환).
+ */
+export const getAgentPromptName = (agentName) => PIPELINE.agents[agentName]?.promptName || agentName;
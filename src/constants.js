@@ -1,6 +1,7 @@
 import { path, fs } from 'zx';
 import chalk from 'chalk';
 import { validateQueueAndDeliverable } from './queue-validation.js';
+import { PIPELINE } from './config/pipeline-loader.js';
 
 // Factory function for vulnerability queue validators
 /**
@@ -35,111 +36,59 @@ function createExploitValidator(vulnType) {
   };
 }
 
+// Factory function for single-deliverable validators
+/**
+ * [목적] 지정한 deliverable 파일 존재 여부 검증 함수 팩토리.
+ *
+ * [호출자]
+ * - resolveValidator() ("deliverable:<file>" 지정)
+ */
+function createDeliverableValidator(fileName) {
+  return async (sourceDir) => {
+    const deliverableFile = path.join(sourceDir, 'deliverables', fileName);
+    if (!(await fs.pathExists(deliverableFile))) {
+      console.log(chalk.red(`    ❌ Missing required deliverable: ${fileName}`));
+      return false;
+    }
+    return true;
+  };
+}
+
 /**
  * Phase-based tool requirements
  * Defines which phases need Playwright to optimize resource usage
+ * (declared per phase in the pipeline definition)
  *
  * @type {Object.<string, {playwright: boolean}>}
  */
-export const PHASE_TOOL_REQUIREMENTS = Object.freeze({
-  'pre-reconnaissance': {
-    playwright: false  // Pure static analysis, no browser needed
-  },
-  'reconnaissance': {
-    playwright: true   // Runtime analysis, API discovery, auth flow
-  },
-  'api-fuzzing': {
-    playwright: false  // CLI-based tools like Schemathesis
-  },
-  'vulnerability-analysis': {
-
-    playwright: true   // XSS execution, CSRF token extraction, auth state
-  },
-  'exploitation': {
-    playwright: true   // Multi-step attacks, result verification
-  },
-  'reporting': {
-    playwright: false  // Document writing only
-  },
-  'osv-analysis': {
-    playwright: false  // Source code and API analysis, no browser needed
-  },
-  // Reverse Engineering phases (no browser needed)
-  're-inventory': { playwright: false },
-  're-static-analysis': { playwright: false },
-  're-dynamic-observation': { playwright: false },
-  're-network-analysis': { playwright: false },
-  're-reporting': { playwright: false }
-});
+export const PHASE_TOOL_REQUIREMENTS = Object.freeze(Object.fromEntries(
+  [...PIPELINE.phases, ...PIPELINE.standalone, ...PIPELINE.rePhases]
+    .map(phase => [phase.name, Object.freeze({ playwright: phase.playwright })])
+));
 
 /**
  * Agent-specific tool overrides
  * Allows fine-grained control for specific agents that deviate from phase defaults
+ * (keyed by prompt name, declared via `playwright` on the pipeline agent)
  *
  * @type {Object.<string, {playwright: boolean}>}
  */
-export const AGENT_TOOL_OVERRIDES = Object.freeze({
-  'recon-verify': {
-    playwright: false  // Primarily code verification, not runtime testing
-  },
-  'login-check': {
-    playwright: true   // Pre-flight login verification requires browser
-  }
-});
+export const AGENT_TOOL_OVERRIDES = Object.freeze(Object.fromEntries(
+  Object.values(PIPELINE.agents)
+    .filter(agent => agent.playwright !== null)
+    .map(agent => [agent.promptName, Object.freeze({ playwright: agent.playwright })])
+));
 
 // MCP agent mapping - assigns each agent to a specific Playwright instance to prevent conflicts
-// Only agents that actually need Playwright should be listed here
-export const MCP_AGENT_MAPPING = Object.freeze({
-  // Phase 1: Pre-reconnaissance
-  'pre-recon-code': 'dokodemodoor-helper', // Static analysis only; avoid Playwright fallback
-
-  // Phase 2: Reconnaissance
-  'recon': 'playwright-agent2',
-  // recon-verify doesn't need Playwright; map to local MCP for prompt interpolation
-  'recon-verify': 'dokodemodoor-helper',
-  // Pre-flight login verification
-  'login-check': 'playwright-agent2',
-
-  // Phase 3: API Fuzzing (Non-browser)
-  'api-fuzzer': 'api-fuzzer-agent',
-
-  // Phase 4: Vulnerability Analysis (Parallel agents — each on a separate Playwright instance)
-  'vuln-sqli': 'playwright-agent1',
-  'vuln-codei': 'playwright-agent2',
-  'vuln-ssti': 'playwright-agent3',
-  'vuln-pathi': 'playwright-agent4',
-  'vuln-xss': 'playwright-agent5',
-  'vuln-auth': 'playwright-agent6',
-  'vuln-ssrf': 'playwright-agent7',
-  'vuln-authz': 'playwright-agent8',
-
-  // Phase 4: Exploitation (Parallel agents)
-  'exploit-sqli': 'playwright-agent1',
-  'exploit-codei': 'playwright-agent2',
-  'exploit-ssti': 'playwright-agent3',
-  'exploit-pathi': 'playwright-agent4',
-  'exploit-xss': 'playwright-agent5',
-  'exploit-auth': 'playwright-agent2',
-  'exploit-ssrf': 'playwright-agent3',
-  'exploit-authz': 'playwright-agent4',
-
-  // Phase 5: Reporting
-  // REMOVED: report doesn't need Playwright (document writing only)
-
-  // OSV Analysis agent
-  'osv-analysis': 'dokodemodoor-helper',
-
-  // Reverse Engineering agents
-  're-inventory': 're-sigcheck',
-  're-static': 're-ghidra',
-  're-dynamic': 're-procmon',
-  're-instrument': 're-frida',
-  're-network': 're-tshark',
-  're-report': 'dokodemodoor-helper'
-});
-
-// Direct agent-to-validator mapping - much simpler than pattern matching
-export const AGENT_VALIDATORS = Object.freeze({
+// Keyed by prompt name; declared via `mcp_server` on the pipeline agent
+export const MCP_AGENT_MAPPING = Object.freeze(Object.fromEntries(
+  Object.values(PIPELINE.agents)
+    .filter(agent => agent.mcpServer)
+    .map(agent => [agent.promptName, agent.mcpServer])
+));
+
+// Named validators referenced from the pipeline definition (`validator: <name>`)
+const BUILTIN_VALIDATORS = Object.freeze({
   // Pre-reconnaissance agent - validates the code analysis deliverable created by the agent
   'pre-recon': async (sourceDir) => {
     const codeAnalysisFile = path.join(sourceDir, 'deliverables', 'code_analysis_deliverable.md');
@@ -190,26 +139,6 @@ export const AGENT_VALIDATORS = Object.freeze({
     return true;
   },
 
-  // Vulnerability analysis agents
-  'sqli-vuln': createVulnValidator('sqli'),
-  'codei-vuln': createVulnValidator('codei'),
-  'ssti-vuln': createVulnValidator('ssti'),
-  'pathi-vuln': createVulnValidator('pathi'),
-  'xss-vuln': createVulnValidator('xss'),
-  'auth-vuln': createVulnValidator('auth'),
-  'ssrf-vuln': createVulnValidator('ssrf'),
-  'authz-vuln': createVulnValidator('authz'),
-
-  // Exploitation agents
-  'sqli-exploit': createExploitValidator('sqli'),
-  'codei-exploit': createExploitValidator('codei'),
-  'ssti-exploit': createExploitValidator('ssti'),
-  'pathi-exploit': createExploitValidator('pathi'),
-  'xss-exploit': createExploitValidator('xss'),
-  'auth-exploit': createExploitValidator('auth'),
-  'ssrf-exploit': createExploitValidator('ssrf'),
-  'authz-exploit': createExploitValidator('authz'),
-
   // Executive report agent
   'report': async (sourceDir) => {
     const reportFile = path.join(sourceDir, 'deliverables', 'comprehensive_security_assessment_report.md');
@@ -285,3 +214,37 @@ export const AGENT_VALIDATORS = Object.freeze({
     return await fs.pathExists(f);
   }
 });
+
+/**
+ * [목적] 파이프라인 validator 지정 문자열을 검증 함수로 변환.
+ *
+ * [호출자]
+ * - AGENT_VALIDATORS
+ *
+ * [입력 파라미터]
+ * - spec (string): <builtin> | vuln:<type> | exploit:<type> | deliverable:<file>
+ *
+ * [반환값]
+ * - Function|null
+ *
+ * [주의사항]
+ * - 알 수 없는 이름은 경고 후 null (agent-executor가 검증기 없이 성공 처리)
+ */
+function resolveValidator(spec) {
+  const [kind, arg] = spec.split(':');
+  if (kind === 'vuln' && arg) return createVulnValidator(arg);
+  if (kind === 'exploit' && arg) return createExploitValidator(arg);
+  if (kind === 'deliverable' && arg) return createDeliverableValidator(arg);
+  if (BUILTIN_VALIDATORS[spec]) return BUILTIN_VALIDATORS[spec];
+
+  console.log(chalk.yellow(`⚠️  Unknown validator '${spec}' in pipeline definition`));
+  return null;
+}
+
+// Direct agent-to-validator mapping (resolved from the pipeline definition)
+export const AGENT_VALIDATORS = Object.freeze(Object.fromEntries(
+  Object.values(PIPELINE.agents)
+    .filter(agent => agent.validator)
+    .map(agent => [agent.name, resolveValidator(agent.validator)])
+    .filter(([, validator]) => validator)
+));
@@ -0,0 +1,981 @@
+/**
+ * DOCX Report Export
+ *
+ * 보고서 에이전트의 Markdown(comprehensive_security_assessment_report[_kr].md)과 익스플로잇 큐/증거를
+ * Word 문서(.docx, OOXML)로 직접 작성 (오피스 프로그램/외부 라이브러리 불필요, ZIP은 utils/zip.js).
+ * - 고정 표지 (로고, 제목, 고객/대상/세션/일자/작성/등급 표) → 목차 → 서술형 보고서 → 취약점 요약 표 → 취약점 상세 → 스크린샷 부록
+ * - 회사 스타일: configs/report/docx-template.yaml (DOKODEMODOOR_DOCX_TEMPLATE / --docx-template)
+ *   글꼴·색상·머리글/바닥글 텍스트, 또는 styles_from의 .docx에서 styles.xml(+ 테마)을 그대로 사용
+ * - 번역본(_kr)은 표지/표 머리글 등 고정 문구도 한국어로
+ *
+ * [주의사항]
+ * - 목차는 제목 목록을 미리 채운 TOC 필드 — 쪽 번호는 Word가 열 때 필드 업데이트(updateFields)로 채움
+ * - 스크린샷은 PNG/JPEG/GIF만 내장 (WebP 등은 경고 후 생략), 크기 상한은 HTML 보고서와 동일
+ * - XML에 허용되지 않는 제어 문자(응답 본문 등)는 제거
+ */
+
+import { fs, path } from 'zx';
+import { getLocalISOString } from '../utils/time-utils.js';
+import { createZip, readZip } from '../utils/zip.js';
+import { isSafeHref, parseInline, parseMarkdownBlocks } from '../utils/markdown.js';
+import { getCategoryInfo } from '../utils/findings.js';
+import { config } from '../config/env.js';
+import { loadDocxTemplate } from '../config/docx-template-loader.js';
+import { PentestError } from '../error-handling.js';
+import {
+  CVSS_VERSIONS,
+  IMAGE_TYPES,
+  REPORT_BASENAME,
+  REPORT_VARIANTS,
+  SEVERITY_DISPLAY,
+  SEVERITY_ORDER,
+  UNRATED,
+  VERDICT_DISPLAY,
+  VERDICT_ORDER,
+  buildCodeLink,
+  countBy,
+  listCapturedScreenshots,
+  loadEvidenceImage,
+  loadReportFindings
+} from '../utils/report-model.js';
+
+const NS = Object.freeze({
+  w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+  rel: 'http://schemas.openxmlformats.org/package/2006/relationships'
+});
+const REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument';
+
+// A4, 1-inch margins (twips); EMU per twip = 635
+const PAGE = Object.freeze({ width: 11906, height: 16838, margin: 1440 });
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const MAX_IMAGE_WIDTH_EMU = CONTENT_WIDTH * 635;
+const MAX_IMAGE_HEIGHT_EMU = 8 * 914400;
+const EMU_PER_PIXEL = 9525;
+const MAX_BODY_CHARS = 20000;
+const DOCX_IMAGE_TYPES = Object.freeze({ 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/gif': 'gif' });
+
+const LABELS = Object.freeze({
+  en: Object.freeze({
+    toc: 'Table of Contents',
+    tocHint: 'Page numbers are filled in when Word updates the fields (F9).',
+    client: 'Client',
+    target: 'Target',
+    sourceRepo: 'Source repository',
+    session: 'Session',
+    date: 'Date',
+    preparedBy: 'Prepared by',
+    classification: 'Classification',
+    findingsSummary: 'Findings Summary',
+    bySeverity: 'Findings by severity and exploitation verdict',
+    byCategory: 'Findings by category',
+    findingsList: 'Findings',
+    details: 'Finding Details',
+    screenshots: 'Exploit Screenshots',
+    screenshotsHint: 'Captured automatically when an exploit agent reported success.',
+    no: 'No.',
+    id: 'ID',
+    severity: 'Severity',
+    verdict: 'Verdict',
+    category: 'Category',
+    title: 'Title',
+    endpoint: 'Endpoint',
+    parameter: 'Parameter',
+    location: 'Code location',
+    cvss: 'CVSS',
+    cvssNone: 'None',
+    cvssInvalid: 'invalid vector',
+    confidence: 'Confidence',
+    total: 'Total',
+    why: 'Why it is vulnerable',
+    impact: 'Impact',
+    payload: 'Witness payload',
+    steps: 'Reproduction steps',
+    evidence: 'Evidence',
+    request: 'Request',
+    response: 'Response',
+    notVerified: 'Not verified by the exploit agent (no evidence recorded).',
+    noFindings: 'No exploitable findings were recorded in the exploitation queues.',
+    severities: Object.freeze({}),
+    verdicts: Object.freeze({})
+  }),
+  ko: Object.freeze({
+    toc: '목차',
+    tocHint: '쪽 번호는 Word에서 필드 업데이트(F9) 시 채워집니다.',
+    client: '고객사',
+    target: '진단 대상',
+    sourceRepo: '소스 저장소',
+    session: '세션',
+    date: '작성일',
+    preparedBy: '작성',
+    classification: '보안 등급',
+    findingsSummary: '취약점 요약',
+    bySeverity: '심각도 및 익스플로잇 판정별 취약점',
+    byCategory: '카테고리별 취약점',
+    findingsList: '취약점 목록',
+    details: '취약점 상세',
+    screenshots: '익스플로잇 스크린샷',
+    screenshotsHint: '익스플로잇 에이전트가 성공을 보고할 때 자동으로 캡처한 화면입니다.',
+    no: '번호',
+    id: 'ID',
+    severity: '심각도',
+    verdict: '판정',
+    category: '카테고리',
+    title: '제목',
+    endpoint: '엔드포인트',
+    parameter: '파라미터',
+    location: '코드 위치',
+    cvss: 'CVSS',
+    cvssNone: '없음',
+    cvssInvalid: '잘못된 벡터',
+    confidence: '신뢰도',
+    total: '합계',
+    why: '취약 원인',
+    impact: '영향',
+    payload: '검증 페이로드',
+    steps: '재현 절차',
+    evidence: '증거',
+    request: '요청',
+    response: '응답',
+    notVerified: '익스플로잇 에이전트가 검증하지 않았습니다 (증거 없음).',
+    noFindings: '익스플로잇 큐에 기록된 취약점이 없습니다.',
+    severities: Object.freeze({ critical: '긴급', high: '높음', medium: '중간', low: '낮음', [UNRATED]: '미분류' }),
+    verdicts: Object.freeze({ EXPLOITED: '익스플로잇 성공', POTENTIAL: '잠재', NOT_VERIFIED: '미검증', BLOCKED_BY_SECURITY: '차단됨' })
+  })
+});
+
+const escapeXml = value => String(value ?? '')
+  // Control characters other than tab/LF/CR and U+FFFE/U+FFFF (invalid or discouraged in XML 1.0)
+  .replace(/[\p{Cc}\uFFFE\uFFFF]/gu, ch => ('\t\n\r'.includes(ch) ? ch : ''))
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * [목적] 템플릿 텍스트 값(문자열 또는 { en, ko })에서 언어별 문자열 선택.
+ */
+const localize = (value, lang) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  return value[lang] ?? value.en ?? Object.values(value)[0] ?? '';
+};
+
+const truncate = (text) => text.length > MAX_BODY_CHARS
+  ? `${text.slice(0, MAX_BODY_CHARS)}\n[… ${text.length - MAX_BODY_CHARS} more characters omitted]`
+  : text;
+
+/**
+ * [목적] 이미지 픽셀 크기 (PNG/JPEG/GIF 헤더). 알 수 없으면 null.
+ */
+const imageSize = (data, mime) => {
+  try {
+    if (mime === 'image/png') return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    if (mime === 'image/gif') return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    if (mime === 'image/jpeg') {
+      let offset = 2;
+      while (offset + 9 < data.length) {
+        if (data[offset] !== 0xff) return null;
+        const marker = data[offset + 1];
+        const length = data.readUInt16BE(offset + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+      }
+    }
+  } catch {
+    // Truncated header
+  }
+  return null;
+};
+
+/**
+ * [목적] 실행(run) 서식 XML.
+ */
+const runProps = ({ bold, italic, color, font, size, style, shade, underline } = {}) => {
+  const props = [
+    style ? `<w:rStyle w:val="${style}"/>` : '',
+    font ? `<w:rFonts w:ascii="${escapeXml(font)}" w:hAnsi="${escapeXml(font)}" w:eastAsia="${escapeXml(font)}" w:cs="${escapeXml(font)}"/>` : '',
+    bold ? '<w:b/><w:bCs/>' : '',
+    italic ? '<w:i/><w:iCs/>' : '',
+    color ? `<w:color w:val="${color}"/>` : '',
+    size ? `<w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/>` : '',
+    underline ? '<w:u w:val="single"/>' : '',
+    shade ? `<w:shd w:val="clear" w:color="auto" w:fill="${shade}"/>` : ''
+  ].join('');
+  return props ? `<w:rPr>${props}</w:rPr>` : '';
+};
+
+/**
+ * [목적] 텍스트를 run XML로 (줄바꿈은 <w:br/>, 탭은 공백 4칸).
+ */
+const textRuns = (text, props = {}) => {
+  const rPr = runProps(props);
+  return String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '    ')
+    .split('\n')
+    .map((line, index) => `${index > 0 ? `<w:r>${rPr}<w:br/></w:r>` : ''}<w:r>${rPr}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`)
+    .join('');
+};
+
+/**
+ * [목적] 문단 XML.
+ */
+const paragraph = (content, { style, align, keepNext, numId, spacingBefore, spacingAfter } = {}) => {
+  const props = [
+    style ? `<w:pStyle w:val="${style}"/>` : '',
+    keepNext ? '<w:keepNext/>' : '',
+    numId ? `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>` : '',
+    spacingBefore !== undefined || spacingAfter !== undefined
+      ? `<w:spacing${spacingBefore !== undefined ? ` w:before="${spacingBefore}"` : ''}${spacingAfter !== undefined ? ` w:after="${spacingAfter}"` : ''}/>`
+      : '',
+    align ? `<w:jc w:val="${align}"/>` : ''
+  ].join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+};
+
+const pageBreak = () => '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+/**
+ * [목적] 문서 하나의 본문 조립 상태 (관계, 이미지, 목록 번호, 제목/책갈피).
+ */
+class DocxDocument {
+  constructor(template, lang) {
+    this.template = template;
+    this.lang = lang;
+    this.labels = LABELS[lang] || LABELS.en;
+    this.relationships = [];
+    this.media = [];
+    this.numberings = [];
+    this.headings = [];
+    this.warnings = [];
+    this.embedded = new Set();
+    this.nextRelationshipId = 10;
+    this.nextDrawingId = 1;
+    this.nextBookmarkId = 1;
+  }
+
+  addRelationship(type, target, external = false) {
+    const id = `rId${this.nextRelationshipId++}`;
+    this.relationships.push({ id, type: `${REL_TYPE}/${type}`, target, external });
+    return id;
+  }
+
+  /**
+   * [목적] 이미지 run (인라인 drawing). 본문 폭/높이에 맞춰 비율 유지 축소.
+   */
+  image(image, description = '') {
+    const extension = DOCX_IMAGE_TYPES[image.mime];
+    if (!extension) {
+      this.warnings.push(`Screenshot not embedded (${image.mime} is not supported in DOCX): ${image.file}`);
+      return null;
+    }
+
+    const index = this.media.length + 1;
+    const name = `image${index}.${extension}`;
+    this.media.push({ name, data: image.data });
+    if (image.file) this.embedded.add(image.file);
+    const rId = this.addRelationship('image', `media/${name}`);
+
+    const size = imageSize(image.data, image.mime) || { width: 800, height: 600 };
+    let cx = size.width * EMU_PER_PIXEL;
+    let cy = size.height * EMU_PER_PIXEL;
+    const scale = Math.min(1, MAX_IMAGE_WIDTH_EMU / cx, MAX_IMAGE_HEIGHT_EMU / cy);
+    cx = Math.max(1, Math.round(cx * scale));
+    cy = Math.max(1, Math.round(cy * scale));
+
+    const id = this.nextDrawingId++;
+    return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">`
+      + `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${id}" name="Picture ${id}" descr="${escapeXml(description)}"/>`
+      + `<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>`
+      + `<a:graphic><a:graphicData uri="${NS.pic}"><pic:pic>`
+      + `<pic:nvPicPr><pic:cNvPr id="${id}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>`
+      + `<pic:blipFill><a:blip r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+      + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`
+      + `</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`;
+  }
+
+  /**
+   * [목적] 증거 이미지 문단 + 캡션 (읽기 실패 시 경고 문단).
+   */
+  async figure(ref, caption, source) {
+    const image = await loadEvidenceImage(ref, source);
+    const run = image.error ? null : this.image(image, caption);
+    if (!run) {
+      if (image.error) this.warnings.push(`Screenshot not embedded (${image.error}): ${ref}`);
+      return paragraph(textRuns(`[${image.error || 'unsupported image'}: ${ref}]`, { italic: true, color: 'C00000' }));
+    }
+    return paragraph(run, { keepNext: true, spacingAfter: 60 })
+      + paragraph(textRuns(caption || path.basename(String(ref))), { style: 'Caption' });
+  }
+
+  table(columns, rows, options = {}) {
+    return table(columns, rows, { headerFill: this.template.styles.primaryColor, ...options });
+  }
+
+  hyperlink(href, content) {
+    if (href.startsWith('#')) return `<w:hyperlink w:anchor="${escapeXml(href.slice(1))}" w:history="1">${content}</w:hyperlink>`;
+    const rId = this.addRelationship('hyperlink', href, true);
+    return `<w:hyperlink r:id="${rId}" w:history="1">${content}</w:hyperlink>`;
+  }
+
+  /**
+   * [목적] 새 목록 번호 인스턴스 (번호 목록은 매번 1부터).
+   */
+  newList(ordered) {
+    const numId = this.numberings.length + 1;
+    this.numberings.push({ numId, ordered });
+    return numId;
+  }
+
+  /**
+   * [목적] 제목 문단 (목차용 책갈피 포함). level 1~3.
+   */
+  heading(text, level, bookmark = null) {
+    const name = bookmark || `_Toc${String(this.nextBookmarkId).padStart(6, '0')}`;
+    const id = this.nextBookmarkId++;
+    this.headings.push({ text, level, bookmark: name });
+    return paragraph(
+      `<w:bookmarkStart w:id="${id}" w:name="${escapeXml(name)}"/>${textRuns(text)}<w:bookmarkEnd w:id="${id}"/>`,
+      { style: `Heading${level}` }
+    );
+  }
+}
+
+/**
+ * [목적] 표 XML. columns: [{ label, width }], rows: [[cell]] (cell: 문자열 또는 { content(run XML), fill, color, bold })
+ */
+const table = (columns, rows, { header = true, headerFill } = {}) => {
+  const cell = (value, width, defaults = {}) => {
+    const spec = typeof value === 'object' && value !== null ? value : { text: value };
+    const color = spec.color ?? defaults.color;
+    const fill = spec.fill ?? defaults.fill;
+    const content = spec.content ?? textRuns(spec.text ?? '', { bold: spec.bold ?? defaults.bold, color });
+    return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${fill ? `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/>` : ''}</w:tcPr>`
+      + `${paragraph(content, { spacingBefore: 0, spacingAfter: 0 })}</w:tc>`;
+  };
+
+  const headerRow = header
+    ? `<w:tr><w:trPr><w:tblHeader/><w:cantSplit/></w:trPr>${columns
+      .map(column => cell(column.label, column.width, { fill: headerFill, color: 'FFFFFF', bold: true }))
+      .join('')}</w:tr>`
+    : '';
+  const bodyRows = rows
+    .map(row => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${row.map((value, index) => cell(value, columns[index].width)).join('')}</w:tr>`)
+    .join('');
+
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${CONTENT_WIDTH}" w:type="dxa"/><w:tblLayout w:type="fixed"/>`
+    + `<w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr>`
+    + `<w:tblGrid>${columns.map(column => `<w:gridCol w:w="${column.width}"/>`).join('')}</w:tblGrid>`
+    + `${headerRow}${bodyRows}</w:tbl>${paragraph('', { spacingAfter: 0 })}`;
+};
+
+const hex = color => color.replace(/^#/, '').toUpperCase();
+const severityLabel = (doc, severity) => doc.labels.severities[severity] || SEVERITY_DISPLAY[severity].label;
+const verdictLabel = (doc, verdict) => doc.labels.verdicts[verdict] || VERDICT_DISPLAY[verdict].label;
+
+/**
+ * [목적] 계산된 CVSS 점수/등급 + 벡터 런 (계산 불가 벡터는 사유와 함께 표시).
+ */
+const cvssRuns = (doc, result) => {
+  const font = doc.template.styles.codeFont;
+  if (!result.valid) {
+    return `${textRuns(result.vector, { font })}${textRuns(` (${doc.labels.cvssInvalid}: ${result.error})`, { color: 'C62828' })}`;
+  }
+  const rating = SEVERITY_DISPLAY[result.severity]
+    ? textRuns(` ${severityLabel(doc, result.severity)}`, { bold: true, color: hex(SEVERITY_DISPLAY[result.severity].color) })
+    : textRuns(` ${doc.labels.cvssNone}`);
+  return `${textRuns(result.score.toFixed(1), { bold: true })}${rating}${textRuns('  ')}${textRuns(result.vector, { font })}`;
+};
+
+/**
+ * [목적] 인라인 Markdown → run XML (안전한 링크만 하이퍼링크, 이미지는 내장 시도).
+ */
+const inlineRuns = async (text, doc, source) => {
+  const codeProps = { font: doc.template.styles.codeFont, shade: 'F2F2F2' };
+  const parts = [];
+  for (const span of parseInline(text)) {
+    if (span.type === 'code') parts.push(textRuns(span.text, codeProps));
+    else if (span.type === 'strong') parts.push(textRuns(span.text, { bold: true }));
+    else if (span.type === 'em') parts.push(textRuns(span.text, { italic: true }));
+    else if (span.type === 'link') {
+      parts.push(isSafeHref(span.href) && !span.href.startsWith('#')
+        ? doc.hyperlink(span.href.trim(), textRuns(span.text, { style: 'Hyperlink' }))
+        : textRuns(`${span.text} (${span.href})`));
+    } else if (span.type === 'image') {
+      const image = await loadEvidenceImage(span.href, source);
+      const run = image.error ? null : doc.image(image, span.text);
+      if (image.error) doc.warnings.push(`Screenshot not embedded (${image.error}): ${span.href}`);
+      parts.push(run || textRuns(`[${span.text || span.href}]`, { italic: true }));
+    } else parts.push(textRuns(span.text));
+  }
+  return parts.join('');
+};
+
+/**
+ * [목적] 서술형 보고서 Markdown → 본문 XML.
+ * - 첫 H1(보고서 제목)은 표지에 있으므로 생략, 나머지 제목은 가장 얕은 단계를 Heading1로 맞춤 (4단계 이하는 Heading3)
+ */
+const renderNarrative = async (markdown, doc, source) => {
+  const blocks = parseMarkdownBlocks(markdown);
+  const titleIndex = blocks.findIndex(block => block.type === 'heading' && block.level === 1);
+  const body = blocks.filter((_, index) => index !== titleIndex);
+  const minLevel = Math.min(...body.filter(block => block.type === 'heading').map(block => block.level), 6);
+
+  const xml = [];
+  for (const block of body) {
+    if (block.type === 'heading') {
+      const level = Math.min(3, Math.max(1, block.level - minLevel + 1));
+      xml.push(doc.heading(parseInline(block.text).map(span => span.text).join(''), level));
+    } else if (block.type === 'paragraph') {
+      xml.push(paragraph(await inlineRuns(block.text, doc, source)));
+    } else if (block.type === 'list') {
+      const numId = doc.newList(block.ordered);
+      for (const item of block.items) xml.push(paragraph(await inlineRuns(item, doc, source), { style: 'ListParagraph', numId }));
+    } else if (block.type === 'code') {
+      xml.push(paragraph(textRuns(truncate(block.text)), { style: 'Code' }));
+    } else if (block.type === 'table') {
+      const width = Math.floor(CONTENT_WIDTH / Math.max(1, block.header.length));
+      const columns = block.header.map(label => ({ label: parseInline(label).map(span => span.text).join(''), width }));
+      const rows = [];
+      for (const row of block.rows) {
+        const cells = [];
+        for (const value of row) cells.push({ content: await inlineRuns(value, doc, source) });
+        rows.push(cells);
+      }
+      xml.push(doc.table(columns, rows));
+    } else if (block.type === 'quote') {
+      xml.push(paragraph(await inlineRuns(block.text, doc, source), { style: 'Quote' }));
+    } else if (block.type === 'hr') {
+      xml.push(paragraph('', { style: 'Divider' }));
+    }
+  }
+  return xml.join('');
+};
+
+/**
+ * [목적] 요청/응답 헤더를 "Name: value" 줄로.
+ */
+const headerLines = (headers) => {
+  if (!headers) return [];
+  if (typeof headers === 'string') return headers.split(/\r?\n/).filter(Boolean);
+  return Object.entries(headers).map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`);
+};
+
+const bodyText = (body) => {
+  if (body === undefined || body === null || body === '') return '';
+  if (typeof body !== 'string') return JSON.stringify(body, null, 2);
+  if (/^\s*[[{]/.test(body)) {
+    try {
+      return JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // Not JSON; keep the raw body
+    }
+  }
+  return body;
+};
+
+const httpMessage = (startLine, message) => {
+  const body = bodyText(message.body);
+  return truncate([startLine, ...headerLines(message.headers)].join('\n') + (body ? `\n\n${body}` : ''));
+};
+
+/**
+ * [목적] 증거 항목 하나 → 본문 XML.
+ */
+const renderEvidenceItem = async (entry, doc, source) => {
+  if (!entry || typeof entry !== 'object') return paragraph(textRuns(String(entry)), { style: 'Code' });
+
+  const { type = 'other', description, request, response, path: imagePath, ...rest } = entry;
+  const xml = [paragraph(textRuns(`${type}${description ? ` — ${description}` : ''}`, { bold: true }), { keepNext: true })];
+
+  if (type === 'screenshot' && imagePath) {
+    xml.push(await doc.figure(imagePath, description, source));
+  } else if (imagePath) {
+    rest.path = imagePath;
+  }
+  if (request && typeof request === 'object') {
+    xml.push(paragraph(textRuns(doc.labels.request, { italic: true }), { keepNext: true, spacingAfter: 0 }));
+    xml.push(paragraph(textRuns(httpMessage(`${request.method || 'GET'} ${request.url || ''}`, request)), { style: 'Code' }));
+  }
+  if (response && typeof response === 'object') {
+    xml.push(paragraph(textRuns(doc.labels.response, { italic: true }), { keepNext: true, spacingAfter: 0 }));
+    xml.push(paragraph(textRuns(httpMessage(`HTTP ${response.status ?? ''}${response.statusText ? ` ${response.statusText}` : ''}`, response)), { style: 'Code' }));
+  }
+  for (const [field, value] of Object.entries(rest)) {
+    if (value === undefined || value === null || value === '') continue;
+    xml.push(paragraph(textRuns(field, { italic: true }), { keepNext: true, spacingAfter: 0 }));
+    xml.push(paragraph(textRuns(truncate(typeof value === 'string' ? value : JSON.stringify(value, null, 2))), { style: 'Code' }));
+  }
+  return xml.join('');
+};
+
+const locationRuns = (location, doc, source) => {
+  const label = `${location.file}:${location.line}`;
+  const href = buildCodeLink(location.file, location.line, source);
+  const runs = textRuns(label, { font: doc.template.styles.codeFont, style: href ? 'Hyperlink' : undefined });
+  return href ? doc.hyperlink(href, runs) : runs;
+};
+
+/**
+ * [목적] 취약점 요약 섹션 (심각도×판정, 카테고리×심각도 집계 표, 취약점 목록 표).
+ */
+const renderFindingsSummary = (findings, categories, doc) => {
+  const { labels } = doc;
+  const severityFill = severity => hex(SEVERITY_DISPLAY[severity].color);
+  const xml = [pageBreak(), doc.heading(labels.findingsSummary, 1)];
+
+  const severities = SEVERITY_ORDER.filter(severity => severity !== UNRATED || findings.some(finding => finding.severity === UNRATED));
+  const labelWidth = 1826;
+  const verdictWidth = Math.floor((CONTENT_WIDTH - labelWidth) / (VERDICT_ORDER.length + 1));
+  xml.push(paragraph(textRuns(labels.bySeverity, { bold: true }), { keepNext: true }));
+  xml.push(doc.table(
+    [{ label: labels.severity, width: labelWidth }, ...VERDICT_ORDER.map(verdict => ({ label: verdictLabel(doc, verdict), width: verdictWidth })), { label: labels.total, width: verdictWidth }],
+    [
+      ...severities.map((severity) => {
+        const counts = countBy(findings.filter(finding => finding.severity === severity), 'verdict');
+        return [
+          { text: severityLabel(doc, severity), fill: severityFill(severity), color: 'FFFFFF', bold: true },
+          ...VERDICT_ORDER.map(verdict => String(counts[verdict] || 0)),
+          { text: String(Object.values(counts).reduce((sum, count) => sum + count, 0)), bold: true }
+        ];
+      }),
+      [
+        { text: labels.total, bold: true },
+        ...VERDICT_ORDER.map(verdict => ({ text: String(findings.filter(finding => finding.verdict === verdict).length), bold: true })),
+        { text: String(findings.length), bold: true }
+      ]
+    ]
+  ));
+
+  const categoryRows = categories
+    .map(category => ({ category, counts: countBy(findings.filter(finding => finding.category === category), 'severity') }))
+    .filter(({ counts }) => Object.keys(counts).length > 0);
+  if (categoryRows.length > 0) {
+    const categoryWidth = 2626;
+    const countWidth = Math.floor((CONTENT_WIDTH - categoryWidth) / (SEVERITY_ORDER.length + 1));
+    xml.push(paragraph(textRuns(labels.byCategory, { bold: true }), { keepNext: true }));
+    xml.push(doc.table(
+      [
+        { label: labels.category, width: categoryWidth },
+        ...SEVERITY_ORDER.map(severity => ({ label: severityLabel(doc, severity), width: countWidth })),
+        { label: labels.total, width: countWidth }
+      ],
+      categoryRows.map(({ category, counts }) => [
+        getCategoryInfo(category).title,
+        ...SEVERITY_ORDER.map(severity => String(counts[severity] || 0)),
+        { text: String(Object.values(counts).reduce((sum, count) => sum + count, 0)), bold: true }
+      ])
+    ));
+  }
+
+  xml.push(doc.heading(labels.findingsList, 2));
+  if (findings.length === 0) {
+    xml.push(paragraph(textRuns(labels.noFindings)));
+    return xml.join('');
+  }
+  xml.push(doc.table(
+    [
+      { label: labels.no, width: 600 },
+      { label: labels.id, width: 1300 },
+      { label: labels.severity, width: 1000 },
+      { label: labels.cvss, width: 700 },
+      { label: labels.verdict, width: 1226 },
+      { label: labels.category, width: 1400 },
+      { label: labels.title, width: 1700 },
+      { label: labels.endpoint, width: 1100 }
+    ],
+    findings.map((finding, index) => [
+      String(index + 1),
+      { content: doc.hyperlink(`#${finding.anchor.replace(/-/g, '_')}`, textRuns(finding.id, { style: 'Hyperlink' })) },
+      { text: severityLabel(doc, finding.severity), fill: severityFill(finding.severity), color: 'FFFFFF', bold: true },
+      finding.cvssScore === null ? '' : finding.cvssScore.toFixed(1),
+      { text: verdictLabel(doc, finding.verdict), color: hex(VERDICT_DISPLAY[finding.verdict].color), bold: true },
+      finding.categoryTitle,
+      finding.title,
+      finding.endpoint
+    ])
+  ));
+  return xml.join('');
+};
+
+/**
+ * [목적] 취약점 하나의 상세 (메타 표, 원인/영향/페이로드, 재현 절차, 증거).
+ */
+const renderFindingDetail = async (finding, doc, source) => {
+  const { labels } = doc;
+  const { evidence } = finding;
+  const codeFont = doc.template.styles.codeFont;
+  const xml = [doc.heading(`${finding.id} — ${finding.title}`, 2, finding.anchor.replace(/-/g, '_'))];
+
+  const meta = [
+    [labels.category, textRuns(`${finding.categoryTitle}${finding.cwe.length ? ` (${finding.cwe.join(', ')})` : ''}`)],
+    [labels.severity, textRuns(severityLabel(doc, finding.severity), { bold: true, color: hex(SEVERITY_DISPLAY[finding.severity].color) })],
+    [labels.verdict, textRuns(verdictLabel(doc, finding.verdict), { bold: true, color: hex(VERDICT_DISPLAY[finding.verdict].color) })],
+    ...CVSS_VERSIONS.map(({ key, label }) => [label, finding.cvss[key] ? cvssRuns(doc, finding.cvss[key]) : '']),
+    [labels.confidence, finding.confidence ? textRuns(finding.confidence) : ''],
+    [labels.endpoint, finding.endpoint ? textRuns(finding.endpoint, { font: codeFont }) : ''],
+    [labels.parameter, finding.parameter ? textRuns(finding.parameter, { font: codeFont }) : ''],
+    [labels.location, finding.locations
+      .map(location => `${locationRuns(location, doc, source)}${textRuns(` (${location.field})`, { color: '767676' })}`)
+      .join('<w:r><w:br/></w:r>')]
+  ].filter(([, value]) => value);
+  xml.push(doc.table(
+    [{ label: '', width: 2200 }, { label: '', width: CONTENT_WIDTH - 2200 }],
+    meta.map(([label, content]) => [{ text: label, fill: 'F2F2F2', bold: true }, { content }]),
+    { header: false }
+  ));
+
+  if (finding.reason) {
+    xml.push(doc.heading(labels.why, 3));
+    xml.push(paragraph(textRuns(finding.reason)));
+  }
+  if (evidence?.impact_summary) {
+    xml.push(doc.heading(labels.impact, 3));
+    xml.push(paragraph(textRuns(evidence.impact_summary)));
+  }
+  if (finding.witnessPayload) {
+    xml.push(doc.heading(labels.payload, 3));
+    xml.push(paragraph(textRuns(finding.witnessPayload), { style: 'Code' }));
+  }
+
+  const steps = Array.isArray(evidence?.reproduction_steps) ? evidence.reproduction_steps : [];
+  if (steps.length > 0) {
+    xml.push(doc.heading(labels.steps, 3));
+    const numId = doc.newList(true);
+    for (const step of steps) {
+      xml.push(paragraph(textRuns(String(step).replace(/^\s*\d+[.)]\s*/, '')), { style: 'ListParagraph', numId }));
+    }
+  }
+
+  const items = Array.isArray(evidence?.evidence) ? evidence.evidence : [];
+  if (items.length > 0) {
+    xml.push(doc.heading(`${labels.evidence} (${items.length})`, 3));
+    for (const entry of items) xml.push(await renderEvidenceItem(entry, doc, source));
+  } else if (!evidence) {
+    xml.push(paragraph(textRuns(labels.notVerified, { italic: true, color: '767676' })));
+  }
+  return xml.join('');
+};
+
+/**
+ * [목적] 표지 (로고, 제목/부제, 정보 표, 보안 등급).
+ */
+const renderCover = async (doc, source, placeholders) => {
+  const { template, labels, lang } = doc;
+  const xml = [paragraph('', { spacingBefore: 1800 })];
+
+  if (template.company.logo) {
+    const mime = IMAGE_TYPES[path.extname(template.company.logo).toLowerCase()] || 'application/octet-stream';
+    const run = doc.image({ file: template.company.logo, mime, data: await fs.readFile(template.company.logo) }, placeholders.company);
+    if (run) xml.push(paragraph(run, { spacingAfter: 480 }));
+  }
+
+  xml.push(paragraph(textRuns(placeholders.title), { style: 'Title' }));
+  const subtitle = localize(template.cover.subtitle, lang);
+  if (subtitle) xml.push(paragraph(textRuns(subtitle), { style: 'Subtitle' }));
+  xml.push(paragraph('', { spacingBefore: 1200 }));
+
+  const rows = [
+    [labels.client, placeholders.client],
+    [labels.target, source.webUrl],
+    [labels.sourceRepo, source.targetRepo ? path.basename(source.targetRepo) : ''],
+    [labels.session, source.sessionId || source.label],
+    [labels.date, placeholders.date],
+    [labels.preparedBy, placeholders.company],
+    [labels.classification, placeholders.classification]
+  ].filter(([, value]) => value);
+  xml.push(doc.table(
+    [{ label: '', width: 2600 }, { label: '', width: CONTENT_WIDTH - 2600 }],
+    rows.map(([label, value]) => [{ text: label, fill: 'F2F2F2', bold: true }, value]),
+    { header: false }
+  ));
+
+  if (placeholders.classification) {
+    xml.push(paragraph(textRuns(placeholders.classification, { bold: true, color: 'C00000', size: 14 }), { align: 'center', spacingBefore: 1200 }));
+  }
+  xml.push(pageBreak());
+  return xml.join('');
+};
+
+/**
+ * [목적] 목차 (TOC 필드 + 현재 제목 목록을 미리 채운 결과, 항목은 책갈피 링크).
+ */
+const renderToc = (doc) => {
+  const entries = doc.headings.map((heading, index) => {
+    const fieldStart = index === 0
+      ? '<w:r><w:fldChar w:fldCharType="begin" w:dirty="true"/></w:r><w:r><w:instrText xml:space="preserve"> TOC \\o "1-3" \\h \\z \\u </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r>'
+      : '';
+    return paragraph(`${fieldStart}${doc.hyperlink(`#${heading.bookmark}`, textRuns(heading.text))}`, { style: `TOC${heading.level}` });
+  });
+  const fieldEnd = paragraph('<w:r><w:fldChar w:fldCharType="end"/></w:r>');
+
+  return [
+    paragraph(textRuns(doc.labels.toc), { style: 'TOCHeading' }),
+    ...(entries.length > 0 ? [...entries, fieldEnd] : []),
+    paragraph(textRuns(doc.labels.tocHint, { italic: true, color: '767676', size: 8 })),
+    pageBreak()
+  ].join('');
+};
+
+/**
+ * [목적] 템플릿 글꼴/색상으로 styles.xml 생성 (styles_from 미지정 시).
+ */
+const buildStylesXml = ({ styles }) => {
+  const fonts = font => `<w:rFonts w:ascii="${escapeXml(font)}" w:hAnsi="${escapeXml(font)}" w:eastAsia="${escapeXml(font)}" w:cs="${escapeXml(font)}"/>`;
+  const size = points => `<w:sz w:val="${Math.round(points * 2)}"/><w:szCs w:val="${Math.round(points * 2)}"/>`;
+  const heading = (level, points, color, border) => `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>`
+    + `<w:pPr><w:keepNext/><w:keepLines/>${border ? `<w:pBdr><w:bottom w:val="single" w:sz="8" w:space="4" w:color="${styles.accentColor}"/></w:pBdr>` : ''}<w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>`
+    + `<w:rPr>${fonts(styles.headingFont)}<w:b/><w:bCs/><w:color w:val="${color}"/>${size(points)}</w:rPr></w:style>`;
+  const toc = (level) => `<w:style w:type="paragraph" w:styleId="TOC${level}"><w:name w:val="toc ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="39"/>`
+    + `<w:pPr><w:tabs><w:tab w:val="right" w:leader="dot" w:pos="${CONTENT_WIDTH}"/></w:tabs><w:spacing w:after="60"/><w:ind w:left="${(level - 1) * 220}"/></w:pPr>${level === 1 ? '<w:rPr><w:b/></w:rPr>' : ''}</w:style>`;
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${NS.w}">
+<w:docDefaults><w:rPrDefault><w:rPr>${fonts(styles.font)}${size(styles.fontSize)}<w:lang w:val="en-US" w:eastAsia="ko-KR"/></w:rPr></w:rPrDefault>`
+    + `<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="character" w:default="1" w:styleId="DefaultParagraphFont"><w:name w:val="Default Paragraph Font"/><w:uiPriority w:val="1"/><w:semiHidden/></w:style>
+<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:semiHidden/><w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Subtitle"/><w:qFormat/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr>${fonts(styles.headingFont)}<w:b/><w:bCs/><w:color w:val="${styles.primaryColor}"/>${size(30)}</w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:rPr>${fonts(styles.headingFont)}<w:color w:val="${styles.accentColor}"/>${size(16)}</w:rPr></w:style>
+${heading(1, 16, styles.primaryColor, true)}
+${heading(2, 13, styles.primaryColor, false)}
+${heading(3, 11, styles.accentColor, false)}
+<w:style w:type="paragraph" w:styleId="TOCHeading"><w:name w:val="TOC Heading"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="39"/><w:qFormat/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr>${fonts(styles.headingFont)}<w:b/><w:bCs/><w:color w:val="${styles.primaryColor}"/>${size(16)}</w:rPr></w:style>
+${toc(1)}
+${toc(2)}
+${toc(3)}
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:uiPriority w:val="34"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/><w:contextualSpacing/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:top w:val="single" w:sz="4" w:space="4" w:color="D9D9D9"/><w:left w:val="single" w:sz="4" w:space="4" w:color="D9D9D9"/><w:bottom w:val="single" w:sz="4" w:space="4" w:color="D9D9D9"/><w:right w:val="single" w:sz="4" w:space="4" w:color="D9D9D9"/></w:pBdr><w:shd w:val="clear" w:color="auto" w:fill="F5F5F5"/><w:spacing w:after="160" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr>${fonts(styles.codeFont)}${size(8.5)}</w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="35"/><w:qFormat/><w:rPr><w:i/><w:iCs/><w:color w:val="595959"/>${size(8.5)}</w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="${styles.accentColor}"/></w:pBdr><w:ind w:left="360"/></w:pPr><w:rPr><w:i/><w:iCs/><w:color w:val="404040"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Divider"><w:name w:val="Divider"/><w:basedOn w:val="Normal"/><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BFBFBF"/></w:pBdr></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Header"><w:name w:val="header"/><w:basedOn w:val="Normal"/><w:pPr><w:tabs><w:tab w:val="right" w:pos="${CONTENT_WIDTH}"/></w:tabs><w:spacing w:after="0"/></w:pPr><w:rPr><w:color w:val="595959"/>${size(8)}</w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/><w:pPr><w:tabs><w:tab w:val="right" w:pos="${CONTENT_WIDTH}"/></w:tabs><w:spacing w:after="0"/></w:pPr><w:rPr><w:color w:val="595959"/>${size(8)}</w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:basedOn w:val="DefaultParagraphFont"/><w:uiPriority w:val="99"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:basedOn w:val="TableNormal"/><w:uiPriority w:val="39"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:left w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:right w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/></w:tblBorders><w:tblCellMar><w:top w:w="40" w:type="dxa"/><w:left w:w="100" w:type="dxa"/><w:bottom w:w="40" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+};
+
+const buildNumberingXml = (numberings) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${NS.w}">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="singleLevel"/><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1."/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>
+${numberings.map(({ numId, ordered }) => `<w:num w:numId="${numId}"><w:abstractNumId w:val="${ordered ? 1 : 0}"/>${ordered ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>' : ''}</w:num>`).join('\n')}
+</w:numbering>`;
+
+const buildHeaderFooterXml = (tag, content) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:${tag} xmlns:w="${NS.w}" xmlns:r="${NS.r}">${content}</w:${tag}>`;
+
+const field = instruction => `<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> ${instruction} </w:instrText></w:r>`
+  + '<w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r>';
+
+const fillPlaceholders = (text, values) => String(text || '').replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+/**
+ * [목적] 산출물 디렉터리 하나를 DOCX 패키지(Buffer)로 렌더링.
+ *
+ * [입력 파라미터]
+ * - source (object): resolveDeliverablesSource() 형태 ({ label, sessionId, webUrl, targetRepo, deliverablesDir })
+ * - options.markdown (string|null): 서술형 보고서 Markdown (없으면 표지/목차/요약/상세만)
+ * - options.lang (string): en | ko (고정 문구와 템플릿 텍스트 언어)
+ * - options.template (object): loadDocxTemplate() 결과
+ *
+ * [반환값]
+ * - Promise<{ buffer: Buffer, summary: { findings, verdicts, severities }, warnings: string[] }>
+ *
+ * [에러 처리]
+ * - styles_from .docx에 word/styles.xml이 없으면 PentestError('config')
+ */
+export async function buildDocxReport(source, { markdown = null, lang = 'en', template }) {
+  const { findings, categories } = await loadReportFindings(source.deliverablesDir);
+  const doc = new DocxDocument(template, lang);
+  const generatedAt = getLocalISOString();
+
+  const placeholders = {
+    company: localize(template.company.name, lang),
+    client: localize(template.client, lang),
+    title: localize(template.cover.title, lang),
+    classification: localize(template.cover.classification, lang),
+    target: source.webUrl || '',
+    date: generatedAt.slice(0, 10)
+  };
+
+  // Body first: headings collected here feed the table of contents
+  const body = [];
+  if (markdown) body.push(await renderNarrative(markdown, doc, source));
+  body.push(renderFindingsSummary(findings, categories, doc));
+  if (findings.length > 0) {
+    body.push(pageBreak(), doc.heading(doc.labels.details, 1));
+    for (const finding of findings) body.push(await renderFindingDetail(finding, doc, source));
+  }
+  const captured = (await listCapturedScreenshots(source.deliverablesDir)).filter(file => !doc.embedded.has(file));
+  if (captured.length > 0) {
+    body.push(pageBreak(), doc.heading(doc.labels.screenshots, 1), paragraph(textRuns(doc.labels.screenshotsHint, { italic: true })));
+    for (const file of captured) body.push(await doc.figure(file, path.basename(file).replace(/\.[^.]+$/, ''), source));
+  }
+
+  const cover = await renderCover(doc, source, placeholders);
+  const toc = renderToc(doc);
+
+  const headerId = doc.addRelationship('header', 'header1.xml');
+  const footerId = doc.addRelationship('footer', 'footer1.xml');
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}" xmlns:wp="${NS.wp}" xmlns:a="${NS.a}" xmlns:pic="${NS.pic}"><w:body>
+${cover}${toc}${body.join('')}
+<w:sectPr><w:headerReference w:type="default" r:id="${headerId}"/><w:footerReference w:type="default" r:id="${footerId}"/>`
+    + `<w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/><w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" w:header="708" w:footer="708" w:gutter="0"/><w:titlePg/></w:sectPr>
+</w:body></w:document>`;
+
+  const headerXml = buildHeaderFooterXml('hdr', paragraph(
+    textRuns(fillPlaceholders(localize(template.header, lang), placeholders)),
+    { style: 'Header', align: 'right' }
+  ));
+  const footerXml = buildHeaderFooterXml('ftr', paragraph(
+    `${textRuns(fillPlaceholders(localize(template.footer, lang), placeholders))}<w:r><w:tab/></w:r>${field('PAGE')}${textRuns(' / ')}${field('NUMPAGES')}`,
+    { style: 'Footer' }
+  ));
+
+  let stylesXml = buildStylesXml(template);
+  let themeXml = null;
+  if (template.stylesFrom) {
+    const parts = readZip(await fs.readFile(template.stylesFrom));
+    if (!parts.has('word/styles.xml')) {
+      throw new PentestError(
+        `DOCX template styles_from has no word/styles.xml: ${template.stylesFrom}`,
+        'config',
+        false,
+        { stylesFrom: template.stylesFrom }
+      );
+    }
+    stylesXml = parts.get('word/styles.xml');
+    themeXml = parts.get('word/theme/theme1.xml') || null;
+  }
+
+  const fixedRelationships = [
+    { id: 'rId1', type: `${REL_TYPE}/styles`, target: 'styles.xml' },
+    { id: 'rId2', type: `${REL_TYPE}/settings`, target: 'settings.xml' },
+    { id: 'rId3', type: `${REL_TYPE}/numbering`, target: 'numbering.xml' },
+    ...(themeXml ? [{ id: 'rId4', type: `${REL_TYPE}/theme`, target: 'theme/theme1.xml' }] : [])
+  ];
+  const relationshipsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS.rel}">${[...fixedRelationships, ...doc.relationships]
+    .map(rel => `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXml(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`)
+    .join('')}</Relationships>`;
+
+  const contentTypesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Default Extension="png" ContentType="image/png"/>
+<Default Extension="jpeg" ContentType="image/jpeg"/>
+<Default Extension="gif" ContentType="image/gif"/>
+<Override PartName="/word/document.xml" ContentType="${CONTENT_TYPE}.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="${CONTENT_TYPE}.wordprocessingml.styles+xml"/>
+<Override PartName="/word/settings.xml" ContentType="${CONTENT_TYPE}.wordprocessingml.settings+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="${CONTENT_TYPE}.wordprocessingml.numbering+xml"/>
+<Override PartName="/word/header1.xml" ContentType="${CONTENT_TYPE}.wordprocessingml.header+xml"/>
+<Override PartName="/word/footer1.xml" ContentType="${CONTENT_TYPE}.wordprocessingml.footer+xml"/>
+${themeXml ? `<Override PartName="/word/theme/theme1.xml" ContentType="${CONTENT_TYPE}.theme+xml"/>\n` : ''}<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+<Override PartName="/docProps/app.xml" ContentType="${CONTENT_TYPE}.extended-properties+xml"/>
+</Types>`;
+
+  const createdAt = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const entries = [
+    { name: '[Content_Types].xml', data: contentTypesXml },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS.rel}"><Relationship Id="rId1" Type="${REL_TYPE}/officeDocument" Target="word/document.xml"/>`
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+        + `<Relationship Id="rId3" Type="${REL_TYPE}/extended-properties" Target="docProps/app.xml"/></Relationships>`
+    },
+    {
+      name: 'docProps/core.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`
+        + `<dc:title>${escapeXml(placeholders.title)}</dc:title><dc:creator>${escapeXml(placeholders.company)}</dc:creator>`
+        + `<dcterms:created xsi:type="dcterms:W3CDTF">${createdAt}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${createdAt}</dcterms:modified></cp:coreProperties>`
+    },
+    {
+      name: 'docProps/app.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>DokodemoDoor</Application><Company>${escapeXml(placeholders.company)}</Company></Properties>`
+    },
+    { name: 'word/document.xml', data: documentXml },
+    { name: 'word/styles.xml', data: stylesXml },
+    {
+      name: 'word/settings.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="${NS.w}"><w:defaultTabStop w:val="720"/><w:characterSpacingControl w:val="doNotCompress"/><w:updateFields w:val="true"/>`
+        + '<w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat></w:settings>'
+    },
+    { name: 'word/numbering.xml', data: buildNumberingXml(doc.numberings) },
+    { name: 'word/header1.xml', data: headerXml },
+    { name: 'word/footer1.xml', data: footerXml },
+    ...(themeXml ? [{ name: 'word/theme/theme1.xml', data: themeXml }] : []),
+    { name: 'word/_rels/document.xml.rels', data: relationshipsXml },
+    ...doc.media.map(media => ({ name: `word/media/${media.name}`, data: media.data }))
+  ];
+
+  return {
+    buffer: createZip(entries),
+    summary: {
+      findings: findings.length,
+      verdicts: countBy(findings, 'verdict'),
+      severities: countBy(findings, 'severity')
+    },
+    warnings: [...new Set(doc.warnings)]
+  };
+}
+
+/**
+ * [목적] 산출물 디렉터리의 보고서 변형(영문, 번역본 _kr)마다 DOCX 파일 작성.
+ *
+ * [호출자]
+ * - checkpoint-manager.js (report 에이전트 완료 직후, 영문만 존재)
+ * - cli/docx-report.js (--docx-report)
+ *
+ * [입력 파라미터]
+ * - source (object): buildDocxReport()와 동일
+ * - options.outputPath (string|null): 영문 DOCX 경로 (번역본은 파일명에 _kr 추가). 기본은 deliverablesDir 안
+ * - options.templatePath (string|null): 템플릿 YAML (기본 DOKODEMODOOR_DOCX_TEMPLATE → configs/report/docx-template.yaml)
+ *
+ * [반환값]
+ * - Promise<Array<{ lang, markdownPath, outputPath, summary, warnings }>>
+ *
+ * [에러 처리]
+ * - 템플릿 오류는 PentestError('config') (loadDocxTemplate)
+ */
+export async function writeDocxReports(source, { outputPath = null, templatePath = null } = {}) {
+  const template = await loadDocxTemplate(templatePath || config.dokodemodoor.report.docxTemplate);
+  const outputs = [];
+
+  for (const variant of REPORT_VARIANTS) {
+    const markdownPath = path.join(source.deliverablesDir, `${REPORT_BASENAME}${variant.suffix}.md`);
+    const hasMarkdown = await fs.pathExists(markdownPath);
+    if (!hasMarkdown && variant.suffix) continue;
+
+    const markdown = hasMarkdown ? await fs.readFile(markdownPath, 'utf8') : null;
+    const { buffer, summary, warnings } = await buildDocxReport(source, { markdown, lang: variant.lang, template });
+
+    let target = path.join(source.deliverablesDir, `${REPORT_BASENAME}${variant.suffix}.docx`);
+    if (outputPath) {
+      const parsed = path.parse(path.resolve(outputPath));
+      target = path.join(parsed.dir, `${parsed.name}${variant.suffix}${parsed.ext || '.docx'}`);
+    }
+    await fs.ensureDir(path.dirname(target));
+    await fs.writeFile(target, buffer);
+
+    outputs.push({ lang: variant.lang, markdownPath: hasMarkdown ? markdownPath : null, outputPath: target, summary, warnings });
+  }
+
+  return outputs;
+}
@@ -0,0 +1,648 @@
+/**
+ * Self-contained HTML Report
+ *
+ * 익스플로잇 큐/증거와 보고서 에이전트의 Markdown(comprehensive_security_assessment_report[_kr].md)을
+ * 외부 리소스 없이 열리는 단일 HTML 파일로 렌더링 (고객 전달용).
+ * - 요약: 심각도 × 판정, 카테고리 × 심각도 막대 차트 (인라인 SVG)
+ * - 취약점 표: 열 머리글 클릭 정렬 (인라인 스크립트, CSP 해시로 허용)
+ * - 취약점 상세: 접이식 증거, HTTP 요청/응답 및 JSON 하이라이팅, 스크린샷 data URI 내장
+ * - 코드 위치 딥링크: DOKODEMODOOR_REPORT_CODE_URL 템플릿({path}, {line}), 없으면 대상 레포의 file:// 링크
+ *
+ * [주의사항]
+ * - 큐/증거/보고서의 모든 문자열은 대상 애플리케이션 응답을 포함할 수 있으므로 전부 이스케이프
+ * - 스크린샷은 deliverables 디렉터리 또는 대상 레포 안의 이미지 파일만 내장 (SVG 제외, 크기 상한)
+ */
+
+import crypto from 'node:crypto';
+import { fs, path } from 'zx';
+import { DOKODEMODOOR_ROOT } from '../audit/utils.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+import { isSafeHref, parseInline, parseMarkdownBlocks } from '../utils/markdown.js';
+import { SEVERITY_LEVELS, getCategoryInfo } from '../utils/findings.js';
+import {
+  REPORT_BASENAME,
+  REPORT_VARIANTS,
+  CVSS_VERSIONS,
+  SEVERITY_DISPLAY,
+  SEVERITY_ORDER,
+  UNRATED,
+  VERDICT_DISPLAY,
+  VERDICT_ORDER,
+  buildCodeLink,
+  countBy,
+  listCapturedScreenshots,
+  loadEvidenceImage,
+  loadReportFindings,
+  severityRank,
+  verdictRank
+} from '../utils/report-model.js';
+
+const MAX_BODY_CHARS = 20000;
+
+const STYLES = `
+:root { --fg: #1f2328; --muted: #656d76; --border: #d0d7de; --bg-soft: #f6f8fa; --accent: #0b5cad; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 14px/1.55 -apple-system, "Segoe UI", "Noto Sans KR", "Malgun Gothic", Helvetica, Arial, sans-serif; color: var(--fg); }
+main { max-width: 1200px; margin: 0 auto; padding: 24px 32px 64px; }
+header.report { border-bottom: 3px solid var(--fg); padding-bottom: 12px; margin-bottom: 8px; }
+header.report h1 { margin: 0 0 6px; font-size: 26px; }
+header.report dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 0; color: var(--muted); }
+header.report dd { margin: 0; word-break: break-all; }
+nav.toc { position: sticky; top: 0; background: #fff; border-bottom: 1px solid var(--border); padding: 8px 0; z-index: 1; }
+nav.toc a { margin-right: 16px; color: var(--accent); text-decoration: none; font-weight: 600; }
+section { margin-top: 28px; }
+h2 { border-bottom: 1px solid var(--border); padding-bottom: 4px; }
+a { color: var(--accent); }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; }
+.card { flex: 1 1 140px; border: 1px solid var(--border); border-left: 6px solid var(--card-color, var(--border)); border-radius: 6px; padding: 10px 14px; }
+.card .value { font-size: 26px; font-weight: 700; }
+.card .label { color: var(--muted); }
+.charts { display: flex; flex-wrap: wrap; gap: 24px; margin-top: 16px; }
+.chart { flex: 1 1 520px; }
+.chart h3 { margin: 0 0 6px; font-size: 15px; }
+.chart svg { width: 100%; height: auto; }
+.legend { display: flex; flex-wrap: wrap; gap: 12px; color: var(--muted); font-size: 12px; }
+.legend span::before { content: ""; display: inline-block; width: 10px; height: 10px; margin-right: 4px; background: var(--swatch); border-radius: 2px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+th, td { border: 1px solid var(--border); padding: 6px 8px; text-align: left; vertical-align: top; word-break: break-word; }
+th { background: var(--bg-soft); }
+table.sortable th button { all: unset; cursor: pointer; font-weight: 600; }
+table.sortable th[aria-sort="ascending"] button::after { content: " \\25B2"; }
+table.sortable th[aria-sort="descending"] button::after { content: " \\25BC"; }
+.badge { display: inline-block; padding: 1px 8px; border-radius: 10px; color: #fff; font-size: 12px; font-weight: 600; white-space: nowrap; background: var(--badge-color); }
+details.finding { border: 1px solid var(--border); border-left: 6px solid var(--badge-color); border-radius: 6px; margin: 12px 0; }
+details.finding > summary { cursor: pointer; padding: 10px 14px; font-weight: 600; background: var(--bg-soft); }
+details.finding > .body { padding: 4px 16px 12px; }
+details.evidence { margin: 8px 0; border: 1px dashed var(--border); border-radius: 4px; padding: 4px 10px; }
+details.evidence > summary { cursor: pointer; color: var(--muted); }
+dl.meta { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+dl.meta dt { color: var(--muted); }
+dl.meta dd { margin: 0; word-break: break-word; }
+pre { background: var(--bg-soft); border: 1px solid var(--border); border-radius: 4px; padding: 10px; overflow-x: auto; font: 12px/1.45 ui-monospace, Consolas, "D2Coding", monospace; }
+code { font-family: ui-monospace, Consolas, "D2Coding", monospace; background: var(--bg-soft); padding: 0 3px; border-radius: 3px; }
+pre code { background: none; padding: 0; }
+.http-label { font-weight: 600; margin: 8px 0 2px; }
+.tok-method { color: #8250df; font-weight: 700; }
+.tok-url { color: #0550ae; }
+.tok-status-ok { color: #116329; font-weight: 700; }
+.tok-status-redirect { color: #953800; font-weight: 700; }
+.tok-status-error { color: #cf222e; font-weight: 700; }
+.tok-header { color: #0550ae; }
+.tok-key { color: #0550ae; }
+.tok-string { color: #0a3069; }
+.tok-number { color: #953800; }
+.tok-literal { color: #cf222e; }
+.truncated { color: var(--muted); font-style: italic; }
+figure { margin: 10px 0; }
+figure img { max-width: 100%; border: 1px solid var(--border); }
+figcaption { color: var(--muted); font-size: 12px; }
+.missing { color: #cf222e; }
+.narrative blockquote { border-left: 4px solid var(--border); margin: 0; padding: 0 12px; color: var(--muted); }
+footer { margin-top: 40px; color: var(--muted); font-size: 12px; }
+@media print {
+  nav.toc { display: none; }
+  main { max-width: none; padding: 0; }
+  details.finding, figure, tr { break-inside: avoid; }
+  pre { white-space: pre-wrap; }
+  a { color: inherit; }
+}
+`;
+
+// Sortable table headers + open <details> for anchor navigation / printing
+const SCRIPT = `
+(function () {
+  function sortKey(cell) {
+    var value = cell.getAttribute('data-sort');
+    return value === null ? cell.textContent.trim() : value;
+  }
+  Array.prototype.forEach.call(document.querySelectorAll('table.sortable'), function (table) {
+    var headers = table.tHead.rows[0].cells;
+    Array.prototype.forEach.call(headers, function (th, index) {
+      var button = th.querySelector('button');
+      if (!button) return;
+      button.addEventListener('click', function () {
+        var ascending = th.getAttribute('aria-sort') !== 'ascending';
+        Array.prototype.forEach.call(headers, function (other) { other.removeAttribute('aria-sort'); });
+        th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+        var body = table.tBodies[0];
+        var rows = Array.prototype.slice.call(body.rows);
+        rows.sort(function (a, b) {
+          var x = sortKey(a.cells[index]);
+          var y = sortKey(b.cells[index]);
+          var numeric = x !== '' && y !== '' && !isNaN(x) && !isNaN(y);
+          var order = numeric ? Number(x) - Number(y) : x.localeCompare(y, undefined, { numeric: true });
+          return ascending ? order : -order;
+        });
+        rows.forEach(function (row) { body.appendChild(row); });
+      });
+    });
+  });
+  function openTarget() {
+    var target = location.hash && document.getElementById(decodeURIComponent(location.hash.slice(1)));
+    for (var node = target; node; node = node.parentElement) {
+      if (node.tagName === 'DETAILS') node.open = true;
+    }
+    if (target) target.scrollIntoView();
+  }
+  window.addEventListener('hashchange', openTarget);
+  openTarget();
+  window.addEventListener('beforeprint', function () {
+    Array.prototype.forEach.call(document.querySelectorAll('details'), function (details) { details.open = true; });
+  });
+})();
+`;
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const badge = (style, text) => `<span class="badge" style="--badge-color:${style.color}">${escapeHtml(text ?? style.label)}</span>`;
+
+// Computed CVSS score + rating, or the vector with the reason it could not be scored
+const renderCvss = result => (result.valid
+  ? `<strong>${result.score.toFixed(1)}</strong> ${SEVERITY_DISPLAY[result.severity] ? badge(SEVERITY_DISPLAY[result.severity]) : 'None'} <code>${escapeHtml(result.vector)}</code>`
+  : `<code>${escapeHtml(result.vector)}</code> <span class="missing">invalid vector: ${escapeHtml(result.error)}</span>`);
+
+const truncate = (text) => text.length > MAX_BODY_CHARS
+  ? { text: text.slice(0, MAX_BODY_CHARS), omitted: text.length - MAX_BODY_CHARS }
+  : { text, omitted: 0 };
+
+const truncatedNote = omitted => (omitted > 0 ? `\n<span class="truncated">[… ${omitted} more characters omitted]</span>` : '');
+
+/**
+ * [목적] JSON 텍스트를 토큰 단위 <span>으로 하이라이팅 (이스케이프 포함).
+ */
+const highlightJson = (json) => {
+  const pattern = /("(?:\\.|[^"\\])*")(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g;
+  let html = '';
+  let last = 0;
+  for (const match of json.matchAll(pattern)) {
+    html += escapeHtml(json.slice(last, match.index));
+    if (match[1]) {
+      html += match[2]
+        ? `<span class="tok-key">${escapeHtml(match[1])}</span>${escapeHtml(match[2])}`
+        : `<span class="tok-string">${escapeHtml(match[1])}</span>`;
+    } else if (match[3]) {
+      html += `<span class="tok-literal">${match[3]}</span>`;
+    } else {
+      html += `<span class="tok-number">${escapeHtml(match[0])}</span>`;
+    }
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(json.slice(last));
+};
+
+/**
+ * [목적] 요청/응답 본문 렌더링 (JSON이면 정렬 후 하이라이팅, 그 외는 원문).
+ */
+const renderBody = (body) => {
+  if (body === undefined || body === null || body === '') return '';
+  let text = typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+  let isJson = typeof body !== 'string';
+  if (!isJson && /^\s*[[{]/.test(text)) {
+    try {
+      text = JSON.stringify(JSON.parse(text), null, 2);
+      isJson = true;
+    } catch {
+      // Not JSON; keep the raw body
+    }
+  }
+  const { text: shown, omitted } = truncate(text);
+  return `\n\n${isJson ? highlightJson(shown) : escapeHtml(shown)}${truncatedNote(omitted)}`;
+};
+
+const renderHeaders = (headers) => {
+  if (!headers) return '';
+  const lines = typeof headers === 'string'
+    ? headers.split(/\r?\n/).filter(Boolean).map(line => line.split(/:(.*)/s))
+    : Object.entries(headers).map(([name, value]) => [name, Array.isArray(value) ? value.join(', ') : value]);
+  return lines
+    .map(([name, value]) => `\n<span class="tok-header">${escapeHtml(name)}</span>:${value === undefined ? '' : ` ${escapeHtml(String(value).trim())}`}`)
+    .join('');
+};
+
+const statusClass = (status) => {
+  const code = Number(status);
+  if (code >= 200 && code < 300) return 'tok-status-ok';
+  if (code >= 300 && code < 400) return 'tok-status-redirect';
+  return 'tok-status-error';
+};
+
+/**
+ * [목적] http_request_response 증거를 HTTP 메시지 형태로 하이라이팅.
+ */
+const renderHttpExchange = ({ request, response }) => {
+  const parts = [];
+  if (request && typeof request === 'object') {
+    parts.push('<div class="http-label">Request</div>');
+    parts.push(`<pre><code><span class="tok-method">${escapeHtml(request.method || 'GET')}</span> <span class="tok-url">${escapeHtml(request.url || '')}</span>`
+      + `${renderHeaders(request.headers)}${renderBody(request.body)}</code></pre>`);
+  }
+  if (response && typeof response === 'object') {
+    const statusLine = `HTTP ${response.status ?? ''}${response.statusText ? ` ${response.statusText}` : ''}`;
+    parts.push('<div class="http-label">Response</div>');
+    parts.push(`<pre><code><span class="${statusClass(response.status)}">${escapeHtml(statusLine)}</span>`
+      + `${renderHeaders(response.headers)}${renderBody(response.body)}</code></pre>`);
+  }
+  return parts.join('\n');
+};
+
+/**
+ * [목적] 이미지를 data URI로 읽기 (같은 참조는 한 번만 읽고 경고도 한 번만).
+ *
+ * [반환값]
+ * - Promise<{ dataUri, file }|{ error }>
+ */
+const loadImage = async (ref, context) => {
+  const raw = String(ref || '').trim();
+  if (context.images.has(raw)) return context.images.get(raw);
+
+  const image = await loadEvidenceImage(raw, context.source);
+  const result = image.error ? image : { file: image.file, dataUri: `data:${image.mime};base64,${image.data.toString('base64')}` };
+  if (result.error) context.warnings.push(`Screenshot not embedded (${result.error}): ${raw}`);
+  context.images.set(raw, result);
+  return result;
+};
+
+const renderImage = async (ref, caption, context) => {
+  const image = await loadImage(ref, context);
+  if (image.error) {
+    return `<p class="missing">Screenshot not embedded (${escapeHtml(image.error)}): <code>${escapeHtml(ref)}</code></p>`;
+  }
+  context.embedded.add(image.file);
+  return `<figure><img src="${image.dataUri}" alt="${escapeHtml(caption || path.basename(image.file))}">`
+    + `<figcaption>${escapeHtml(caption || '')}${caption ? ' — ' : ''}<code>${escapeHtml(ref)}</code></figcaption></figure>`;
+};
+
+/**
+ * [목적] 증거 항목 하나 렌더링 (유형별: HTTP 교환, 스크린샷, 그 외 필드는 텍스트/JSON).
+ */
+const renderEvidenceItem = async (entry, index, context) => {
+  if (!entry || typeof entry !== 'object') {
+    return `<pre><code>${escapeHtml(String(entry))}</code></pre>`;
+  }
+  const type = entry.type || 'other';
+  const { type: _type, description, request, response, path: imagePath, ...rest } = entry;
+  const parts = [];
+
+  if (type === 'screenshot' && imagePath) {
+    parts.push(await renderImage(imagePath, description, context));
+  } else if (imagePath) {
+    rest.path = imagePath;
+  }
+  if (request || response) parts.push(renderHttpExchange({ request, response }));
+  for (const [field, value] of Object.entries(rest)) {
+    if (value === undefined || value === null || value === '') continue;
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    const { text: shown, omitted } = truncate(text);
+    parts.push(`<div class="http-label">${escapeHtml(field)}</div>`
+      + `<pre><code>${typeof value === 'string' ? escapeHtml(shown) : highlightJson(shown)}${truncatedNote(omitted)}</code></pre>`);
+  }
+
+  return `<details class="evidence"${index === 0 ? ' open' : ''}><summary>${escapeHtml(type)}${description ? ` — ${escapeHtml(description)}` : ''}</summary>\n${parts.join('\n')}\n</details>`;
+};
+
+const renderLocation = ({ file, line }, source) => {
+  const label = `${file}:${line}`;
+  const href = buildCodeLink(file, line, source);
+  return href
+    ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer"><code>${escapeHtml(label)}</code></a>`
+    : `<code>${escapeHtml(label)}</code>`;
+};
+
+/**
+ * [목적] 누적 막대 차트 (인라인 SVG). rows: [{ label, counts: { [segmentKey]: n } }]
+ */
+const stackedBarChart = (title, rows, segments) => {
+  const width = 640;
+  const labelWidth = 190;
+  const rowHeight = 26;
+  const barHeight = 18;
+  const max = Math.max(1, ...rows.map(row => segments.reduce((sum, segment) => sum + (row.counts[segment.key] || 0), 0)));
+  const scale = (width - labelWidth - 40) / max;
+
+  const bars = rows.map((row, rowIndex) => {
+    const y = rowIndex * rowHeight + 4;
+    let x = labelWidth;
+    let total = 0;
+    const rects = segments.map((segment) => {
+      const count = row.counts[segment.key] || 0;
+      if (count === 0) return '';
+      const rect = `<rect x="${x.toFixed(1)}" y="${y}" width="${(count * scale).toFixed(1)}" height="${barHeight}" fill="${segment.color}">`
+        + `<title>${escapeHtml(`${row.label} — ${segment.label}: ${count}`)}</title></rect>`;
+      x += count * scale;
+      total += count;
+      return rect;
+    }).join('');
+    return `<text x="${labelWidth - 8}" y="${y + 13}" text-anchor="end" font-size="12" fill="#1f2328">${escapeHtml(row.label)}</text>`
+      + rects
+      + `<text x="${(x + 6).toFixed(1)}" y="${y + 13}" font-size="12" fill="#656d76">${total}</text>`;
+  }).join('\n');
+
+  const height = Math.max(1, rows.length) * rowHeight + 8;
+  const legend = segments.map(segment => `<span style="--swatch:${segment.color}">${escapeHtml(segment.label)}</span>`).join('');
+  return `<div class="chart"><h3>${escapeHtml(title)}</h3>`
+    + `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">${bars || '<text x="8" y="18" font-size="12" fill="#656d76">No findings</text>'}</svg>`
+    + `<div class="legend">${legend}</div></div>`;
+};
+
+const renderSummary = (findings, categories) => {
+  const verdicts = countBy(findings, 'verdict');
+  const severities = countBy(findings, 'severity');
+
+  const cards = [
+    { label: 'Findings', value: findings.length, color: '#1f2328' },
+    ...VERDICT_ORDER.map(verdict => ({ label: VERDICT_DISPLAY[verdict].label, value: verdicts[verdict] || 0, color: VERDICT_DISPLAY[verdict].color })),
+    ...SEVERITY_LEVELS.map(severity => ({ label: SEVERITY_DISPLAY[severity].label, value: severities[severity] || 0, color: SEVERITY_DISPLAY[severity].color }))
+  ].map(card => `<div class="card" style="--card-color:${card.color}"><div class="value">${card.value}</div><div class="label">${escapeHtml(card.label)}</div></div>`);
+
+  const severityRows = SEVERITY_ORDER
+    .filter(severity => severity !== UNRATED || severities[UNRATED])
+    .map(severity => ({
+      label: SEVERITY_DISPLAY[severity].label,
+      counts: countBy(findings.filter(finding => finding.severity === severity), 'verdict')
+    }));
+  const categoryRows = categories
+    .map(category => ({ category, findings: findings.filter(finding => finding.category === category) }))
+    .filter(({ findings: categoryFindings }) => categoryFindings.length > 0)
+    .map(({ category, findings: categoryFindings }) => ({
+      label: getCategoryInfo(category).title,
+      counts: countBy(categoryFindings, 'severity')
+    }));
+
+  const verdictSegments = VERDICT_ORDER.map(verdict => ({ key: verdict, ...VERDICT_DISPLAY[verdict] }));
+  const severitySegments = SEVERITY_ORDER.map(severity => ({ key: severity, ...SEVERITY_DISPLAY[severity] }));
+
+  return `<section id="summary"><h2>Summary</h2>
+<div class="cards">${cards.join('')}</div>
+<div class="charts">
+${stackedBarChart('Severity by exploitation verdict', severityRows, verdictSegments)}
+${stackedBarChart('Findings by category', categoryRows, severitySegments)}
+</div>
+<p class="legend">Analyzed categories: ${escapeHtml(categories.map(category => getCategoryInfo(category).title).join(', ') || 'none')}</p>
+</section>`;
+};
+
+const renderFindingsTable = (findings, source) => {
+  const columns = ['#', 'ID', 'Severity', 'CVSS', 'Verdict', 'Category', 'Title', 'Endpoint', 'Code location'];
+  const rows = findings.map((finding, index) => {
+    const location = finding.locations[0];
+    return `<tr>
+<td data-sort="${index + 1}">${index + 1}</td>
+<td><a href="#${finding.anchor}">${escapeHtml(finding.id)}</a></td>
+<td data-sort="${severityRank(finding)}">${badge(SEVERITY_DISPLAY[finding.severity])}</td>
+<td data-sort="${finding.cvssScore === null ? 99 : (10 - finding.cvssScore).toFixed(1)}">${finding.cvssScore === null ? '' : finding.cvssScore.toFixed(1)}</td>
+<td data-sort="${verdictRank(finding)}">${badge(VERDICT_DISPLAY[finding.verdict])}</td>
+<td>${escapeHtml(finding.categoryTitle)}</td>
+<td>${escapeHtml(finding.title)}</td>
+<td>${finding.endpoint ? `<code>${escapeHtml(finding.endpoint)}</code>` : ''}</td>
+<td data-sort="${escapeHtml(location ? `${location.file}:${String(location.line).padStart(6, '0')}` : '')}">${location ? renderLocation(location, source) : ''}</td>
+</tr>`;
+  });
+
+  return `<section id="findings"><h2>Findings</h2>
+${findings.length === 0
+    ? '<p>No exploitable findings were recorded in the exploitation queues.</p>'
+    : `<table class="sortable"><thead><tr>${columns.map(column => `<th><button type="button">${escapeHtml(column)}</button></th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody></table>`}
+</section>`;
+};
+
+const renderFindingDetail = async (finding, context) => {
+  const { evidence } = finding;
+  const meta = [
+    ['Category', `${escapeHtml(finding.categoryTitle)}${finding.cwe.length ? ` (${finding.cwe.map(escapeHtml).join(', ')})` : ''}`],
+    ['Severity', badge(SEVERITY_DISPLAY[finding.severity])],
+    ['Verdict', badge(VERDICT_DISPLAY[finding.verdict])],
+    ...CVSS_VERSIONS.map(({ key, label }) => [label, finding.cvss[key] ? renderCvss(finding.cvss[key]) : '']),
+    ['Confidence', escapeHtml(finding.confidence || '')],
+    ['Endpoint', finding.endpoint ? `<code>${escapeHtml(finding.endpoint)}</code>` : ''],
+    ['Parameter', finding.parameter ? `<code>${escapeHtml(finding.parameter)}</code>` : ''],
+    ['Code location', finding.locations
+      .map(location => `${renderLocation(location, context.source)} <span class="legend">(${escapeHtml(location.field)})</span>`)
+      .join('<br>')]
+  ].filter(([, value]) => value);
+
+  const parts = [`<dl class="meta">${meta.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>`];
+  if (finding.reason) parts.push(`<h4>Why it is vulnerable</h4><p>${escapeHtml(finding.reason)}</p>`);
+  if (evidence?.impact_summary) parts.push(`<h4>Impact</h4><p>${escapeHtml(evidence.impact_summary)}</p>`);
+  if (finding.witnessPayload) parts.push(`<h4>Witness payload</h4><pre><code>${escapeHtml(finding.witnessPayload)}</code></pre>`);
+
+  const steps = Array.isArray(evidence?.reproduction_steps) ? evidence.reproduction_steps : [];
+  if (steps.length > 0) {
+    parts.push(`<h4>Reproduction steps</h4><ol>${steps
+      .map(step => `<li>${escapeHtml(String(step).replace(/^\s*\d+[.)]\s*/, ''))}</li>`)
+      .join('')}</ol>`);
+  }
+
+  const items = Array.isArray(evidence?.evidence) ? evidence.evidence : [];
+  if (items.length > 0) {
+    const rendered = [];
+    for (const [index, entry] of items.entries()) rendered.push(await renderEvidenceItem(entry, index, context));
+    parts.push(`<h4>Evidence (${items.length})</h4>\n${rendered.join('\n')}`);
+  } else if (!evidence) {
+    parts.push('<p class="legend">Not verified by the exploit agent (no evidence recorded).</p>');
+  }
+
+  return `<details class="finding" id="${finding.anchor}" style="--badge-color:${SEVERITY_DISPLAY[finding.severity].color}">
+<summary>${escapeHtml(finding.id)} — ${escapeHtml(finding.title)} ${badge(SEVERITY_DISPLAY[finding.severity])} ${badge(VERDICT_DISPLAY[finding.verdict])}</summary>
+<div class="body">
+${parts.join('\n')}
+</div>
+</details>`;
+};
+
+/**
+ * [목적] 증거에서 참조되지 않은 자동 캡처 스크린샷(deliverables/screenshots) 갤러리.
+ */
+const renderScreenshotGallery = async (context) => {
+  const files = (await listCapturedScreenshots(context.source.deliverablesDir))
+    .filter(file => !context.embedded.has(file));
+  if (files.length === 0) return '';
+
+  const figures = [];
+  for (const file of files) {
+    figures.push(await renderImage(file, path.basename(file).replace(/\.[^.]+$/, ''), context));
+  }
+  return `<section id="screenshots"><h2>Exploit screenshots</h2>
+<p class="legend">Captured automatically when an exploit agent reported success.</p>
+${figures.join('\n')}
+</section>`;
+};
+
+/**
+ * [목적] 인라인 Markdown 스팬 렌더링 (안전한 스킴의 링크만 <a>, 이미지는 data URI 내장 시도).
+ */
+const renderInline = async (text, context) => {
+  const html = [];
+  for (const span of parseInline(text)) {
+    if (span.type === 'code') html.push(`<code>${escapeHtml(span.text)}</code>`);
+    else if (span.type === 'strong') html.push(`<strong>${escapeHtml(span.text)}</strong>`);
+    else if (span.type === 'em') html.push(`<em>${escapeHtml(span.text)}</em>`);
+    else if (span.type === 'link') {
+      html.push(isSafeHref(span.href)
+        ? `<a href="${escapeHtml(span.href)}"${span.href.startsWith('#') ? '' : ' target="_blank" rel="noopener noreferrer"'}>${escapeHtml(span.text)}</a>`
+        : `${escapeHtml(span.text)} (<code>${escapeHtml(span.href)}</code>)`);
+    } else if (span.type === 'image') html.push(await renderImage(span.href, span.text, context));
+    else html.push(escapeHtml(span.text));
+  }
+  return html.join('');
+};
+
+/**
+ * [목적] 보고서 Markdown을 HTML로 렌더링 (헤딩은 한 단계 내려 페이지 제목 아래에 배치).
+ */
+const renderMarkdown = async (markdown, context) => {
+  const html = [];
+  for (const block of parseMarkdownBlocks(markdown)) {
+    if (block.type === 'heading') {
+      const level = Math.min(6, block.level + 1);
+      html.push(`<h${level}>${await renderInline(block.text, context)}</h${level}>`);
+    } else if (block.type === 'paragraph') {
+      html.push(`<p>${await renderInline(block.text, context)}</p>`);
+    } else if (block.type === 'list') {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const items = [];
+      for (const item of block.items) items.push(`<li>${await renderInline(item, context)}</li>`);
+      html.push(`<${tag}>${items.join('')}</${tag}>`);
+    } else if (block.type === 'code') {
+      const { text, omitted } = truncate(block.text);
+      html.push(`<pre><code>${block.lang.toLowerCase() === 'json' ? highlightJson(text) : escapeHtml(text)}${truncatedNote(omitted)}</code></pre>`);
+    } else if (block.type === 'table') {
+      const header = [];
+      for (const cell of block.header) header.push(`<th>${await renderInline(cell, context)}</th>`);
+      const rows = [];
+      for (const row of block.rows) {
+        const cells = [];
+        for (const cell of row) cells.push(`<td>${await renderInline(cell, context)}</td>`);
+        rows.push(`<tr>${cells.join('')}</tr>`);
+      }
+      html.push(`<table><thead><tr>${header.join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`);
+    } else if (block.type === 'quote') {
+      html.push(`<blockquote><p>${await renderInline(block.text, context)}</p></blockquote>`);
+    } else if (block.type === 'hr') {
+      html.push('<hr>');
+    }
+  }
+  return html.join('\n');
+};
+
+/**
+ * [목적] 산출물 디렉터리 하나를 단일 HTML 문서로 렌더링.
+ *
+ * [입력 파라미터]
+ * - source (object): resolveDeliverablesSource() 형태 ({ label, sessionId, webUrl, targetRepo, deliverablesDir })
+ * - options.markdown (string|null): 서술형 보고서 Markdown (없으면 요약/취약점 섹션만)
+ * - options.lang (string): <html lang>
+ *
+ * [반환값]
+ * - Promise<{ html, summary: { findings, verdicts, severities }, warnings: string[] }>
+ */
+export async function buildHtmlReport(source, { markdown = null, lang = 'en' } = {}) {
+  const { findings, categories } = await loadReportFindings(source.deliverablesDir);
+  const packageJson = await fs.readJSON(path.join(DOKODEMODOOR_ROOT, 'package.json')).catch(() => ({}));
+  const context = { source, images: new Map(), embedded: new Set(), warnings: [] };
+
+  const details = [];
+  for (const finding of findings) details.push(await renderFindingDetail(finding, context));
+  const narrative = markdown ? await renderMarkdown(markdown, context) : '';
+  const gallery = await renderScreenshotGallery(context);
+
+  const documentTitle = parseMarkdownBlocks(markdown || '').find(block => block.type === 'heading' && block.level === 1)?.text
+    || 'Security Assessment Report';
+  const generatedAt = getLocalISOString();
+  const scriptHash = crypto.createHash('sha256').update(SCRIPT).digest('base64');
+  const csp = `default-src 'none'; img-src data:; style-src 'unsafe-inline'; script-src 'sha256-${scriptHash}'; base-uri 'none'; form-action 'none'`;
+
+  const headerFields = [
+    ['Target', source.webUrl],
+    ['Source repository', source.targetRepo],
+    ['Session', source.sessionId || source.label],
+    ['Generated', generatedAt]
+  ].filter(([, value]) => value);
+
+  const html = `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(documentTitle)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<header class="report">
+<h1>${escapeHtml(documentTitle)}</h1>
+<dl>${headerFields.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+</header>
+<nav class="toc"><a href="#summary">Summary</a><a href="#findings">Findings</a>${findings.length ? '<a href="#details">Details</a>' : ''}${gallery ? '<a href="#screenshots">Screenshots</a>' : ''}${narrative ? '<a href="#report">Full report</a>' : ''}</nav>
+${renderSummary(findings, categories)}
+${renderFindingsTable(findings, source)}
+${findings.length ? `<section id="details"><h2>Finding details</h2>\n${details.join('\n')}\n</section>` : ''}
+${gallery}
+${narrative ? `<section id="report" class="narrative"><h2>Full report</h2>\n${narrative}\n</section>` : ''}
+<footer>Generated by DokodemoDoor ${escapeHtml(packageJson.version || '')} · ${escapeHtml(generatedAt)}</footer>
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+
+  return {
+    html,
+    summary: {
+      findings: findings.length,
+      verdicts: countBy(findings, 'verdict'),
+      severities: countBy(findings, 'severity')
+    },
+    warnings: [...new Set(context.warnings)]
+  };
+}
+
+/**
+ * [목적] 산출물 디렉터리의 보고서 변형(영문, 번역본 _kr)마다 HTML 파일 작성.
+ *
+ * [호출자]
+ * - checkpoint-manager.js (report 에이전트 완료 직후, 영문만 존재)
+ * - cli/html-report.js (--html-report)
+ *
+ * [입력 파라미터]
+ * - source (object): buildHtmlReport()와 동일
+ * - options.outputPath (string|null): 영문 HTML 경로 (번역본은 파일명에 _kr 추가). 기본은 deliverablesDir 안
+ *
+ * [반환값]
+ * - Promise<Array<{ lang, markdownPath, outputPath, summary, warnings }>>
+ *
+ * [주의사항]
+ * - 영문 Markdown이 없어도 큐/증거만으로 영문 HTML은 생성 (번역본은 _kr.md가 있을 때만)
+ */
+export async function writeHtmlReports(source, { outputPath = null } = {}) {
+  const outputs = [];
+
+  for (const variant of REPORT_VARIANTS) {
+    const markdownPath = path.join(source.deliverablesDir, `${REPORT_BASENAME}${variant.suffix}.md`);
+    const hasMarkdown = await fs.pathExists(markdownPath);
+    if (!hasMarkdown && variant.suffix) continue;
+
+    const markdown = hasMarkdown ? await fs.readFile(markdownPath, 'utf8') : null;
+    const { html, summary, warnings } = await buildHtmlReport(source, { markdown, lang: variant.lang });
+
+    let target = path.join(source.deliverablesDir, `${REPORT_BASENAME}${variant.suffix}.html`);
+    if (outputPath) {
+      const parsed = path.parse(path.resolve(outputPath));
+      target = path.join(parsed.dir, `${parsed.name}${variant.suffix}${parsed.ext || '.html'}`);
+    }
+    await fs.ensureDir(path.dirname(target));
+    await fs.writeFile(target, html);
+
+    outputs.push({ lang: variant.lang, markdownPath: hasMarkdown ? markdownPath : null, outputPath: target, summary, warnings });
+  }
+
+  return outputs;
+}
@@ -1,6 +1,7 @@
 import { fs, path } from 'zx';
 import chalk from 'chalk';
 import { PentestError } from '../error-handling.js';
+import { CATEGORY_PLUGINS } from '../config/category-registry.js';
 
 // Pure function: Assemble final report from specialist deliverables
 /**
@@ -88,7 +89,15 @@ export async function assembleFinalReport(sourceDir) {
         { name: 'SSRF Analysis', path: 'ssrf_analysis_deliverable.md' },
         { name: 'SSRF Evidence', path: 'ssrf_exploitation_evidence.json', isJson: true }
       ]
-    }
+    },
+    // Category plugin sections (registration order)
+    ...CATEGORY_PLUGINS.map(plugin => ({
+      name: plugin.report.title,
+      files: [
+        { name: `${plugin.displayName} Analysis`, path: plugin.files.deliverable },
+        { name: `${plugin.displayName} Evidence`, path: plugin.files.evidence, isJson: true }
+      ]
+    }))
   ];
 
   const sections = [];
@@ -202,7 +211,12 @@ export async function prepareReportInputs(sourceDir) {
     { path: 'ssti_exploitation_queue.json', maxChars: 12000 },
     { path: 'pathi_exploitation_queue.json', maxChars: 12000 },
     { path: 'xss_exploitation_queue.json', maxChars: 12000 },
-    { path: 'ssrf_exploitation_queue.json', maxChars: 12000 }
+    { path: 'ssrf_exploitation_queue.json', maxChars: 12000 },
+    ...CATEGORY_PLUGINS.flatMap(plugin => [
+      { path: plugin.files.deliverable, maxChars: plugin.report.maxChars },
+      { path: plugin.files.evidence, maxChars: 12000 },
+      { path: plugin.files.queue, maxChars: 12000 }
+    ])
   ];
 
   for (const input of inputs) {
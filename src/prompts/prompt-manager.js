@@ -2,6 +2,7 @@ import { fs, path } from 'zx';
 import chalk from 'chalk';
 import { PentestError, handlePromptError } from '../error-handling.js';
 import { MCP_AGENT_MAPPING } from '../constants.js';
+import { CATEGORY_PLUGINS, getCategoryPromptPath } from '../config/category-registry.js';
 
 // Pure function: Build complete login instructions from config
 /**
@@ -107,6 +108,26 @@ async function buildLoginInstructions(authentication, baseDir = 'prompts-openai'
   }
 }
 
+/**
+ * [목적] 보고서 프롬프트에 카테고리 플러그인의 _report_inputs 파일 목록 주입.
+ *
+ * [호출자]
+ * - interpolateVariables()에서 {{CATEGORY_PLUGIN_REPORT_INPUTS}} 치환
+ *
+ * [반환값]
+ * - string: 플러그인이 없으면 안내 문구
+ */
+function buildCategoryPluginReportInputs() {
+  if (CATEGORY_PLUGINS.length === 0) {
+    return '   - (No category plugins registered)';
+  }
+  return CATEGORY_PLUGINS.flatMap(plugin => [
+    `   - \`deliverables/_report_inputs/${plugin.files.deliverable}\` - ${plugin.report.title} (PRIMARY)`,
+    `   - \`deliverables/_report_inputs/${plugin.files.evidence}\` - ${plugin.report.title} evidence (TERTIARY)`,
+    `   - \`deliverables/_report_inputs/${plugin.files.queue}\` - ${plugin.report.title} queue (TERTIARY)`
+  ]).join('\n');
+}
+
 // Pure function: Process @include() directives
 /**
  * [목적] 프롬프트 템플릿의 @include() 지시어를 실제 파일로 치환.
@@ -293,6 +314,7 @@ async function interpolateVariables(template, variables, config = null, baseDir
       .replace(/{{XSS_TEST}}/g, 'DOKODEMO_XSS_MARKER')
       .replace(/{{FILE_OPEN_CAP}}/g, variables.FILE_OPEN_CAP != null ? String(variables.FILE_OPEN_CAP) : '—')
       .replace(/{{SEARCH_CAP}}/g, variables.SEARCH_CAP != null ? String(variables.SEARCH_CAP) : '—')
+      .replace(/{{CATEGORY_PLUGIN_REPORT_INPUTS}}/g, buildCategoryPluginReportInputs())
       // Reverse Engineering variables
       .replace(/{{BINARY_PATH}}/g, variables.binaryPath || '')
       .replace(/{{SYMBOLS_PATH}}/g, variables.symbolsPath || '')
@@ -304,7 +326,7 @@ async function interpolateVariables(template, variables, config = null, baseDir
       const formatRule = (rule) => {
         const details = [];
         if (rule.type) details.push(`type: ${rule.type}`);
-        if (rule.url_path) details.push(`path: ${rule.url_path}`);
+        if (rule.url_path) details.push(`${rule.type === 'graphql_operation' ? 'operation' : 'path'}: ${rule.url_path}`);
         const suffix = details.length ? ` (${details.join(', ')})` : '';
         return `- ${rule.description}${suffix}`;
       };
@@ -412,7 +434,8 @@ export async function loadPrompt(promptName, variables, config = null) {
     console.log(chalk.blue(`    🤖 Using OpenAI-compatible prompt for vLLM`));
 
     const promptsDir = path.join(import.meta.dirname, '..', '..', baseDir);
-    const promptPath = path.join(promptsDir, `${promptName}.txt`);
+    // Category plugin prompts live in the plugin directory; @include(shared/...) still resolves against prompts-openai
+    const promptPath = getCategoryPromptPath(promptName) || path.join(promptsDir, `${promptName}.txt`);
 
     // Check if file exists first
     if (!await fs.pathExists(promptPath)) {
@@ -1,5 +1,6 @@
 import { fs, path } from 'zx';
 import { PentestError } from './error-handling.js';
+import { getCategoryPlugin } from './config/category-registry.js';
 
 // Vulnerability type configuration as immutable data
 const VULN_TYPE_CONFIG = Object.freeze({
@@ -71,7 +72,8 @@ const fileExistenceRules = Object.freeze([
  * - validateQueueAndDeliverable()
  */
 const createPaths = (vulnType, sourceDir) => {
-  const config = VULN_TYPE_CONFIG[vulnType];
+  // 내장 카테고리 우선, 없으면 카테고리 플러그인의 파일명 사용
+  const config = VULN_TYPE_CONFIG[vulnType] || getCategoryPlugin(vulnType)?.files;
   if (!config) {
     return {
       error: new PentestError(
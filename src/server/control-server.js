@@ -0,0 +1,530 @@
+/**
+ * [목적] 스캔 시작/모니터링용 HTTP 컨트롤 플레인 (REST API). 포털/CI가 셸 접근 없이 DokodemoDoor를 구동.
+ *
+ * [호출자]
+ * - control-server.mjs (엔트리포인트)
+ *
+ * [엔드포인트]
+ * - GET  /                                             웹 대시보드 (dashboard.html)
+ * - GET  /api/health
+ * - GET  /api/sessions                                  세션 목록 + getSessionStatus
+ * - POST /api/sessions                                  { webUrl, repoPath, config? } 스캔 시작
+ * - GET  /api/sessions/:id                              세션 상태 + 현재/최근 작업
+ * - GET  /api/sessions/:id/logs[?follow=1]              콘솔 출력 (follow=1 또는 Accept: text/event-stream이면 SSE)
+ * - POST /api/sessions/:id/rerun        { agent }       --rerun
+ * - POST /api/sessions/:id/rollback     { agent }       --rollback-to
+ * - POST /api/sessions/:id/stop                         실행 중 작업 SIGTERM
+ * - GET  /api/sessions/:id/deliverables                 산출물 목록 (완료 세션은 보관본 deliverables__<ts>_<id8>/)
+ * - GET  /api/sessions/:id/deliverables/<path>          산출물 다운로드
+ * - GET  /api/sessions/:id/dashboard                    대시보드 스냅샷 (에이전트별 상태/턴/도구/토큰/todo)
+ * - GET  /api/sessions/:id/audit/<path>                 감사 로그 다운로드 (session.json, console.log, agents/*.log)
+ *
+ * [주의사항]
+ * - 모든 요청에 Authorization: Bearer <token> 필요 (EventSource용 ?access_token= 허용, 미설정 시 엔트리포인트가 생성)
+ * - Host 헤더는 바인딩 주소와 일치해야 함 (DNS 리바인딩 차단, 와일드카드 바인딩은 토큰만으로 보호)
+ * - 상태 변경 요청(POST)은 Content-Type: application/json 필수, 다른 Origin은 거부 (교차 사이트 요청 차단)
+ * - :id는 전체 UUID 또는 고유한 접두사 (CLI --session과 동일)
+ * - 산출물/감사 로그는 항상 attachment로 내려 포털 origin에서 HTML이 렌더링되지 않게 함
+ * - 대시보드 페이지도 인증 대상 (/?access_token=<token>으로 열면 페이지가 API 호출에 재사용)
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { pipeline } from 'node:stream/promises';
+import { fileURLToPath } from 'node:url';
+import { fs, path } from 'zx';
+import {
+  createSession, getSession, listSessions, findExistingSession, getSessionStatus, validateAgent
+} from '../session-manager.js';
+import { loadConfig } from '../config/config-loader.js';
+import { validateWebUrl, validateRepoPath } from '../cli/input-validator.js';
+import { generateAuditPath } from '../audit/utils.js';
+import { findSessionDeliverablesDir } from '../utils/findings.js';
+import { PentestError } from '../error-handling.js';
+import { startJob, stopJob, getActiveJob, getLatestJob } from './job-runner.js';
+import { collectDashboardSnapshot } from './dashboard-data.js';
+
+const DASHBOARD_HTML = path.join(path.dirname(fileURLToPath(import.meta.url)), 'dashboard.html');
+const MAX_BODY_BYTES = 1024 * 1024;
+const SSE_HEARTBEAT_MS = 15000;
+const SAFE_METHODS = new Set(['GET', 'HEAD']);
+const WILDCARD_HOSTS = new Set(['0.0.0.0', '::']);
+
+export const LOOPBACK_HOSTS = Object.freeze(['127.0.0.1', '::1', 'localhost']);
+
+const ERROR_STATUS = Object.freeze({
+  validation: 400,
+  config: 400,
+  cli: 400,
+  not_found: 404,
+  conflict: 409
+});
+
+const CONTENT_TYPES = Object.freeze({
+  '.md': 'text/markdown; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.log': 'text/plain; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+});
+
+/**
+ * [목적] JSON 응답 전송.
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body, null, 2));
+};
+
+/**
+ * [목적] 에러를 HTTP 상태로 변환해 전송 (PentestError.type 기준, 그 외 500).
+ */
+const sendError = (res, error) => {
+  const status = error instanceof PentestError ? (ERROR_STATUS[error.type] || 500) : 500;
+  sendJson(res, status, {
+    error: error.message,
+    type: error instanceof PentestError ? error.type : 'internal',
+    ...(error.context?.usage && { usage: error.context.usage })
+  });
+};
+
+/**
+ * [목적] 요청 본문 JSON 파싱 (1MB 제한).
+ */
+const readJsonBody = async (req) => {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new PentestError('Request body too large', 'validation', false, { limit: MAX_BODY_BYTES });
+    }
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+    return body;
+  } catch (error) {
+    throw new PentestError(`Invalid JSON body: ${error.message}`, 'validation', false);
+  }
+};
+
+/**
+ * [목적] 바인딩 주소로 허용할 Host 헤더 호스트명 목록 계산.
+ *
+ * [반환값]
+ * - string[]: 루프백이면 루프백 이름 전체, 특정 주소면 그 주소 (IPv6는 [] 표기)
+ * - null: 와일드카드 바인딩 (클라이언트가 쓰는 이름을 알 수 없어 검사 생략)
+ */
+const allowedHostNames = (host) => {
+  if (WILDCARD_HOSTS.has(host)) return null;
+  const names = LOOPBACK_HOSTS.includes(host) ? LOOPBACK_HOSTS : [host];
+  return names.map(name => (name.includes(':') ? `[${name}]` : name).toLowerCase());
+};
+
+/**
+ * [목적] Host 헤더 검증 (DNS 리바인딩 차단). 포트는 실제 수신 소켓 포트와 비교.
+ */
+const isAllowedHost = (req, hostNames) => {
+  if (!hostNames) return true;
+  const hostHeader = (req.headers.host || '').toLowerCase();
+  return hostNames.some(name => hostHeader === `${name}:${req.socket.localPort}`);
+};
+
+/**
+ * [목적] 상태 변경 요청의 교차 사이트 위조 차단.
+ *
+ * [반환값]
+ * - { status, type, error } | null: 거부 사유 (null이면 통과)
+ *
+ * [주의사항]
+ * - application/json은 CORS preflight 대상이라 다른 사이트가 폼/text/plain으로 보낼 수 없음
+ * - Origin이 있으면 같은 origin(http://<Host>)만 허용 ('null' 포함 그 외는 거부)
+ */
+const checkStateChangingRequest = (req) => {
+  if (SAFE_METHODS.has(req.method)) return null;
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    return { status: 415, type: 'unsupported_media_type', error: 'State-changing requests require Content-Type: application/json' };
+  }
+  const { origin } = req.headers;
+  if (origin !== undefined && origin !== `http://${req.headers.host}`) {
+    return { status: 403, type: 'forbidden', error: `Cross-origin request rejected (Origin: ${origin})` };
+  }
+  return null;
+};
+
+/**
+ * [목적] Bearer 토큰 검증 (상수 시간 비교).
+ */
+const isAuthorized = (req, url, token) => {
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : (url.searchParams.get('access_token') || '');
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * [목적] URL 경로 조각 디코딩 (잘못된 퍼센트 인코딩은 500 대신 검증 오류).
+ */
+const decodePathParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (error instanceof URIError) {
+      throw new PentestError(`Malformed percent-encoding in path: ${value}`, 'validation', false);
+    }
+    throw error;
+  }
+};
+
+/**
+ * [목적] 전체 UUID 또는 고유 접두사로 세션 조회.
+ */
+const resolveSession = async (idOrPrefix) => {
+  const exact = await getSession(idOrPrefix);
+  if (exact) return exact;
+
+  const matches = (await listSessions()).filter(session => session.id.startsWith(idOrPrefix));
+  if (matches.length === 1) return matches[0];
+  throw new PentestError(
+    matches.length === 0 ? `Session not found: ${idOrPrefix}` : `Session prefix is ambiguous: ${idOrPrefix}`,
+    matches.length === 0 ? 'not_found' : 'validation',
+    false,
+    { matches: matches.map(session => session.id) }
+  );
+};
+
+/**
+ * [목적] API 응답용 세션 요약 (상태는 getSessionStatus 결과 그대로).
+ */
+const describeSession = (session) => ({
+  id: session.id,
+  webUrl: session.webUrl,
+  repoPath: session.repoPath,
+  targetRepo: session.targetRepo,
+  configFile: session.configFile || null,
+  createdAt: session.createdAt,
+  lastActivity: session.lastActivity,
+  storedStatus: session.status,
+  ...getSessionStatus(session),
+  completedAgents: session.completedAgents || [],
+  skippedAgents: session.skippedAgents || [],
+  failedAgents: session.failedAgents || [],
+  runningAgents: session.runningAgents || [],
+  budget: session.budget || null,
+  job: getLatestJob(session.id)
+});
+
+/**
+ * [목적] 세션 산출물 디렉터리 절대 경로 (완료 세션은 아카이브 시 옮겨진 보관본 우선, 없으면 null).
+ */
+const resolveSessionDeliverablesDir = async (session) => {
+  const location = await findSessionDeliverablesDir(session);
+  return location ? path.resolve(location.dir) : null;
+};
+
+/**
+ * [목적] 산출물 디렉터리의 파일 목록 (상대 경로, 크기, 수정 시각).
+ */
+const listDeliverables = async (deliverablesDir) => {
+  if (!deliverablesDir || !await fs.pathExists(deliverablesDir)) return [];
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        const stat = await fs.stat(fullPath);
+        files.push({
+          path: path.relative(deliverablesDir, fullPath).split(path.sep).join('/'),
+          size: stat.size,
+          modifiedAt: stat.mtime.toISOString()
+        });
+      }
+    }
+  };
+  await walk(deliverablesDir);
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+/**
+ * [목적] 세션 디렉터리(deliverables/, audit-logs/<session>/) 아래 파일 다운로드 (기준 디렉터리 밖으로 벗어나는 경로 차단).
+ */
+const sendSessionFile = async (res, baseDir, relativePath, label) => {
+  const filePath = path.resolve(baseDir, relativePath);
+  if (!filePath.startsWith(baseDir + path.sep)) {
+    throw new PentestError(`Path escapes the ${label} directory`, 'validation', false, { path: relativePath });
+  }
+  const stat = await fs.stat(filePath).catch(() => null);
+  if (!stat?.isFile()) {
+    throw new PentestError(`${label} file not found: ${relativePath}`, 'not_found', false);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': stat.size,
+    'Content-Disposition': `attachment; filename="${path.basename(filePath).replace(/"/g, '')}"`,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  // A file removed or unreadable after stat() rejects here; the router then destroys the response
+  await pipeline(fs.createReadStream(filePath), res);
+};
+
+/**
+ * [목적] 작업 콘솔 출력을 SSE로 스트리밍 (버퍼 재전송 후 새 줄을 이어서 전송, 종료 시 exit 이벤트).
+ */
+const streamJobLogs = (req, res, job) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive'
+  });
+
+  const sendLine = (line) => res.write(`data: ${JSON.stringify(line)}\n\n`);
+  const sendExit = ({ exitCode, signal }) => {
+    res.write(`event: exit\ndata: ${JSON.stringify({ exitCode, signal })}\n\n`);
+    res.end();
+  };
+
+  res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
+  job.lines.forEach(sendLine);
+  if (job.status !== 'running') {
+    sendExit(job);
+    return;
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  const onExit = (info) => {
+    cleanup();
+    sendExit(info);
+  };
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.off('line', sendLine);
+    job.off('exit', onExit);
+  };
+  job.on('line', sendLine);
+  job.on('exit', onExit);
+  req.on('close', cleanup);
+};
+
+/**
+ * [목적] 로그 요청 처리: 작업이 있으면 버퍼/SSE, 없으면 감사 로그의 console.log 파일.
+ */
+const handleLogs = async (req, res, url, session) => {
+  const job = getLatestJob(session.id);
+  const follow = url.searchParams.get('follow') === '1' || (req.headers.accept || '').includes('text/event-stream');
+
+  if (job && follow) {
+    streamJobLogs(req, res, job);
+    return;
+  }
+
+  let text;
+  if (job) {
+    text = job.lines.join('\n');
+  } else {
+    const consoleLogPath = path.join(generateAuditPath(session), 'console.log');
+    if (!await fs.pathExists(consoleLogPath)) {
+      throw new PentestError(`No console output recorded for session ${session.id.substring(0, 8)}`, 'not_found', false);
+    }
+    text = await fs.readFile(consoleLogPath, 'utf8');
+  }
+  res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(text);
+};
+
+/**
+ * [목적] 스캔 시작: 입력 검증 → 세션 선생성(이후 CLI가 같은 세션을 재사용) → dokodemodoor.mjs 실행.
+ */
+const handleStartScan = async (req, res) => {
+  const { webUrl, repoPath, config: configPath = null } = await readJsonBody(req);
+
+  const webUrlValidation = validateWebUrl(webUrl || '');
+  if (!webUrlValidation.valid) {
+    throw new PentestError(`Invalid web URL: ${webUrlValidation.error}`, 'validation', false);
+  }
+  const repoPathValidation = await validateRepoPath(repoPath || '');
+  if (!repoPathValidation.valid) {
+    throw new PentestError(`Invalid repository path: ${repoPathValidation.error}`, 'validation', false);
+  }
+  // Reject invalid configs before spawning; the absolute path keeps the child independent of our cwd
+  const { resolvedConfigPath } = await loadConfig(configPath);
+
+  const existing = await findExistingSession(webUrl, repoPathValidation.path);
+  const activeJob = existing ? getActiveJob(existing.id) : null;
+  if (activeJob) {
+    throw new PentestError(
+      `Session ${existing.id.substring(0, 8)} for this target already has a running ${activeJob.kind} job`,
+      'conflict',
+      false,
+      { sessionId: existing.id, jobId: activeJob.id }
+    );
+  }
+
+  // Same lookup as main(): an unfinished session for this target is resumed
+  const session = await createSession(webUrl, repoPathValidation.path, resolvedConfigPath, repoPathValidation.path);
+  const args = [webUrl, repoPathValidation.path, ...(resolvedConfigPath ? ['--config', resolvedConfigPath] : [])];
+  const job = startJob(session.id, 'scan', args);
+
+  sendJson(res, 202, { sessionId: session.id, job });
+};
+
+/**
+ * [목적] --rerun / --rollback-to 작업 시작.
+ */
+const handleAgentCommand = async (req, res, session, kind) => {
+  const { agent } = await readJsonBody(req);
+  if (!agent || typeof agent !== 'string') {
+    throw new PentestError(`${kind} requires an agent name`, 'validation', false, { usage: '{ "agent": "<agent-name>" }' });
+  }
+  validateAgent(agent);
+
+  const flag = kind === 'rerun' ? '--rerun' : '--rollback-to';
+  const job = startJob(session.id, kind, [flag, agent, '--session', session.id]);
+  sendJson(res, 202, { sessionId: session.id, job });
+};
+
+/**
+ * [목적] 라우팅 (경로 패턴 → 핸들러).
+ */
+const route = async (req, res, url) => {
+  const { pathname } = url;
+  const method = req.method;
+
+  if (method === 'GET' && (pathname === '/' || pathname === '/dashboard')) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(await fs.readFile(DASHBOARD_HTML, 'utf8'));
+    return;
+  }
+
+  if (method === 'GET' && pathname === '/api/health') {
+    sendJson(res, 200, { status: 'ok' });
+    return;
+  }
+
+  if (pathname === '/api/sessions') {
+    if (method === 'GET') {
+      const sessions = await listSessions();
+      sendJson(res, 200, {
+        sessions: sessions
+          .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))
+          .map(describeSession)
+      });
+      return;
+    }
+    if (method === 'POST') {
+      await handleStartScan(req, res);
+      return;
+    }
+  }
+
+  const match = pathname.match(/^\/api\/sessions\/([^/]+)(?:\/([a-z]+)(?:\/(.+))?)?$/);
+  if (match) {
+    const [, idOrPrefix, action = null, rest = null] = match;
+    const session = await resolveSession(decodePathParam(idOrPrefix));
+
+    if (method === 'GET' && !action) {
+      sendJson(res, 200, describeSession(session));
+      return;
+    }
+    if (method === 'GET' && action === 'logs' && !rest) {
+      await handleLogs(req, res, url, session);
+      return;
+    }
+    if (method === 'POST' && (action === 'rerun' || action === 'rollback') && !rest) {
+      await handleAgentCommand(req, res, session, action);
+      return;
+    }
+    if (method === 'POST' && action === 'stop' && !rest) {
+      const job = stopJob(session.id);
+      if (!job) {
+        throw new PentestError(`No running job for session ${session.id.substring(0, 8)}`, 'conflict', false);
+      }
+      sendJson(res, 202, { sessionId: session.id, job });
+      return;
+    }
+    if (method === 'GET' && action === 'deliverables') {
+      const deliverablesDir = await resolveSessionDeliverablesDir(session);
+      if (rest) {
+        const relativePath = decodePathParam(rest);
+        if (!deliverablesDir) {
+          throw new PentestError(`deliverables file not found: ${relativePath}`, 'not_found', false);
+        }
+        await sendSessionFile(res, deliverablesDir, relativePath, 'deliverables');
+      } else {
+        const files = await listDeliverables(deliverablesDir);
+        sendJson(res, 200, { sessionId: session.id, running: Boolean(getActiveJob(session.id)), files });
+      }
+      return;
+    }
+    if (method === 'GET' && action === 'audit' && rest) {
+      await sendSessionFile(res, path.resolve(generateAuditPath(session)), decodePathParam(rest), 'audit log');
+      return;
+    }
+    if (method === 'GET' && action === 'dashboard' && !rest) {
+      const deliverablesDir = await resolveSessionDeliverablesDir(session);
+      const deliverables = await listDeliverables(deliverablesDir);
+      sendJson(res, 200, await collectDashboardSnapshot(session, deliverables, deliverablesDir));
+      return;
+    }
+  }
+
+  sendJson(res, 404, { error: `No route for ${method} ${pathname}`, type: 'not_found' });
+};
+
+/**
+ * [목적] 컨트롤 플레인 HTTP 서버 생성 (listen은 호출자가 수행).
+ *
+ * [입력 파라미터]
+ * - options.token (string): Bearer 토큰 (필수)
+ * - options.host (string): listen할 주소 (Host 헤더 검증 기준)
+ *
+ * [반환값]
+ * - http.Server
+ *
+ * [에러 처리]
+ * - 토큰이 없으면 PentestError(config)
+ */
+export function createControlServer({ token, host = '127.0.0.1' } = {}) {
+  if (!token) {
+    throw new PentestError('Control server requires a bearer token', 'config', false);
+  }
+  const hostNames = allowedHostNames(host);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://control.local');
+
+    if (!isAllowedHost(req, hostNames)) {
+      sendJson(res, 403, { error: `Host not allowed: ${req.headers.host || '(none)'}`, type: 'forbidden' });
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      sendJson(res, 401, { error: 'Missing or invalid bearer token', type: 'unauthorized' });
+      return;
+    }
+    const rejection = checkStateChangingRequest(req);
+    if (rejection) {
+      sendJson(res, rejection.status, { error: rejection.error, type: rejection.type });
+      return;
+    }
+
+    try {
+      await route(req, res, url);
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      sendError(res, error);
+    }
+  });
+}
@@ -0,0 +1,292 @@
+/**
+ * [목적] 웹 대시보드용 세션 스냅샷 생성 (에이전트별 상태, 턴/도구 호출 수, 토큰 사용량, todo, 산출물/감사 로그 링크).
+ *
+ * [호출자]
+ * - server/control-server.js (GET /api/sessions/:id/dashboard)
+ *
+ * [데이터 출처]
+ * - 세션 스토어: completed/running/skipped/failed 에이전트 목록, 세션 예산 사용량
+ * - audit-logs/<session>/session.json: 완료된 시도의 토큰/비용/소요 시간
+ * - audit-logs/<session>/agents/*.log: 턴 수, 도구 호출, 최근 todo, 실행 중 토큰 사용량 (llm_response.usage)
+ * - <산출물 디렉터리>/findings/<mission>/todo.txt: 에이전트 todo 체크리스트 (자동 체크 반영본, 완료 세션은 보관본)
+ *
+ * [주의사항]
+ * - 읽기 전용: AuditSession을 쓰지 않음 (initialize()가 session.json을 생성하므로)
+ * - 에이전트 로그는 파일별 오프셋을 캐시해 새로 추가된 줄만 파싱 (폴링마다 수 MB 로그를 다시 읽지 않도록)
+ */
+
+import { open } from 'node:fs/promises';
+import { StringDecoder } from 'node:string_decoder';
+import { fs, path } from 'zx';
+import { AGENTS, PHASES, getSessionStatus } from '../session-manager.js';
+import { generateAuditPath, generateSessionJsonPath, readJson } from '../audit/utils.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+
+const LOG_FILE_PATTERN = /^(\d+)_(.+)_attempt-(\d+)\.log$/;
+const READ_CHUNK_BYTES = 1024 * 1024;
+const RECENT_TOOL_LIMIT = 5;
+const LOG_CACHE_LIMIT = 500;
+
+// log path -> { offset, pending, decoder, stats }
+const logCache = new Map();
+
+const createLogStats = () => ({
+  turns: 0,
+  toolCalls: 0,
+  recentTools: [],
+  todo: null,
+  usage: null,
+  errors: 0,
+  lastError: null,
+  lastEventAt: null
+});
+
+/**
+ * [목적] 감사 로그 이벤트 한 줄을 통계에 반영.
+ */
+const applyLogEvent = (stats, event) => {
+  const data = event.data || {};
+  stats.lastEventAt = event.timestamp || stats.lastEventAt;
+
+  switch (event.type) {
+    case 'llm_response':
+      stats.turns = Math.max(stats.turns, data.turn || 0);
+      if (data.usage) stats.usage = data.usage;
+      break;
+    case 'tool_start':
+      stats.toolCalls += 1;
+      stats.recentTools.push({ name: data.toolName, at: event.timestamp });
+      if (stats.recentTools.length > RECENT_TOOL_LIMIT) stats.recentTools.shift();
+      if (data.toolName === 'TodoWrite' && typeof data.parameters?.todo === 'string') {
+        stats.todo = data.parameters.todo;
+      }
+      break;
+    case 'error':
+      stats.errors += 1;
+      stats.lastError = data.message || null;
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * [목적] 에이전트 로그에서 마지막으로 읽은 위치 이후만 파싱해 누적 통계 반환.
+ *
+ * [반환값]
+ * - object|null: createLogStats() 형태 (파일이 없으면 null)
+ *
+ * [주의사항]
+ * - 헤더 등 JSON이 아닌 줄은 무시
+ * - 파일이 줄어들면(재생성) 처음부터 다시 파싱
+ */
+const readAgentLogStats = async (logPath) => {
+  const stat = await fs.stat(logPath).catch(() => null);
+  if (!stat) return null;
+
+  let entry = logCache.get(logPath);
+  if (!entry || stat.size < entry.offset) {
+    entry = { offset: 0, pending: '', decoder: new StringDecoder('utf8'), stats: createLogStats() };
+    logCache.set(logPath, entry);
+    if (logCache.size > LOG_CACHE_LIMIT) logCache.delete(logCache.keys().next().value);
+  }
+  if (stat.size === entry.offset) return entry.stats;
+
+  const handle = await open(logPath, 'r');
+  try {
+    const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+    while (entry.offset < stat.size) {
+      const { bytesRead } = await handle.read(buffer, 0, Math.min(READ_CHUNK_BYTES, stat.size - entry.offset), entry.offset);
+      if (bytesRead === 0) break;
+      entry.offset += bytesRead;
+
+      const lines = (entry.pending + entry.decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+      entry.pending = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('{')) continue;
+        try {
+          applyLogEvent(entry.stats, JSON.parse(line));
+        } catch {
+          // Partially written or non-event line
+        }
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+  return entry.stats;
+};
+
+/**
+ * [목적] agents/ 디렉터리의 로그 파일을 에이전트별 시도 목록으로 묶음 (시작 시각 오름차순).
+ *
+ * [반환값]
+ * - Map<agentName, Array<{ file, attempt, startedAt }>>
+ */
+const groupAgentLogs = async (agentsDir) => {
+  const byAgent = new Map();
+  if (!await fs.pathExists(agentsDir)) return byAgent;
+
+  for (const file of await fs.readdir(agentsDir)) {
+    const match = file.match(LOG_FILE_PATTERN);
+    if (!match) continue;
+    const [, timestamp, agentName, attempt] = match;
+    if (!byAgent.has(agentName)) byAgent.set(agentName, []);
+    byAgent.get(agentName).push({
+      file,
+      attempt: Number(attempt),
+      startedAt: getLocalISOString(Number(timestamp))
+    });
+  }
+  for (const logs of byAgent.values()) logs.sort((a, b) => a.file.localeCompare(b.file, undefined, { numeric: true }));
+  return byAgent;
+};
+
+/**
+ * [목적] 에이전트 todo.txt 읽기 (VLLMProvider.getMissionName / getMissionDir과 같은 경로 규칙).
+ */
+const readMissionTodo = async (deliverablesDir, agentName) => {
+  if (!deliverablesDir) return null;
+  const name = agentName.toLowerCase();
+  const match = name.match(/^(.+)-(vuln|exploit)$/);
+  const mission = match ? match[1] : name.replace(/[^a-z0-9]/g, '-');
+  const missionDir = name.includes('exploit') ? `${mission}-exploit` : mission;
+  const todoPath = path.join(deliverablesDir, 'findings', missionDir, 'todo.txt');
+  return fs.readFile(todoPath, 'utf8').catch(() => null);
+};
+
+/**
+ * [목적] todo 텍스트를 체크리스트 항목으로 변환 ([x] / [✓] = 완료).
+ */
+const parseTodo = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const checkbox = line.match(/^(?:[-*]\s*)?\[([ x✓])\]\s*(.*)$/i);
+    return checkbox
+      ? { done: checkbox[1] !== ' ', text: checkbox[2] }
+      : { done: false, text: line };
+  });
+
+/**
+ * [목적] 에이전트 상태 결정 (displayStatus와 같은 우선순위).
+ */
+const resolveAgentState = (session, agentName, auditAgent) => {
+  if (session.completedAgents.includes(agentName)) return 'completed';
+  if ((session.runningAgents || []).includes(agentName)) return 'running';
+  if ((session.skippedAgents || []).includes(agentName)) return 'skipped';
+  if (session.failedAgents.includes(agentName)) return 'failed';
+  if (auditAgent?.status === 'rolled-back') return 'rolled-back';
+  return 'pending';
+};
+
+/**
+ * [목적] 에이전트 한 개의 대시보드 행 구성.
+ */
+const describeAgent = async (session, agentName, auditAgent, logs, deliverables, deliverablesDir) => {
+  const agent = AGENTS[agentName];
+  const state = resolveAgentState(session, agentName, auditAgent);
+  const latestLog = logs.at(-1) || null;
+  const logStats = latestLog
+    ? await readAgentLogStats(path.join(generateAuditPath(session), 'agents', latestLog.file))
+    : null;
+
+  // Completed attempts are totalled in session.json; a running attempt only has its live log usage
+  const liveUsage = state === 'running' ? logStats?.usage : null;
+  const todoText = (state === 'pending' ? null : await readMissionTodo(deliverablesDir, agentName)) || logStats?.todo || null;
+
+  return {
+    name: agentName,
+    displayName: agent.displayName,
+    state,
+    attempts: logs.length,
+    turns: logStats?.turns || 0,
+    toolCalls: logStats?.toolCalls || 0,
+    recentTools: logStats?.recentTools || [],
+    errors: logStats?.errors || 0,
+    lastError: logStats?.lastError || null,
+    lastEventAt: logStats?.lastEventAt || null,
+    tokens: {
+      prompt: (auditAgent?.prompt_tokens || 0) + (liveUsage?.prompt_tokens || 0),
+      completion: (auditAgent?.completion_tokens || 0) + (liveUsage?.completion_tokens || 0),
+      total: (auditAgent?.total_tokens || 0) + (liveUsage?.total_tokens || 0)
+    },
+    costUsd: auditAgent?.total_cost_usd || 0,
+    durationMs: auditAgent?.final_duration_ms || 0,
+    todo: todoText ? parseTodo(todoText) : [],
+    logs: logs.map(log => ({ path: `agents/${log.file}`, attempt: log.attempt, startedAt: log.startedAt })),
+    deliverables: agent.category
+      ? deliverables.filter(file => path.posix.basename(file.path).startsWith(`${agent.category}_`)).map(file => file.path)
+      : []
+  };
+};
+
+/**
+ * [목적] 세션 하나의 대시보드 스냅샷 생성.
+ *
+ * [호출자]
+ * - control-server.js
+ *
+ * [입력 파라미터]
+ * - session (object): 세션 스토어 항목
+ * - deliverables (Array<{ path, size, modifiedAt }>): 산출물 목록 (control-server의 listDeliverables 결과)
+ * - deliverablesDir (string|null): 산출물 디렉터리 (완료 세션은 보관본 deliverables__<ts>_<id8>/)
+ *
+ * [반환값]
+ * - Promise<object>: { session, totals, phases[{ name, agents[] }], standalone[], deliverables, auditFiles, generatedAt }
+ *
+ * [주의사항]
+ * - 독립 실행 에이전트(osv 등)는 실행 기록이 있을 때만 포함 (--status와 동일)
+ */
+export async function collectDashboardSnapshot(session, deliverables, deliverablesDir) {
+  const auditPath = generateAuditPath(session);
+  const auditData = await readJson(generateSessionJsonPath(session)).catch(() => null);
+  const auditAgents = auditData?.metrics?.agents || {};
+  const logsByAgent = await groupAgentLogs(path.join(auditPath, 'agents'));
+
+  const describe = agentName => describeAgent(session, agentName, auditAgents[agentName], logsByAgent.get(agentName) || [], deliverables, deliverablesDir);
+
+  const phases = [];
+  for (const [phaseName, agentNames] of Object.entries(PHASES)) {
+    phases.push({ name: phaseName, agents: await Promise.all(agentNames.map(describe)) });
+  }
+
+  const phaseAgents = new Set(Object.values(PHASES).flat());
+  const standalone = await Promise.all(
+    Object.keys(AGENTS)
+      .filter(name => !phaseAgents.has(name))
+      .filter(name => session.completedAgents.includes(name)
+        || session.failedAgents.includes(name)
+        || (session.runningAgents || []).includes(name))
+      .map(describe)
+  );
+
+  const auditFiles = [];
+  for (const file of ['session.json', 'console.log']) {
+    if (await fs.pathExists(path.join(auditPath, file))) auditFiles.push(file);
+  }
+
+  return {
+    session: {
+      id: session.id,
+      webUrl: session.webUrl,
+      targetRepo: session.targetRepo,
+      configFile: session.configFile || null,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      ...getSessionStatus(session),
+      budget: session.budget || null
+    },
+    totals: {
+      durationMs: auditData?.metrics?.total_duration_ms || 0,
+      costUsd: auditData?.metrics?.total_cost_usd || 0,
+      totalTokens: auditData?.metrics?.total_tokens || 0
+    },
+    phases,
+    standalone,
+    deliverables,
+    auditFiles,
+    generatedAt: getLocalISOString()
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * [목적] 컨트롤 서버가 띄운 dokodemodoor.mjs 자식 프로세스(스캔/재실행/롤백 작업)와 콘솔 출력 관리.
+ *
+ * [호출자]
+ * - server/control-server.js
+ *
+ * [출력]
+ * - 작업별 콘솔 출력 링 버퍼 (최근 DOKODEMODOOR_SERVER_MAX_LOG_LINES 줄) + 'line' / 'exit' 이벤트
+ *
+ * [주의사항]
+ * - 파이프라인은 전역 상태(콘솔 가로채기, process.exit, 시그널 핸들러)를 쓰므로 서버 프로세스 안에서 돌리지 않고 CLI를 그대로 실행
+ * - 세션당 실행 중 작업은 하나만 허용 (같은 대상 레포/Playwright 인스턴스를 공유하므로)
+ * - 중지는 자식 PID에 SIGTERM → CLI 시그널 핸들러가 세션을 interrupted로 정리
+ */
+
+import { spawn } from 'node:child_process';
+import { EventEmitter } from 'node:events';
+import crypto from 'node:crypto';
+import { path } from 'zx';
+import { PentestError } from '../error-handling.js';
+import { DOKODEMODOOR_ROOT } from '../audit/utils.js';
+import { config as envConfig } from '../config/env.js';
+import { getLocalISOString } from '../utils/time-utils.js';
+
+const CLI_ENTRY = path.join(DOKODEMODOOR_ROOT, 'dokodemodoor.mjs');
+
+// job id -> ScanJob, session id -> latest job id
+const jobs = new Map();
+const latestJobBySession = new Map();
+
+/**
+ * 자식 프로세스 하나와 그 콘솔 출력.
+ *
+ * - lines: 최근 출력 줄 (maxLines 초과 시 앞에서부터 버림, droppedLines에 개수 누적)
+ * - 'line' (line: string), 'exit' ({ exitCode, signal }) 이벤트 발생
+ */
+class ScanJob extends EventEmitter {
+  constructor(sessionId, kind, args, maxLines) {
+    super();
+    this.id = crypto.randomUUID();
+    this.sessionId = sessionId;
+    this.kind = kind;
+    this.args = args;
+    this.maxLines = maxLines;
+    this.lines = [];
+    this.droppedLines = 0;
+    this.pending = { stdout: '', stderr: '' };
+    this.status = 'running';
+    this.exitCode = null;
+    this.signal = null;
+    this.startedAt = getLocalISOString();
+    this.endedAt = null;
+    this.child = null;
+  }
+
+  /**
+   * [목적] 스트림 청크를 줄 단위로 나눠 버퍼에 추가 (줄바꿈 전 조각은 다음 청크까지 보류).
+   */
+  append(stream, chunk) {
+    const parts = (this.pending[stream] + chunk.toString('utf8')).split(/\r?\n/);
+    this.pending[stream] = parts.pop();
+    for (const line of parts) this.pushLine(line);
+  }
+
+  pushLine(line) {
+    this.lines.push(line);
+    if (this.lines.length > this.maxLines) {
+      this.lines.shift();
+      this.droppedLines += 1;
+    }
+    this.emit('line', line);
+  }
+
+  finish(exitCode, signal) {
+    for (const stream of ['stdout', 'stderr']) {
+      if (this.pending[stream]) this.pushLine(this.pending[stream]);
+      this.pending[stream] = '';
+    }
+    this.status = 'exited';
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.endedAt = getLocalISOString();
+    this.emit('exit', { exitCode, signal });
+  }
+
+  /**
+   * [목적] API 응답용 요약 (출력 본문 제외).
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      sessionId: this.sessionId,
+      kind: this.kind,
+      args: this.args,
+      pid: this.child?.pid ?? null,
+      status: this.status,
+      exitCode: this.exitCode,
+      signal: this.signal,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      lineCount: this.lines.length + this.droppedLines
+    };
+  }
+}
+
+/**
+ * [목적] 세션의 실행 중 작업 조회.
+ * @param {string} sessionId
+ * @returns {ScanJob|null}
+ */
+export function getActiveJob(sessionId) {
+  const job = jobs.get(latestJobBySession.get(sessionId));
+  return job && job.status === 'running' ? job : null;
+}
+
+/**
+ * [목적] 세션의 가장 최근 작업 조회 (종료된 작업 포함).
+ * @param {string} sessionId
+ * @returns {ScanJob|null}
+ */
+export function getLatestJob(sessionId) {
+  return jobs.get(latestJobBySession.get(sessionId)) || null;
+}
+
+/**
+ * [목적] dokodemodoor.mjs를 자식 프로세스로 실행하고 작업으로 등록.
+ *
+ * [호출자]
+ * - control-server.js (세션 시작, --rerun, --rollback-to)
+ *
+ * [입력 파라미터]
+ * - sessionId (string)
+ * - kind (string): scan | rerun | rollback
+ * - args (string[]): dokodemodoor.mjs 인자 (--disable-loader는 자동 추가)
+ *
+ * [반환값]
+ * - ScanJob
+ *
+ * [에러 처리]
+ * - 같은 세션에 실행 중 작업이 있으면 PentestError('conflict')
+ */
+export function startJob(sessionId, kind, args) {
+  const active = getActiveJob(sessionId);
+  if (active) {
+    throw new PentestError(
+      `Session ${sessionId.substring(0, 8)} already has a running ${active.kind} job`,
+      'conflict',
+      false,
+      { sessionId, jobId: active.id }
+    );
+  }
+
+  const cliArgs = [...args, '--disable-loader'];
+  const job = new ScanJob(sessionId, kind, cliArgs, envConfig.dokodemodoor.server.maxLogLines);
+
+  // stdin is closed so an unexpected interactive prompt ends the run instead of hanging it
+  const child = spawn(process.execPath, [CLI_ENTRY, ...cliArgs], {
+    cwd: DOKODEMODOOR_ROOT,
+    env: { ...process.env, FORCE_COLOR: '0', DOKODEMODOOR_DISABLE_LOADER: 'true' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  job.child = child;
+
+  child.stdout.on('data', chunk => job.append('stdout', chunk));
+  child.stderr.on('data', chunk => job.append('stderr', chunk));
+  child.on('error', (error) => {
+    job.pushLine(`[control-server] failed to start: ${error.message}`);
+    if (job.status === 'running') job.finish(null, null);
+  });
+  child.on('close', (exitCode, signal) => {
+    if (job.status === 'running') job.finish(exitCode, signal);
+  });
+
+  jobs.set(job.id, job);
+  const previousId = latestJobBySession.get(sessionId);
+  if (previousId) jobs.delete(previousId); // Keep only the latest job per session
+  latestJobBySession.set(sessionId, job.id);
+
+  return job;
+}
+
+/**
+ * [목적] 세션의 실행 중 작업 중지 (SIGTERM).
+ * @param {string} sessionId
+ * @returns {ScanJob|null} 중지 신호를 보낸 작업 (실행 중 작업이 없으면 null)
+ */
+export function stopJob(sessionId) {
+  const job = getActiveJob(sessionId);
+  if (!job) return null;
+  job.child.kill('SIGTERM');
+  return job;
+}
+
+/**
+ * [목적] 서버 종료 시 실행 중인 모든 작업에 SIGTERM을 보내고 종료를 기다림.
+ * @returns {Promise<number>} 중지한 작업 수
+ */
+export async function stopAllJobs() {
+  const running = [...jobs.values()].filter(job => job.status === 'running');
+  await Promise.all(running.map(job => new Promise((resolve) => {
+    job.once('exit', resolve);
+    job.child.kill('SIGTERM');
+  })));
+  return running.length;
+}
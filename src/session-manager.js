@@ -2,10 +2,11 @@ import { fs, path } from 'zx';
 import chalk from 'chalk';
 import crypto from 'crypto';
 import { PentestError } from './error-handling.js';
-import { FileLock } from './utils/file-lock.js';
 import { promptSelection } from './cli/prompts.js';
 import { getLocalISOString } from './utils/time-utils.js';
 import { generateAuditPath, DOKODEMODOOR_ROOT } from './audit/utils.js';
+import { PIPELINE, getAgentNamesByRunner } from './config/pipeline-loader.js';
+import { getSessionStore } from './store/session-store.js';
 
 // Generate a session-based log folder path
 // NEW FORMAT: {hostname}_{sessionId} (no hash, full UUID for consistency with audit system)
@@ -40,263 +41,36 @@ export const generateSessionLogPath = (webUrl, sessionId) => {
   return path.join(DOKODEMODOOR_ROOT, 'audit-logs', sessionFolderName);
 };
 
-// Agent definitions according to PRD
-export const AGENTS = Object.freeze({
-  // Phase 1 - Pre-reconnaissance
-  'pre-recon': {
-    name: 'pre-recon',
-    displayName: 'Pre-recon agent',
-    phase: 'pre-reconnaissance',
-    order: 1,
-    prerequisites: []
-  },
-
-  // Phase 2 - Reconnaissance
-  'login-check': {
-    name: 'login-check',
-    displayName: 'Login verification agent',
-    phase: 'reconnaissance',
-    order: 2,
-    prerequisites: ['pre-recon']
-  },
-  'recon': {
-    name: 'recon',
-    displayName: 'Recon agent',
-    phase: 'reconnaissance',
-    order: 3,
-    prerequisites: ['login-check']
-  },
-  'recon-verify': {
-    name: 'recon-verify',
-    displayName: 'Recon Verifier agent',
-    phase: 'reconnaissance',
-    order: 4,
-    prerequisites: ['recon']
-  },
-  'api-fuzzer': {
-    name: 'api-fuzzer',
-    displayName: 'API Fuzzer agent',
-    phase: 'api-fuzzing',
-    order: 5,
-    prerequisites: ['recon-verify']
-  },
-
-  // Phase 3 - Vulnerability Analysis
-  'sqli-vuln': {
-    name: 'sqli-vuln',
-    displayName: 'SQL Injection vuln agent',
-    phase: 'vulnerability-analysis',
-    order: 6,
-    prerequisites: ['api-fuzzer']
-  },
-  'codei-vuln': {
-    name: 'codei-vuln',
-    displayName: 'Code Injection vuln agent',
-    phase: 'vulnerability-analysis',
-    order: 7,
-    prerequisites: ['api-fuzzer']
-  },
-  'ssti-vuln': {
-    name: 'ssti-vuln',
-    displayName: 'SSTI vuln agent',
-    phase: 'vulnerability-analysis',
-    order: 8,
-    prerequisites: ['api-fuzzer']
-  },
-  'pathi-vuln': {
-    name: 'pathi-vuln',
-    displayName: 'Path Injection vuln agent',
-    phase: 'vulnerability-analysis',
-    order: 9,
-    prerequisites: ['api-fuzzer']
-  },
-  'xss-vuln': {
-    name: 'xss-vuln',
-    displayName: 'XSS vuln agent',
-    phase: 'vulnerability-analysis',
-    order: 10,
-    prerequisites: ['api-fuzzer']
-  },
-  'auth-vuln': {
-    name: 'auth-vuln',
-    displayName: 'Auth vuln agent',
-    phase: 'vulnerability-analysis',
-    order: 11,
-    prerequisites: ['api-fuzzer']
-  },
-  'ssrf-vuln': {
-    name: 'ssrf-vuln',
-    displayName: 'SSRF vuln agent',
-    phase: 'vulnerability-analysis',
-    order: 12,
-    prerequisites: ['api-fuzzer']
-  },
-  'authz-vuln': {
-    name: 'authz-vuln',
-    displayName: 'Authz vuln agent',
-    phase: 'vulnerability-analysis',
-    order: 13,
-    prerequisites: ['api-fuzzer']
-  },
-
-  // Phase 4 - Exploitation
-  'sqli-exploit': {
-    name: 'sqli-exploit',
-    displayName: 'SQL Injection exploit agent',
-    phase: 'exploitation',
-    order: 14,
-    prerequisites: ['sqli-vuln']
-  },
-  'codei-exploit': {
-    name: 'codei-exploit',
-    displayName: 'Code Injection exploit agent',
-    phase: 'exploitation',
-    order: 15,
-    prerequisites: ['codei-vuln']
-  },
-  'ssti-exploit': {
-    name: 'ssti-exploit',
-    displayName: 'SSTI exploit agent',
-    phase: 'exploitation',
-    order: 16,
-    prerequisites: ['ssti-vuln']
-  },
-  'pathi-exploit': {
-    name: 'pathi-exploit',
-    displayName: 'Path Injection exploit agent',
-    phase: 'exploitation',
-    order: 17,
-    prerequisites: ['pathi-vuln']
-  },
-  'xss-exploit': {
-    name: 'xss-exploit',
-    displayName: 'XSS exploit agent',
-    phase: 'exploitation',
-    order: 18,
-    prerequisites: ['xss-vuln']
-  },
-  'auth-exploit': {
-    name: 'auth-exploit',
-    displayName: 'Auth exploit agent',
-    phase: 'exploitation',
-    order: 19,
-    prerequisites: ['auth-vuln']
-  },
-  'ssrf-exploit': {
-    name: 'ssrf-exploit',
-    displayName: 'SSRF exploit agent',
-    phase: 'exploitation',
-    order: 20,
-    prerequisites: ['ssrf-vuln']
-  },
-  'authz-exploit': {
-    name: 'authz-exploit',
-    displayName: 'Authz exploit agent',
-    phase: 'exploitation',
-    order: 21,
-    prerequisites: ['authz-vuln']
-  },
-
-  // Phase 5 - Reporting
-  'report': {
-    name: 'report',
-    displayName: 'Report agent',
-    phase: 'reporting',
-    order: 22,
-    prerequisites: ['sqli-exploit', 'codei-exploit', 'ssti-exploit', 'pathi-exploit', 'xss-exploit', 'auth-exploit', 'ssrf-exploit', 'authz-exploit']
-  },
-
-  // Phase 6 - OSV Analysis (Standalone compatible)
-  'osv-analysis': {
-    name: 'osv-analysis',
-    displayName: 'OSV Analysis agent',
-    phase: 'osv-analysis',
-    order: 23,
-    prerequisites: []
-  },
-
-  // Reverse Engineering agents (Standalone pipeline via re-scanner.mjs)
-  're-inventory': {
-    name: 're-inventory',
-    displayName: 'RE Pre-Inventory agent',
-    phase: 're-inventory',
-    order: 101,
-    prerequisites: []
-  },
-  're-static': {
-    name: 're-static',
-    displayName: 'RE Static Analysis agent',
-    phase: 're-static-analysis',
-    order: 102,
-    prerequisites: ['re-inventory']
-  },
-  're-dynamic': {
-    name: 're-dynamic',
-    displayName: 'RE Dynamic Observation agent',
-    phase: 're-dynamic-observation',
-    order: 103,
-    prerequisites: ['re-static']
-  },
-  're-instrument': {
-    name: 're-instrument',
-    displayName: 'RE Runtime Instrumentation agent',
-    phase: 're-dynamic-observation',
-    order: 104,
-    prerequisites: ['re-static']
-  },
-  're-network': {
-    name: 're-network',
-    displayName: 'RE Network Analysis agent',
-    phase: 're-network-analysis',
-    order: 105,
-    prerequisites: ['re-dynamic', 're-instrument']
-  },
-  're-report': {
-    name: 're-report',
-    displayName: 'RE Report agent',
-    phase: 're-reporting',
-    order: 106,
-    prerequisites: ['re-network']
-  }
+// Agent definitions (declared in configs/pipeline/*.yaml, see src/config/pipeline-loader.js)
+export const AGENTS = PIPELINE.agents;
 
-});
+/**
+ * [목적] 단계 정의 목록을 { phaseName: [agentName...] } 맵으로 변환.
+ */
+const toPhaseMap = (phases) => Object.freeze(
+  Object.fromEntries(phases.map(phase => [phase.name, phase.agents]))
+);
 
 // Phase definitions
-export const PHASES = Object.freeze({
-  'pre-reconnaissance': ['pre-recon'],
-  'reconnaissance': ['login-check', 'recon', 'recon-verify'],
-  'api-fuzzing': ['api-fuzzer'],
-  'vulnerability-analysis': ['sqli-vuln', 'codei-vuln', 'ssti-vuln', 'pathi-vuln', 'xss-vuln', 'auth-vuln', 'ssrf-vuln', 'authz-vuln'],
-  'exploitation': ['sqli-exploit', 'codei-exploit', 'ssti-exploit', 'pathi-exploit', 'xss-exploit', 'auth-exploit', 'ssrf-exploit', 'authz-exploit'],
-  'reporting': ['report']
-});
-
-export const PHASE_ORDER = Object.freeze([
-  'pre-reconnaissance',
-  'reconnaissance',
-  'api-fuzzing',
-  'vulnerability-analysis',
-  'exploitation',
-  'reporting'
-]);
+export const PHASES = toPhaseMap(PIPELINE.phases);
+
+export const PHASE_ORDER = Object.freeze(PIPELINE.phases.map(phase => phase.name));
+
+// Standalone phase definitions (run outside the main sequence, e.g. osv-scanner.mjs)
+export const STANDALONE_PHASES = toPhaseMap(PIPELINE.standalone);
 
 // Reverse Engineering phase definitions (standalone pipeline)
-export const RE_PHASES = Object.freeze({
-  're-inventory': ['re-inventory'],
-  're-static-analysis': ['re-static'],
-  're-dynamic-observation': ['re-dynamic', 're-instrument'],
-  're-network-analysis': ['re-network'],
-  're-reporting': ['re-report']
-});
-
-export const RE_PHASE_ORDER = Object.freeze([
-  're-inventory',
-  're-static-analysis',
-  're-dynamic-observation',
-  're-network-analysis',
-  're-reporting'
-]);
+export const RE_PHASES = toPhaseMap(PIPELINE.rePhases);
+
+export const RE_PHASE_ORDER = Object.freeze(PIPELINE.rePhases.map(phase => phase.name));
+
+// Parallel phases (no per-agent git checkpoints; rollback-to is not supported)
+export const PARALLEL_PHASES = Object.freeze(
+  PIPELINE.phases.filter(phase => phase.execution === 'parallel').map(phase => phase.name)
+);
 
+// Agents that make up the main pipeline sequence (excludes standalone and RE agents)
+const MAIN_PIPELINE_AGENTS = new Set(Object.values(PHASES).flat());
 
 /**
  * [목적] 에이전트 이름을 단계 순서 인덱스로 매핑.
@@ -314,102 +88,19 @@ export const RE_PHASE_ORDER = Object.freeze([
  * - number: phase index (1..N).
  */
 export const getPhaseIndexForAgent = (agentName) => {
-  if (agentName === 'osv-analysis') return 99; // Standalone/manual bypass
-  if (agentName.startsWith('re-')) return 100; // RE pipeline bypass (standalone)
   const agent = validateAgent(agentName);
+  if (STANDALONE_PHASES[agent.phase]) return 99; // Standalone/manual bypass
+  if (RE_PHASES[agent.phase]) return 100; // RE pipeline bypass (standalone)
   const phaseIndex = PHASE_ORDER.indexOf(agent.phase);
 
   return phaseIndex === -1 ? 1 : phaseIndex + 1;
 };
 
-// Session store file path
-const STORE_FILE = path.join(DOKODEMODOOR_ROOT, '.dokodemodoor-store.json');
-
-// 파일 기반 락: 여러 프로세스가 동시에 세션 스토어에 접근할 때 상호 배제 보장
-const storeLock = new FileLock(`${STORE_FILE}.lock`, {
-  staleMs: 60000,        // 60초 이상 유지된 락은 stale 처리
-  retryIntervalMs: 50,   // 50ms + jitter 간격으로 재시도
-  timeoutMs: 15000       // 15초 타임아웃
-});
+// 세션 레코드 저장소: src/store/session-store.js (DOKODEMODOOR_SESSION_STORE=json|sqlite)
 
 // Stale 세션 판단 기준 (60분)
 const STALE_THRESHOLD_MS = 1000 * 60 * 60;
 
-// Load sessions from store file
-/**
- * [목적] 디스크의 세션 상태를 로드.
- *
- * [호출자]
- * - createSession(), getSession(), updateSession(), listSessions().
- *
- * [출력 대상]
- * - Returns a store object containing sessions map.
- *
- * [반환값]
- * - Promise<object>: { sessions: { [id]: session } }.
- *
- * [부작용]
- * - Filesystem read of .dokodemodoor-store.json.
- *
- * [에러 처리]
- * - Returns empty store on read/parse errors and logs a warning.
- */
-const loadSessions = async () => {
-  try {
-    if (!await fs.pathExists(STORE_FILE)) {
-      return { sessions: {} };
-    }
-
-    const content = await fs.readFile(STORE_FILE, 'utf8');
-    const store = JSON.parse(content);
-
-    // Validate store structure
-    if (!store || typeof store !== 'object' || !store.sessions) {
-      console.log(chalk.yellow('⚠️ Invalid session store format, creating new store'));
-      return { sessions: {} };
-    }
-
-    return store;
-  } catch (error) {
-    console.log(chalk.yellow(`⚠️ Failed to load session store: ${error.message}, creating new store`));
-    return { sessions: {} };
-  }
-};
-
-// Save sessions to store file atomically
-/**
- * [목적] 세션 저장소를 디스크에 저장.
- *
- * [호출자]
- * - createSession(), updateSession(), deleteSession(), deleteAllSessions().
- *
- * [출력 대상]
- * - Writes .dokodemodoor-store.json.
- *
- * [입력 파라미터]
- * - store (object): Session store to write.
- *
- * [반환값]
- * - Promise<void>
- *
- * [부작용]
- * - Filesystem write to store file (atomic temp swap).
- */
-const saveSessions = async (store) => {
-  try {
-    const tempFile = `${STORE_FILE}.tmp`;
-    await fs.writeJSON(tempFile, store, { spaces: 2 });
-    await fs.move(tempFile, STORE_FILE, { overwrite: true });
-  } catch (error) {
-    throw new PentestError(
-      `Failed to save session store: ${error.message}`,
-      'filesystem',
-      false,
-      { storeFile: STORE_FILE, originalError: error.message }
-    );
-  }
-};
-
 // Find existing session for the same web URL and repository path
 /**
  * [목적] 동일 대상의 기존 세션을 탐색(진행 중 우선).
@@ -428,18 +119,17 @@ const saveSessions = async (store) => {
  * - Promise<object|null>
  */
 /**
- * [목적] 이미 로드된 스토어에서 기존 세션 탐색 (내부 헬퍼).
+ * [목적] 이미 읽어 온 세션 목록에서 기존 세션 탐색 (내부 헬퍼).
  *
  * [호출자]
- * - createSession() 내부 (락 보유 상태에서 호출)
+ * - createSession() 내부 (스토어 트랜잭션 안에서 호출)
  *
- * @param {object} store - 로드된 세션 스토어
+ * @param {object[]} sessions - 스토어의 세션 목록
  * @param {string} webUrl
  * @param {string} targetRepo
  * @returns {object|null}
  */
-const _findExistingSessionFromStore = (store, webUrl, targetRepo) => {
-  const sessions = Object.values(store.sessions);
+const _findExistingSession = (sessions, webUrl, targetRepo) => {
   const normalizedTargetRepo = path.resolve(targetRepo);
 
   const matches = sessions.filter(session => {
@@ -459,6 +149,21 @@ const _findExistingSessionFromStore = (store, webUrl, targetRepo) => {
   return activeSessions.sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity))[0];
 };
 
+/**
+ * [목적] 같은 대상의 재사용될 세션을 스토어 변경 없이 조회 (createSession이 고를 세션과 동일).
+ *
+ * [호출자]
+ * - cli/plan.js (--plan 드라이런)
+ *
+ * @param {string} webUrl
+ * @param {string} targetRepo
+ * @returns {Promise<object|null>}
+ */
+export const findExistingSession = async (webUrl, targetRepo) => {
+  const store = await getSessionStore();
+  return _findExistingSession(await store.list(), webUrl, targetRepo);
+};
+
 // Generate session ID as unique UUID
 /**
  * [목적] 고유 세션 식별자 생성.
@@ -505,11 +210,12 @@ const generateSessionId = () => {
 export const createSession = async (webUrl, repoPath, configFile = null, targetRepo = null) => {
   const resolvedTargetRepo = targetRepo || repoPath;
 
-  return storeLock.withLock(async () => {
-    const store = await loadSessions();
+  const store = await getSessionStore();
+  return store.transaction(async (tx) => {
+    const sessions = await tx.list();
 
-    // 락 내부에서 기존 세션 탐색 (TOCTOU 방지)
-    const existingSession = _findExistingSessionFromStore(store, webUrl, resolvedTargetRepo);
+    // 트랜잭션 내부에서 기존 세션 탐색 (TOCTOU 방지)
+    const existingSession = _findExistingSession(sessions, webUrl, resolvedTargetRepo);
 
     if (existingSession) {
       if (existingSession.status !== 'completed') {
@@ -523,13 +229,13 @@ export const createSession = async (webUrl, repoPath, configFile = null, targetR
         console.log(chalk.gray(`   Progress: ${completedCount}/${pipelineAgents.size} agents completed`));
 
         // 같은 트랜잭션 내에서 직접 업데이트 (updateSession 호출 시 데드락 방지)
-        store.sessions[existingSession.id] = {
-          ...store.sessions[existingSession.id],
+        const resumedSession = {
+          ...existingSession,
           status: 'in-progress',
           lastActivity: getLocalISOString()
         };
-        await saveSessions(store);
-        return store.sessions[existingSession.id];
+        await tx.put(resumedSession);
+        return resumedSession;
       }
 
       console.log(chalk.gray(`Previous session was completed, creating new session...`));
@@ -555,35 +261,36 @@ export const createSession = async (webUrl, repoPath, configFile = null, targetR
       lastActivity: getLocalISOString()
     };
 
-    store.sessions[sessionId] = session;
+    await tx.put(session);
 
-    // 같은 트랜잭션 내에서 stale 세션 정리 (별도 load/save 불필요)
-    _markStaleSessions(store, sessionId);
+    // 같은 트랜잭션 내에서 stale 세션 정리 (별도 트랜잭션 불필요)
+    for (const staleSession of _markStaleSessions(sessions, sessionId)) {
+      await tx.put(staleSession);
+    }
 
-    await saveSessions(store);
     return session;
   });
 };
 
 /**
- * [목적] Stale 세션을 'interrupted'로 표시하는 내부 헬퍼 (store 객체를 직접 수정).
+ * [목적] Stale 세션을 'interrupted'로 표시하는 내부 헬퍼 (세션 객체를 직접 수정).
  *
  * [호출자]
  * - createSession() (같은 트랜잭션 내에서)
  * - cleanupStaleSessions() 래퍼
  *
- * @param {object} store - 로드된 세션 스토어 (in-place 수정)
+ * @param {object[]} sessions - 스토어의 세션 목록 (in-place 수정)
  * @param {string|null} currentSessionId - 정리 대상에서 제외할 세션 ID
- * @returns {boolean} 변경 사항 존재 여부
+ * @returns {object[]} 변경된 세션 (호출자가 tx.put으로 저장)
  */
-const _markStaleSessions = (store, currentSessionId = null) => {
-  let updated = false;
+const _markStaleSessions = (sessions, currentSessionId = null) => {
+  const updated = [];
   const now = new Date();
 
-  for (const id in store.sessions) {
+  for (const session of sessions) {
+    const { id } = session;
     if (id === currentSessionId) continue;
 
-    const session = store.sessions[id];
     if (session.status === 'in-progress') {
       const lastActivity = session.lastActivity ? new Date(session.lastActivity) : new Date(session.createdAt);
       if (now - lastActivity > STALE_THRESHOLD_MS) {
@@ -593,7 +300,7 @@ const _markStaleSessions = (store, currentSessionId = null) => {
           session.failedAgents = Array.from(failed);
           session.runningAgents = [];
         }
-        updated = true;
+        updated.push(session);
         console.log(chalk.gray(`    🧹 Auto-cleaned stale session: ${id.substring(0, 8)} (marked as interrupted)`));
       }
     }
@@ -608,10 +315,10 @@ const _markStaleSessions = (store, currentSessionId = null) => {
  * @param {string} currentSessionId - 현재 실행 중인 세션 ID (정리 대상에서 제외)
  */
 export const cleanupStaleSessions = async (currentSessionId = null) => {
-  return storeLock.withLock(async () => {
-    const store = await loadSessions();
-    if (_markStaleSessions(store, currentSessionId)) {
-      await saveSessions(store);
+  const store = await getSessionStore();
+  return store.transaction(async (tx) => {
+    for (const session of _markStaleSessions(await tx.list(), currentSessionId)) {
+      await tx.put(session);
     }
   });
 };
@@ -634,8 +341,8 @@ export const cleanupStaleSessions = async (currentSessionId = null) => {
  * - Promise<object|null>
  */
 export const getSession = async (sessionId) => {
-  const store = await loadSessions();
-  const session = store.sessions[sessionId] || null;
+  const store = await getSessionStore();
+  const session = await store.get(sessionId);
   if (!session) return null;
 
   if (!Array.isArray(session.skippedAgents)) {
@@ -666,10 +373,12 @@ export const getSession = async (sessionId) => {
  * - Writes session store to disk.
  */
 export const updateSession = async (sessionId, updates) => {
-  return storeLock.withLock(async () => {
-    const store = await loadSessions();
+  const store = await getSessionStore();
+  return store.transaction(async (tx) => {
+    // Preserve the current state before applying updates
+    const currentState = await tx.get(sessionId);
 
-    if (!store.sessions[sessionId]) {
+    if (!currentState) {
       throw new PentestError(
         `Session ${sessionId} not found`,
         'validation',
@@ -678,8 +387,6 @@ export const updateSession = async (sessionId, updates) => {
       );
     }
 
-    // Preserve the current state before applying updates
-    const currentState = store.sessions[sessionId];
     const resolvedUpdates = typeof updates === 'function'
       ? (await updates(currentState)) || {}
       : (updates || {});
@@ -705,13 +412,13 @@ export const updateSession = async (sessionId, updates) => {
       newState.status = status;
     }
 
-    store.sessions[sessionId] = {
+    const updatedSession = {
       ...newState,
       lastActivity: getLocalISOString()
     };
 
-    await saveSessions(store);
-    return store.sessions[sessionId];
+    await tx.put(updatedSession);
+    return updatedSession;
   });
 };
 
@@ -729,8 +436,8 @@ export const updateSession = async (sessionId, updates) => {
  * - Promise<array>
  */
 export const listSessions = async () => {
-  const store = await loadSessions();
-  return Object.values(store.sessions);
+  const store = await getSessionStore();
+  return store.list();
 };
 
 // Find session by ID or substring, falling back to selection if ambiguous or missing
@@ -753,8 +460,7 @@ export const listSessions = async () => {
  * - Throws PentestError when ambiguous or none found.
  */
 export const findSessionByIdOrSelection = async (idOrQuery = null) => {
-  const store = await loadSessions();
-  const sessions = Object.values(store.sessions);
+  const sessions = await listSessions();
 
   if (sessions.length === 0) {
     throw new PentestError(
@@ -767,8 +473,9 @@ export const findSessionByIdOrSelection = async (idOrQuery = null) => {
   // If ID provided, try exact match or substring
   if (idOrQuery) {
     // 1. Exact match
-    if (store.sessions[idOrQuery]) {
-      return store.sessions[idOrQuery];
+    const exactMatch = sessions.find(s => s.id === idOrQuery);
+    if (exactMatch) {
+      return exactMatch;
     }
 
     // 2. Substring match (for convenience, e.g. first 8 chars of UUID)
@@ -838,8 +545,8 @@ export const selectSession = async () => {
 
     // Use dynamic status calculation instead of stored status
     const { status } = getSessionStatus(session);
-    const statusColor = status === 'completed' ? chalk.green : chalk.blue;
-    const statusIcon = status === 'completed' ? '✅' : '🔄';
+    const statusColor = status === 'completed' ? chalk.green : status === 'budget_exhausted' ? chalk.yellow : chalk.blue;
+    const statusIcon = status === 'completed' ? '✅' : status === 'budget_exhausted' ? '💸' : '🔄';
 
     let hostname = 'unknown';
     try {
@@ -1035,7 +742,7 @@ export const getNextAgent = (session) => {
 
   // Find the next agent that hasn't been completed and has all prerequisites
   const nextAgent = Object.values(AGENTS)
-    .filter(a => a.name !== 'osv-analysis' && !a.name.startsWith('re-')) // Exclude standalone agents from main sequence
+    .filter(a => MAIN_PIPELINE_AGENTS.has(a.name)) // Exclude standalone agents from main sequence
     .sort((a, b) => a.order - b.order)
     .find(agent => {
       if (completed.has(agent.name)) return false; // Already completed
@@ -1152,6 +859,29 @@ export const markAgentSkipped = async (sessionId, agentName) => {
   });
 };
 
+// Return a running agent to pending (e.g. deferred by the session budget)
+/**
+ * [목적] 에이전트를 완료/실패 표시 없이 pending 상태로 되돌림.
+ *
+ * [호출자]
+ * - checkpoint-manager when the session budget stops an agent (resumable later).
+ *
+ * [입력 파라미터]
+ * - sessionId (string)
+ * - agentName (string)
+ *
+ * [반환값]
+ * - Promise<object>
+ */
+export const markAgentDeferred = async (sessionId, agentName) => {
+  validateAgent(agentName);
+
+  return await updateSession(sessionId, (session) => {
+    const runningAgents = (session.runningAgents || []).filter(a => a !== agentName);
+    return { runningAgents };
+  });
+};
+
 // Mark agent as running
 /**
  * [목적] 에이전트를 수행 중 상태로 표시.
@@ -1218,6 +948,9 @@ const getTimeAgo = (timestamp) => {
  *
  * [반환값]
  * - object
+ *
+ * [주의사항]
+ * - 상태 우선순위: running > budget_exhausted (예산 소진, 미완료) > failed > completed > in-progress
  */
 export const getSessionStatus = (session) => {
   // Only count agents that belong to a defined phase for the progress bar
@@ -1236,6 +969,8 @@ export const getSessionStatus = (session) => {
   let status;
   if ((session.runningAgents || []).length > 0) {
     status = 'running';
+  } else if (session.budget?.exhausted && !isPipelineComplete) {
+    status = 'budget_exhausted';
   } else if (failedCount > 0) {
     status = 'failed';
   } else if (isPipelineComplete) {
@@ -1274,7 +1009,7 @@ export const getSessionStatus = (session) => {
  * - Does not parse queue files; counts are completion-only.
  */
 export const calculateVulnerabilityAnalysisSummary = (session) => {
-  const vulnAgents = PHASES['vulnerability-analysis'];
+  const vulnAgents = getAgentNamesByRunner('vuln');
   const completedVulnAgents = (session.completedAgents || []).filter(agent => vulnAgents.includes(agent));
 
   // NOTE: Actual vulnerability counts require reading queue files
@@ -1307,7 +1042,7 @@ export const calculateVulnerabilityAnalysisSummary = (session) => {
  * - Does not inspect evidence files; counts are completion-only.
  */
 export const calculateExploitationSummary = (session) => {
-  const exploitAgents = PHASES['exploitation'];
+  const exploitAgents = getAgentNamesByRunner('exploit');
   const completedExploitAgents = (session.completedAgents || []).filter(agent => exploitAgents.includes(agent));
   const skippedExploitAgents = (session.skippedAgents || []).filter(agent => exploitAgents.includes(agent));
 
@@ -1382,7 +1117,7 @@ export const rollbackToAgent = async (sessionId, targetAgent) => {
 /**
  * Reconcile DokodemoDoor store with audit logs (self-healing)
  *
- * This function ensures the DokodemoDoor store (.dokodemodoor-store.json) is consistent with
+ * This function ensures the DokodemoDoor session store (JSON or SQLite backend) is consistent with
  * the audit logs (audit-logs/session.json) by syncing agent completion status.
  *
  * Three-part reconciliation:
@@ -1528,12 +1263,13 @@ export const reconcileSession = async (sessionId, options = {}) => {
  * - Filesystem cleanup of session artifacts.
  */
 export const deleteSession = async (sessionId) => {
-  return storeLock.withLock(async () => {
-    const store = await loadSessions();
-    let resolvedId = store.sessions[sessionId] ? sessionId : null;
+  const store = await getSessionStore();
+  return store.transaction(async (tx) => {
+    const existing = (await tx.list()).map(session => session.id);
+    let resolvedId = existing.includes(sessionId) ? sessionId : null;
 
     if (!resolvedId) {
-      const prefixMatches = Object.keys(store.sessions || {}).filter(id => id.startsWith(sessionId));
+      const prefixMatches = existing.filter(id => id.startsWith(sessionId));
       if (prefixMatches.length === 1) {
         resolvedId = prefixMatches[0];
       } else if (prefixMatches.length > 1) {
@@ -1546,8 +1282,7 @@ export const deleteSession = async (sessionId) => {
       }
     }
 
-    if (!resolvedId || !store.sessions[resolvedId]) {
-      const existing = Object.keys(store.sessions || {});
+    if (!resolvedId) {
       const hint = existing.length > 0
         ? ` Existing session IDs: ${existing.map(id => id.substring(0, 8)).join(', ')}. Run --status to list.`
         : ' Store is empty (session may already be deleted).';
@@ -1559,7 +1294,7 @@ export const deleteSession = async (sessionId) => {
       );
     }
 
-    const deletedSession = store.sessions[resolvedId];
+    const deletedSession = await tx.get(resolvedId);
 
     // Physical cleanup of session artifacts
     try {
@@ -1568,13 +1303,45 @@ export const deleteSession = async (sessionId) => {
       console.log(chalk.yellow(`⚠️ Partial cleanup for session ${resolvedId}: ${cleanupError.message}`));
     }
 
-    delete store.sessions[resolvedId];
-    await saveSessions(store);
+    await tx.delete(resolvedId);
 
     return deletedSession;
   });
 };
 
+// Add an imported session record as-is
+/**
+ * [목적] 다른 머신에서 내보낸 세션 레코드를 ID 그대로 스토어에 추가.
+ *
+ * [호출자]
+ * - cli/session-bundle.js (--import-session)
+ *
+ * [입력 파라미터]
+ * - session (object): 경로(repoPath/targetRepo/configFile)가 이미 재매핑된 세션 레코드
+ *
+ * [반환값]
+ * - Promise<object>: 저장된 세션
+ *
+ * [에러 처리]
+ * - 같은 ID의 세션이 이미 있으면 PentestError('validation') (기존 세션을 덮어쓰지 않음)
+ */
+export const importSession = async (session) => {
+  const store = await getSessionStore();
+  return store.transaction(async (tx) => {
+    if (await tx.get(session.id)) {
+      throw new PentestError(
+        `Session ${session.id.substring(0, 8)} already exists in the store. Delete it first with --cleanup ${session.id.substring(0, 8)}.`,
+        'validation',
+        false,
+        { sessionId: session.id }
+      );
+    }
+
+    await tx.put(session);
+    return session;
+  });
+};
+
 // Delete all sessions (remove entire storage)
 /**
  * [목적] 모든 세션 및 산출물 삭제.
@@ -1583,7 +1350,7 @@ export const deleteSession = async (sessionId) => {
  * - CLI delete-all command.
  *
  * [출력 대상]
- * - Deletes store file and related artifacts.
+ * - Removes every session record from the store and related artifacts.
  *
  * [반환값]
  * - Promise<boolean>: whether any sessions existed.
@@ -1595,10 +1362,10 @@ export const deleteSession = async (sessionId) => {
  * - Throws PentestError on filesystem failures.
  */
 export const deleteAllSessions = async () => {
-  return storeLock.withLock(async () => {
+  const store = await getSessionStore();
+  return store.transaction(async (tx) => {
     try {
-      const store = await loadSessions();
-      const sessions = Object.values(store.sessions || {});
+      const sessions = await tx.list();
 
       if (sessions.length > 0) {
         for (const session of sessions) {
@@ -1612,9 +1379,8 @@ export const deleteAllSessions = async () => {
         await cleanupOrphanArtifacts();
       }
 
-      if (await fs.pathExists(STORE_FILE)) {
-        await fs.remove(STORE_FILE);
-        return sessions.length > 0;
+      for (const session of sessions) {
+        await tx.delete(session.id);
       }
       return sessions.length > 0;
     } catch (error) {
@@ -1622,7 +1388,7 @@ export const deleteAllSessions = async () => {
         `Failed to delete session storage: ${error.message}`,
         'filesystem',
         false,
-        { storeFile: STORE_FILE, originalError: error.message }
+        { store: store.describe(), originalError: error.message }
       );
     }
   });
@@ -0,0 +1,141 @@
+/**
+ * JSON 파일 세션 스토어 (기본 백엔드)
+ *
+ * 파일 하나({ sessions: { [id]: session } })를 FileLock으로 보호.
+ * - 쓰기 전에 마지막 정상본을 <file>.bak으로 보관
+ * - 파일이 손상되면 빈 스토어로 덮어쓰지 않음: .bak이 정상이면 그것으로 복구(손상본은 <file>.corrupt-<timestamp>로 보존), 아니면 에러
+ */
+
+import { fs } from 'zx';
+import chalk from 'chalk';
+import { SessionStore } from '../session-store.js';
+import { FileLock } from '../../utils/file-lock.js';
+import { PentestError } from '../../error-handling.js';
+import { getLocalISOString } from '../../utils/time-utils.js';
+
+/**
+ * [목적] 파일을 읽어 스토어 구조로 파싱.
+ * @returns {Promise<object|null>} 스토어, 파일이 없으면 빈 스토어, 손상/형식 오류면 null
+ */
+const readStoreFile = async (filePath) => {
+  if (!await fs.pathExists(filePath)) return { sessions: {} };
+  try {
+    const store = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return store && typeof store === 'object' && store.sessions && typeof store.sessions === 'object' ? store : null;
+  } catch {
+    return null;
+  }
+};
+
+export class JsonSessionStore extends SessionStore {
+  /**
+   * @param {string} filePath - 스토어 파일 경로
+   * @param {Object} [options]
+   * @param {number} [options.lockTimeoutMs=15000] - 락 획득 타임아웃
+   */
+  constructor(filePath, { lockTimeoutMs = 15000 } = {}) {
+    super();
+    this.filePath = filePath;
+    this.backupPath = `${filePath}.bak`;
+    // Set when the main file was unreadable and the backup was used; the corrupt file is kept aside on the next save
+    this.recoveredFromBackup = false;
+    this.lock = new FileLock(`${filePath}.lock`, {
+      staleMs: 60000,        // 60초 이상 유지된 락은 stale 처리
+      retryIntervalMs: 50,   // 50ms + jitter 간격으로 재시도
+      timeoutMs: lockTimeoutMs
+    });
+  }
+
+  /**
+   * [목적] 스토어 로드 (손상 시 .bak 복구 시도).
+   *
+   * [에러 처리]
+   * - 본 파일과 .bak 모두 읽을 수 없으면 PentestError('filesystem') — 빈 스토어로 진행하면 다음 저장에서 전체 세션이 유실되므로
+   */
+  async load() {
+    const store = await readStoreFile(this.filePath);
+    if (store) return store;
+
+    const backup = await fs.pathExists(this.backupPath) ? await readStoreFile(this.backupPath) : null;
+    if (backup) {
+      if (!this.recoveredFromBackup) {
+        console.log(chalk.yellow(`⚠️ Session store ${this.filePath} is corrupt; using last good copy ${this.backupPath}`));
+      }
+      this.recoveredFromBackup = true;
+      return backup;
+    }
+
+    throw new PentestError(
+      `Session store ${this.filePath} is corrupt and no valid backup exists. Fix or move the file aside (sessions are not reset automatically).`,
+      'filesystem',
+      false,
+      { storeFile: this.filePath, backupFile: this.backupPath }
+    );
+  }
+
+  /**
+   * [목적] 스토어 원자적 저장 (임시 파일 → rename, 직전 정상본은 .bak).
+   */
+  async save(store) {
+    try {
+      if (this.recoveredFromBackup && await fs.pathExists(this.filePath)) {
+        const corruptPath = `${this.filePath}.corrupt-${getLocalISOString().replace(/[:.]/g, '-')}`;
+        await fs.move(this.filePath, corruptPath);
+        console.log(chalk.yellow(`⚠️ Corrupt session store kept as ${corruptPath}`));
+      } else if (await fs.pathExists(this.filePath)) {
+        // Only reached after load() parsed this file under the same lock
+        await fs.copy(this.filePath, this.backupPath);
+      }
+      this.recoveredFromBackup = false;
+
+      const tempFile = `${this.filePath}.tmp`;
+      await fs.writeJSON(tempFile, store, { spaces: 2 });
+      await fs.move(tempFile, this.filePath, { overwrite: true });
+    } catch (error) {
+      throw new PentestError(
+        `Failed to save session store: ${error.message}`,
+        'filesystem',
+        false,
+        { storeFile: this.filePath, originalError: error.message }
+      );
+    }
+  }
+
+  async get(sessionId) {
+    const store = await this.load();
+    return store.sessions[sessionId] || null;
+  }
+
+  async list() {
+    const store = await this.load();
+    return Object.values(store.sessions);
+  }
+
+  async transaction(fn) {
+    return this.lock.withLock(async () => {
+      const store = await this.load();
+      let dirty = false;
+      const tx = {
+        get: async sessionId => store.sessions[sessionId] || null,
+        list: async () => Object.values(store.sessions),
+        put: async (session) => {
+          store.sessions[session.id] = session;
+          dirty = true;
+        },
+        delete: async (sessionId) => {
+          if (!store.sessions[sessionId]) return;
+          delete store.sessions[sessionId];
+          dirty = true;
+        }
+      };
+
+      const result = await fn(tx);
+      if (dirty) await this.save(store);
+      return result;
+    });
+  }
+
+  describe() {
+    return { backend: 'json', location: this.filePath };
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * SQLite 세션 스토어 (better-sqlite3, 선택 설치)
+ *
+ * - sessions: 세션별 현재 상태 (조회용 컬럼 + 전체 레코드 JSON)
+ * - session_history: create/update/delete마다 변경 키와 스냅샷을 남기는 이력 테이블
+ * - 쓰기는 BEGIN IMMEDIATE 트랜잭션으로 프로세스 간 직렬화 (WAL + busy_timeout)
+ */
+
+import { fs, path } from 'zx';
+import { SessionStore } from '../session-store.js';
+import { PentestError } from '../../error-handling.js';
+import { getLocalISOString } from '../../utils/time-utils.js';
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    web_url TEXT,
+    target_repo TEXT,
+    status TEXT,
+    created_at TEXT,
+    last_activity TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS session_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    changed_at TEXT NOT NULL,
+    changed_keys TEXT,
+    data TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_target ON sessions (web_url, target_repo);
+  CREATE INDEX IF NOT EXISTS idx_history_session ON session_history (session_id, id);
+`;
+
+// Heartbeat-only updates would flood the history table without telling anything useful
+const HISTORY_IGNORED_KEYS = Object.freeze(['lastActivity']);
+
+/**
+ * [목적] 두 세션 레코드 사이에 값이 바뀐 최상위 키 목록.
+ */
+const diffTopLevelKeys = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])).sort();
+};
+
+/**
+ * [목적] better-sqlite3 지연 로드 (선택 의존성).
+ *
+ * [에러 처리]
+ * - 미설치면 PentestError('config')로 설치 방법 안내
+ */
+const loadDriver = async () => {
+  try {
+    const module = await import('better-sqlite3');
+    return module.default;
+  } catch (error) {
+    throw new PentestError(
+      `SQLite session store requires the optional "better-sqlite3" package (npm install better-sqlite3): ${error.message}`,
+      'config',
+      false,
+      { originalError: error.message }
+    );
+  }
+};
+
+export class SqliteSessionStore extends SessionStore {
+  /**
+   * [목적] DB 파일을 열고 스키마를 준비.
+   *
+   * [입력 파라미터]
+   * - dbPath (string): SQLite 파일 경로 (상위 디렉토리는 자동 생성)
+   * - options.busyTimeoutMs (number): 다른 프로세스가 쓰기 락을 쥐고 있을 때 대기 시간
+   *
+   * [반환값]
+   * - Promise<SqliteSessionStore>
+   */
+  static async open(dbPath, { busyTimeoutMs = 15000 } = {}) {
+    const Database = await loadDriver();
+    await fs.ensureDir(path.dirname(dbPath));
+
+    let db;
+    try {
+      db = new Database(dbPath, { timeout: busyTimeoutMs });
+      db.pragma('journal_mode = WAL');
+      db.pragma('synchronous = NORMAL');
+      db.exec(SCHEMA_SQL);
+      db.prepare('INSERT OR IGNORE INTO schema_meta (key, value) VALUES (?, ?)').run('schema_version', String(SCHEMA_VERSION));
+    } catch (error) {
+      db?.close();
+      throw new PentestError(
+        `Failed to open SQLite session store ${dbPath}: ${error.message}`,
+        'filesystem',
+        false,
+        { dbPath, originalError: error.message }
+      );
+    }
+
+    return new SqliteSessionStore(db, dbPath);
+  }
+
+  constructor(db, dbPath) {
+    super();
+    this.db = db;
+    this.dbPath = dbPath;
+    // better-sqlite3 is synchronous but transaction callbacks are async; serialize in-process callers
+    this.queue = Promise.resolve();
+    this.statements = {
+      get: db.prepare('SELECT data FROM sessions WHERE id = ?'),
+      list: db.prepare('SELECT data FROM sessions ORDER BY created_at, id'),
+      upsert: db.prepare(`
+        INSERT INTO sessions (id, web_url, target_repo, status, created_at, last_activity, data)
+        VALUES (@id, @webUrl, @targetRepo, @status, @createdAt, @lastActivity, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          web_url = excluded.web_url,
+          target_repo = excluded.target_repo,
+          status = excluded.status,
+          created_at = excluded.created_at,
+          last_activity = excluded.last_activity,
+          data = excluded.data
+      `),
+      remove: db.prepare('DELETE FROM sessions WHERE id = ?'),
+      history: db.prepare(`
+        INSERT INTO session_history (session_id, action, changed_at, changed_keys, data)
+        VALUES (?, ?, ?, ?, ?)
+      `)
+    };
+  }
+
+  /**
+   * [목적] 프로세스 내 호출 직렬화 (앞선 작업 실패와 무관하게 다음 작업 진행).
+   */
+  serialize(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  readRow(row) {
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async get(sessionId) {
+    return this.serialize(() => this.readRow(this.statements.get.get(sessionId)));
+  }
+
+  async list() {
+    return this.serialize(() => this.statements.list.all().map(row => this.readRow(row)));
+  }
+
+  async transaction(fn) {
+    return this.serialize(async () => {
+      const { db, statements } = this;
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const tx = {
+          get: async sessionId => this.readRow(statements.get.get(sessionId)),
+          list: async () => statements.list.all().map(row => this.readRow(row)),
+          put: async (session) => {
+            const before = this.readRow(statements.get.get(session.id));
+            const data = JSON.stringify(session);
+            statements.upsert.run({
+              id: session.id,
+              webUrl: session.webUrl ?? null,
+              targetRepo: session.targetRepo ?? null,
+              status: session.status ?? null,
+              createdAt: session.createdAt ?? null,
+              lastActivity: session.lastActivity ?? null,
+              data
+            });
+
+            const changedKeys = diffTopLevelKeys(before, session);
+            if (before && changedKeys.every(key => HISTORY_IGNORED_KEYS.includes(key))) return;
+            statements.history.run(
+              session.id,
+              before ? 'update' : 'create',
+              getLocalISOString(),
+              JSON.stringify(changedKeys),
+              data
+            );
+          },
+          delete: async (sessionId) => {
+            const { changes } = statements.remove.run(sessionId);
+            if (changes > 0) {
+              statements.history.run(sessionId, 'delete', getLocalISOString(), null, null);
+            }
+          }
+        };
+
+        const result = await fn(tx);
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        if (db.inTransaction) db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  describe() {
+    return { backend: 'sqlite', location: this.dbPath };
+  }
+
+  close() {
+    if (this.db.open) this.db.close();
+  }
+}
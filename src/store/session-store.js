@@ -0,0 +1,142 @@
+/**
+ * Session Store Abstraction Layer
+ *
+ * session-manager.js가 세션 레코드를 읽고 쓰는 저장소 인터페이스와 백엔드 팩토리.
+ * - json: .dokodemodoor-store.json + FileLock (기본값)
+ * - sqlite: better-sqlite3 기반, 트랜잭션 업데이트 + 변경 이력 테이블
+ */
+
+import { path } from 'zx';
+import { PentestError } from '../error-handling.js';
+import { config } from '../config/env.js';
+import { DOKODEMODOOR_ROOT } from '../audit/utils.js';
+
+export const SESSION_STORE_BACKENDS = Object.freeze(['json', 'sqlite']);
+
+const DEFAULT_LOCATIONS = Object.freeze({
+  json: path.join(DOKODEMODOOR_ROOT, '.dokodemodoor-store.json'),
+  sqlite: path.join(DOKODEMODOOR_ROOT, '.dokodemodoor-store.sqlite')
+});
+
+/**
+ * Base Session Store Interface
+ * 모든 백엔드가 구현해야 하는 메서드. 세션 레코드는 { id, ... } 평문 객체.
+ */
+export class SessionStore {
+  /**
+   * [목적] ID로 세션 조회.
+   * @param {string} sessionId
+   * @returns {Promise<object|null>}
+   */
+  async get(sessionId) {
+    throw new Error('get() must be implemented by session store');
+  }
+
+  /**
+   * [목적] 전체 세션 목록 조회.
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    throw new Error('list() must be implemented by session store');
+  }
+
+  /**
+   * [목적] 프로세스 간 상호 배제된 읽기-수정-쓰기 트랜잭션 실행.
+   *
+   * [입력 파라미터]
+   * - fn (function): async (tx) => result. tx = { get(id), list(), put(session), delete(id) }
+   *
+   * [반환값]
+   * - Promise<any>: fn의 반환값
+   *
+   * [주의사항]
+   * - fn이 throw하면 tx.put/tx.delete 변경은 모두 버려짐
+   * - fn 안에서 다른 transaction()을 호출하지 말 것 (재진입 불가, 교착)
+   */
+  async transaction(fn) {
+    throw new Error('transaction() must be implemented by session store');
+  }
+
+  /**
+   * [목적] 백엔드 이름과 저장 위치 (로그/마이그레이션 출력용).
+   * @returns {{ backend: string, location: string }}
+   */
+  describe() {
+    throw new Error('describe() must be implemented by session store');
+  }
+
+  /**
+   * [목적] 열린 핸들 정리 (필요한 백엔드만).
+   */
+  close() {}
+}
+
+/**
+ * [목적] 백엔드 이름과 위치로 세션 스토어 생성.
+ *
+ * [호출자]
+ * - getSessionStore(), cli/store-migration.js
+ *
+ * [입력 파라미터]
+ * - backend (string|null): json | sqlite (기본 DOKODEMODOOR_SESSION_STORE)
+ * - location (string|null): 저장 파일 경로 (기본 json → .dokodemodoor-store.json, sqlite → DOKODEMODOOR_SESSION_DB 또는 .dokodemodoor-store.sqlite)
+ *
+ * [반환값]
+ * - Promise<SessionStore>
+ *
+ * [에러 처리]
+ * - 알 수 없는 백엔드면 PentestError('config')
+ */
+export async function createSessionStore(backend = null, location = null) {
+  const { sessionStore } = config.dokodemodoor;
+  const name = backend || sessionStore.backend;
+
+  if (name === 'json') {
+    const { JsonSessionStore } = await import('./backends/json-store.js');
+    return new JsonSessionStore(location || DEFAULT_LOCATIONS.json, { lockTimeoutMs: sessionStore.lockTimeoutMs });
+  }
+  if (name === 'sqlite') {
+    const { SqliteSessionStore } = await import('./backends/sqlite-store.js');
+    const dbPath = location || (sessionStore.sqlitePath ? path.resolve(DOKODEMODOOR_ROOT, sessionStore.sqlitePath) : DEFAULT_LOCATIONS.sqlite);
+    return SqliteSessionStore.open(dbPath, { busyTimeoutMs: sessionStore.lockTimeoutMs });
+  }
+
+  throw new PentestError(
+    `Unknown session store backend: ${name} (expected ${SESSION_STORE_BACKENDS.join(' or ')})`,
+    'config',
+    false,
+    { backend: name }
+  );
+}
+
+let storePromise = null;
+
+/**
+ * [목적] 설정된 백엔드의 싱글톤 세션 스토어 반환.
+ *
+ * [호출자]
+ * - session-manager.js
+ *
+ * [반환값]
+ * - Promise<SessionStore>
+ */
+export function getSessionStore() {
+  if (!storePromise) {
+    storePromise = createSessionStore().catch((error) => {
+      storePromise = null;
+      throw error;
+    });
+  }
+  return storePromise;
+}
+
+/**
+ * [목적] 싱글톤 초기화 (마이그레이션 후 재선택, 테스트/디버깅용).
+ */
+export async function resetSessionStore() {
+  if (storePromise) {
+    const store = await storePromise.catch(() => null);
+    store?.close();
+  }
+  storePromise = null;
+}
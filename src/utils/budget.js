@@ -0,0 +1,276 @@
+/**
+ * [목적] 세션 단위 토큰/비용/실행 시간 예산 추적과 소진 판정.
+ *
+ * [호출자]
+ * - vllm-provider.js query() (턴별 사용량 기록, 소진 시 결과물 마무리 후 종료)
+ * - agent-executor.js runAgentPromptWithRetry() (시도 시작 전 확인)
+ * - checkpoint-manager.js runSingleAgent() (시작 전 확인, priority: low 에이전트 skip, 사용량 저장)
+ * - dokodemodoor.mjs main() (단계 사이에서 소진 시 중단)
+ *
+ * [출력]
+ * - 세션 스토어 session.budget = { usage, limits, exhausted }
+ *
+ * [주의사항]
+ * - 한도 우선순위: config YAML `budget:` > DOKODEMODOOR_BUDGET_* 환경변수. 0/미설정 = 무제한
+ * - 사용량은 재개 시 이어서 누적되므로, 더 큰 한도로 다시 실행하면 남은 에이전트부터 계속됨
+ * - 비용 한도는 VLLM_PROMPT_TOKEN_PRICE / VLLM_COMPLETION_TOKEN_PRICE 기준 (가격이 0이면 비용은 항상 0)
+ */
+
+import chalk from 'chalk';
+import { config as envConfig } from '../config/env.js';
+import { formatDuration } from '../audit/utils.js';
+import { getLocalISOString } from './time-utils.js';
+
+const DURATION_UNITS = Object.freeze({ ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 });
+const DEFAULT_LOW_PRIORITY_RATIO = 0.8;
+
+/**
+ * [목적] 기간 문자열을 ms로 변환.
+ * @param {string|number|null} value - "3600", "90m", "4h", "1.5h", "1d" (단위 없으면 초)
+ * @returns {number} ms (형식 오류/미설정 시 0 = 무제한)
+ */
+export function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  if (!match) return 0;
+  return Math.round(Number.parseFloat(match[1]) * DURATION_UNITS[match[2] || 's']);
+}
+
+const toPositiveNumber = (value) => {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+/**
+ * [목적] 환경변수와 config YAML `budget:` 섹션을 합쳐 한도 산출.
+ * @param {object|null} yamlBudget - { max_total_tokens, max_cost_usd, max_session_duration, max_agent_duration, low_priority_ratio } (FAILSAFE라 모두 문자열)
+ * @returns {{ maxTotalTokens: number, maxCostUsd: number, maxSessionDurationMs: number, maxAgentDurationMs: number, lowPriorityRatio: number }}
+ */
+export function resolveBudgetLimits(yamlBudget = null) {
+  const env = envConfig.dokodemodoor.budget;
+  const pick = (key, fallback) => yamlBudget?.[key] ?? fallback;
+  const ratio = toPositiveNumber(pick('low_priority_ratio', env.lowPriorityRatio));
+
+  return Object.freeze({
+    maxTotalTokens: Math.floor(toPositiveNumber(pick('max_total_tokens', env.maxTotalTokens))),
+    maxCostUsd: toPositiveNumber(pick('max_cost_usd', env.maxCostUsd)),
+    maxSessionDurationMs: parseDuration(pick('max_session_duration', env.maxSessionDuration)),
+    maxAgentDurationMs: parseDuration(pick('max_agent_duration', env.maxAgentDuration)),
+    lowPriorityRatio: ratio > 0 && ratio <= 1 ? ratio : DEFAULT_LOW_PRIORITY_RATIO
+  });
+}
+
+/**
+ * 세션 하나의 누적 사용량과 한도.
+ *
+ * - base: 이전 실행까지 저장된 사용량 (session.budget.usage)
+ * - run: 이번 프로세스에서 기록한 사용량
+ */
+export class BudgetTracker {
+  constructor(sessionId, limits, persistedUsage = null) {
+    this.sessionId = sessionId;
+    this.limits = limits;
+    this.base = {
+      promptTokens: persistedUsage?.promptTokens || 0,
+      completionTokens: persistedUsage?.completionTokens || 0,
+      totalTokens: persistedUsage?.totalTokens || 0,
+      costUsd: persistedUsage?.costUsd || 0,
+      elapsedMs: persistedUsage?.elapsedMs || 0
+    };
+    this.run = { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+    this.runStartedAt = Date.now();
+  }
+
+  /**
+   * [목적] 세션 단위 한도가 하나라도 설정되었는지 여부 (에이전트 시간 한도 제외).
+   */
+  hasSessionLimits() {
+    const { maxTotalTokens, maxCostUsd, maxSessionDurationMs } = this.limits;
+    return maxTotalTokens > 0 || maxCostUsd > 0 || maxSessionDurationMs > 0;
+  }
+
+  /**
+   * [목적] LLM 응답 한 번의 사용량 기록.
+   * @param {object} usage - OpenAI 형식 { prompt_tokens, completion_tokens, total_tokens }
+   * @param {number} costUsd
+   */
+  recordUsage(usage, costUsd = 0) {
+    const prompt = usage?.prompt_tokens || 0;
+    const completion = usage?.completion_tokens || 0;
+    this.run.promptTokens += prompt;
+    this.run.completionTokens += completion;
+    this.run.totalTokens += usage?.total_tokens || (prompt + completion);
+    this.run.costUsd += Number.isFinite(costUsd) ? costUsd : 0;
+  }
+
+  /**
+   * [목적] 저장된 사용량 + 이번 실행 사용량.
+   * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number, costUsd: number, elapsedMs: number }}
+   */
+  getUsage() {
+    return {
+      promptTokens: this.base.promptTokens + this.run.promptTokens,
+      completionTokens: this.base.completionTokens + this.run.completionTokens,
+      totalTokens: this.base.totalTokens + this.run.totalTokens,
+      costUsd: this.base.costUsd + this.run.costUsd,
+      elapsedMs: this.base.elapsedMs + (Date.now() - this.runStartedAt)
+    };
+  }
+
+  /**
+   * [목적] 세션 예산 소진 판정.
+   * @returns {{ exhausted: boolean, reason: string|null, ratio: number, usage: object }}
+   *   ratio: 가장 많이 쓴 한도의 사용 비율 (한도 없으면 0)
+   */
+  check() {
+    const usage = this.getUsage();
+    const { maxTotalTokens, maxCostUsd, maxSessionDurationMs } = this.limits;
+    const dimensions = [];
+
+    if (maxTotalTokens > 0) {
+      dimensions.push({
+        ratio: usage.totalTokens / maxTotalTokens,
+        reason: `token budget (${usage.totalTokens.toLocaleString()} / ${maxTotalTokens.toLocaleString()} tokens)`
+      });
+    }
+    if (maxCostUsd > 0) {
+      dimensions.push({
+        ratio: usage.costUsd / maxCostUsd,
+        reason: `cost budget ($${usage.costUsd.toFixed(4)} / $${maxCostUsd.toFixed(2)})`
+      });
+    }
+    if (maxSessionDurationMs > 0) {
+      dimensions.push({
+        ratio: usage.elapsedMs / maxSessionDurationMs,
+        reason: `session duration budget (${formatDuration(usage.elapsedMs)} / ${formatDuration(maxSessionDurationMs)})`
+      });
+    }
+
+    const top = dimensions.reduce((max, dimension) => (dimension.ratio > max.ratio ? dimension : max), { ratio: 0, reason: null });
+    const exhausted = top.ratio >= 1;
+    return { exhausted, reason: exhausted ? top.reason : null, ratio: top.ratio, usage };
+  }
+
+  /**
+   * [목적] 에이전트 하나의 실행 시간 한도 판정.
+   * @param {number} startedAt - 에이전트 시작 시각 (ms, 재시도 포함 첫 시도 기준)
+   * @returns {{ exhausted: boolean, reason: string|null }}
+   */
+  checkAgent(startedAt) {
+    const { maxAgentDurationMs } = this.limits;
+    if (!maxAgentDurationMs || !startedAt) return { exhausted: false, reason: null };
+    const elapsed = Date.now() - startedAt;
+    return elapsed >= maxAgentDurationMs
+      ? { exhausted: true, reason: `agent duration budget (${formatDuration(elapsed)} / ${formatDuration(maxAgentDurationMs)})` }
+      : { exhausted: false, reason: null };
+  }
+
+  /**
+   * [목적] 한도 요약 문자열 (콘솔 출력용).
+   */
+  describeLimits() {
+    const { maxTotalTokens, maxCostUsd, maxSessionDurationMs, maxAgentDurationMs } = this.limits;
+    const parts = [];
+    if (maxTotalTokens > 0) parts.push(`${maxTotalTokens.toLocaleString()} tokens`);
+    if (maxCostUsd > 0) parts.push(`$${maxCostUsd.toFixed(2)}`);
+    if (maxSessionDurationMs > 0) parts.push(`${formatDuration(maxSessionDurationMs)} per session`);
+    if (maxAgentDurationMs > 0) parts.push(`${formatDuration(maxAgentDurationMs)} per agent`);
+    return parts.join(', ');
+  }
+
+  /**
+   * [목적] 사용량/한도/소진 상태를 세션 스토어에 저장.
+   *
+   * [반환값]
+   * - Promise<object>: check() 결과
+   *
+   * [주의사항]
+   * - 소진 상태가 바뀔 때만 status를 다시 계산 (budget_exhausted ↔ 일반 상태)
+   * - 저장 실패는 실행을 막지 않도록 경고만 출력
+   */
+  async flush() {
+    const state = this.check();
+    try {
+      const { updateSession, getSessionStatus } = await import('../session-manager.js');
+      await updateSession(this.sessionId, (session) => {
+        const previous = session.budget?.exhausted || null;
+        const budget = {
+          usage: state.usage,
+          limits: { ...this.limits },
+          exhausted: state.exhausted
+            ? { reason: state.reason, at: previous?.at || getLocalISOString() }
+            : null
+        };
+        if (Boolean(previous) === state.exhausted) {
+          return { budget };
+        }
+        return { budget, status: getSessionStatus({ ...session, budget }).status };
+      });
+    } catch (error) {
+      console.log(chalk.yellow(`    ⚠️  Failed to save budget usage: ${error.message}`));
+    }
+    return state;
+  }
+}
+
+const pendingTrackers = new Map();
+const trackers = new Map();
+
+/**
+ * [목적] 세션의 BudgetTracker를 생성(프로세스당 1회)하고 반환.
+ *
+ * [호출자]
+ * - dokodemodoor.mjs main(), checkpoint-manager.js runSingleAgent()
+ *
+ * [입력 파라미터]
+ * - session (object): { id, configFile, budget }
+ *
+ * [반환값]
+ * - Promise<BudgetTracker>
+ *
+ * [주의사항]
+ * - 이전에 budget_exhausted였던 세션은 새 한도로 다시 판정해 소진 표시를 해제
+ */
+export function attachBudget(session) {
+  if (!pendingTrackers.has(session.id)) {
+    pendingTrackers.set(session.id, (async () => {
+      let yamlBudget = null;
+      if (session.configFile) {
+        try {
+          const { loadConfig } = await import('../config/config-loader.js');
+          yamlBudget = (await loadConfig(session.configFile)).config?.budget || null;
+        } catch {
+          // Invalid config is reported by the regular config load path
+        }
+      }
+
+      const tracker = new BudgetTracker(session.id, resolveBudgetLimits(yamlBudget), session.budget?.usage);
+      trackers.set(session.id, tracker);
+
+      const summary = tracker.describeLimits();
+      if (summary) {
+        console.log(chalk.gray(`💰 Budget: ${summary}`));
+      }
+      const { promptTokenPrice, completionTokenPrice } = envConfig.llm.vllm;
+      if (tracker.limits.maxCostUsd > 0 && !promptTokenPrice && !completionTokenPrice) {
+        console.log(chalk.yellow('⚠️  Cost budget is set but VLLM_PROMPT_TOKEN_PRICE / VLLM_COMPLETION_TOKEN_PRICE are 0; cost will not be enforced'));
+      }
+
+      const state = session.budget || tracker.hasSessionLimits() ? await tracker.flush() : tracker.check();
+      if (session.budget?.exhausted && !state.exhausted) {
+        console.log(chalk.green(`💰 Budget raised: resuming session previously stopped by ${session.budget.exhausted.reason}`));
+      }
+      return tracker;
+    })());
+  }
+  return pendingTrackers.get(session.id);
+}
+
+/**
+ * [목적] 이미 생성된 BudgetTracker 조회 (동기).
+ * @param {string|null} sessionId
+ * @returns {BudgetTracker|null} attachBudget() 전이거나 세션 밖 실행이면 null (예산 미적용)
+ */
+export function getBudgetTracker(sessionId) {
+  return (sessionId && trackers.get(sessionId)) || null;
+}
@@ -42,13 +42,19 @@ export class Semaphore {
     this.queue = [];
   }
 
-  async acquire() {
+  /**
+   * [목적] 슬롯 획득. priority=true면 대기열 맨 앞에 들어가 다음 빈 슬롯을 먼저 받음.
+   *
+   * [호출자]
+   * - map(), checkpoint-manager.runStreamedPhases() (익스플로잇 에이전트 우선 배정)
+   */
+  async acquire(priority = false) {
     if (this.running < this.limit) {
       this.running++;
       return;
     }
     // Wait for a slot to open
-    await new Promise(resolve => this.queue.push(resolve));
+    await new Promise(resolve => (priority ? this.queue.unshift(resolve) : this.queue.push(resolve)));
   }
 
   release() {
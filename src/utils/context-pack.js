@@ -1,4 +1,5 @@
 import { fs, path } from 'zx';
+import { getCategoryPlugin } from '../config/category-registry.js';
 
 /**
  * Context Pack utilities.
@@ -14,7 +15,8 @@ const DEFAULTS = Object.freeze({
   maxHotspots: 15,
   maxExcerptChars: 2500,
   maxContextChars: 9000,
-  maxExistingFindings: 20
+  maxExistingFindings: 20,
+  maxDependencySignals: 20
 });
 
 export const getContextPackPaths = (sourceDir) => {
@@ -26,6 +28,7 @@ export const getContextPackPaths = (sourceDir) => {
     globalMd: path.join(contextDir, 'global.md'),
     reconVerifyTargetsJson: path.join(contextDir, 'recon_verify_targets.json'),
     apiFuzzerHotspotsJson: path.join(contextDir, 'api_fuzzer_hotspots.json'),
+    dependenciesJson: path.join(contextDir, 'dependencies.json'),
     reconVerifyMd: path.join(deliverablesDir, 'recon_verify_deliverable.md'),
     reconMd: path.join(deliverablesDir, 'recon_deliverable.md'),
     apiFuzzerMd: path.join(deliverablesDir, 'api_fuzzer_deliverable.md'),
@@ -88,12 +91,38 @@ const stringMatchesRule = (value, rule) => {
   }
 };
 
+// GraphQL operation rules ("Mutation.deleteUser", "admin*") match names case-sensitively, like GraphQL itself.
+const parseGraphqlOperation = (value) => {
+  const match = safeToString(value).trim().match(/^(?:(query|mutation|subscription)\.)?(.*)$/i);
+  return { kind: match[1] ? match[1].toLowerCase() : null, name: match[2] };
+};
+
+const graphqlNamePattern = (name) => name.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[A-Za-z0-9_]*');
+
+export const graphqlOperationMatchesRule = (operation, rule, operationKind = null) => {
+  if (rule?.type !== 'graphql_operation' || !operation) return false;
+  const wanted = parseGraphqlOperation(rule.url_path);
+  const actual = parseGraphqlOperation(operation);
+  const kind = actual.kind || (operationKind ? safeToString(operationKind).toLowerCase() : null);
+  if (wanted.kind && kind && wanted.kind !== kind) return false;
+  return new RegExp(`^${graphqlNamePattern(wanted.name)}$`).test(actual.name);
+};
+
+export const lineMentionsGraphqlOperation = (line, rule) => {
+  if (rule?.type !== 'graphql_operation' || !line) return false;
+  const { name } = parseGraphqlOperation(rule.url_path);
+  // A bare "*" would match every line; free-form filtering needs a concrete name fragment.
+  if (!name.replace(/\*/g, '')) return false;
+  return new RegExp(`(^|[^A-Za-z0-9_])${graphqlNamePattern(name)}(?![A-Za-z0-9_])`).test(line);
+};
+
 const itemMatchesAvoidRules = (item, avoidRules) => {
   if (!item || !Array.isArray(avoidRules) || avoidRules.length === 0) return false;
 
   const method = safeToString(item.method || item.http_method || item.verb).toUpperCase();
   const rawPath = safeToString(item.path || item.url_path || item.endpoint || item.url || item.source_endpoint);
   const rawParam = safeToString(item.param || item.parameter || item.vulnerable_parameter);
+  const operation = item.operation || item.graphql_operation || item.operation_name;
 
   const { host, path: parsedPath } = extractHostAndPath(rawPath);
 
@@ -110,6 +139,8 @@ const itemMatchesAvoidRules = (item, avoidRules) => {
       case 'domain':
         // Only meaningful when we have a host present (full URL).
         return host ? stringMatchesRule(host, rule) : stringMatchesRule(rawPath, rule);
+      case 'graphql_operation':
+        return graphqlOperationMatchesRule(operation, rule, item.operation_type);
       default:
         return false;
     }
@@ -119,15 +150,15 @@ const itemMatchesAvoidRules = (item, avoidRules) => {
 const filterMarkdownExcerptByAvoid = (markdown, avoidRules) => {
   if (!markdown || !Array.isArray(avoidRules) || avoidRules.length === 0) return markdown;
 
-  // For free-form markdown, only apply string-based rules that are low-risk (path/domain).
-  const safeRules = avoidRules.filter(r => ['path', 'subdomain', 'domain'].includes(r?.type));
+  // For free-form markdown, only apply string-based rules that are low-risk (path/domain/GraphQL operation name).
+  const safeRules = avoidRules.filter(r => ['path', 'subdomain', 'domain', 'graphql_operation'].includes(r?.type));
   if (safeRules.length === 0) return markdown;
 
   const lines = markdown.split('\n');
   const filtered = lines.filter((line) => {
     if (!line.trim()) return true;
     if (line.startsWith('## [CATEGORY:')) return true;
-    return !safeRules.some((rule) => stringMatchesRule(line, rule));
+    return !safeRules.some((rule) => stringMatchesRule(line, rule) || lineMentionsGraphqlOperation(line, rule));
   });
 
   return filtered.join('\n');
@@ -146,7 +177,8 @@ export const agentNameToCategory = (agentName) => {
     authz: 'AUTHZ',
     ssrf: 'SSRF'
   };
-  return map[base] || null;
+  if (map[base]) return map[base];
+  return getCategoryPlugin(base) ? base.toUpperCase() : null;
 };
 
 const renderTarget = (t) => {
@@ -154,6 +186,8 @@ const renderTarget = (t) => {
   const method = t.method || t.http_method || t.verb || '';
   const p = t.path || t.url_path || t.endpoint || t.url || t.source_endpoint || '';
   const param = t.param || t.parameter || t.vulnerable_parameter || '';
+  const operation = t.operation || t.graphql_operation || t.operation_name || '';
+  const message = t.message || t.event || t.message_type || '';
   const file = t.file || t.path_in_repo || t.code_file || t.source_file || t.vulnerable_code_location || '';
   const line = t.line || t.line_number || '';
   const why = t.why || t.summary || t.evidence || t.reason || '';
@@ -163,6 +197,8 @@ const renderTarget = (t) => {
   const loc = [file, line].filter(Boolean).join(':');
   const parts = [];
   if (main) parts.push(`- ${main}`);
+  if (operation) parts.push(`  - GraphQL: \`${operation}\``);
+  if (message) parts.push(`  - Message: \`${message}\``);
   if (param) parts.push(`  - Param: \`${param}\``);
   if (loc) parts.push(`  - Code: \`${loc}\``);
   if (confidence) parts.push(`  - Confidence: ${confidence}`);
@@ -250,6 +286,52 @@ export const summarizeApiFuzzerHotspots = async (sourceDir, category, { maxHotsp
   return rendered ? `## API FUZZ HOTSPOTS (Context Pack)\n${rendered}\n` : null;
 };
 
+const dependencyMatchesSignal = (dep, signal) => {
+  if (signal.ecosystems && !signal.ecosystems.includes(dep.ecosystem)) return false;
+  const name = safeToString(dep.name);
+  const lastSegment = name.split(/[:/]/).pop();
+  const re = globToRegex(signal.name);
+  const anchored = new RegExp(`^(?:${re.source})$`, re.flags);
+  return anchored.test(name) || anchored.test(lastSegment);
+};
+
+// Match a plugin's dependency_signals against the OSV inventory; OSV-flagged versions first.
+export const summarizeDependencySignals = async (sourceDir, signals, { maxItems = DEFAULTS.maxDependencySignals } = {}) => {
+  if (!signals || !Array.isArray(signals.libraries) || signals.libraries.length === 0) return null;
+  const header = `## DEPENDENCY SIGNALS (Context Pack): ${signals.title}`;
+  const paths = getContextPackPaths(sourceDir);
+  const data = await safeReadJson(paths.dependenciesJson);
+  const deps = Array.isArray(data?.dependencies) ? data.dependencies : null;
+
+  if (!deps) {
+    const names = signals.libraries.slice(0, 12).map(lib => `\`${lib.name}\``).join(', ');
+    return `${header}\n` +
+      `- Dependency inventory not found (\`deliverables/_context/dependencies.json\`).\n` +
+      `- Check dependency manifests (pom.xml, build.gradle, composer.json, requirements.txt, *.csproj, package.json) for: ${names}\n`;
+  }
+
+  const matches = [];
+  for (const dep of deps) {
+    const signal = signals.libraries.find(lib => dependencyMatchesSignal(dep, lib));
+    if (signal) matches.push({ dep, signal, osvIds: Array.isArray(dep.osv_ids) ? dep.osv_ids : [] });
+  }
+
+  if (matches.length === 0) {
+    return `${header}\n- No listed library found in ${deps.length} inventoried dependencies. Do not raise priority from dependencies alone.\n`;
+  }
+
+  matches.sort((a, b) => (b.osvIds.length > 0) - (a.osvIds.length > 0));
+  const rendered = matches.slice(0, maxItems).map(({ dep, signal, osvIds }) => {
+    const lines = [`- ${osvIds.length > 0 ? '**PRIORITY HIGH** ' : ''}\`${dep.name}@${dep.version || '?'}\` (${dep.ecosystem}${dep.manifest ? `, ${dep.manifest}` : ''})`];
+    if (signal.note) lines.push(`  - Note: ${signal.note.slice(0, 240)}`);
+    if (osvIds.length > 0) lines.push(`  - OSV: ${osvIds.slice(0, 6).join(', ')}`);
+    return lines.join('\n');
+  }).join('\n');
+
+  const more = matches.length > maxItems ? `\n- ...and ${matches.length - maxItems} more (see \`deliverables/_context/dependencies.json\`)` : '';
+  return `${header}\n${rendered}${more}\n`;
+};
+
 export const extractCategorySectionFromReconVerify = (content, category, { maxChars = DEFAULTS.maxExcerptChars } = {}) => {
   const cat = normalizeCategory(category);
   const header = `## [CATEGORY: ${cat}]`;
@@ -257,7 +339,7 @@ export const extractCategorySectionFromReconVerify = (content, category, { maxCh
   if (idx === -1) return null;
 
   const after = content.slice(idx);
-  const nextIdx = after.slice(header.length).search(/\n## \[CATEGORY:\s*[A-Z]+\]/);
+  const nextIdx = after.slice(header.length).search(/\n## \[CATEGORY:\s*[A-Z][A-Z0-9-]*\]/);
   const section = nextIdx === -1 ? after : after.slice(0, header.length + nextIdx);
   return truncate(section.trim(), maxChars);
 };
@@ -344,6 +426,13 @@ export const assembleTargetedContext = async (sourceDir, agentName, distributedC
   const hotspots = await summarizeApiFuzzerHotspots(sourceDir, category, { maxHotspots: options.maxHotspots, avoidRules });
   if (hotspots) parts.push(hotspots);
 
+  // Plugin categories can flag libraries (e.g. gadget chains) from the dependency inventory.
+  const dependencySignals = getCategoryPlugin(category.toLowerCase())?.dependencySignals;
+  if (dependencySignals) {
+    const deps = await summarizeDependencySignals(sourceDir, dependencySignals, { maxItems: options.maxDependencySignals });
+    if (deps) parts.push(deps);
+  }
+
   // Auth session: pointer only (no secrets).
   const auth = await summarizeAuthSessionAvailable(sourceDir);
   if (auth) parts.push(auth);
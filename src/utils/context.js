@@ -55,6 +55,20 @@ export function getWebUrl() {
   return store?.webUrl || global.__DOKODEMODOOR_WEB_URL || null;
 }
 
+/**
+ * [목적] 현재 컨텍스트의 세션 ID 조회.
+ *
+ * [호출자]
+ * - vLLM provider 예산 기록 (utils/budget.js)
+ *
+ * [반환값]
+ * - string|null
+ */
+export function getSessionId() {
+  const store = agentContext.getStore();
+  return store?.sessionId || null;
+}
+
 /**
  * [목적] 에이전트 컨텍스트에서 함수를 실행.
  *
@@ -62,7 +76,7 @@ export function getWebUrl() {
  * - agent-executor.js
  *
  * [입력 파라미터]
- * - context (object): { agentName, targetDir, auditSession }
+ * - context (object): { agentName, targetDir, auditSession, webUrl, sessionId }
  * - fn (function)
  *
  * [반환값]
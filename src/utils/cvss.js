@@ -0,0 +1,519 @@
+/**
+ * CVSS Vector Calculator
+ *
+ * CVSS 3.1(3.0 포함)/4.0 벡터 문자열의 구문 검증과 기본 점수(Base Score) 계산. 에이전트가 severity를 임의로 고르지 않고
+ * 벡터에서 결정적으로 도출하도록 save_deliverable 검증(큐/증거)과 보고서(HTML/DOCX/SARIF)가 같은 계산을 사용.
+ * - 3.1: 명세 7장 공식 + Roundup (3.0 벡터는 3.0 올림 규칙)
+ * - 4.0: 명세 8장 MacroVector 조회표 + 심각도 거리 보간 (FIRST 공식 계산기와 같은 알고리즘)
+ * - 위협/환경/보조 메트릭은 값만 검증하고 점수에는 반영하지 않음 (항상 기본 점수)
+ *
+ * [주의사항]
+ * - 외부 의존성 없음: mcp-server 검증기가 직접 import하므로 config/레지스트리 모듈을 끌어오지 않아야 함
+ */
+
+// Queue/evidence item fields per CVSS version
+export const CVSS_VECTOR_FIELDS = Object.freeze({ v3: 'cvss_vector', v4: 'cvss_v4_vector' });
+export const CVSS_SCORE_FIELDS = Object.freeze({ v3: 'cvss_score', v4: 'cvss_v4_score' });
+
+// Qualitative rating scale shared by 3.1 and 4.0 (lower bound, inclusive)
+const RATING_SCALE = Object.freeze([
+  Object.freeze({ min: 9.0, severity: 'critical' }),
+  Object.freeze({ min: 7.0, severity: 'high' }),
+  Object.freeze({ min: 4.0, severity: 'medium' }),
+  Object.freeze({ min: 0.1, severity: 'low' }),
+  Object.freeze({ min: 0, severity: 'none' })
+]);
+
+const V3_METRICS = Object.freeze({
+  // Base (mandatory)
+  AV: ['N', 'A', 'L', 'P'], AC: ['L', 'H'], PR: ['N', 'L', 'H'], UI: ['N', 'R'], S: ['U', 'C'],
+  C: ['H', 'L', 'N'], I: ['H', 'L', 'N'], A: ['H', 'L', 'N'],
+  // Temporal
+  E: ['X', 'H', 'F', 'P', 'U'], RL: ['X', 'U', 'W', 'T', 'O'], RC: ['X', 'C', 'R', 'U'],
+  // Environmental
+  CR: ['X', 'H', 'M', 'L'], IR: ['X', 'H', 'M', 'L'], AR: ['X', 'H', 'M', 'L'],
+  MAV: ['X', 'N', 'A', 'L', 'P'], MAC: ['X', 'L', 'H'], MPR: ['X', 'N', 'L', 'H'], MUI: ['X', 'N', 'R'], MS: ['X', 'U', 'C'],
+  MC: ['X', 'H', 'L', 'N'], MI: ['X', 'H', 'L', 'N'], MA: ['X', 'H', 'L', 'N']
+});
+const V3_BASE = Object.freeze(['AV', 'AC', 'PR', 'UI', 'S', 'C', 'I', 'A']);
+
+const V3_WEIGHTS = Object.freeze({
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { U: { N: 0.85, L: 0.62, H: 0.27 }, C: { N: 0.85, L: 0.68, H: 0.5 } },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+});
+
+// 4.0 metrics in the order the specification requires them in a vector string
+const V4_METRICS = Object.freeze({
+  // Base (mandatory)
+  AV: ['N', 'A', 'L', 'P'], AC: ['L', 'H'], AT: ['N', 'P'], PR: ['N', 'L', 'H'], UI: ['N', 'P', 'A'],
+  VC: ['H', 'L', 'N'], VI: ['H', 'L', 'N'], VA: ['H', 'L', 'N'], SC: ['H', 'L', 'N'], SI: ['H', 'L', 'N'], SA: ['H', 'L', 'N'],
+  // Threat
+  E: ['X', 'A', 'P', 'U'],
+  // Environmental
+  CR: ['X', 'H', 'M', 'L'], IR: ['X', 'H', 'M', 'L'], AR: ['X', 'H', 'M', 'L'],
+  MAV: ['X', 'N', 'A', 'L', 'P'], MAC: ['X', 'L', 'H'], MAT: ['X', 'N', 'P'], MPR: ['X', 'N', 'L', 'H'], MUI: ['X', 'N', 'P', 'A'],
+  MVC: ['X', 'H', 'L', 'N'], MVI: ['X', 'H', 'L', 'N'], MVA: ['X', 'H', 'L', 'N'],
+  MSC: ['X', 'H', 'L', 'N'], MSI: ['X', 'S', 'H', 'L', 'N'], MSA: ['X', 'S', 'H', 'L', 'N'],
+  // Supplemental
+  S: ['X', 'N', 'P'], AU: ['X', 'N', 'Y'], R: ['X', 'A', 'U', 'I'], V: ['X', 'D', 'C'], RE: ['X', 'L', 'M', 'H'],
+  U: ['X', 'Clear', 'Green', 'Amber', 'Red']
+});
+const V4_BASE = Object.freeze(['AV', 'AC', 'AT', 'PR', 'UI', 'VC', 'VI', 'VA', 'SC', 'SI', 'SA']);
+// Worst-case values assumed for unset threat/environmental metrics (base score = CVSS-B)
+const V4_BASE_DEFAULTS = Object.freeze({ E: 'A', CR: 'H', IR: 'H', AR: 'H' });
+
+// Severity distance of each metric value from the most severe value (4.0 spec 8.2)
+const V4_LEVELS = Object.freeze({
+  AV: { N: 0.0, A: 0.1, L: 0.2, P: 0.3 },
+  PR: { N: 0.0, L: 0.1, H: 0.2 },
+  UI: { N: 0.0, P: 0.1, A: 0.2 },
+  AC: { L: 0.0, H: 0.1 },
+  AT: { N: 0.0, P: 0.1 },
+  VC: { H: 0.0, L: 0.1, N: 0.2 },
+  VI: { H: 0.0, L: 0.1, N: 0.2 },
+  VA: { H: 0.0, L: 0.1, N: 0.2 },
+  SC: { H: 0.1, L: 0.2, N: 0.3 },
+  SI: { S: 0.0, H: 0.1, L: 0.2, N: 0.3 },
+  SA: { S: 0.0, H: 0.1, L: 0.2, N: 0.3 },
+  CR: { H: 0.0, M: 0.1, L: 0.2 },
+  IR: { H: 0.0, M: 0.1, L: 0.2 },
+  AR: { H: 0.0, M: 0.1, L: 0.2 }
+});
+
+// Highest-severity vectors of each equivalence class (EQ3 is keyed by EQ3 then EQ6)
+const V4_MAX_COMPOSED = Object.freeze({
+  eq1: { 0: ['AV:N/PR:N/UI:N'], 1: ['AV:A/PR:N/UI:N', 'AV:N/PR:L/UI:N', 'AV:N/PR:N/UI:P'], 2: ['AV:P/PR:N/UI:N', 'AV:A/PR:L/UI:P'] },
+  eq2: { 0: ['AC:L/AT:N'], 1: ['AC:H/AT:N', 'AC:L/AT:P'] },
+  eq3: {
+    0: {
+      0: ['VC:H/VI:H/VA:H/CR:H/IR:H/AR:H'],
+      1: ['VC:H/VI:H/VA:L/CR:M/IR:M/AR:H', 'VC:H/VI:H/VA:H/CR:M/IR:M/AR:M']
+    },
+    1: {
+      0: ['VC:L/VI:H/VA:H/CR:H/IR:H/AR:H', 'VC:H/VI:L/VA:H/CR:H/IR:H/AR:H'],
+      1: [
+        'VC:L/VI:H/VA:L/CR:H/IR:M/AR:H', 'VC:L/VI:H/VA:H/CR:H/IR:M/AR:M', 'VC:H/VI:L/VA:H/CR:M/IR:H/AR:M',
+        'VC:H/VI:L/VA:L/CR:M/IR:H/AR:H', 'VC:L/VI:L/VA:H/CR:H/IR:H/AR:M'
+      ]
+    },
+    2: { 1: ['VC:L/VI:L/VA:L/CR:H/IR:H/AR:H'] }
+  },
+  eq4: { 0: ['SC:H/SI:S/SA:S'], 1: ['SC:H/SI:H/SA:H'], 2: ['SC:L/SI:L/SA:L'] },
+  eq5: { 0: ['E:A'], 1: ['E:P'], 2: ['E:U'] }
+});
+
+// Depth of each equivalence class in severity-distance steps
+const V4_MAX_SEVERITY = Object.freeze({
+  eq1: { 0: 1, 1: 4, 2: 5 },
+  eq2: { 0: 1, 1: 2 },
+  eq3eq6: { 0: { 0: 7, 1: 6 }, 1: { 0: 8, 1: 8 }, 2: { 1: 10 } },
+  eq4: { 0: 6, 1: 5, 2: 4 }
+});
+
+// Score of the highest-severity vector of every MacroVector (EQ1..EQ6 digits)
+const V4_LOOKUP = Object.freeze({
+  '000000': 10, '000001': 9.9, '000010': 9.8, '000011': 9.5, '000020': 9.5, '000021': 9.2,
+  '000100': 10, '000101': 9.6, '000110': 9.3, '000111': 8.7, '000120': 9.1, '000121': 8.1,
+  '000200': 9.3, '000201': 9, '000210': 8.9, '000211': 8, '000220': 8.1, '000221': 6.8,
+  '001000': 9.8, '001001': 9.5, '001010': 9.5, '001011': 9.2, '001020': 9, '001021': 8.4,
+  '001100': 9.3, '001101': 9.2, '001110': 8.9, '001111': 8.1, '001120': 8.1, '001121': 6.5,
+  '001200': 8.8, '001201': 8, '001210': 7.8, '001211': 7, '001220': 6.9, '001221': 4.8,
+  '002001': 9.2, '002011': 8.2, '002021': 7.2, '002101': 7.9, '002111': 6.9, '002121': 5,
+  '002201': 6.9, '002211': 5.5, '002221': 2.7,
+  '010000': 9.9, '010001': 9.7, '010010': 9.5, '010011': 9.2, '010020': 9.2, '010021': 8.5,
+  '010100': 9.5, '010101': 9.1, '010110': 9, '010111': 8.3, '010120': 8.4, '010121': 7.1,
+  '010200': 9.2, '010201': 8.1, '010210': 8.2, '010211': 7.1, '010220': 7.2, '010221': 5.3,
+  '011000': 9.5, '011001': 9.3, '011010': 9.2, '011011': 8.5, '011020': 8.5, '011021': 7.3,
+  '011100': 9.2, '011101': 8.2, '011110': 8, '011111': 7.2, '011120': 7, '011121': 5.9,
+  '011200': 8.4, '011201': 7, '011210': 7.1, '011211': 5.2, '011220': 5, '011221': 3,
+  '012001': 8.6, '012011': 7.5, '012021': 5.2, '012101': 7.1, '012111': 5.2, '012121': 2.9,
+  '012201': 6.3, '012211': 2.9, '012221': 1.7,
+  '100000': 9.8, '100001': 9.5, '100010': 9.4, '100011': 8.7, '100020': 9.1, '100021': 8.1,
+  '100100': 9.4, '100101': 8.9, '100110': 8.6, '100111': 7.4, '100120': 7.7, '100121': 6.4,
+  '100200': 8.7, '100201': 7.5, '100210': 7.4, '100211': 6.3, '100220': 6.3, '100221': 4.9,
+  '101000': 9.4, '101001': 8.9, '101010': 8.8, '101011': 7.7, '101020': 7.6, '101021': 6.7,
+  '101100': 8.6, '101101': 7.6, '101110': 7.4, '101111': 5.8, '101120': 5.9, '101121': 5,
+  '101200': 7.2, '101201': 5.7, '101210': 5.7, '101211': 5.2, '101220': 5.2, '101221': 2.5,
+  '102001': 8.3, '102011': 7, '102021': 5.4, '102101': 6.5, '102111': 5.8, '102121': 2.6,
+  '102201': 5.3, '102211': 2.1, '102221': 1.3,
+  '110000': 9.5, '110001': 9, '110010': 8.8, '110011': 7.6, '110020': 7.6, '110021': 7,
+  '110100': 9, '110101': 7.7, '110110': 7.5, '110111': 6.2, '110120': 6.1, '110121': 5.3,
+  '110200': 7.7, '110201': 6.6, '110210': 6.8, '110211': 5.9, '110220': 5.2, '110221': 3,
+  '111000': 8.9, '111001': 7.8, '111010': 7.6, '111011': 6.7, '111020': 6.2, '111021': 5.8,
+  '111100': 7.4, '111101': 5.9, '111110': 5.7, '111111': 5.7, '111120': 4.7, '111121': 2.3,
+  '111200': 6.1, '111201': 5.2, '111210': 5.7, '111211': 2.9, '111220': 2.4, '111221': 1.6,
+  '112001': 7.1, '112011': 5.9, '112021': 3, '112101': 5.8, '112111': 2.6, '112121': 1.5,
+  '112201': 2.3, '112211': 1.3, '112221': 0.6,
+  '200000': 9.3, '200001': 8.7, '200010': 8.6, '200011': 7.2, '200020': 7.5, '200021': 5.8,
+  '200100': 8.6, '200101': 7.4, '200110': 7.4, '200111': 6.1, '200120': 5.6, '200121': 3.4,
+  '200200': 7, '200201': 5.4, '200210': 5.2, '200211': 4, '200220': 4, '200221': 2.2,
+  '201000': 8.5, '201001': 7.5, '201010': 7.4, '201011': 5.5, '201020': 6.2, '201021': 5.1,
+  '201100': 7.2, '201101': 5.7, '201110': 5.5, '201111': 4.1, '201120': 4.6, '201121': 1.9,
+  '201200': 5.3, '201201': 3.6, '201210': 3.4, '201211': 1.9, '201220': 1.9, '201221': 0.8,
+  '202001': 6.4, '202011': 5.1, '202021': 2, '202101': 4.7, '202111': 2.1, '202121': 1.1,
+  '202201': 2.4, '202211': 0.9, '202221': 0.4,
+  '210000': 8.8, '210001': 7.5, '210010': 7.3, '210011': 5.3, '210020': 6, '210021': 5,
+  '210100': 7.3, '210101': 5.5, '210110': 5.9, '210111': 4, '210120': 4.1, '210121': 2,
+  '210200': 5.4, '210201': 4.3, '210210': 4.5, '210211': 2.2, '210220': 2, '210221': 1.1,
+  '211000': 7.5, '211001': 5.5, '211010': 5.8, '211011': 4.5, '211020': 4, '211021': 2.1,
+  '211100': 6.1, '211101': 5.1, '211110': 4.8, '211111': 1.8, '211120': 2, '211121': 0.9,
+  '211200': 4.6, '211201': 1.8, '211210': 1.7, '211211': 0.7, '211220': 0.8, '211221': 0.2,
+  '212001': 5.3, '212011': 2.4, '212021': 1.4, '212101': 2.4, '212111': 1.2, '212121': 0.5,
+  '212201': 1, '212211': 0.3, '212221': 0.1
+});
+
+/**
+ * [목적] 점수를 정성 등급으로 변환 (3.1/4.0 공통 척도).
+ * @param {number} score - 0.0 ~ 10.0
+ * @returns {'critical'|'high'|'medium'|'low'|'none'}
+ */
+export const severityFromScore = score => RATING_SCALE.find(({ min }) => score >= min).severity;
+
+/**
+ * [목적] 'PREFIX/K:V/K:V' 메트릭 부분을 검증하며 { K: V }로 분해.
+ *
+ * [반환값]
+ * - { metrics } 또는 { error }
+ */
+const parseMetrics = (parts, definitions, mandatory, { ordered }) => {
+  const order = Object.keys(definitions);
+  const metrics = {};
+  let lastIndex = -1;
+  for (const part of parts) {
+    const match = part.match(/^([A-Z]+):([A-Za-z]+)$/);
+    if (!match) return { error: `malformed metric '${part}'` };
+    const [, key, value] = match;
+    if (!definitions[key]) return { error: `unknown metric '${key}'` };
+    if (metrics[key] !== undefined) return { error: `duplicate metric '${key}'` };
+    if (!definitions[key].includes(value)) {
+      return { error: `invalid value '${value}' for ${key} (allowed: ${definitions[key].join(', ')})` };
+    }
+    const index = order.indexOf(key);
+    if (ordered && index < lastIndex) return { error: `metric '${key}' is out of order (expected ${order.join('/')})` };
+    lastIndex = index;
+    metrics[key] = value;
+  }
+  const missing = mandatory.filter(key => metrics[key] === undefined);
+  if (missing.length > 0) return { error: `missing base metric(s) ${missing.join(', ')}` };
+  return { metrics };
+};
+
+/**
+ * [목적] 3.1 명세 부록 A의 Roundup (부동소수 오차 없이 소수 첫째 자리 올림).
+ */
+const roundUpV31 = (value) => {
+  const intValue = Math.round(value * 100000);
+  return intValue % 10000 === 0 ? intValue / 100000 : (Math.floor(intValue / 10000) + 1) / 10;
+};
+
+const roundUpV30 = value => Math.ceil(value * 10) / 10;
+
+/**
+ * [목적] CVSS 3.x 기본 점수 계산 (명세 7.1).
+ */
+const scoreV3 = (metrics, version) => {
+  const roundUp = version === '3.0' ? roundUpV30 : roundUpV31;
+  const changed = metrics.S === 'C';
+  const iss = 1 - ((1 - V3_WEIGHTS.CIA[metrics.C]) * (1 - V3_WEIGHTS.CIA[metrics.I]) * (1 - V3_WEIGHTS.CIA[metrics.A]));
+  const impact = changed ? (7.52 * (iss - 0.029)) - (3.25 * ((iss - 0.02) ** 15)) : 6.42 * iss;
+  const exploitability = 8.22 * V3_WEIGHTS.AV[metrics.AV] * V3_WEIGHTS.AC[metrics.AC]
+    * V3_WEIGHTS.PR[metrics.S][metrics.PR] * V3_WEIGHTS.UI[metrics.UI];
+
+  if (impact <= 0) return 0;
+  return changed
+    ? roundUp(Math.min(1.08 * (impact + exploitability), 10))
+    : roundUp(Math.min(impact + exploitability, 10));
+};
+
+/**
+ * [목적] 4.0 메트릭 값으로 EQ1~EQ6 MacroVector 계산 (명세 8.1 표 24~29).
+ */
+const macroVectorV4 = (m) => {
+  let eq1 = 2;
+  if (m.AV === 'N' && m.PR === 'N' && m.UI === 'N') eq1 = 0;
+  else if ((m.AV === 'N' || m.PR === 'N' || m.UI === 'N') && m.AV !== 'P') eq1 = 1;
+
+  const eq2 = m.AC === 'L' && m.AT === 'N' ? 0 : 1;
+
+  let eq3 = 2;
+  if (m.VC === 'H' && m.VI === 'H') eq3 = 0;
+  else if (m.VC === 'H' || m.VI === 'H' || m.VA === 'H') eq3 = 1;
+
+  let eq4 = 2;
+  if (m.SI === 'S' || m.SA === 'S') eq4 = 0;
+  else if (m.SC === 'H' || m.SI === 'H' || m.SA === 'H') eq4 = 1;
+
+  const eq5 = { A: 0, P: 1, U: 2 }[m.E];
+  const eq6 = (m.CR === 'H' && m.VC === 'H') || (m.IR === 'H' && m.VI === 'H') || (m.AR === 'H' && m.VA === 'H') ? 0 : 1;
+
+  return [eq1, eq2, eq3, eq4, eq5, eq6];
+};
+
+const lookupV4 = eqs => V4_LOOKUP[eqs.join('')] ?? NaN;
+
+const parseMaxVector = text => Object.fromEntries(text.split('/').map(part => part.split(':')));
+
+/**
+ * [목적] CVSS 4.0 기본 점수 계산: MacroVector 점수에서 같은 MacroVector 최고 심각도 벡터와의 거리만큼 보간해 감점 (명세 8.2).
+ */
+const scoreV4 = (base) => {
+  const m = { ...base, ...V4_BASE_DEFAULTS };
+  if (['VC', 'VI', 'VA', 'SC', 'SI', 'SA'].every(key => m[key] === 'N')) return 0;
+
+  const eqs = macroVectorV4(m);
+  const [eq1, eq2, eq3, eq4, eq5, eq6] = eqs;
+  const value = lookupV4(eqs);
+
+  // Score of the next lower MacroVector per EQ (NaN when there is none)
+  const lower = {
+    eq1: lookupV4([eq1 + 1, eq2, eq3, eq4, eq5, eq6]),
+    eq2: lookupV4([eq1, eq2 + 1, eq3, eq4, eq5, eq6]),
+    eq4: lookupV4([eq1, eq2, eq3, eq4 + 1, eq5, eq6]),
+    eq5: lookupV4([eq1, eq2, eq3, eq4, eq5 + 1, eq6])
+  };
+  if (eq3 === 0 && eq6 === 0) {
+    // 00 → 01 or 10: take the higher of the two paths
+    const left = lookupV4([eq1, eq2, eq3, eq4, eq5, eq6 + 1]);
+    const right = lookupV4([eq1, eq2, eq3 + 1, eq4, eq5, eq6]);
+    lower.eq3eq6 = left > right ? left : right;
+  } else if (eq3 === 1 && eq6 === 0) {
+    lower.eq3eq6 = lookupV4([eq1, eq2, eq3, eq4, eq5, eq6 + 1]);
+  } else if (eq3 === 2) {
+    lower.eq3eq6 = lookupV4([eq1, eq2, eq3 + 1, eq4, eq5, eq6 + 1]);
+  } else {
+    lower.eq3eq6 = lookupV4([eq1, eq2, eq3 + 1, eq4, eq5, eq6]);
+  }
+
+  // First highest-severity vector of this MacroVector that the scored vector does not exceed
+  const maxVectors = [];
+  for (const a of V4_MAX_COMPOSED.eq1[eq1]) {
+    for (const b of V4_MAX_COMPOSED.eq2[eq2]) {
+      for (const c of V4_MAX_COMPOSED.eq3[eq3][eq6]) {
+        for (const d of V4_MAX_COMPOSED.eq4[eq4]) {
+          for (const e of V4_MAX_COMPOSED.eq5[eq5]) maxVectors.push(parseMaxVector([a, b, c, d, e].join('/')));
+        }
+      }
+    }
+  }
+  let distance = {};
+  for (const max of maxVectors) {
+    distance = Object.fromEntries(Object.keys(V4_LEVELS).map(key => [key, V4_LEVELS[key][m[key]] - V4_LEVELS[key][max[key]]]));
+    if (Object.values(distance).every(delta => delta >= 0)) break;
+  }
+
+  const step = 0.1;
+  const current = {
+    eq1: distance.AV + distance.PR + distance.UI,
+    eq2: distance.AC + distance.AT,
+    eq3eq6: distance.VC + distance.VI + distance.VA + distance.CR + distance.IR + distance.AR,
+    eq4: distance.SC + distance.SI + distance.SA
+  };
+  const depth = {
+    eq1: V4_MAX_SEVERITY.eq1[eq1] * step,
+    eq2: V4_MAX_SEVERITY.eq2[eq2] * step,
+    eq3eq6: V4_MAX_SEVERITY.eq3eq6[eq3][eq6] * step,
+    eq4: V4_MAX_SEVERITY.eq4[eq4] * step
+  };
+
+  let existingLower = 0;
+  let totalDistance = 0;
+  for (const key of ['eq1', 'eq2', 'eq3eq6', 'eq4', 'eq5']) {
+    const available = value - lower[key];
+    if (Number.isNaN(available)) continue;
+    existingLower += 1;
+    // EQ5 has no intra-class distance (always the maximal threat value)
+    if (key !== 'eq5') totalDistance += available * (current[key] / depth[key]);
+  }
+  const score = Math.min(Math.max(value - (existingLower === 0 ? 0 : totalDistance / existingLower), 0), 10);
+  return Math.round((score + 1e-6) * 10) / 10;
+};
+
+/**
+ * [목적] CVSS 벡터 문자열 검증 + 기본 점수/등급 계산.
+ *
+ * [호출자]
+ * - mcp-server/src/validation/queue-validator.js, evidence-validator.js (checkCvssFields 경유)
+ * - src/utils/report-model.js, src/cli/sarif.js (보고서 표시 점수)
+ *
+ * [입력 파라미터]
+ * - vector (string): 'CVSS:3.1/AV:N/...' | 'CVSS:3.0/...' | 'CVSS:4.0/AV:N/...'
+ *
+ * [반환값]
+ * - { valid: true, version: '3.0'|'3.1'|'4.0', vector, score: number, severity }
+ * - { valid: false, vector, error: string }
+ *
+ * [주의사항]
+ * - 4.0 벡터는 명세대로 메트릭 순서를 강제. 3.x는 순서 무관
+ * - 위협/환경/보조 메트릭은 허용 값만 검사하고 점수는 항상 기본 점수 (4.0은 CVSS-B)
+ */
+export function calculateCvss(vector) {
+  const text = typeof vector === 'string' ? vector.trim() : '';
+  const match = text.match(/^CVSS:(3\.0|3\.1|4\.0)\/(.+)$/);
+  if (!match) {
+    return { valid: false, vector: text, error: 'expected a vector starting with CVSS:3.1/ or CVSS:4.0/' };
+  }
+
+  const [, version, body] = match;
+  const isV4 = version === '4.0';
+  const { metrics, error } = parseMetrics(
+    body.split('/'),
+    isV4 ? V4_METRICS : V3_METRICS,
+    isV4 ? V4_BASE : V3_BASE,
+    { ordered: isV4 }
+  );
+  if (error) return { valid: false, vector: text, error: `CVSS:${version} ${error}` };
+
+  const score = isV4 ? scoreV4(metrics) : scoreV3(metrics, version);
+  return { valid: true, version, vector: text, score, severity: severityFromScore(score) };
+}
+
+/**
+ * [목적] 큐/증거 항목의 CVSS 필드 검증: 벡터 구문, 기재 점수와 계산 점수 일치, severity와 등급 일치.
+ *
+ * [호출자]
+ * - mcp-server/src/validation/queue-validator.js::validateQueueJson()
+ * - mcp-server/src/validation/evidence-validator.js::validateEvidenceJson()
+ *
+ * [입력 파라미터]
+ * - item (object): 큐/증거 항목 (cvss_vector, cvss_v4_vector, cvss_score, cvss_v4_score, severity)
+ *
+ * [반환값]
+ * - { error: string|null, v3: object|null, v4: object|null }
+ *   - v3/v4: calculateCvss() 결과 (벡터 미기재 시 null)
+ *
+ * [부작용]
+ * - 검증 통과 시 계산된 점수를 item.cvss_score / item.cvss_v4_score에 기록 (에이전트 기재값을 결정적 값으로 고정)
+ *
+ * [주의사항]
+ * - severity 기준 점수는 3.1 벡터 (없으면 4.0). 두 버전 점수는 구간이 다를 수 있어 4.0 등급은 3.1과 함께 있으면 강제하지 않음
+ * - 점수 0.0(영향 없음) 벡터는 취약점 항목으로 거부
+ */
+export function checkCvssFields(item) {
+  const results = {};
+  for (const [key, field] of Object.entries(CVSS_VECTOR_FIELDS)) {
+    const raw = item[field];
+    if (raw === undefined || raw === null || raw === '') {
+      results[key] = null;
+      continue;
+    }
+    const result = calculateCvss(raw);
+    if (!result.valid) return { error: `${field} is invalid: ${result.error}`, v3: null, v4: null };
+    const expected = key === 'v4' ? '4.0' : '3.';
+    if (!result.version.startsWith(expected)) {
+      return { error: `${field} must be a CVSS:${key === 'v4' ? '4.0' : '3.1'} vector (received CVSS:${result.version})`, v3: null, v4: null };
+    }
+
+    const scoreField = CVSS_SCORE_FIELDS[key];
+    if (item[scoreField] !== undefined && item[scoreField] !== null && item[scoreField] !== '') {
+      const stated = Number.parseFloat(item[scoreField]);
+      if (Number.isNaN(stated) || Math.abs(stated - result.score) > 0.05) {
+        return { error: `${scoreField} ${item[scoreField]} does not match ${field} (computed ${result.score.toFixed(1)}); omit ${scoreField} or fix the vector`, v3: null, v4: null };
+      }
+    }
+    results[key] = result;
+  }
+
+  const basis = results.v3 || results.v4;
+  if (basis) {
+    const basisField = results.v3 ? CVSS_VECTOR_FIELDS.v3 : CVSS_VECTOR_FIELDS.v4;
+    if (basis.severity === 'none') {
+      return { error: `${basisField} scores 0.0 (no impact); a finding needs at least one non-None impact metric`, v3: null, v4: null };
+    }
+    const severity = typeof item.severity === 'string' ? item.severity.trim().toLowerCase() : null;
+    if (severity && severity !== basis.severity) {
+      const rating = basis.severity.charAt(0).toUpperCase() + basis.severity.slice(1);
+      return { error: `severity '${item.severity}' is inconsistent with ${basisField} (score ${basis.score.toFixed(1)} = ${rating}); derive severity from the vector`, v3: null, v4: null };
+    }
+  }
+
+  if (results.v3) item[CVSS_SCORE_FIELDS.v3] = results.v3.score;
+  if (results.v4) item[CVSS_SCORE_FIELDS.v4] = results.v4.score;
+  return { error: null, v3: results.v3, v4: results.v4 };
+}
+
+/**
+ * [목적] 기존 큐 항목(저장 시 CVSS 검증 도입 이전에 저장된 것 포함)의 CVSS 필드를 거부 대신 계산 결과로 정규화.
+ *
+ * [호출자]
+ * - mcp-server/src/validation/queue-validator.js::validateQueueJson() (normalizeCvss 모드, 기존 큐 병합용)
+ *
+ * [반환값]
+ * - string[]: 변경 내역 (로그용, 변경 없으면 빈 배열)
+ *
+ * [부작용]
+ * - 계산 가능한 벡터: 점수를 계산값으로 덮어쓰고 severity를 기준 벡터(3.1, 없으면 4.0) 등급으로 변경
+ * - 계산 불가/버전 불일치 벡터와 0.0 기준 벡터: 벡터와 점수 필드 제거 (발견 항목 자체는 보존)
+ *
+ * [주의사항]
+ * - 정규화된 항목은 checkCvssFields()를 통과함
+ */
+export function normalizeCvssFields(item) {
+  const changes = [];
+  const results = {};
+  const dropVector = (key, reason) => {
+    delete item[CVSS_VECTOR_FIELDS[key]];
+    delete item[CVSS_SCORE_FIELDS[key]];
+    results[key] = null;
+    changes.push(`dropped ${CVSS_VECTOR_FIELDS[key]} (${reason})`);
+  };
+
+  for (const [key, field] of Object.entries(CVSS_VECTOR_FIELDS)) {
+    const raw = item[field];
+    if (raw === undefined || raw === null || raw === '') {
+      results[key] = null;
+      continue;
+    }
+    const result = calculateCvss(raw);
+    if (!result.valid) {
+      dropVector(key, result.error);
+    } else if (!result.version.startsWith(key === 'v4' ? '4.0' : '3.')) {
+      dropVector(key, `unexpected CVSS:${result.version}`);
+    } else {
+      const scoreField = CVSS_SCORE_FIELDS[key];
+      const stated = Number.parseFloat(item[scoreField]);
+      if (item[scoreField] !== undefined && item[scoreField] !== null && !(Math.abs(stated - result.score) <= 0.05)) {
+        changes.push(`${scoreField} ${item[scoreField]} -> ${result.score.toFixed(1)}`);
+      }
+      item[scoreField] = result.score;
+      results[key] = result;
+    }
+  }
+
+  const basisKey = results.v3 ? 'v3' : (results.v4 ? 'v4' : null);
+  if (basisKey && results[basisKey].severity === 'none') {
+    dropVector(basisKey, 'scores 0.0');
+  }
+  const basis = results.v3 || results.v4;
+  if (basis) {
+    const rating = basis.severity.charAt(0).toUpperCase() + basis.severity.slice(1);
+    if (item.severity !== rating) {
+      changes.push(`severity ${item.severity} -> ${rating}`);
+      item.severity = rating;
+    }
+  }
+  return changes;
+}
+
+/**
+ * [목적] 취약점(큐 항목 + 증거)의 표시용 CVSS 점수: 증거의 재평가 벡터 우선, 없으면 큐 벡터.
+ *
+ * [호출자]
+ * - src/utils/report-model.js (HTML/DOCX 점수 표시, severity 결정)
+ * - src/cli/sarif.js (security-severity)
+ *
+ * [반환값]
+ * - { v3, v4, scored }
+ *   - v3/v4: calculateCvss() 결과 (벡터 없으면 null, 잘못된 벡터는 valid:false로 그대로 반환해 표시)
+ *   - scored: severity 기준 결과 (3.1 → 4.0 순으로 첫 유효 + 0.0 초과), 없으면 null
+ */
+export function scoreFindingCvss(item, evidence = null) {
+  const results = Object.fromEntries(Object.entries(CVSS_VECTOR_FIELDS).map(([key, field]) => {
+    const vector = evidence?.[field] || item?.[field];
+    return [key, vector ? calculateCvss(vector) : null];
+  }));
+  const scored = [results.v3, results.v4].find(result => result?.valid && result.severity !== 'none') || null;
+  return { ...results, scored };
+}
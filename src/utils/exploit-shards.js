@@ -0,0 +1,177 @@
+/**
+ * [목적] 큰 익스플로잇 큐를 샤드로 나누고, 샤드별 증거 파일을 하나의 *_exploitation_evidence.json으로 병합.
+ *
+ * [호출자]
+ * - checkpoint-manager.js runSingleAgent() (exploit 에이전트, DOKODEMODOOR_EXPLOIT_SHARD_SIZE > 0)
+ *
+ * [출력]
+ * - 샤드 증거 보관: deliverables/_shards/<category>/evidence-shard-<n>.json
+ * - 병합 결과: deliverables/<category>_exploitation_evidence.json
+ *
+ * [주의사항]
+ * - 샤드는 같은 에이전트(같은 Playwright 인스턴스, 같은 증거 파일명)를 쓰므로 반드시 순차 실행
+ */
+
+import { fs, path } from 'zx';
+import { validateEvidenceJson } from '../../mcp-server/src/validation/evidence-validator.js';
+
+const VERDICT_RANK = Object.freeze({
+  EXPLOITED: 3,
+  BLOCKED_BY_SECURITY: 2,
+  POTENTIAL: 1
+});
+
+/**
+ * [목적] save_deliverable과 같은 규칙으로 verdict 정규화.
+ */
+const normalizeVerdict = (value) => {
+  const normalized = String(value || '').toUpperCase().trim();
+  if (VERDICT_RANK[normalized]) return normalized;
+  if (normalized === 'FALSE_POSITIVE' || normalized === 'NOT VULNERABLE' || normalized === 'NOT_VULNERABLE') {
+    return 'BLOCKED_BY_SECURITY';
+  }
+  return 'POTENTIAL';
+};
+
+/**
+ * [목적] 큐 항목 ID (ID/id/vulnerability_id 순).
+ */
+export const getQueueItemId = (item) => String(item?.ID ?? item?.id ?? item?.vulnerability_id ?? '').trim();
+
+/**
+ * [목적] 큐를 shardSize 단위로 분할.
+ * @param {object|null} queueData - { vulnerabilities: [...] }
+ * @param {number} shardSize - 샤드당 최대 항목 수 (0 이하면 분할 안 함)
+ * @returns {Array<object>} 샤드 큐 목록 (분할이 필요 없으면 빈 배열)
+ */
+export function splitQueueIntoShards(queueData, shardSize) {
+  const items = Array.isArray(queueData?.vulnerabilities) ? queueData.vulnerabilities : [];
+  if (!Number.isInteger(shardSize) || shardSize <= 0 || items.length <= shardSize) {
+    return [];
+  }
+
+  const shards = [];
+  for (let start = 0; start < items.length; start += shardSize) {
+    shards.push({ ...queueData, vulnerabilities: items.slice(start, start + shardSize) });
+  }
+  return shards;
+}
+
+/**
+ * [목적] 카테고리별 증거/샤드 경로.
+ * @param {string} targetRepo
+ * @param {string} category
+ * @returns {{ evidenceFile: string, shardDir: string, shardFile: (index: number) => string, previousFile: string }}
+ */
+export function getShardPaths(targetRepo, category) {
+  const deliverablesDir = path.join(targetRepo, 'deliverables');
+  const shardDir = path.join(deliverablesDir, '_shards', category);
+  return Object.freeze({
+    evidenceFile: path.join(deliverablesDir, `${category}_exploitation_evidence.json`),
+    shardDir,
+    shardFile: (index) => path.join(shardDir, `evidence-shard-${index + 1}.json`),
+    previousFile: path.join(shardDir, 'evidence-previous.json')
+  });
+}
+
+/**
+ * [목적] 현재 증거 파일을 보관 경로로 이동 (다음 샤드가 빈 파일에서 시작하도록).
+ * @returns {Promise<boolean>} 이동 여부
+ */
+export async function stashEvidenceFile(evidenceFile, destination) {
+  if (!await fs.pathExists(evidenceFile)) return false;
+  await fs.ensureDir(path.dirname(destination));
+  await fs.move(evidenceFile, destination, { overwrite: true });
+  return true;
+}
+
+/**
+ * [목적] 샤드 에이전트에 주입할 범위 지시문.
+ * @param {number} index - 0부터 시작
+ * @param {number} count - 전체 샤드 수
+ * @param {object} shardQueue - 이 샤드의 큐
+ * @param {string} category
+ * @returns {string}
+ */
+export function buildShardContext(index, count, shardQueue, category) {
+  const ids = shardQueue.vulnerabilities.map(getQueueItemId).filter(Boolean);
+  return `\n\n# EXPLOITATION SHARD ${index + 1}/${count} (MANDATORY SCOPE)\n` +
+    `The full \`${category}_exploitation_queue.json\` is split across ${count} separate runs. ` +
+    `In THIS run, exploit ONLY these ${shardQueue.vulnerabilities.length} queue items and ignore every other item in the queue file:\n` +
+    (ids.length ? ids.map(id => `- ${id}`).join('\n') : '- (items listed in the Queue Overview above)') +
+    `\nKeep each item's queue ID as its \`vulnerability_id\`. Save evidence for these items only; shards are merged automatically.\n`;
+}
+
+/**
+ * [목적] 증거 파일 로드 (save_deliverable과 같은 복구 파서 사용).
+ * @returns {Promise<object|null>}
+ */
+export async function readEvidenceFile(filePath) {
+  if (!await fs.pathExists(filePath)) return null;
+  const validation = validateEvidenceJson(await fs.readFile(filePath, 'utf8'));
+  return validation.valid ? validation.data : null;
+}
+
+/**
+ * [목적] 샤드별 증거를 하나로 병합. ID는 큐 ID 기준으로 맞추고, 같은 ID는 더 강한 verdict 쪽을 기준으로 합침.
+ *
+ * [입력 파라미터]
+ * - sources (Array<{ label: string, queueIds: string[], data: object|null }>): 앞선 소스부터
+ * - queueData (object): 전체 큐 (출력 순서 기준)
+ *
+ * [반환값]
+ * - object: { vulnerabilities: [...] }
+ *
+ * [주의사항]
+ * - 자기 샤드 밖의 ID가 다른 소스와 충돌하면 `<ID>-<LABEL>`(예: SQLI-VULN-03-SHARD-2)로 바꿔 덮어쓰기를 막음
+ */
+export function mergeShardEvidence(sources, queueData) {
+  const queueOrder = (queueData?.vulnerabilities || []).map(getQueueItemId).filter(Boolean);
+  const queueIdsUpper = new Map(queueOrder.map(id => [id.toUpperCase(), id]));
+  const merged = new Map();
+  const extras = [];
+
+  for (const source of sources) {
+    const list = Array.isArray(source.data?.vulnerabilities) ? source.data.vulnerabilities : [];
+    const ownIds = new Set(source.queueIds.map(id => id.toUpperCase()));
+    const seenInSource = new Set();
+
+    for (const vuln of list) {
+      const rawId = String(vuln?.vulnerability_id || '').trim();
+      let id = queueIdsUpper.get(rawId.toUpperCase()) || rawId;
+      const isOwnQueueItem = ownIds.has(id.toUpperCase());
+
+      // IDs outside this shard's queue slice must not clobber another shard's entry
+      if (!isOwnQueueItem && (queueIdsUpper.has(id.toUpperCase()) || (merged.has(id) && !seenInSource.has(id)))) {
+        id = `${rawId || 'UNNAMED'}-${String(source.label).toUpperCase()}`;
+      }
+      seenInSource.add(id);
+
+      const entry = {
+        ...vuln,
+        vulnerability_id: id,
+        verdict: normalizeVerdict(vuln.verdict),
+        evidence: Array.isArray(vuln.evidence) ? vuln.evidence : []
+      };
+
+      const existing = merged.get(id);
+      if (!existing) {
+        merged.set(id, entry);
+        if (!queueIdsUpper.has(id.toUpperCase())) extras.push(id);
+        continue;
+      }
+
+      const [base, other] = VERDICT_RANK[entry.verdict] > VERDICT_RANK[existing.verdict]
+        ? [entry, existing]
+        : [existing, entry];
+      merged.set(id, { ...base, evidence: [...base.evidence, ...other.evidence] });
+    }
+  }
+
+  const ordered = [
+    ...queueOrder.filter(id => merged.has(id)),
+    ...extras
+  ].map(id => merged.get(id));
+
+  return { vulnerabilities: ordered };
+}
@@ -0,0 +1,255 @@
+/**
+ * Exploitation Findings Loader
+ *
+ * 세션(또는 deliverables 디렉터리)의 익스플로잇 큐(*_exploitation_queue.json)와 증거(*_exploitation_evidence.json)를
+ * 취약점 단위로 묶어 읽는 공용 헬퍼. --diff, --sarif, HTML 보고서 등 산출물 후처리가 같은 해석을 쓰도록 모음.
+ * - 세션 → 산출물 디렉터리: 완료 시 보관된 <targetRepo>/deliverables__<timestamp>_<id8> 우선, 없으면 <targetRepo>/deliverables
+ * - 큐 항목 ↔ 증거: 큐의 ID(ID/id/vulnerability_id)와 증거의 vulnerability_id로 매칭
+ * - 큐/증거 파일은 읽기만 함
+ */
+
+import { fs, path } from 'zx';
+import chalk from 'chalk';
+import { PentestError } from '../error-handling.js';
+import { getCategoryPlugin } from '../config/category-registry.js';
+
+export const QUEUE_SUFFIX = '_exploitation_queue.json';
+export const EVIDENCE_SUFFIX = '_exploitation_evidence.json';
+export const EXPLOIT_VERDICTS = Object.freeze(['EXPLOITED', 'POTENTIAL', 'BLOCKED_BY_SECURITY']);
+// Queue severity values, most severe first
+export const SEVERITY_LEVELS = Object.freeze(['critical', 'high', 'medium', 'low']);
+
+const ARCHIVE_PATTERN = /^deliverables__.+_([0-9a-f]{8})(?:_\d+)?$/;
+const LOCATION_PATTERN = /([\w@.\/\\-]+\.[A-Za-z0-9]+):(\d+)/;
+
+// Queue field names per component (first non-empty wins; categories use different schemas)
+export const ENDPOINT_FIELDS = Object.freeze(['endpoint', 'source_endpoint', 'affected_endpoint', 'url']);
+export const PARAMETER_FIELDS = Object.freeze(['vulnerable_parameter', 'parameter', 'param']);
+// Queue fields holding a code location; the first one with file:line is the primary location.
+// Other string fields (plugin schemas such as parser_config) are scanned afterwards, except free-form payload/notes.
+export const LOCATION_FIELDS = Object.freeze(['source', 'vulnerable_code_location', 'sink_call', 'render_call', 'sink_location', 'sink']);
+const NON_LOCATION_FIELDS = Object.freeze(['witness_payload', 'notes']);
+// Queue fields explaining why the item is vulnerable (first non-empty wins)
+export const REASON_FIELDS = Object.freeze(['mismatch_reason', 'reason', 'missing_defense', 'exploitation_hypothesis', 'guard_evidence', 'description', 'notes']);
+
+/**
+ * 내장 카테고리 표시 이름과 CWE (플러그인 카테고리는 category.yaml의 display_name / cwe)
+ */
+const BUILTIN_CATEGORIES = Object.freeze({
+  sqli: Object.freeze({ title: 'SQL Injection', cwe: Object.freeze(['CWE-89']) }),
+  codei: Object.freeze({ title: 'Code / Command Injection', cwe: Object.freeze(['CWE-94', 'CWE-78']) }),
+  ssti: Object.freeze({ title: 'Server-Side Template Injection', cwe: Object.freeze(['CWE-1336']) }),
+  pathi: Object.freeze({ title: 'Path Traversal', cwe: Object.freeze(['CWE-22']) }),
+  xss: Object.freeze({ title: 'Cross-Site Scripting', cwe: Object.freeze(['CWE-79']) }),
+  auth: Object.freeze({ title: 'Broken Authentication', cwe: Object.freeze(['CWE-287']) }),
+  authz: Object.freeze({ title: 'Broken Access Control', cwe: Object.freeze(['CWE-285', 'CWE-639']) }),
+  ssrf: Object.freeze({ title: 'Server-Side Request Forgery', cwe: Object.freeze(['CWE-918']) }),
+  osv: Object.freeze({ title: 'Vulnerable Dependency', cwe: Object.freeze(['CWE-1395']) })
+});
+
+/**
+ * [목적] 카테고리 id의 표시 이름과 CWE 목록 조회.
+ *
+ * [반환값]
+ * - { id, title, cwe: string[] }: 알 수 없는 카테고리는 id를 대문자로 쓴 제목과 빈 CWE 목록
+ */
+export const getCategoryInfo = (category) => {
+  const plugin = getCategoryPlugin(category);
+  if (plugin) return { id: category, title: plugin.displayName, cwe: [...plugin.cwe] };
+  const builtin = BUILTIN_CATEGORIES[category];
+  return { id: category, title: builtin?.title || category.toUpperCase(), cwe: builtin ? [...builtin.cwe] : [] };
+};
+
+/**
+ * [목적] 큐 항목에서 후보 필드 중 처음으로 값이 있는 문자열 반환.
+ */
+export const firstFieldValue = (item, fields) => {
+  for (const field of fields) {
+    if (typeof item[field] === 'string' && item[field].trim()) return item[field].trim();
+  }
+  return '';
+};
+
+/**
+ * [목적] "file:line" 위치 추출 (경로 구분자 통일, 앞의 ./ 제거).
+ *
+ * [반환값]
+ * - { file, line }: 위치가 없으면 둘 다 빈 문자열
+ */
+export const extractLocation = (value) => {
+  const match = typeof value === 'string' ? value.match(LOCATION_PATTERN) : null;
+  if (!match) return { file: '', line: '' };
+  return { file: match[1].replace(/\\/g, '/').replace(/^\.\//, ''), line: match[2] };
+};
+
+/**
+ * [목적] 큐 항목의 모든 코드 위치 (LOCATION_FIELDS 순서 우선, 같은 file:line 중복 제거).
+ *
+ * [반환값]
+ * - Array<{ field, file, line }>: 첫 항목이 대표 위치
+ */
+export const collectCodeLocations = (item) => {
+  const seen = new Set();
+  const locations = [];
+  const otherFields = Object.keys(item).filter(field => !LOCATION_FIELDS.includes(field) && !NON_LOCATION_FIELDS.includes(field));
+  for (const field of [...LOCATION_FIELDS, ...otherFields]) {
+    const { file, line } = extractLocation(item[field]);
+    if (!file || seen.has(`${file}:${line}`)) continue;
+    seen.add(`${file}:${line}`);
+    locations.push({ field, file, line });
+  }
+  return locations;
+};
+
+/**
+ * [목적] 큐의 severity 값을 SEVERITY_LEVELS 중 하나로 정규화 (알 수 없으면 null).
+ */
+export const normalizeSeverity = (severity) => {
+  const value = String(severity || '').trim().toLowerCase();
+  return SEVERITY_LEVELS.includes(value) ? value : null;
+};
+
+/**
+ * [목적] 큐 항목 ID (카테고리마다 ID / id / vulnerability_id).
+ */
+export const getQueueItemId = item => item.ID || item.id || item.vulnerability_id || null;
+
+/**
+ * [목적] deliverables 디렉터리의 모든 익스플로잇 큐와 대응 증거 로드.
+ *
+ * [반환값]
+ * - Promise<{ findings: Array<{ category, id, item, evidence }>, categories: string[] }>
+ *   - item: 큐 항목 원본, evidence: 같은 ID의 증거 항목 원본 (익스플로잇 미실행/미기록이면 null)
+ *   - categories: 큐 파일이 있는 카테고리 (빈 큐 포함, 파일명 순)
+ *
+ * [주의사항]
+ * - 손상된 큐 파일은 경고 후 건너뜀 (해당 카테고리는 미실행으로 취급)
+ * - 큐에 verdict: safe로 남은 항목은 제외
+ */
+export const loadExploitationFindings = async (deliverablesDir) => {
+  const findings = [];
+  const categories = [];
+
+  for (const file of (await fs.readdir(deliverablesDir)).sort()) {
+    if (!file.endsWith(QUEUE_SUFFIX)) continue;
+    const category = file.slice(0, -QUEUE_SUFFIX.length);
+
+    let queue;
+    try {
+      queue = await fs.readJSON(path.join(deliverablesDir, file));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Skipping unreadable ${file}: ${error.message}`));
+      continue;
+    }
+    categories.push(category);
+
+    const evidence = await fs.readJSON(path.join(deliverablesDir, `${category}${EVIDENCE_SUFFIX}`)).catch(() => null);
+    const evidenceById = new Map(
+      (Array.isArray(evidence?.vulnerabilities) ? evidence.vulnerabilities : [])
+        .filter(entry => entry?.vulnerability_id)
+        .map(entry => [entry.vulnerability_id, entry])
+    );
+
+    for (const item of Array.isArray(queue?.vulnerabilities) ? queue.vulnerabilities : []) {
+      if (!item || typeof item !== 'object' || String(item.verdict).toLowerCase() === 'safe') continue;
+      const id = getQueueItemId(item);
+      findings.push({ category, id, item, evidence: (id && evidenceById.get(id)) || null });
+    }
+  }
+
+  return { findings, categories };
+};
+
+/**
+ * [목적] 세션의 산출물 디렉터리 결정 (보관본 우선, 여러 개면 가장 최근).
+ *
+ * [반환값]
+ * - Promise<{ dir, archived }|null>
+ */
+export const findSessionDeliverablesDir = async (session) => {
+  const targetRepo = session.targetRepo || session.repoPath;
+  if (!targetRepo || !await fs.pathExists(targetRepo)) return null;
+
+  const shortId = session.id.substring(0, 8);
+  const archives = (await fs.readdir(targetRepo))
+    .filter(entry => entry.match(ARCHIVE_PATTERN)?.[1] === shortId)
+    .sort();
+  if (archives.length > 0) return { dir: path.join(targetRepo, archives.at(-1)), archived: true };
+
+  const current = path.join(targetRepo, 'deliverables');
+  return await fs.pathExists(current) ? { dir: current, archived: false } : null;
+};
+
+/**
+ * [목적] CLI 인자 하나(세션 ID/접두사 또는 deliverables 디렉터리 경로)를 산출물 위치로 해석.
+ *
+ * [호출자]
+ * - cli/diff.js, cli/sarif.js, cli/html-report.js
+ *
+ * [입력 파라미터]
+ * - ref (string)
+ * - sessions (object[]): listSessions() 결과
+ *
+ * [반환값]
+ * - Promise<{ ref, label, sessionId, webUrl, targetRepo, deliverablesDir, archived }>
+ *   - targetRepo: 큐의 상대 경로(file:line) 기준 디렉터리 (디렉터리 인자에서 알 수 없으면 null)
+ *
+ * [에러 처리]
+ * - 세션 ID가 모호하거나 세션/디렉터리를 찾지 못하면 PentestError('validation')
+ */
+export const resolveDeliverablesSource = async (ref, sessions) => {
+  const matches = sessions.filter(session => session.id === ref || session.id.startsWith(ref));
+  if (matches.length > 1) {
+    throw new PentestError(
+      `Session ID '${ref}' is ambiguous. Multiple matches found.`,
+      'validation',
+      false,
+      { ref, matches: matches.map(session => session.id) }
+    );
+  }
+
+  if (matches.length === 1) {
+    const [session] = matches;
+    const location = await findSessionDeliverablesDir(session);
+    if (!location) {
+      throw new PentestError(
+        `No deliverables found for session ${session.id.substring(0, 8)} in ${session.targetRepo || session.repoPath}`,
+        'validation',
+        false,
+        { ref, sessionId: session.id }
+      );
+    }
+    return {
+      ref,
+      label: session.id.substring(0, 8),
+      sessionId: session.id,
+      webUrl: session.webUrl,
+      targetRepo: session.targetRepo || session.repoPath,
+      deliverablesDir: location.dir,
+      archived: location.archived
+    };
+  }
+
+  const resolved = path.resolve(ref);
+  if (await fs.pathExists(resolved) && (await fs.stat(resolved)).isDirectory()) {
+    const nested = path.join(resolved, 'deliverables');
+    const hasNested = await fs.pathExists(nested);
+    const isDeliverablesDir = /^deliverables(__.+)?$/.test(path.basename(resolved));
+    return {
+      ref,
+      label: path.basename(resolved),
+      sessionId: null,
+      webUrl: null,
+      targetRepo: hasNested ? resolved : (isDeliverablesDir ? path.dirname(resolved) : null),
+      deliverablesDir: hasNested ? nested : resolved,
+      archived: null
+    };
+  }
+
+  throw new PentestError(
+    `Session or deliverables directory not found: ${ref}`,
+    'validation',
+    false,
+    { ref }
+  );
+};
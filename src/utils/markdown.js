@@ -0,0 +1,152 @@
+/**
+ * Minimal Markdown Parser
+ *
+ * 에이전트가 작성한 보고서 Markdown을 블록/인라인 토큰으로 분해 (HTML·DOCX 렌더러 공용, 외부 의존성 없음).
+ * 지원: ATX 헤딩, 문단, 순서/비순서 목록(1단계 + 들여쓰기 중첩은 평탄화), 코드 펜스, GFM 표, 인용, 수평선,
+ *       인라인 코드, **굵게**, *기울임*, [링크](url), 이미지 ![alt](src)
+ * 원시 HTML은 해석하지 않고 텍스트로 취급 (렌더러가 이스케이프).
+ */
+
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+
+const splitTableRow = line => line
+  .trim()
+  .replace(/^\|/, '')
+  .replace(/\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+/**
+ * [목적] Markdown 텍스트를 블록 토큰 배열로 변환.
+ *
+ * [반환값]
+ * - Array<{ type, ... }>:
+ *   heading { level, text } | paragraph { text } | list { ordered, items: string[] } | code { lang, text }
+ *   table { header: string[], rows: string[][] } | quote { text } | hr
+ */
+export function parseMarkdownBlocks(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const isBlockStart = line => FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || HR_PATTERN.test(line)
+    || LIST_PATTERN.test(line) || QUOTE_PATTERN.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', lang: fence[2] || '', text: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (HR_PATTERN.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[i + 1])) {
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        const cells = splitTableRow(lines[i++]);
+        rows.push(header.map((_, index) => cells[index] ?? ''));
+      }
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    const listItem = line.match(LIST_PATTERN);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[2]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(LIST_PATTERN);
+        if (item) {
+          items.push(item[3]);
+        } else if (lines[i].trim() && /^\s{2,}/.test(lines[i]) && items.length > 0) {
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) quoted.push(lines[i++].match(QUOTE_PATTERN)[1]);
+      blocks.push({ type: 'quote', text: quoted.join(' ').trim() });
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])
+      && !(lines[i].includes('|') && i + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[i + 1]))) {
+      paragraph.push(lines[i++].trim());
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+  }
+
+  return blocks;
+}
+
+const INLINE_PATTERN = /(`+)([\s\S]*?)\1|!\[([^\]]*)\]\(([^)\s]+)[^)]*\)|\[([^\]]+)\]\(([^)\s]+)[^)]*\)|\*\*([^*]+)\*\*|__([^_]+)__|\*([^*\s][^*]*)\*|(?<![\w])_([^_\s][^_]*)_(?![\w])/g;
+
+/**
+ * [목적] 인라인 Markdown을 스팬 배열로 변환.
+ *
+ * [반환값]
+ * - Array<{ type: 'text'|'code'|'strong'|'em'|'link'|'image', text, href? }>
+ *   (중첩 강조는 지원하지 않음: **굵게 안의 *기울임*** 은 굵은 텍스트로)
+ */
+export function parseInline(text) {
+  const spans = [];
+  const source = String(text || '');
+  let last = 0;
+
+  for (const match of source.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) spans.push({ type: 'text', text: source.slice(last, match.index) });
+    if (match[1]) spans.push({ type: 'code', text: match[2].trim() });
+    else if (match[4] !== undefined) spans.push({ type: 'image', text: match[3], href: match[4] });
+    else if (match[5] !== undefined) spans.push({ type: 'link', text: match[5], href: match[6] });
+    else if (match[7] !== undefined || match[8] !== undefined) spans.push({ type: 'strong', text: match[7] ?? match[8] });
+    else spans.push({ type: 'em', text: match[9] ?? match[10] });
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) spans.push({ type: 'text', text: source.slice(last) });
+
+  return spans;
+}
+
+/**
+ * [목적] 링크 대상이 렌더링해도 안전한 스킴인지 (http/https/mailto/문서 내 앵커).
+ */
+export const isSafeHref = href => /^(https?:|mailto:|#)/i.test(String(href || '').trim());
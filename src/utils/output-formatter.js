@@ -1,4 +1,5 @@
 import { AGENTS } from '../session-manager.js';
+import { CATEGORY_PLUGINS } from '../config/category-registry.js';
 
 /**
  * [목적] URL에서 도메인 추출(표시용).
@@ -77,6 +78,13 @@ export function getAgentPrefix(description) {
     }
   }
 
+  // Category plugin agents use their id as the prefix
+  for (const plugin of CATEGORY_PLUGINS) {
+    if ([plugin.vuln, plugin.exploit].some(agent => description.includes(agent.displayName))) {
+      return `[${plugin.id.toUpperCase()}]`;
+    }
+  }
+
   // Fallback to partial matches for backwards compatibility
   if (description.includes('injection')) return '[Injection]';
   if (description.includes('xss')) return '[XSS]';
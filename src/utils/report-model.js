@@ -0,0 +1,196 @@
+/**
+ * Client Report Model
+ *
+ * HTML/DOCX 보고서 렌더러가 공유하는 표시용 취약점 레코드, 심각도/판정 표시 정보, 코드 위치 딥링크, 증거 이미지 로딩.
+ * - 취약점 정렬: 심각도 → 익스플로잇 판정(EXPLOITED 우선) → 카테고리
+ * - 코드 위치 딥링크: DOKODEMODOOR_REPORT_CODE_URL 템플릿({path}, {line}), 없으면 대상 레포의 file:// 링크
+ * - 증거 이미지: deliverables 디렉터리 또는 대상 레포 안의 래스터 이미지만 (SVG 제외, 크기 상한)
+ * - CVSS: 증거(익스플로잇 후 재평가) → 큐 순으로 벡터를 찾아 내장 계산기로 점수 산출. 유효한 벡터가 있으면 그 등급이 severity
+ */
+
+import { pathToFileURL } from 'node:url';
+import { fs, path } from 'zx';
+import { config } from '../config/env.js';
+import {
+  ENDPOINT_FIELDS,
+  EXPLOIT_VERDICTS,
+  PARAMETER_FIELDS,
+  REASON_FIELDS,
+  SEVERITY_LEVELS,
+  collectCodeLocations,
+  firstFieldValue,
+  getCategoryInfo,
+  loadExploitationFindings,
+  normalizeSeverity
+} from './findings.js';
+import { scoreFindingCvss } from './cvss.js';
+
+export const REPORT_BASENAME = 'comprehensive_security_assessment_report';
+
+// Report variants: English from the report agent, Korean from `npm run translate-report`
+export const REPORT_VARIANTS = Object.freeze([
+  Object.freeze({ suffix: '', lang: 'en' }),
+  Object.freeze({ suffix: '_kr', lang: 'ko' })
+]);
+
+export const NOT_VERIFIED = 'NOT_VERIFIED';
+export const UNRATED = 'unrated';
+export const VERDICT_ORDER = Object.freeze(['EXPLOITED', 'POTENTIAL', NOT_VERIFIED, 'BLOCKED_BY_SECURITY']);
+export const SEVERITY_ORDER = Object.freeze([...SEVERITY_LEVELS, UNRATED]);
+
+export const SEVERITY_DISPLAY = Object.freeze({
+  critical: Object.freeze({ label: 'Critical', color: '#b71c1c' }),
+  high: Object.freeze({ label: 'High', color: '#e65100' }),
+  medium: Object.freeze({ label: 'Medium', color: '#f9a825' }),
+  low: Object.freeze({ label: 'Low', color: '#2e7d32' }),
+  [UNRATED]: Object.freeze({ label: 'Unrated', color: '#757575' })
+});
+
+export const VERDICT_DISPLAY = Object.freeze({
+  EXPLOITED: Object.freeze({ label: 'Exploited', color: '#c62828' }),
+  POTENTIAL: Object.freeze({ label: 'Potential', color: '#ef6c00' }),
+  [NOT_VERIFIED]: Object.freeze({ label: 'Not verified', color: '#9e9e9e' }),
+  BLOCKED_BY_SECURITY: Object.freeze({ label: 'Blocked', color: '#1565c0' })
+});
+
+// CVSS versions shown in finding details (severity basis: first valid of the same order, see scoreFindingCvss)
+export const CVSS_VERSIONS = Object.freeze([
+  Object.freeze({ key: 'v3', label: 'CVSS 3.1' }),
+  Object.freeze({ key: 'v4', label: 'CVSS 4.0' })
+]);
+
+export const IMAGE_TYPES = Object.freeze({
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+});
+const MAX_EMBEDDED_IMAGE_BYTES = 5 * 1024 * 1024;
+
+export const severityRank = finding => SEVERITY_ORDER.indexOf(finding.severity);
+export const verdictRank = finding => VERDICT_ORDER.indexOf(finding.verdict);
+
+/**
+ * [목적] 큐 항목 + 증거를 보고서 표시용 레코드로 변환.
+ */
+const toReportFinding = ({ category, id, item, evidence }, index) => {
+  const info = getCategoryInfo(category);
+  const { scored, ...cvss } = scoreFindingCvss(item, evidence);
+  return {
+    category,
+    categoryTitle: info.title,
+    cwe: info.cwe,
+    id: id || `${category.toUpperCase()}-${index + 1}`,
+    title: item.vulnerability_type || item.title || evidence?.vulnerability_name || info.title,
+    severity: scored?.severity || normalizeSeverity(evidence?.severity) || normalizeSeverity(item.severity) || UNRATED,
+    verdict: EXPLOIT_VERDICTS.includes(evidence?.verdict) ? evidence.verdict : NOT_VERIFIED,
+    endpoint: firstFieldValue(item, ENDPOINT_FIELDS),
+    parameter: firstFieldValue(item, PARAMETER_FIELDS),
+    reason: firstFieldValue(item, REASON_FIELDS),
+    confidence: item.confidence || null,
+    cvss,
+    cvssScore: scored ? scored.score : null,
+    witnessPayload: typeof item.witness_payload === 'string' ? item.witness_payload : null,
+    locations: collectCodeLocations(item),
+    evidence
+  };
+};
+
+/**
+ * [목적] 산출물 디렉터리의 취약점을 보고서 순서(심각도 → 판정 → 카테고리)로 로드.
+ *
+ * [반환값]
+ * - Promise<{ findings: object[], categories: string[] }>
+ *   - findings[].anchor: 문서 내 링크용 id (finding-1, finding-2, … 정렬 후 순번)
+ */
+export const loadReportFindings = async (deliverablesDir) => {
+  const { findings, categories } = await loadExploitationFindings(deliverablesDir);
+  const sorted = findings
+    .map(toReportFinding)
+    .sort((a, b) => severityRank(a) - severityRank(b) || verdictRank(a) - verdictRank(b) || a.category.localeCompare(b.category));
+  return { findings: sorted.map((finding, index) => ({ ...finding, anchor: `finding-${index + 1}` })), categories };
+};
+
+/**
+ * [목적] 취약점 목록을 key 필드 값별로 집계.
+ */
+export const countBy = (findings, key) => findings.reduce((acc, finding) => ({ ...acc, [finding[key]]: (acc[finding[key]] || 0) + 1 }), {});
+
+/**
+ * [목적] 코드 위치 딥링크 생성.
+ * - 템플릿({path}: 레포 기준 상대 경로, {line}) 우선, 없으면 대상 레포 안 파일의 file:// URL
+ *
+ * [반환값]
+ * - string|null: 대상 레포를 모르는 상대 경로이고 템플릿도 없으면 null
+ */
+export const buildCodeLink = (file, line, source) => {
+  const targetRepo = source.targetRepo;
+  let relative = file;
+  if (path.isAbsolute(file)) {
+    relative = targetRepo ? path.relative(targetRepo, file) : null;
+    if (relative && (relative.startsWith('..') || path.isAbsolute(relative))) relative = null;
+  }
+
+  const template = config.dokodemodoor.report.codeUrlTemplate;
+  if (template && relative) {
+    const repoPath = relative.split(path.sep).join('/').split('/').map(encodeURIComponent).join('/');
+    return template.replace(/\{path\}/g, repoPath).replace(/\{line\}/g, encodeURIComponent(line));
+  }
+  if (path.isAbsolute(file)) return `${pathToFileURL(file).href}#L${line}`;
+  return targetRepo ? `${pathToFileURL(path.join(targetRepo, file)).href}#L${line}` : null;
+};
+
+/**
+ * [목적] 증거/보고서가 참조하는 이미지 파일 읽기.
+ * - 상대 경로는 deliverables 기준(앞의 deliverables/ 제거, 보관 디렉터리 이름 변경 대응) → 대상 레포 기준 순으로 탐색
+ *
+ * [반환값]
+ * - Promise<{ file, mime, data: Buffer }|{ error: string }>
+ */
+export const loadEvidenceImage = async (ref, source) => {
+  const raw = String(ref || '').trim();
+  if (!raw) return { error: 'empty path' };
+
+  const { deliverablesDir, targetRepo } = source;
+  const roots = [deliverablesDir, targetRepo].filter(Boolean).map(root => path.resolve(root));
+  const candidates = path.isAbsolute(raw)
+    ? [raw]
+    : [
+      path.join(deliverablesDir, raw.replace(/^\.?\/?deliverables[\\/]/, '')),
+      ...(targetRepo ? [path.join(targetRepo, raw)] : []),
+      path.join(deliverablesDir, raw)
+    ];
+
+  let result = { error: 'file not found' };
+  for (const candidate of candidates.map(file => path.resolve(file))) {
+    const mime = IMAGE_TYPES[path.extname(candidate).toLowerCase()];
+    const inside = roots.some(root => candidate === root || candidate.startsWith(`${root}${path.sep}`));
+    if (!mime || !inside) {
+      result = { error: mime ? 'outside the deliverables / target repo' : 'unsupported image type' };
+      continue;
+    }
+    const stat = await fs.stat(candidate).catch(() => null);
+    if (!stat?.isFile()) continue;
+    if (stat.size > MAX_EMBEDDED_IMAGE_BYTES) {
+      return { error: `larger than ${MAX_EMBEDDED_IMAGE_BYTES / 1024 / 1024} MB` };
+    }
+    return { file: candidate, mime, data: await fs.readFile(candidate) };
+  }
+  return result;
+};
+
+/**
+ * [목적] 증거에서 참조되지 않았을 수 있는 자동 캡처 스크린샷(deliverables/screenshots) 목록.
+ *
+ * [반환값]
+ * - Promise<string[]>: 절대 경로 (파일명 순)
+ */
+export const listCapturedScreenshots = async (deliverablesDir) => {
+  const dir = path.join(deliverablesDir, 'screenshots');
+  if (!await fs.pathExists(dir)) return [];
+  return (await fs.readdir(dir))
+    .filter(file => IMAGE_TYPES[path.extname(file).toLowerCase()])
+    .sort()
+    .map(file => path.resolve(dir, file));
+};
@@ -115,9 +115,10 @@ const FALLBACK_CAPS = {
  * [목적] 페이즈 시작 시 scope_size 캐시 읽기/쓰기 후 해당 페이즈 caps 반환.
  * @param {object} session - { targetRepo, id }
  * @param {string} phaseName
+ * @param {{ persist?: boolean }} opts - persist=false면 캐시를 읽기만 함 (--plan 드라이런)
  * @returns {Promise<{ fileOpenCap: number, searchCap: number }|null>}
  */
-export async function ensureScopeSizeAndCaps(session, phaseName) {
+export async function ensureScopeSizeAndCaps(session, phaseName, { persist = true } = {}) {
   const capPhases = ['pre-reconnaissance', 'reconnaissance', 'vulnerability-analysis'];
   if (!capPhases.includes(phaseName)) {
     return null;
@@ -132,7 +133,7 @@ export async function ensureScopeSizeAndCaps(session, phaseName) {
   let scopeSize = { repoFileCount: 0, routeCount: 0 };
 
   try {
-    await fs.ensureDir(contextDir);
+    if (persist) await fs.ensureDir(contextDir);
     if (fs.existsSync(cachePath)) {
       const raw = await fs.readFile(cachePath, 'utf8');
       const cached = JSON.parse(raw);
@@ -146,10 +147,12 @@ export async function ensureScopeSizeAndCaps(session, phaseName) {
     scopeSize = await getScopeSize(targetRepo, {
       parsePreRecon: phaseName === 'reconnaissance' || phaseName === 'vulnerability-analysis'
     });
-    try {
-      await fs.writeFile(cachePath, JSON.stringify(scopeSize, null, 2), 'utf8');
-    } catch {
-      // ignore
+    if (persist) {
+      try {
+        await fs.writeFile(cachePath, JSON.stringify(scopeSize, null, 2), 'utf8');
+      } catch {
+        // ignore
+      }
     }
   }
 
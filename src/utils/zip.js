@@ -0,0 +1,163 @@
+/**
+ * Minimal ZIP Container
+ *
+ * DOCX(OOXML) 패키지 작성/템플릿 읽기와 upload_payload의 zip-slip 아카이브·PNG CRC용 ZIP 쓰기·읽기 (node:zlib raw deflate, 외부 의존성 없음).
+ * - 쓰기: 항목별 deflate(이미 압축된 이미지는 store), UTF-8 파일명 플래그
+ * - 읽기: 중앙 디렉터리 기준, store/deflate만 지원
+ *
+ * [주의사항]
+ * - ZIP64 미지원 (항목/전체 4GB 이상은 읽기 시 거부)
+ */
+
+import zlib from 'node:zlib';
+import { PentestError } from '../error-handling.js';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const STORED_EXTENSIONS = /\.(png|jpe?g|gif|webp|zip)$/i;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * [목적] CRC-32 (ZIP/PNG 다항식).
+ */
+export const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * [목적] 항목 목록을 ZIP 버퍼로 작성.
+ *
+ * [입력 파라미터]
+ * - entries (Array<{ name: string, data: Buffer|string }>): 기록 순서 유지 ([Content_Types].xml은 첫 항목 권장)
+ * - options.modifiedAt (Date)
+ *
+ * [반환값]
+ * - Buffer
+ */
+export function createZip(entries, { modifiedAt = new Date() } = {}) {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const method = STORED_EXTENSIONS.test(entry.name) ? METHOD_STORE : METHOD_DEFLATE;
+    const body = method === METHOD_DEFLATE ? zlib.deflateRawSync(data) : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * [목적] ZIP 버퍼의 모든 파일 항목 읽기.
+ *
+ * [반환값]
+ * - Map<string, Buffer>: 항목 이름 → 압축 해제된 내용 (디렉터리 항목 제외)
+ *
+ * [에러 처리]
+ * - ZIP이 아니거나 손상/ZIP64/지원하지 않는 압축 방식이면 PentestError('validation')
+ */
+export function readZip(buffer) {
+  const fail = (reason) => new PentestError(`Invalid ZIP archive: ${reason}`, 'validation', false, { reason });
+
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw fail('end of central directory not found');
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let cursor = buffer.readUInt32LE(endOffset + 16);
+  if (cursor === 0xffffffff) throw fail('ZIP64 archives are not supported');
+
+  const files = new Map();
+  for (let index = 0; index < count; index++) {
+    if (cursor + 46 > buffer.length || buffer.readUInt32LE(cursor) !== CENTRAL_HEADER_SIGNATURE) {
+      throw fail(`corrupt central directory entry #${index + 1}`);
+    }
+    const method = buffer.readUInt16LE(cursor + 10);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const extraLength = buffer.readUInt16LE(cursor + 30);
+    const commentLength = buffer.readUInt16LE(cursor + 32);
+    const localOffset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+    cursor += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) throw fail('ZIP64 archives are not supported');
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) throw fail(`corrupt local header for ${name}`);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const body = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === METHOD_STORE) files.set(name, Buffer.from(body));
+    else if (method === METHOD_DEFLATE) files.set(name, zlib.inflateRawSync(body));
+    else throw fail(`unsupported compression method ${method} for ${name}`);
+  }
+  return files;
+}
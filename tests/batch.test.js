@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import { fs, path } from 'zx';
+import { summarizeTargetFindings } from '../src/cli/batch.js';
+
+const SESSION_ID = '1a2b3c4d-0000-4000-8000-000000000000';
+
+const writeDeliverables = async (dir) => {
+  await fs.outputJSON(path.join(dir, 'sqli_exploitation_queue.json'), {
+    vulnerabilities: [{ ID: 'SQLI-VULN-01' }, { ID: 'SQLI-VULN-02' }]
+  });
+  await fs.outputJSON(path.join(dir, 'sqli_exploitation_evidence.json'), {
+    vulnerabilities: [
+      { vulnerability_id: 'SQLI-VULN-01', verdict: 'EXPLOITED' },
+      { vulnerability_id: 'SQLI-VULN-02', verdict: 'POTENTIAL' }
+    ]
+  });
+  await fs.outputFile(path.join(dir, 'comprehensive_security_assessment_report.md'), '# Report\n');
+};
+
+const withTempRepo = async (fn) => {
+  const repo = await fs.mkdtemp(path.join(os.tmpdir(), 'dokodemodoor-batch-test-'));
+  try {
+    await fn(repo);
+  } finally {
+    await fs.remove(repo);
+  }
+};
+
+test('summarizeTargetFindings reads the archived deliverables of a completed session', () => withTempRepo(async (repo) => {
+  const archiveDir = path.join(repo, `deliverables__2026-01-01_00-00-00_${SESSION_ID.substring(0, 8)}`);
+  await writeDeliverables(archiveDir);
+
+  const { totals, categories, reportPath } = await summarizeTargetFindings({ id: SESSION_ID, targetRepo: repo });
+
+  assert.deepEqual(totals, { queued: 2, exploited: 1, blocked: 0, potential: 1 });
+  assert.deepEqual(categories, { sqli: { queued: 2, exploited: 1, blocked: 0, potential: 1 } });
+  assert.equal(reportPath, path.join(archiveDir, 'comprehensive_security_assessment_report.md'));
+}));
+
+test('summarizeTargetFindings falls back to deliverables/ for an unfinished session', () => withTempRepo(async (repo) => {
+  await writeDeliverables(path.join(repo, 'deliverables'));
+
+  const { totals } = await summarizeTargetFindings({ id: SESSION_ID, repoPath: repo });
+
+  assert.equal(totals.queued, 2);
+  assert.equal(totals.exploited, 1);
+}));
+
+test('summarizeTargetFindings reports zero findings when nothing was produced', () => withTempRepo(async (repo) => {
+  const { totals, reportPath } = await summarizeTargetFindings({ id: SESSION_ID, targetRepo: repo });
+
+  assert.deepEqual(totals, { queued: 0, exploited: 0, blocked: 0, potential: 0 });
+  assert.equal(reportPath, null);
+}));